@@ -0,0 +1,38 @@
+// Routes for the signed-in user's account, mounted at /api/account behind requireSignedIn
+// (so users who haven't verified their email can still delete their account).
+// DELETE / deletes the account: every conversation, message, attachment, persona,
+// shared link and document, the user's identity in the usage log, and finally the
+// Firebase Auth user. Data goes first, so if anything fails the account still exists
+// and deleting it again finishes the job.
+import express from "express";
+import { deleteFirebaseUser } from "./auth.js";
+import { ApiError, sendError } from "./errors.js";
+
+// Deleting the account needs a sign-in from the last few minutes, like Firebase's own
+// sensitive operations: a token left in an unattended browser isn't enough
+export const ACCOUNT_REAUTH_SECONDS = 5 * 60;
+
+export function createAccountRouter({ storage, vectorStore, usageLog, deleteAuthUser = deleteFirebaseUser }) {
+  const router = express.Router();
+
+  router.delete("/", async (req, res) => {
+    const { uid, authTime } = req.user;
+    if (!authTime || Date.now() / 1000 - authTime > ACCOUNT_REAUTH_SECONDS) {
+      return sendError(res, new ApiError("forbidden", "Please sign in again to delete your account", { reason: "reauth_required" }));
+    }
+
+    try {
+      await storage.deleteUserData(uid);
+      await vectorStore.deleteUser(uid);
+      await usageLog.forgetUser(uid);
+      await deleteAuthUser(uid);
+      res.locals.log.info("Account deleted", { uid });
+      res.status(204).end();
+    } catch (err) {
+      res.locals.log.error("Error deleting account", err);
+      sendError(res, new ApiError("internal", "Could not delete your account. Please try again."));
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,122 @@
+// Chat attachments: multipart upload handling, validation and conversion to
+// Gemini inlineData parts. Files are kept in memory only until they are saved
+// through the storage adapter. Voice messages are audio attachments; acceptAudio
+// takes a single recording for transcription.
+import multer from "multer";
+import { ApiError, sendError } from "./errors.js";
+
+export const MAX_ATTACHMENTS = 5;
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+// The text fields sent alongside the files (message, personaId, ...)
+const MAX_FIELDS = 20;
+const MAX_FIELD_BYTES = 256 * 1024;
+
+// Accepted MIME types. Text files are sent to Gemini as text/plain.
+const IMAGE_TYPES = ["image/png", "image/jpeg", "image/webp", "image/heic", "image/heif"];
+const TEXT_TYPES = ["text/plain", "text/markdown", "text/csv"];
+// What browsers record (webm, ogg and mp4 with Opus or AAC) plus common audio files
+export const AUDIO_TYPES = ["audio/webm", "audio/ogg", "audio/mp4", "audio/mpeg", "audio/wav", "audio/aac", "audio/flac"];
+export const ATTACHMENT_TYPES = [...IMAGE_TYPES, "application/pdf", ...TEXT_TYPES, ...AUDIO_TYPES];
+
+// Browsers often send no (or a generic) type for these
+const TYPES_BY_EXTENSION = {
+  md: "text/markdown",
+  markdown: "text/markdown",
+  txt: "text/plain",
+  csv: "text/csv",
+  pdf: "application/pdf",
+  webm: "audio/webm",
+  ogg: "audio/ogg",
+  oga: "audio/ogg",
+  m4a: "audio/mp4",
+  mp3: "audio/mpeg",
+  wav: "audio/wav",
+  aac: "audio/aac",
+  flac: "audio/flac",
+};
+
+// Helper: the MIME type to trust for an uploaded file. Recordings come typed with their
+// codec ("audio/webm;codecs=opus"), which isn't part of the type.
+function resolveMimeType(file) {
+  const mimeType = file.mimetype.split(";")[0].trim().toLowerCase();
+  if (ATTACHMENT_TYPES.includes(mimeType)) {
+    return mimeType;
+  }
+  const extension = file.originalname.split(".").pop().toLowerCase();
+  return TYPES_BY_EXTENSION[extension] || mimeType;
+}
+
+export function isAudio(mimeType) {
+  return AUDIO_TYPES.includes(mimeType);
+}
+
+// Helper: multer for files of the given types; hint says what to send instead
+function createUpload({ types, files, hint }) {
+  return multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: MAX_ATTACHMENT_BYTES, files, fields: MAX_FIELDS, fieldSize: MAX_FIELD_BYTES },
+    fileFilter(req, file, callback) {
+      file.mimetype = resolveMimeType(file);
+      if (!types.includes(file.mimetype)) {
+        const err = new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname);
+        err.message = `Unsupported file type for "${file.originalname}". ${hint}`;
+        return callback(err);
+      }
+      callback(null, true);
+    },
+  });
+}
+
+const upload = createUpload({
+  types: ATTACHMENT_TYPES,
+  files: MAX_ATTACHMENTS,
+  hint: "Attach images, PDFs, audio or text files.",
+});
+const audioUpload = createUpload({ types: AUDIO_TYPES, files: 1, hint: "Send an audio recording." });
+
+// Middleware: parse "attachments" files from multipart requests (JSON requests pass through)
+// and answer upload problems with a 400/413 instead of an unhandled error
+export function acceptAttachments(req, res, next) {
+  upload.array("attachments", MAX_ATTACHMENTS)(req, res, (err) => answerUploadError(err, res, next, MAX_ATTACHMENTS));
+}
+
+// Middleware: parse one "audio" file from a multipart request, answered like acceptAttachments
+export function acceptAudio(req, res, next) {
+  audioUpload.single("audio")(req, res, (err) => answerUploadError(err, res, next, 1));
+}
+
+function answerUploadError(err, res, next, maxFiles) {
+  if (!err) {
+    return next();
+  }
+  if (err.code === "LIMIT_FILE_SIZE") {
+    return sendError(res, new ApiError("bad_request", `Attachments must be ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB or smaller`, { status: 413 }));
+  }
+  if (err.code === "LIMIT_FIELD_VALUE") {
+    return sendError(res, new ApiError("bad_request", `The message must be ${MAX_FIELD_BYTES / 1024} KB or smaller`, { status: 413 }));
+  }
+  if (err.code === "LIMIT_FILE_COUNT") {
+    return sendError(res, new ApiError("bad_request", `You can attach at most ${maxFiles} file${maxFiles === 1 ? "" : "s"} per message`));
+  }
+  sendError(res, new ApiError("bad_request", err.message || "Invalid upload"));
+}
+
+// Uploaded files in the shape the storage adapters save
+export function readUploadedFiles(req) {
+  return (req.files || (req.file ? [req.file] : [])).map((file) => ({
+    name: file.originalname,
+    mimeType: file.mimetype,
+    size: file.size,
+    data: file.buffer,
+  }));
+}
+
+// Gemini part for an attachment's contents
+export function toInlineDataPart({ mimeType, data }) {
+  return {
+    inlineData: {
+      mimeType: TEXT_TYPES.includes(mimeType) ? "text/plain" : mimeType,
+      data: Buffer.from(data).toString("base64"),
+    },
+  };
+}
@@ -0,0 +1,83 @@
+// Authentication middleware: verifies the Firebase ID token sent by the
+// browser as "Authorization: Bearer <token>" and attaches the verified user
+// to req.user. The client-supplied body is never trusted for identity.
+// Accounts that sign in with email and password must have verified their address
+// (unless REQUIRE_EMAIL_VERIFICATION=false); requireSignedIn skips that check for the
+// routes an unverified user still needs, such as deleting the account.
+// requireAdmin then lets through only the admins listed in ADMIN_UIDS or ADMIN_EMAILS.
+import { getAuth } from "firebase-admin/auth";
+import { getFirebaseApp } from "./firebase.js";
+import { ApiError, sendError } from "./errors.js";
+
+// Default verifier; tests can pass their own to createAuthMiddleware
+function verifyFirebaseIdToken(idToken) {
+  return getAuth(getFirebaseApp()).verifyIdToken(idToken);
+}
+
+function getBearerToken(req) {
+  const match = /^Bearer\s+(.+)$/i.exec(req.get("Authorization") || "");
+  return match ? match[1].trim() : null;
+}
+
+// Delete the Firebase Auth account (used when a user deletes their account)
+export function deleteFirebaseUser(uid) {
+  return getAuth(getFirebaseApp()).deleteUser(uid);
+}
+
+export function createAuthMiddleware({
+  verifyIdToken = verifyFirebaseIdToken,
+  requireVerifiedEmail = process.env.REQUIRE_EMAIL_VERIFICATION !== "false",
+} = {}) {
+  return async function requireAuth(req, res, next) {
+    const idToken = getBearerToken(req);
+    if (!idToken) {
+      return sendError(res, new ApiError("auth", "Authentication required"));
+    }
+
+    let decoded;
+    try {
+      decoded = await verifyIdToken(idToken);
+    } catch (err) {
+      res.locals.log.warn("Rejected ID token", { code: err.code, message: err.message });
+      return sendError(res, new ApiError("auth", "Invalid or expired authentication token"));
+    }
+
+    req.user = {
+      uid: decoded.uid,
+      email: decoded.email || null,
+      emailVerified: decoded.email_verified === true,
+      // Seconds since the epoch of the last sign-in (not token refresh)
+      authTime: decoded.auth_time,
+      signInProvider: decoded.firebase?.sign_in_provider || null,
+    };
+    // Google and GitHub vouch for the account themselves; passwords need a verified address
+    if (requireVerifiedEmail && req.user.signInProvider === "password" && !req.user.emailVerified) {
+      return sendError(res, new ApiError("forbidden", "Please verify your email address first", { reason: "email_unverified" }));
+    }
+    next();
+  };
+}
+
+export const requireAuth = createAuthMiddleware();
+export const requireSignedIn = createAuthMiddleware({ requireVerifiedEmail: false });
+
+function parseList(value) {
+  return (value || "").split(",").map((item) => item.trim()).filter(Boolean);
+}
+
+// Middleware for admin-only routes; must run after requireAuth. Emails count only
+// once verified: anyone can sign up with an address they don't own.
+export function createAdminMiddleware({
+  uids = parseList(process.env.ADMIN_UIDS),
+  emails = parseList(process.env.ADMIN_EMAILS).map((email) => email.toLowerCase()),
+} = {}) {
+  return function requireAdmin(req, res, next) {
+    const { uid, email, emailVerified } = req.user;
+    if (uids.includes(uid) || (emailVerified && email && emails.includes(email.toLowerCase()))) {
+      return next();
+    }
+    sendError(res, new ApiError("forbidden", "Admin access required"));
+  };
+}
+
+export const requireAdmin = createAdminMiddleware();
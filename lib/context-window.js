@@ -0,0 +1,154 @@
+// Token-aware context window: keeps as many recent messages as fit in a token
+// budget and folds older turns into a rolling summary that is stored with the
+// conversation ({ text, throughMessageId, messageCount, updatedAt }).
+
+// Rough local estimate (no API round trip): ~4 characters per text token.
+// Gemini bills images at 258 tokens and PDFs at 258 per page; the page count
+// isn't known here, so PDFs are estimated from their size.
+const CHARS_PER_TOKEN = 4;
+const IMAGE_TOKENS = 258;
+const PDF_BYTES_PER_PAGE = 100 * 1024;
+
+// When the budget (or the message cap) is exceeded, older turns are folded until the
+// context is back under this share of it, so the summary isn't regenerated on every message
+const SUMMARIZE_TARGET_RATIO = 0.75;
+
+export function estimateTextTokens(text) {
+  return text ? Math.ceil(text.length / CHARS_PER_TOKEN) : 0;
+}
+
+// Attachment metadata ({ mimeType, size }) or an uploaded file
+function estimateAttachmentTokens({ mimeType = "", size = 0 }) {
+  if (mimeType.startsWith("image/")) return IMAGE_TOKENS;
+  if (mimeType === "application/pdf") return IMAGE_TOKENS * Math.max(1, Math.ceil(size / PDF_BYTES_PER_PAGE));
+  return Math.ceil(size / CHARS_PER_TOKEN);
+}
+
+export function estimateMessageTokens(message) {
+  const attachments = message.attachments || [];
+  return attachments.reduce(
+    (total, attachment) => total + estimateAttachmentTokens(attachment),
+    estimateTextTokens(message.text)
+  );
+}
+
+// Messages the summary doesn't cover yet. `messages` are the latest stored
+// messages, oldest first; if the summary's last message isn't among them, it is
+// older than all of them.
+export function unsummarizedMessages(messages, summary) {
+  if (!summary?.throughMessageId) return messages;
+  const index = messages.findIndex((msg) => msg.id === summary.throughMessageId);
+  return index === -1 ? messages : messages.slice(index + 1);
+}
+
+// The summary only applies to the branch it was written for: its last message
+// has to be on `path` (the full active branch, oldest first)
+export function summaryForPath(summary, path) {
+  if (!summary?.throughMessageId) return null;
+  return path.some((msg) => msg.id === summary.throughMessageId) ? summary : null;
+}
+
+// Split history into the recent messages sent as context and the older
+// overflow to fold into the summary. The new message and the current summary
+// count against the budget too, and at most maxMessages are kept even if more
+// would fit. A budget of 0 keeps everything.
+export function selectContext(messages, { summary = null, newMessage = null, budget, maxMessages = 0 }) {
+  const pending = unsummarizedMessages(messages, summary);
+  const tokens = pending.map(estimateMessageTokens);
+  const fixedTokens = estimateTextTokens(summary?.text) + (newMessage ? estimateMessageTokens(newMessage) : 0);
+  let total = fixedTokens + tokens.reduce((sum, count) => sum + count, 0);
+
+  let start = 0;
+  if (budget > 0 && total > budget) {
+    const target = budget * SUMMARIZE_TARGET_RATIO;
+    while (start < pending.length && total > target) {
+      total -= tokens[start];
+      start++;
+    }
+  }
+  if (budget > 0 && maxMessages > 0 && pending.length - start > maxMessages) {
+    const keep = Math.floor(maxMessages * SUMMARIZE_TARGET_RATIO);
+    while (pending.length - start > keep) {
+      total -= tokens[start];
+      start++;
+    }
+  }
+
+  // Gemini history has to start with a user turn
+  while (start < pending.length && pending[start].sender !== "user") {
+    total -= tokens[start];
+    start++;
+  }
+
+  return {
+    recent: pending.slice(start),
+    overflow: pending.slice(0, start),
+    estimatedTokens: total,
+  };
+}
+
+// Tokens of the summary prompt besides the summary and the transcript (the instructions)
+const SUMMARY_INSTRUCTION_TOKENS = 150;
+// A summary prompt always leaves at least this share of the budget for new messages,
+// even if the summary so far has grown long
+const MIN_TRANSCRIPT_SHARE = 0.25;
+
+function transcriptLine(msg, maxTokens = 0) {
+  const speaker = msg.sender === "user" ? "User" : "Assistant";
+  const files = (msg.attachments || []).map((attachment) => attachment.name).join(", ");
+  let text = msg.text || "";
+  if (maxTokens > 0 && text.length > maxTokens * CHARS_PER_TOKEN) {
+    text = `${text.slice(0, maxTokens * CHARS_PER_TOKEN)} [...]`;
+  }
+  return `${speaker}: ${text}${files ? ` [attached: ${files}]` : ""}`;
+}
+
+// Tokens of transcript that fit one summary prompt of `budget` tokens next to the
+// summary so far; 0 (no budget) means no limit
+export function summaryTranscriptBudget(previousSummary, budget) {
+  if (!(budget > 0)) return 0;
+  const room = budget - SUMMARY_INSTRUCTION_TOKENS - estimateTextTokens(previousSummary);
+  return Math.max(room, Math.floor(budget * MIN_TRANSCRIPT_SHARE), 1);
+}
+
+// How many of `messages` (oldest first) to fold into the summary with one prompt, so the
+// prompt stays within `budget`: the overflow of a long conversation is summarized in
+// several rounds, each on top of the summary the last one wrote. Always at least one;
+// a message too long for a prompt of its own is cut short by buildSummaryPrompt.
+export function summaryBatchSize(messages, previousSummary, budget) {
+  const room = summaryTranscriptBudget(previousSummary, budget);
+  if (!room) return messages.length;
+  let used = 0;
+  let count = 0;
+  while (count < messages.length) {
+    used += estimateTextTokens(transcriptLine(messages[count])) + 1;
+    if (count > 0 && used > room) break;
+    count++;
+  }
+  return count;
+}
+
+// Prompt asking the model to fold `messages` into the existing summary. With a budget,
+// each message is cut to what fits a prompt of that size.
+export function buildSummaryPrompt(previousSummary, messages, { budget = 0 } = {}) {
+  const maxTokens = summaryTranscriptBudget(previousSummary, budget);
+  const transcript = messages.map((msg) => transcriptLine(msg, maxTokens)).join("\n\n");
+
+  return [
+    "You maintain a running summary of a chat between a user and an AI assistant.",
+    "Update the summary so it also covers the new messages below. Keep facts, names, decisions,",
+    "open questions, user preferences and any code or data the conversation depends on.",
+    "Write in the third person, at most about 300 words, and return only the summary.",
+    "",
+    `Current summary:\n${previousSummary || "(none yet)"}`,
+    "",
+    `New messages:\n${transcript}`,
+  ].join("\n");
+}
+
+// Text to append to the system instruction so the model sees the summarized turns
+export function summaryInstruction(summary) {
+  return summary?.text
+    ? `Summary of the earlier part of this conversation (older messages are not shown):\n${summary.text}`
+    : "";
+}
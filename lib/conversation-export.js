@@ -0,0 +1,316 @@
+// Conversation export (Markdown, JSON, standalone HTML) and JSON import, and the
+// HTML page of shared conversations.
+// Markdown and HTML show each conversation's active branch; JSON keeps every
+// message version (parentId links) so an import restores the whole tree.
+// Attachments are exported as metadata (name, type, size) only.
+import { Marked } from "marked";
+import multer from "multer";
+import { activePath, buildMessageTree, listAllMessages } from "./message-tree.js";
+import { ApiError, sendError } from "./errors.js";
+import { escapeHtml, safeMarkdown } from "../public/safe-markdown.js";
+
+export const EXPORT_FORMATS = {
+  markdown: { extension: "md", contentType: "text/markdown; charset=utf-8" },
+  json: { extension: "json", contentType: "application/json; charset=utf-8" },
+  html: { extension: "html", contentType: "text/html; charset=utf-8" },
+};
+
+const EXPORT_FORMAT_ID = "flashbott-conversations";
+const EXPORT_VERSION = 1;
+const MAX_IMPORT_CONVERSATIONS = 500;
+const MAX_IMPORT_MESSAGES = 2000;
+const MAX_TITLE_LENGTH = 120;
+export const MAX_IMPORT_BYTES = 20 * 1024 * 1024;
+
+const SPEAKERS = { user: "You", bot: "Assistant" };
+
+// Raw HTML in messages is shown as text, and unsafe link URLs are dropped
+const markdown = new Marked(safeMarkdown);
+
+function toIsoDate(time) {
+  const date = new Date(time);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function formatDate(time) {
+  const iso = toIsoDate(time);
+  return iso ? `${iso.replace("T", " ").slice(0, 16)} UTC` : "unknown date";
+}
+
+function describeAttachment({ name, mimeType, size }) {
+  return `${name} (${mimeType}, ${Math.max(1, Math.round((size || 0) / 1024))} KB)`;
+}
+
+// A safe file name for the download, e.g. "trip-planning.md"
+export function exportFileName(title, format) {
+  const slug = (title || "conversation")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60) || "conversation";
+  return `${slug}.${EXPORT_FORMATS[format].extension}`;
+}
+
+// Load conversations with all their messages ({ conversation, messages }, messages oldest first)
+export async function loadExport(storage, uid, conversations) {
+  return await Promise.all(conversations.map(async (conversation) => ({
+    conversation,
+    messages: await listAllMessages(storage, uid, conversation.id),
+  })));
+}
+
+function activeBranch({ conversation, messages }) {
+  return activePath(buildMessageTree(messages), conversation.activeLeafId);
+}
+
+export function renderMarkdown(exported) {
+  return exported.map((item) => {
+    const { conversation } = item;
+    const lines = [`# ${conversation.title}`, "", `*Created ${formatDate(conversation.createdAt)}*`, ""];
+
+    for (const message of activeBranch(item)) {
+      lines.push(`### ${SPEAKERS[message.sender] || message.sender} · ${formatDate(message.createdAt)}`, "");
+      // Message text is markdown already, so code blocks carry over unchanged
+      if (message.text) {
+        lines.push(message.text, "");
+      }
+      for (const attachment of message.attachments || []) {
+        lines.push(`> 📎 ${describeAttachment(attachment)}`);
+      }
+      if (message.attachments?.length) {
+        lines.push("");
+      }
+    }
+    return lines.join("\n").trimEnd() + "\n";
+  }).join("\n---\n\n");
+}
+
+export function renderJson(exported) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT_ID,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    conversations: exported.map(({ conversation, messages }) => ({
+      id: conversation.id,
+      title: conversation.title,
+      personaId: conversation.personaId || null,
+      activeLeafId: activeBranch({ conversation, messages }).at(-1)?.id || null,
+      createdAt: toIsoDate(conversation.createdAt),
+      updatedAt: toIsoDate(conversation.updatedAt),
+      messages: messages.map((message, index) => ({
+        id: message.id,
+        // Messages saved before branching follow the previous one
+        parentId: message.parentId === undefined ? messages[index - 1]?.id || null : message.parentId,
+        sender: message.sender,
+        text: message.text || "",
+        createdAt: toIsoDate(message.createdAt),
+        ...(message.pinnedAt && { pinnedAt: toIsoDate(message.pinnedAt) }),
+        ...(message.attachments?.length && {
+          attachments: message.attachments.map(({ name, mimeType, size }) => ({ name, mimeType, size })),
+        }),
+      })),
+    })),
+  }, null, 2);
+}
+
+// Styles of the standalone HTML pages (exports and shared conversations). Shared pages
+// are served under a Content-Security-Policy that allows exactly this stylesheet.
+export const HTML_STYLE = `
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; max-width: 820px; margin: 0 auto; padding: 32px 20px; background: #f8f9fa; color: #333; line-height: 1.5; }
+  h1 { color: #667eea; margin-bottom: 4px; }
+  .meta { color: #888; font-size: 13px; margin-top: 0; }
+  .message { margin: 16px 0; padding: 14px 18px; border-radius: 14px; }
+  .message.user { background: #eef0fd; margin-left: 15%; }
+  .message.bot { background: white; border: 1px solid #e0e0e0; margin-right: 15%; }
+  .message header { font-size: 12px; font-weight: 600; color: #764ba2; margin-bottom: 6px; }
+  .plain { white-space: pre-wrap; margin: 0; }
+  pre { background: #f4f4f4; padding: 12px; border-radius: 8px; overflow-x: auto; border: 1px solid #e0e0e0; }
+  code { font-family: "Courier New", monospace; font-size: 0.9em; }
+  .attachments { list-style: none; padding: 0; margin: 8px 0 0; font-size: 13px; color: #666; }
+  hr { border: none; border-top: 1px solid #ddd; margin: 40px 0; }
+`;
+
+function renderMessageHtml(message) {
+  const attachments = (message.attachments || [])
+    .map((attachment) => `<li>📎 ${escapeHtml(describeAttachment(attachment))}</li>`)
+    .join("");
+  return `<article class="message ${message.sender === "user" ? "user" : "bot"}">
+<header>${escapeHtml(SPEAKERS[message.sender] || message.sender)} · <time>${escapeHtml(formatDate(message.createdAt))}</time></header>
+${message.sender === "user"
+    ? `<p class="plain">${escapeHtml(message.text || "")}</p>`
+    : markdown.parse(message.text || "")}
+${attachments ? `<ul class="attachments">${attachments}</ul>` : ""}
+</article>`;
+}
+
+// head: extra <meta> tags
+function renderHtmlPage(title, body, { head = "" } = {}) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+${head}<title>${escapeHtml(title)}</title>
+<style>${HTML_STYLE}</style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+export function renderHtml(exported) {
+  const title = exported.length === 1 ? exported[0].conversation.title : "FlashBott conversations";
+  const sections = exported.map((item) => {
+    const { conversation } = item;
+    const messages = activeBranch(item).map(renderMessageHtml).join("\n");
+
+    return `<section>
+<h1>${escapeHtml(conversation.title)}</h1>
+<p class="meta">Created ${escapeHtml(formatDate(conversation.createdAt))}</p>
+${messages}
+</section>`;
+  }).join("\n<hr>\n");
+
+  return renderHtmlPage(title, sections);
+}
+
+// The page of a shared conversation (see lib/shares.js): the snapshot's title and
+// messages only, nothing about its owner
+export function renderSharedPage(share, messages) {
+  const expiry = share.expiresAt ? ` · Link expires ${escapeHtml(formatDate(share.expiresAt))}` : "";
+  return renderHtmlPage(share.title, `<section>
+<h1>${escapeHtml(share.title)}</h1>
+<p class="meta">Shared ${escapeHtml(formatDate(share.createdAt))}${expiry} · Read-only copy</p>
+${messages.map(renderMessageHtml).join("\n")}
+</section>`, { head: '<meta name="robots" content="noindex, nofollow">\n' });
+}
+
+// A short page for shared links that don't exist (any more)
+export function renderSharedErrorPage(message) {
+  return renderHtmlPage("Shared conversation", `<section>
+<h1>Shared conversation</h1>
+<p class="meta">${escapeHtml(message)}</p>
+</section>`, { head: '<meta name="robots" content="noindex, nofollow">\n' });
+}
+
+export function renderExport(exported, format) {
+  if (format === "json") return renderJson(exported);
+  if (format === "html") return renderHtml(exported);
+  return renderMarkdown(exported);
+}
+
+function readTime(value, fallback) {
+  const time = typeof value === "number" ? value : Date.parse(value);
+  return Number.isFinite(time) ? time : fallback;
+}
+
+// Validate an export file (or a single exported conversation) and turn it into
+// conversations ready to save: { title, personaId, createdAt, updatedAt, messages, activeLeafId }.
+// Messages get fresh ids (parent links and the active leaf are remapped).
+// Returns { conversations } or { error }.
+export function parseImport(data, newId) {
+  let list;
+  if (Array.isArray(data?.conversations)) {
+    if (data.format !== undefined && data.format !== EXPORT_FORMAT_ID) {
+      return { error: "Unsupported export format" };
+    }
+    list = data.conversations;
+  } else if (Array.isArray(data?.messages)) {
+    list = [data];
+  } else {
+    return { error: "Expected an exported conversations file" };
+  }
+
+  if (list.length === 0) return { error: "The file has no conversations" };
+  if (list.length > MAX_IMPORT_CONVERSATIONS) {
+    return { error: `At most ${MAX_IMPORT_CONVERSATIONS} conversations can be imported at once` };
+  }
+
+  const conversations = [];
+  for (const [index, item] of list.entries()) {
+    if (!Array.isArray(item?.messages)) {
+      return { error: `Conversation ${index + 1} has no messages list` };
+    }
+    if (item.messages.length > MAX_IMPORT_MESSAGES) {
+      return { error: `Conversation ${index + 1} has more than ${MAX_IMPORT_MESSAGES} messages` };
+    }
+
+    const now = Date.now();
+    const ids = new Map();
+    const messages = [];
+    for (const message of item.messages) {
+      if (message?.sender !== "user" && message?.sender !== "bot") {
+        return { error: `Conversation ${index + 1} has a message without a valid sender` };
+      }
+      if (message.text !== undefined && typeof message.text !== "string") {
+        return { error: `Conversation ${index + 1} has a message with invalid text` };
+      }
+      const id = newId();
+      if (message.id !== undefined) ids.set(String(message.id), id);
+      messages.push({ original: message, id, createdAt: readTime(message.createdAt, now) });
+    }
+    messages.sort((a, b) => a.createdAt - b.createdAt);
+
+    let previousId = null;
+    const seen = new Set();
+    const saved = messages.map(({ original, id, createdAt }) => {
+      // Without a known, earlier parent, a message follows the previous one
+      const mappedParentId = ids.get(String(original.parentId));
+      const parentId = original.parentId === null
+        ? null
+        : seen.has(mappedParentId) ? mappedParentId : previousId;
+      previousId = id;
+      seen.add(id);
+      return {
+        id,
+        parentId,
+        sender: original.sender,
+        text: original.text || "",
+        createdAt,
+        ...(original.pinnedAt && { pinnedAt: readTime(original.pinnedAt, createdAt) }),
+      };
+    });
+
+    const title = typeof item.title === "string" && item.title.trim()
+      ? item.title.trim().slice(0, MAX_TITLE_LENGTH)
+      : "Imported chat";
+    conversations.push({
+      title,
+      personaId: typeof item.personaId === "string" ? item.personaId : null,
+      createdAt: readTime(item.createdAt, saved[0]?.createdAt || now),
+      updatedAt: readTime(item.updatedAt, saved[saved.length - 1]?.createdAt || now),
+      messages: saved,
+      activeLeafId: ids.get(String(item.activeLeafId)) || saved[saved.length - 1]?.id || null,
+    });
+  }
+
+  return { conversations };
+}
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_BYTES, files: 1 },
+});
+
+// Middleware: parse an export file sent as multipart "file" into req.body.
+// JSON requests pass through (their body already is the export).
+export function acceptImportFile(req, res, next) {
+  upload.single("file")(req, res, (err) => {
+    if (err?.code === "LIMIT_FILE_SIZE") {
+      return sendError(res, new ApiError("bad_request", `Import files must be ${MAX_IMPORT_BYTES / (1024 * 1024)} MB or smaller`, { status: 413 }));
+    }
+    if (err) {
+      return sendError(res, new ApiError("bad_request", err.message || "Invalid upload"));
+    }
+    if (req.file) {
+      try {
+        req.body = JSON.parse(req.file.buffer.toString("utf8"));
+      } catch {
+        return sendError(res, new ApiError("bad_request", "The import file isn't valid JSON"));
+      }
+    }
+    next();
+  });
+}
@@ -0,0 +1,440 @@
+// REST routes for a user's conversations, mounted at /api/conversations behind requireAuth.
+// Sending and regenerating messages (POST /:id/messages, POST /:id/messages/:messageId/regenerate)
+// live with the chat handler in server.js.
+import { randomUUID } from "node:crypto";
+import express from "express";
+import { findPersona } from "./personas.js";
+import {
+  activePath,
+  describePath,
+  exchangeIds,
+  isAtOrBelow,
+  latestLeafId,
+  loadedPath,
+  loadMessageTree,
+  removeFromMessageTree,
+} from "./message-tree.js";
+import { summaryForPath } from "./context-window.js";
+import {
+  acceptImportFile,
+  EXPORT_FORMATS,
+  exportFileName,
+  loadExport,
+  parseImport,
+  renderExport,
+} from "./conversation-export.js";
+import { ApiError, sendError } from "./errors.js";
+
+export const DEFAULT_CONVERSATION_TITLE = "New chat";
+const MAX_TITLE_LENGTH = 120;
+
+// Messages saved per storage call while importing (Firestore batches hold 500 writes)
+const IMPORT_BATCH_SIZE = 400;
+
+// Messages shown before a message that is jumped to
+const ANCHOR_CONTEXT = 4;
+
+// Helper: a cleaned-up title from the request body, or null if there isn't one
+function readTitle(body) {
+  const title = typeof body?.title === "string" ? body.title.trim() : "";
+  return title ? title.slice(0, MAX_TITLE_LENGTH) : null;
+}
+
+// Helper: the ?limit= of a messages request (default 100, max 500)
+function readLimit(req) {
+  return Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+}
+
+// Helper: a page of a branch: its latest `limit` messages, or with `before` (a message
+// id, the cursor for scrolling back) the `limit` messages before that one. The page
+// reaches further back if needed so that `anchorId` (e.g. a search result) and a few
+// messages before it are included. hasMore tells whether older messages remain.
+// Returns null if `before` isn't on the branch.
+function branchPage(path, { limit, anchorId, before }) {
+  const end = before ? path.findIndex((message) => message.id === before) : path.length;
+  if (end === -1) return null;
+
+  const anchorIndex = anchorId ? path.findIndex((message) => message.id === anchorId) : -1;
+  let start = Math.max(0, end - limit);
+  if (anchorIndex !== -1 && anchorIndex < end) {
+    start = Math.max(0, Math.min(start, anchorIndex - ANCHOR_CONTEXT));
+  }
+  return { messages: path.slice(start, end), hasMore: start > 0 };
+}
+
+// Helper: done() for loadMessageTree when answering with a page of the branch ending at
+// leafOf(tree) (undefined while that can't be told yet): the page has an older message
+// before it, so the versions of every message on it have been read, and the page's
+// anchor and the conversation's summary are found on the branch. A page at the start
+// of the branch, or an anchor or summary from another branch, means reading it all.
+function pageLoaded(leafOf, summary, pageOptions) {
+  return (tree) => {
+    const leafId = leafOf(tree);
+    const path = leafId === undefined ? null : loadedPath(tree, leafId);
+    if (!path || !branchPage(path, pageOptions)?.hasMore) return false;
+    return [pageOptions.anchorId, summary?.throughMessageId]
+      .every((id) => !id || path.some((message) => message.id === id));
+  };
+}
+
+// Helper: the files used by the removed messages that no remaining message uses
+// (an edited message shares its attachments with the original)
+function unusedAttachmentIds(tree, removedIds, remainingTree) {
+  const stillUsed = new Set([...remainingTree.byId.values()]
+    .flatMap((message) => (message.attachments || []).map((attachment) => attachment.id)));
+  return [...new Set(removedIds
+    .flatMap((id) => (tree.byId.get(id).attachments || []).map((attachment) => attachment.id)))]
+    .filter((id) => !stillUsed.has(id));
+}
+
+// Helper: the requested export format, or null if it isn't supported
+function readExportFormat(req) {
+  const format = req.query.format || "markdown";
+  return Object.hasOwn(EXPORT_FORMATS, format) ? format : null;
+}
+
+// Helper: send an export as a file download
+function sendExport(res, body, fileName, format) {
+  res.set({
+    "Content-Type": EXPORT_FORMATS[format].contentType,
+    "Content-Disposition": `attachment; filename="${fileName}"`,
+  });
+  res.send(body);
+}
+
+export function createConversationsRouter({ storage }) {
+  const router = express.Router();
+
+  // Helper: the personaId from the request body if it names an existing persona;
+  // null clears it, undefined means it wasn't given
+  async function readPersonaId(req) {
+    const { personaId } = req.body || {};
+    if (personaId === undefined || personaId === null || personaId === "") {
+      return { personaId: personaId === undefined ? undefined : null };
+    }
+    const persona = await findPersona(storage, req.user.uid, String(personaId));
+    return persona ? { personaId: persona.id } : { error: "Persona not found" };
+  }
+
+  router.get("/", async (req, res) => {
+    try {
+      await storage.migrateLegacyMessages?.(req.user.uid);
+      const conversations = await storage.listConversations(req.user.uid);
+      res.json({ conversations });
+    } catch (err) {
+      res.locals.log.error("Error listing conversations", err);
+      sendError(res, new ApiError("internal", "Could not load conversations"));
+    }
+  });
+
+  // Download all conversations (?format=markdown | json | html, default markdown)
+  router.get("/export", async (req, res) => {
+    const format = readExportFormat(req);
+    if (!format) {
+      return sendError(res, new ApiError("bad_request", `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`));
+    }
+
+    try {
+      const conversations = await storage.listConversations(req.user.uid);
+      const exported = await loadExport(storage, req.user.uid, conversations);
+      sendExport(res, renderExport(exported, format), exportFileName("flashbott-conversations", format), format);
+    } catch (err) {
+      res.locals.log.error("Error exporting conversations", err);
+      sendError(res, new ApiError("internal", "Could not export conversations"));
+    }
+  });
+
+  // Restore conversations from a JSON export (multipart "file" or a JSON body).
+  // Each one becomes a new conversation; attachments aren't restored.
+  router.post("/import", acceptImportFile, async (req, res) => {
+    const { conversations, error } = parseImport(req.body, randomUUID);
+    if (error) {
+      return sendError(res, new ApiError("bad_request", error));
+    }
+
+    try {
+      const imported = [];
+      for (const { messages, activeLeafId, createdAt, updatedAt, ...fields } of conversations) {
+        const personaId = fields.personaId && await findPersona(storage, req.user.uid, fields.personaId)
+          ? fields.personaId
+          : null;
+        const conversation = await storage.createConversation(req.user.uid, { title: fields.title, personaId });
+        for (let i = 0; i < messages.length; i += IMPORT_BATCH_SIZE) {
+          await storage.appendMessages(req.user.uid, conversation.id, messages.slice(i, i + IMPORT_BATCH_SIZE));
+        }
+        imported.push(await storage.updateConversation(req.user.uid, conversation.id, { activeLeafId, createdAt, updatedAt }));
+      }
+      res.status(201).json({ conversations: imported });
+    } catch (err) {
+      res.locals.log.error("Error importing conversations", err);
+      sendError(res, new ApiError("internal", "Could not import conversations"));
+    }
+  });
+
+  router.post("/", async (req, res) => {
+    try {
+      const { personaId = null, error } = await readPersonaId(req);
+      if (error) {
+        return sendError(res, new ApiError("bad_request", error));
+      }
+
+      const title = readTitle(req.body) || DEFAULT_CONVERSATION_TITLE;
+      const conversation = await storage.createConversation(req.user.uid, { title, personaId });
+      res.status(201).json({ conversation });
+    } catch (err) {
+      res.locals.log.error("Error creating conversation", err);
+      sendError(res, new ApiError("internal", "Could not create conversation"));
+    }
+  });
+
+  // Rename ({ title }) and/or change the persona ({ personaId }, null for none)
+  router.patch("/:id", async (req, res) => {
+    try {
+      const fields = {};
+      const title = readTitle(req.body);
+      if (title) {
+        fields.title = title;
+      }
+
+      const { personaId, error } = await readPersonaId(req);
+      if (error) {
+        return sendError(res, new ApiError("bad_request", error));
+      }
+      if (personaId !== undefined) {
+        fields.personaId = personaId;
+      }
+
+      if (Object.keys(fields).length === 0) {
+        return sendError(res, new ApiError("bad_request", "title or personaId is required"));
+      }
+
+      const conversation = await storage.updateConversation(req.user.uid, req.params.id, fields);
+      if (!conversation) {
+        return sendError(res, new ApiError("not_found", "Conversation not found"));
+      }
+      res.json({ conversation });
+    } catch (err) {
+      res.locals.log.error("Error updating conversation", err);
+      sendError(res, new ApiError("internal", "Could not update conversation"));
+    }
+  });
+
+  router.delete("/:id", async (req, res) => {
+    try {
+      const deleted = await storage.deleteConversation(req.user.uid, req.params.id);
+      if (!deleted) {
+        return sendError(res, new ApiError("not_found", "Conversation not found"));
+      }
+      res.status(204).end();
+    } catch (err) {
+      res.locals.log.error("Error deleting conversation", err);
+      sendError(res, new ApiError("internal", "Could not delete conversation"));
+    }
+  });
+
+  // Most recent messages of the active branch, oldest first (?limit=, default 100, max 500),
+  // and hasMore if older ones remain. ?before=messageId pages back: the messages before
+  // that one. ?around=messageId reaches further back so that message is included if it's
+  // on the branch. Each message has versions ({ ids, index }) listing its alternatives.
+  router.get("/:id/messages", async (req, res) => {
+    try {
+      const conversation = await storage.getConversation(req.user.uid, req.params.id);
+      if (!conversation) {
+        return sendError(res, new ApiError("not_found", "Conversation not found"));
+      }
+      const pageOptions = { limit: readLimit(req), anchorId: req.query.around, before: req.query.before };
+      const tree = await loadMessageTree(storage, req.user.uid, req.params.id,
+        pageLoaded(() => conversation.activeLeafId, conversation.summary, pageOptions));
+      const path = activePath(tree, conversation.activeLeafId);
+      const page = branchPage(path, pageOptions);
+      if (!page) {
+        return sendError(res, new ApiError("not_found", "Message not found on the active branch"));
+      }
+      res.json({
+        conversation: { ...conversation, summary: summaryForPath(conversation.summary, path) },
+        messages: describePath(tree, page.messages),
+        hasMore: page.hasMore,
+      });
+    } catch (err) {
+      res.locals.log.error("Error loading messages", err);
+      sendError(res, new ApiError("internal", "Could not load messages"));
+    }
+  });
+
+  // Download one conversation (?format=markdown | json | html, default markdown)
+  router.get("/:id/export", async (req, res) => {
+    const format = readExportFormat(req);
+    if (!format) {
+      return sendError(res, new ApiError("bad_request", `format must be one of: ${Object.keys(EXPORT_FORMATS).join(", ")}`));
+    }
+
+    try {
+      const conversation = await storage.getConversation(req.user.uid, req.params.id);
+      if (!conversation) {
+        return sendError(res, new ApiError("not_found", "Conversation not found"));
+      }
+      const exported = await loadExport(storage, req.user.uid, [conversation]);
+      sendExport(res, renderExport(exported, format), exportFileName(conversation.title, format), format);
+    } catch (err) {
+      res.locals.log.error("Error exporting conversation", err);
+      sendError(res, new ApiError("internal", "Could not export conversation"));
+    }
+  });
+
+  // Switch to the branch through a message (e.g. another version of a reply);
+  // below it, the newest version of each following message is shown. The
+  // returned messages always include the selected one.
+  router.post("/:id/messages/:messageId/select", async (req, res) => {
+    try {
+      const conversation = await storage.getConversation(req.user.uid, req.params.id);
+      if (!conversation) {
+        return sendError(res, new ApiError("not_found", "Conversation not found"));
+      }
+      // Everything below the message is newer, so its latest leaf is known once it's read
+      const { messageId } = req.params;
+      const pageOptions = { limit: readLimit(req), anchorId: messageId };
+      const leafOf = (tree) => (tree.byId.has(messageId) ? latestLeafId(tree, messageId) : undefined);
+      const tree = await loadMessageTree(storage, req.user.uid, req.params.id,
+        pageLoaded(leafOf, conversation.summary, pageOptions));
+      if (!tree.byId.has(messageId)) {
+        return sendError(res, new ApiError("not_found", "Message not found"));
+      }
+
+      const activeLeafId = latestLeafId(tree, messageId);
+      const updated = await storage.updateConversation(req.user.uid, req.params.id, { activeLeafId });
+      const path = activePath(tree, activeLeafId);
+      const page = branchPage(path, pageOptions);
+      res.json({
+        conversation: { ...updated, summary: summaryForPath(updated.summary, path) },
+        messages: describePath(tree, page.messages),
+        hasMore: page.hasMore,
+      });
+    } catch (err) {
+      res.locals.log.error("Error selecting message version", err);
+      sendError(res, new ApiError("internal", "Could not switch message version"));
+    }
+  });
+
+  // Pinned messages of every branch, most recently pinned first
+  router.get("/:id/pins", async (req, res) => {
+    try {
+      const conversation = await storage.getConversation(req.user.uid, req.params.id);
+      if (!conversation) {
+        return sendError(res, new ApiError("not_found", "Conversation not found"));
+      }
+      const tree = await loadMessageTree(storage, req.user.uid, req.params.id);
+      const pins = [...tree.byId.values()]
+        .filter((message) => message.pinnedAt)
+        .sort((a, b) => b.pinnedAt - a.pinnedAt);
+      res.json({ pins });
+    } catch (err) {
+      res.locals.log.error("Error listing pinned messages", err);
+      sendError(res, new ApiError("internal", "Could not load pinned messages"));
+    }
+  });
+
+  // Pin or unpin a message ({ pinned: true | false })
+  router.patch("/:id/messages/:messageId", async (req, res) => {
+    if (typeof req.body?.pinned !== "boolean") {
+      return sendError(res, new ApiError("bad_request", "pinned (true or false) is required"));
+    }
+
+    try {
+      const message = await storage.updateMessage(req.user.uid, req.params.id, req.params.messageId, {
+        pinnedAt: req.body.pinned ? Date.now() : null,
+      });
+      if (!message) {
+        return sendError(res, new ApiError("not_found", "Message not found"));
+      }
+      res.json({ message });
+    } catch (err) {
+      res.locals.log.error("Error pinning message", err);
+      sendError(res, new ApiError("internal", "Could not update message"));
+    }
+  });
+
+  // Delete one message (?scope=message, the default) or a whole exchange (?scope=exchange:
+  // the user message and every version of its reply). Later messages stay, attached to
+  // the message before the deleted ones. A summary that covered a deleted message is
+  // dropped, so its text doesn't outlive it. Returns the active branch like GET /:id/messages.
+  router.delete("/:id/messages/:messageId", async (req, res) => {
+    const scope = req.query.scope || "message";
+    if (scope !== "message" && scope !== "exchange") {
+      return sendError(res, new ApiError("bad_request", "scope must be message or exchange"));
+    }
+
+    try {
+      const conversation = await storage.getConversation(req.user.uid, req.params.id);
+      if (!conversation) {
+        return sendError(res, new ApiError("not_found", "Conversation not found"));
+      }
+      const tree = await loadMessageTree(storage, req.user.uid, req.params.id);
+      if (!tree.byId.has(req.params.messageId)) {
+        return sendError(res, new ApiError("not_found", "Message not found"));
+      }
+
+      const messageIds = scope === "exchange" ? exchangeIds(tree, req.params.messageId) : [req.params.messageId];
+      const { tree: remainingTree, moved } = removeFromMessageTree(tree, messageIds);
+      await storage.deleteMessages(req.user.uid, req.params.id, messageIds, {
+        moved,
+        attachmentIds: unusedAttachmentIds(tree, messageIds, remainingTree),
+      });
+
+      // A deleted leaf hands over to the newest leaf below its nearest remaining ancestor
+      const oldPath = activePath(tree, conversation.activeLeafId);
+      const lastKept = oldPath.filter((message) => !messageIds.includes(message.id)).at(-1);
+      const activeLeafId = lastKept ? latestLeafId(remainingTree, lastKept.id) : remainingTree.latestId;
+      const throughMessageId = conversation.summary?.throughMessageId;
+      const summaryCoversDeleted = throughMessageId
+        && messageIds.some((id) => isAtOrBelow(tree, throughMessageId, id));
+      const updated = await storage.updateConversation(req.user.uid, req.params.id, {
+        activeLeafId,
+        ...(summaryCoversDeleted && { summary: null }),
+      });
+
+      const path = activePath(remainingTree, activeLeafId);
+      const page = branchPage(path, { limit: readLimit(req) });
+      res.json({
+        deleted: messageIds,
+        conversation: { ...updated, summary: summaryForPath(updated.summary, path) },
+        messages: describePath(remainingTree, page.messages),
+        hasMore: page.hasMore,
+      });
+    } catch (err) {
+      res.locals.log.error("Error deleting message", err);
+      sendError(res, new ApiError("internal", "Could not delete message"));
+    }
+  });
+
+  router.delete("/:id/messages", async (req, res) => {
+    try {
+      const cleared = await storage.clearMessages(req.user.uid, req.params.id);
+      if (!cleared) {
+        return sendError(res, new ApiError("not_found", "Conversation not found"));
+      }
+      res.status(204).end();
+    } catch (err) {
+      res.locals.log.error("Error clearing messages", err);
+      sendError(res, new ApiError("internal", "Could not clear messages"));
+    }
+  });
+
+  // Contents of an attachment; the browser fetches it with the auth header and shows it as a blob
+  router.get("/:id/attachments/:attachmentId", async (req, res) => {
+    try {
+      const attachment = await storage.getAttachment(req.user.uid, req.params.id, req.params.attachmentId);
+      if (!attachment) {
+        return sendError(res, new ApiError("not_found", "Attachment not found"));
+      }
+      res.set("Content-Type", attachment.mimeType);
+      res.set("Content-Disposition", `inline; filename*=UTF-8''${encodeURIComponent(attachment.name)}`);
+      res.set("X-Content-Type-Options", "nosniff");
+      res.send(attachment.data);
+    } catch (err) {
+      res.locals.log.error("Error loading attachment", err);
+      sendError(res, new ApiError("internal", "Could not load attachment"));
+    }
+  });
+
+  return router;
+}
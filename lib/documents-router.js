@@ -0,0 +1,118 @@
+// Document library routes, mounted at /api/documents behind requireAuth.
+// GET / lists the user's documents, POST / uploads one (multipart "file"; embedding it
+// runs behind limitUploads, the rate limits, and counts against the token budget),
+// GET /:id and DELETE /:id read and remove it, and GET /:id/chunks/:chunkId
+// returns the text of one chunk (what a citation points at).
+import express from "express";
+import multer from "multer";
+import { DOCUMENT_TYPES, resolveDocumentType } from "./documents/extract.js";
+import { ApiError, sendError } from "./errors.js";
+
+export const MAX_DOCUMENT_BYTES = 10 * 1024 * 1024;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_DOCUMENT_BYTES, files: 1 },
+  fileFilter(req, file, callback) {
+    file.mimetype = resolveDocumentType(file);
+    if (!DOCUMENT_TYPES.includes(file.mimetype)) {
+      const err = new multer.MulterError("LIMIT_UNEXPECTED_FILE", file.fieldname);
+      err.message = `Unsupported file type for "${file.originalname}". Upload text, Markdown or PDF files.`;
+      return callback(err);
+    }
+    callback(null, true);
+  },
+});
+
+// Middleware: parse the uploaded "file" and answer upload problems with a 400/413
+function acceptDocument(req, res, next) {
+  upload.single("file")(req, res, (err) => {
+    if (err?.code === "LIMIT_FILE_SIZE") {
+      return sendError(res, new ApiError("bad_request", `Documents must be ${MAX_DOCUMENT_BYTES / (1024 * 1024)} MB or smaller`, { status: 413 }));
+    }
+    if (err) {
+      return sendError(res, new ApiError("bad_request", err.message || "Invalid upload"));
+    }
+    next();
+  });
+}
+
+export function createDocumentsRouter({ vectorStore, documentLibrary, limitUploads = [], recordEmbeddingTokens = () => {} }) {
+  const router = express.Router();
+
+  // embedding tells the client which documents can be searched right now; documents
+  // embedded with another model have to be uploaded again
+  router.get("/", async (req, res) => {
+    try {
+      const documents = await vectorStore.listDocuments(req.user.uid);
+      res.json({ documents, embedding: documentLibrary.embedding });
+    } catch (err) {
+      res.locals.log.error("Error listing documents", err);
+      sendError(res, new ApiError("internal", "Could not load documents"));
+    }
+  });
+
+  router.post("/", ...limitUploads, acceptDocument, async (req, res) => {
+    if (!req.file) {
+      return sendError(res, new ApiError("bad_request", "file is required"));
+    }
+
+    try {
+      const { document, error } = await documentLibrary.addDocument(req.user.uid, {
+        name: req.file.originalname,
+        mimeType: req.file.mimetype,
+        size: req.file.size,
+        data: req.file.buffer,
+      }, { onTokens: (tokens) => recordEmbeddingTokens(req.user.uid, tokens, res.locals.meter) });
+      if (error) {
+        return sendError(res, new ApiError("bad_request", error));
+      }
+      res.status(201).json({ document });
+    } catch (err) {
+      res.locals.log.error("Error adding document", err);
+      sendError(res, new ApiError("internal", "Could not add document"));
+    }
+  });
+
+  router.get("/:id", async (req, res) => {
+    try {
+      const document = await vectorStore.getDocument(req.user.uid, req.params.id);
+      if (!document) {
+        return sendError(res, new ApiError("not_found", "Document not found"));
+      }
+      res.json({ document });
+    } catch (err) {
+      res.locals.log.error("Error loading document", err);
+      sendError(res, new ApiError("internal", "Could not load document"));
+    }
+  });
+
+  router.get("/:id/chunks/:chunkId", async (req, res) => {
+    try {
+      const document = await vectorStore.getDocument(req.user.uid, req.params.id);
+      const chunk = document && await vectorStore.getChunk(req.user.uid, req.params.id, req.params.chunkId);
+      if (!chunk) {
+        return sendError(res, new ApiError("not_found", "Document not found"));
+      }
+      res.json({ document, chunk });
+    } catch (err) {
+      res.locals.log.error("Error loading document chunk", err);
+      sendError(res, new ApiError("internal", "Could not load document"));
+    }
+  });
+
+  router.delete("/:id", async (req, res) => {
+    try {
+      const deleted = await vectorStore.deleteDocument(req.user.uid, req.params.id);
+      if (!deleted) {
+        return sendError(res, new ApiError("not_found", "Document not found"));
+      }
+      res.status(204).end();
+    } catch (err) {
+      res.locals.log.error("Error deleting document", err);
+      sendError(res, new ApiError("internal", "Could not delete document"));
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,57 @@
+// Splits document text into overlapping chunks for embedding. Chunks follow
+// paragraph and sentence boundaries where possible and never span two pages.
+
+export const CHUNK_CHARS = 1200;
+const OVERLAP_CHARS = 200;
+
+// Paragraphs, then sentences, then hard cuts, until every piece fits in a chunk
+function splitIntoPieces(text) {
+  const pieces = [];
+  for (const paragraph of text.split(/\n\s*\n/)) {
+    const trimmed = paragraph.trim();
+    if (!trimmed) continue;
+    if (trimmed.length <= CHUNK_CHARS) {
+      pieces.push(trimmed);
+      continue;
+    }
+    for (const sentence of trimmed.match(/[^.!?\n]+(?:[.!?]+|\n|$)\s*/g) || [trimmed]) {
+      for (let start = 0; start < sentence.length; start += CHUNK_CHARS) {
+        const piece = sentence.slice(start, start + CHUNK_CHARS).trim();
+        if (piece) pieces.push(piece);
+      }
+    }
+  }
+  return pieces;
+}
+
+// The end of a chunk, starting at a word, repeated at the start of the next one
+function overlapTail(text) {
+  if (text.length <= OVERLAP_CHARS) return text;
+  const tail = text.slice(-OVERLAP_CHARS);
+  const space = tail.indexOf(" ");
+  return space === -1 ? tail : tail.slice(space + 1);
+}
+
+// [{ page, text }] -> [{ index, page, text }]
+export function chunkPages(pages) {
+  const chunks = [];
+  for (const { page, text } of pages) {
+    let current = "";
+    let hasNewText = false;
+    for (const piece of splitIntoPieces(text || "")) {
+      if (current && current.length + piece.length + 2 > CHUNK_CHARS) {
+        chunks.push({ index: chunks.length, page, text: current });
+        // Skip the overlap when it would push a long piece over the limit
+        current = overlapTail(current);
+        if (current.length + piece.length + 2 > CHUNK_CHARS) current = "";
+        hasNewText = false;
+      }
+      current = current ? `${current}\n\n${piece}` : piece;
+      hasNewText = true;
+    }
+    if (hasNewText) {
+      chunks.push({ index: chunks.length, page, text: current });
+    }
+  }
+  return chunks;
+}
@@ -0,0 +1,92 @@
+// Text embeddings for document retrieval. EMBEDDINGS picks the source:
+//   provider: the model provider's embedding model (Gemini: EMBEDDING_MODEL, default
+//             text-embedding-004; OpenAI-compatible: needs EMBEDDING_MODEL)
+//   local:    hashed word and word-pair features, computed in process with no API calls.
+//             Matches on shared words only, but works offline and costs nothing.
+// Default: provider when it supports embeddings, otherwise local.
+// Every embedder has an id ("gemini:text-embedding-004", "local:hash-1024"); vectors
+// from different embedders can't be compared, so documents record the id they used.
+import { tokenize } from "../search-index.js";
+
+const LOCAL_DIMENSIONS = 1024;
+
+// Common English words carry little meaning for retrieval
+const STOPWORDS = new Set(("a an and are as at be but by for from has have he her his i if in into is it its " +
+  "me my not of on or our she so than that the their them then there these they this to us was we were what " +
+  "when which who will with you your").split(" "));
+
+// 32-bit FNV-1a hash
+function hash(text) {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193);
+  }
+  return value >>> 0;
+}
+
+export function normalizeVector(vector) {
+  const length = Math.hypot(...vector);
+  return length > 0 ? vector.map((value) => value / length) : vector;
+}
+
+// Feature hashing: each word and word pair adds 1 + log(count) to a bucket, with
+// a hash-chosen sign so collisions tend to cancel out
+export function localEmbedding(text) {
+  const words = tokenize(text).filter((word) => !STOPWORDS.has(word));
+  const counts = new Map();
+  words.forEach((word, i) => {
+    counts.set(word, (counts.get(word) || 0) + 1);
+    if (i > 0) {
+      const pair = `${words[i - 1]} ${word}`;
+      counts.set(pair, (counts.get(pair) || 0) + 1);
+    }
+  });
+
+  const vector = new Array(LOCAL_DIMENSIONS).fill(0);
+  for (const [feature, count] of counts) {
+    const h = hash(feature);
+    vector[h % LOCAL_DIMENSIONS] += (h & 0x80000000 ? -1 : 1) * (1 + Math.log(count));
+  }
+  return normalizeVector(vector);
+}
+
+export function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+const localEmbedder = {
+  id: `local:hash-${LOCAL_DIMENSIONS}`,
+  async embed(texts) {
+    return texts.map(localEmbedding);
+  },
+};
+
+// embed(texts, { task: "document" | "query" }) -> vectors, one per text. metered is true
+// when the embeddings come from the model provider and count against the token budget.
+export function createEmbedder(provider, env = process.env) {
+  const mode = env.EMBEDDINGS || (provider.embed ? "provider" : "local");
+  if (mode === "local") {
+    return localEmbedder;
+  }
+  if (mode !== "provider") {
+    throw new Error(`Unknown EMBEDDINGS "${mode}" (expected provider or local)`);
+  }
+  if (!provider.embed) {
+    throw new Error(`LLM_PROVIDER=${provider.name} has no embedding model configured; set EMBEDDING_MODEL or EMBEDDINGS=local`);
+  }
+
+  return {
+    id: `${provider.name}:${provider.embeddingModel}`,
+    metered: true,
+    embed: (texts, options) => provider.embed(texts, options),
+  };
+}
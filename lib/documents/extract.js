@@ -0,0 +1,41 @@
+// Text extraction for the document library: text and Markdown files as they are,
+// PDFs page by page (so citations can point at a page).
+import { extractText, getDocumentProxy } from "unpdf";
+
+export const DOCUMENT_TYPES = ["text/plain", "text/markdown", "application/pdf"];
+
+// Browsers often send no (or a generic) type for these
+const TYPES_BY_EXTENSION = {
+  md: "text/markdown",
+  markdown: "text/markdown",
+  txt: "text/plain",
+  pdf: "application/pdf",
+};
+
+// Helper: the MIME type to trust for an uploaded document
+export function resolveDocumentType(file) {
+  if (DOCUMENT_TYPES.includes(file.mimetype)) {
+    return file.mimetype;
+  }
+  const extension = file.originalname.split(".").pop().toLowerCase();
+  return TYPES_BY_EXTENSION[extension] || file.mimetype;
+}
+
+// Pages of text ([{ page, text }]); page is null for text files
+export async function extractPages({ mimeType, data }) {
+  if (mimeType === "application/pdf") {
+    let pdf;
+    try {
+      pdf = await getDocumentProxy(new Uint8Array(data));
+    } catch (err) {
+      const error = new Error(`The PDF couldn't be read: ${err.message}`);
+      error.status = 400;
+      throw error;
+    }
+    const { text } = await extractText(pdf, { mergePages: false });
+    return text.map((pageText, index) => ({ page: index + 1, text: pageText }));
+  }
+
+  // Strip a UTF-8 byte order mark
+  return [{ page: null, text: Buffer.from(data).toString("utf8").replace(/^﻿/, "") }];
+}
@@ -0,0 +1,129 @@
+// Document library: users upload text, Markdown and PDF files, which are split
+// into chunks, embedded and kept in the vector store. Chat messages can then
+// retrieve the closest chunks (up to RAG_TOP_K, more similar than RAG_MIN_SCORE) and
+// pass them to the model as numbered sources to cite.
+import { extractPages } from "./extract.js";
+import { chunkPages } from "./chunker.js";
+import { estimateTextTokens } from "../context-window.js";
+import { logger } from "../logger.js";
+
+export const MAX_DOCUMENTS_PER_USER = 50;
+export const MAX_CHUNKS_PER_DOCUMENT = 1000;
+const SNIPPET_LENGTH = 240;
+
+// Text to append to the system instruction so the model answers from the sources
+export function sourcesInstruction(sources) {
+  if (!sources?.length) return "";
+  const excerpts = sources.map((source) => {
+    const location = source.page ? `${source.documentName}, page ${source.page}` : source.documentName;
+    return `[${source.n}] (${location})\n${source.text}`;
+  });
+  return [
+    "Excerpts from the user's documents that may help with this message are below.",
+    "Use them when they are relevant and cite them inline by number, like [1] or [2][3].",
+    "If they don't contain the answer, say so rather than guessing from them.",
+    "",
+    excerpts.join("\n\n"),
+  ].join("\n");
+}
+
+// Estimated tokens the sources add to the request
+export function estimateSourceTokens(sources) {
+  return estimateTextTokens(sourcesInstruction(sources));
+}
+
+// Sources as saved with a reply and sent to the client (the full text is fetched on demand)
+export function citedSources(sources) {
+  return sources.map(({ n, documentId, documentName, chunkId, page, text }) => ({
+    n,
+    documentId,
+    documentName,
+    chunkId,
+    page,
+    snippet: text.length > SNIPPET_LENGTH ? `${text.slice(0, SNIPPET_LENGTH).trimEnd()}…` : text,
+  }));
+}
+
+// Estimated tokens of embedding texts with a metered (provider) embedder; providers
+// don't report usage for embeddings
+function embeddingTokens(embedder, texts) {
+  return embedder.metered ? texts.reduce((sum, text) => sum + estimateTextTokens(text), 0) : 0;
+}
+
+export function createDocumentLibrary({
+  vectorStore,
+  embedder,
+  topK = Number(process.env.RAG_TOP_K) || 5,
+  minScore = Number(process.env.RAG_MIN_SCORE) || 0,
+}) {
+  return {
+    embedding: embedder.id,
+
+    // file: { name, mimeType, size, data }. Returns { document } or { error } for
+    // files that can't be added. onTokens(tokens) gets the tokens spent on embeddings.
+    async addDocument(uid, file, { onTokens = () => {} } = {}) {
+      const documents = await vectorStore.listDocuments(uid);
+      if (documents.length >= MAX_DOCUMENTS_PER_USER) {
+        return { error: `You can keep at most ${MAX_DOCUMENTS_PER_USER} documents; delete one first` };
+      }
+
+      let pages;
+      try {
+        pages = await extractPages(file);
+      } catch (err) {
+        if (err.status === 400) return { error: err.message };
+        throw err;
+      }
+
+      const chunks = chunkPages(pages);
+      if (chunks.length === 0) {
+        return { error: `No text found in "${file.name}"` };
+      }
+      if (chunks.length > MAX_CHUNKS_PER_DOCUMENT) {
+        return { error: `"${file.name}" is too long (at most about ${MAX_CHUNKS_PER_DOCUMENT} chunks of text)` };
+      }
+
+      const texts = chunks.map((chunk) => chunk.text);
+      const vectors = await embedder.embed(texts, { task: "document" });
+      onTokens(embeddingTokens(embedder, texts));
+      const document = await vectorStore.addDocument(uid, {
+        name: file.name,
+        mimeType: file.mimeType,
+        size: file.size,
+        pageCount: file.mimeType === "application/pdf" ? pages.length : null,
+        characters: pages.reduce((sum, page) => sum + page.text.length, 0),
+        embedding: embedder.id,
+      }, chunks.map((chunk, i) => ({ ...chunk, vector: vectors[i] })));
+      return { document };
+    },
+
+    // The chunks most relevant to `query`, numbered from 1:
+    // [{ n, documentId, documentName, chunkId, page, text, score }]. Retrieval
+    // problems are logged and leave the reply without sources. onTokens as for addDocument.
+    async retrieve(uid, query, { onTokens = () => {} } = {}) {
+      if (!query?.trim()) return [];
+      try {
+        const documents = await vectorStore.listDocuments(uid);
+        if (!documents.some((document) => document.embedding === embedder.id)) return [];
+
+        const [vector] = await embedder.embed([query], { task: "query" });
+        onTokens(embeddingTokens(embedder, [query]));
+        const matches = await vectorStore.search(uid, vector, { embedding: embedder.id, topK });
+        return matches
+          .filter((match) => match.score > minScore)
+          .map((match, i) => ({
+            n: i + 1,
+            documentId: match.documentId,
+            documentName: match.document.name,
+            chunkId: match.id,
+            page: match.page,
+            text: match.text,
+            score: match.score,
+          }));
+      } catch (err) {
+        logger.warn("Document retrieval failed", err);
+        return [];
+      }
+    },
+  };
+}
@@ -0,0 +1,219 @@
+// Vector store for the document library. VECTOR_STORE picks where it lives:
+//   file:   a directory per user under VECTOR_STORE_DIR (default ./data/vectors) with an
+//           index of their documents and one file of chunks per document, so adding or
+//           deleting a document writes only that document's file and the index. Users
+//           are loaded on first use and the VECTOR_CACHE_USERS (default 50) most recently
+//           used are kept in memory
+//   memory: in the process only, lost on restart
+// Documents are { id, name, mimeType, size, pageCount, chunkCount, characters, embedding,
+// createdAt }; chunks are { id, documentId, index, page, text } with a vector from the
+// embedder named by the document's embedding.
+import { randomUUID, createHash } from "node:crypto";
+import fs from "node:fs/promises";
+import path from "node:path";
+import { cosineSimilarity } from "./embeddings.js";
+
+const DEFAULT_CACHE_USERS = 50;
+
+function encodeVector(vector) {
+  return Buffer.from(Float32Array.from(vector).buffer).toString("base64");
+}
+
+function decodeVector(text) {
+  const bytes = Buffer.from(text, "base64");
+  return new Float32Array(bytes.buffer, bytes.byteOffset, bytes.length / 4);
+}
+
+function encodeChunks(chunks) {
+  return chunks.map((chunk) => ({ ...chunk, vector: encodeVector(chunk.vector) }));
+}
+
+function decodeChunks(chunks) {
+  return chunks.map((chunk) => ({ ...chunk, vector: decodeVector(chunk.vector) }));
+}
+
+// Written to a temporary file first so a crash never leaves half a file behind
+async function writeJson(file, value) {
+  const temporary = `${file}.${randomUUID()}.tmp`;
+  await fs.writeFile(temporary, JSON.stringify(value));
+  await fs.rename(temporary, file);
+}
+
+async function readJson(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+}
+
+function publicChunk({ vector, ...chunk }) {
+  return chunk;
+}
+
+export function createVectorStore({
+  kind = process.env.VECTOR_STORE || "file",
+  dir = process.env.VECTOR_STORE_DIR || "./data/vectors",
+  cacheUsers = Number(process.env.VECTOR_CACHE_USERS) || DEFAULT_CACHE_USERS,
+} = {}) {
+  if (kind !== "file" && kind !== "memory") {
+    throw new Error(`Unknown VECTOR_STORE "${kind}" (expected file or memory)`);
+  }
+
+  // uid -> Promise<{ documents: Map, chunks: [] }>, least recently used first
+  const users = new Map();
+  const writes = new Map(); // uid -> Promise of the last write, so writes don't interleave
+
+  // Directory names don't reveal uids and can't escape the store's directory
+  function userKey(uid) {
+    return createHash("sha256").update(uid).digest("hex");
+  }
+
+  function userDir(uid) {
+    return path.join(dir, userKey(uid));
+  }
+
+  function indexFile(uid) {
+    return path.join(userDir(uid), "index.json");
+  }
+
+  function chunksFile(uid, documentId) {
+    return path.join(userDir(uid), `${documentId}.json`);
+  }
+
+  // Before per-document files, each user's store was one JSON file
+  function legacyFile(uid) {
+    return path.join(dir, `${userKey(uid)}.json`);
+  }
+
+  async function migrateLegacy(uid) {
+    const saved = await readJson(legacyFile(uid));
+    if (!saved) return null;
+    await fs.mkdir(userDir(uid), { recursive: true });
+    for (const document of saved.documents) {
+      await writeJson(chunksFile(uid, document.id), saved.chunks.filter((chunk) => chunk.documentId === document.id));
+    }
+    await writeJson(indexFile(uid), { documents: saved.documents });
+    await fs.rm(legacyFile(uid), { force: true });
+    return { documents: saved.documents };
+  }
+
+  async function load(uid) {
+    const data = { documents: new Map(), chunks: [] };
+    if (kind !== "file") return data;
+    // A user dropped from the cache may still have a write in flight
+    await (writes.get(uid) || Promise.resolve()).catch(() => {});
+    const index = (await readJson(indexFile(uid))) || (await migrateLegacy(uid));
+    for (const document of index?.documents || []) {
+      data.documents.set(document.id, document);
+      data.chunks.push(...decodeChunks((await readJson(chunksFile(uid, document.id))) || []));
+    }
+    return data;
+  }
+
+  function userData(uid) {
+    let loading = users.get(uid);
+    if (loading) {
+      // Most recently used last
+      users.delete(uid);
+    } else {
+      loading = load(uid);
+      // A failed load is retried next time instead of being cached
+      loading.catch(() => users.delete(uid));
+    }
+    users.set(uid, loading);
+    if (kind === "file" && users.size > cacheUsers) {
+      users.delete(users.keys().next().value);
+    }
+    return loading;
+  }
+
+  // Runs change(), a file operation, after the user's earlier writes have finished
+  function persist(uid, change) {
+    if (kind !== "file") return Promise.resolve();
+    const write = (writes.get(uid) || Promise.resolve()).catch(() => {}).then(async () => {
+      await fs.mkdir(userDir(uid), { recursive: true });
+      await change();
+    });
+    writes.set(uid, write);
+    return write;
+  }
+
+  // The index is written after a document's chunks and before they are removed, so it
+  // never lists a document whose chunks are missing
+  function writeIndex(uid, data) {
+    return writeJson(indexFile(uid), { documents: [...data.documents.values()] });
+  }
+
+  return {
+    async listDocuments(uid) {
+      const { documents } = await userData(uid);
+      return [...documents.values()].sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    async getDocument(uid, documentId) {
+      const { documents } = await userData(uid);
+      return documents.get(documentId) || null;
+    },
+
+    // chunks: [{ index, page, text, vector }]
+    async addDocument(uid, fields, chunks) {
+      const data = await userData(uid);
+      const document = { id: randomUUID(), ...fields, chunkCount: chunks.length, createdAt: Date.now() };
+      data.documents.set(document.id, document);
+      const stored = chunks.map(({ index, page, text, vector }) => ({
+        id: String(index),
+        documentId: document.id,
+        index,
+        page,
+        text,
+        vector: Float32Array.from(vector),
+      }));
+      data.chunks.push(...stored);
+      await persist(uid, async () => {
+        await writeJson(chunksFile(uid, document.id), encodeChunks(stored));
+        await writeIndex(uid, data);
+      });
+      return document;
+    },
+
+    async deleteDocument(uid, documentId) {
+      const data = await userData(uid);
+      if (!data.documents.delete(documentId)) return false;
+      data.chunks = data.chunks.filter((chunk) => chunk.documentId !== documentId);
+      await persist(uid, async () => {
+        await writeIndex(uid, data);
+        await fs.rm(chunksFile(uid, documentId), { force: true });
+      });
+      return true;
+    },
+
+    // All of the user's documents and chunks, and their files
+    async deleteUser(uid) {
+      users.delete(uid);
+      if (kind !== "file") return;
+      await (writes.get(uid) || Promise.resolve()).catch(() => {});
+      writes.delete(uid);
+      await fs.rm(userDir(uid), { recursive: true, force: true });
+      await fs.rm(legacyFile(uid), { force: true });
+    },
+
+    async getChunk(uid, documentId, chunkId) {
+      const { chunks } = await userData(uid);
+      const chunk = chunks.find((item) => item.documentId === documentId && item.id === chunkId);
+      return chunk ? publicChunk(chunk) : null;
+    },
+
+    // The topK chunks closest to vector, among documents embedded with embedding
+    async search(uid, vector, { embedding, topK = 5 }) {
+      const { documents, chunks } = await userData(uid);
+      return chunks
+        .filter((chunk) => documents.get(chunk.documentId)?.embedding === embedding)
+        .map((chunk) => ({ ...publicChunk(chunk), score: cosineSimilarity(vector, chunk.vector) }))
+        .sort((a, b) => b.score - a.score)
+        .slice(0, topK)
+        .map((chunk) => ({ ...chunk, document: documents.get(chunk.documentId) }));
+    },
+  };
+}
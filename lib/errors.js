@@ -0,0 +1,168 @@
+// Error taxonomy for API responses. Failures are reported to clients as
+//   { error, code, retryable, retryAfter?, reason?, safetyRatings?, requestId }
+// with the HTTP status of their code, so the browser can tell a busy model it
+// should retry from a rejected API key or a safety block without reading prose.
+// classifyError turns anything thrown by a provider (HTTP status, Gemini error
+// details, blocked responses, timeouts, failed connections) into an ApiError.
+import { flaggedCategories, toSafetyRatings } from "./safety.js";
+
+export const ERROR_CODES = {
+  bad_request: { status: 400, retryable: false },
+  auth: { status: 401, retryable: false },
+  forbidden: { status: 403, retryable: false },
+  not_found: { status: 404, retryable: false },
+  safety_blocked: { status: 422, retryable: false },
+  rate_limited: { status: 429, retryable: true },
+  internal: { status: 500, retryable: false },
+  model_not_found: { status: 502, retryable: false },
+  overloaded: { status: 503, retryable: true },
+  timeout: { status: 504, retryable: true },
+};
+
+export class ApiError extends Error {
+  // retryAfter is in seconds; reason says why a response was blocked (e.g. "SAFETY")
+  // or a request refused (e.g. "email_unverified"), and safetyRatings how the model rated it
+  constructor(code, message, { status, retryAfter, reason, safetyRatings, cause } = {}) {
+    super(message, cause ? { cause } : undefined);
+    this.name = "ApiError";
+    this.code = code;
+    this.status = status || ERROR_CODES[code].status;
+    this.retryable = ERROR_CODES[code].retryable;
+    if (retryAfter > 0) this.retryAfter = Math.ceil(retryAfter);
+    if (reason) this.reason = reason;
+    if (safetyRatings?.length) this.safetyRatings = safetyRatings;
+  }
+}
+
+// Server-suggested retry delay of an upstream error in milliseconds, if any: a
+// provider's retryAfterMs (e.g. from Retry-After) or a Gemini RetryInfo detail ("33s")
+export function getRetryDelayMs(err) {
+  if (err?.retryAfterMs > 0) {
+    return err.retryAfterMs;
+  }
+  for (const detail of err?.errorDetails || []) {
+    const match = /^(\d+(?:\.\d+)?)s$/.exec(detail?.retryDelay || "");
+    if (match) {
+      return Math.ceil(parseFloat(match[1]) * 1000);
+    }
+  }
+  return null;
+}
+
+// Why Gemini withheld a response: the prompt's block reason or the candidate's
+// finish reason, the ratings behind it and the first category rated as likely harmful
+function blockReason(response) {
+  const feedback = response.promptFeedback;
+  const candidate = response.candidates?.[0];
+  const safetyRatings = toSafetyRatings(feedback?.blockReason ? feedback.safetyRatings : candidate?.safetyRatings);
+  return {
+    reason: feedback?.blockReason || candidate?.finishReason || "SAFETY",
+    category: flaggedCategories(safetyRatings)[0] || null,
+    safetyRatings,
+  };
+}
+
+function hasDetailReason(err, reason) {
+  return (err?.errorDetails || []).some((detail) => detail?.reason === reason);
+}
+
+// Socket-level failures of fetch (undici puts the system error in cause). The Gemini SDK
+// rethrows them as a plain Error whose message ends in fetch's own "fetch failed".
+const NETWORK_ERROR_CODES = new Set(["ECONNRESET", "ECONNREFUSED", "ETIMEDOUT", "EPIPE", "ENOTFOUND", "EAI_AGAIN"]);
+
+function networkErrorCode(err) {
+  for (let e = err, depth = 0; e && depth < 3; e = e.cause, depth += 1) {
+    if (NETWORK_ERROR_CODES.has(e.code) || /^UND_ERR_/.test(e.code || "")) {
+      return e.code;
+    }
+  }
+  return /\bfetch failed$/.test(err?.message || "") ? "fetch failed" : null;
+}
+
+// Only the HTTP status, Gemini's structured error details and the system error codes of
+// failed connections are trusted: provider messages are free text and change between
+// releases. They aren't passed on to the
+// client either (they can quote the request or the server's setup); the cause keeps
+// them for the logs.
+export function classifyError(err) {
+  if (err instanceof ApiError) {
+    return err;
+  }
+
+  const status = err?.status;
+  const retryAfter = (getRetryDelayMs(err) || 0) / 1000;
+
+  // The Gemini SDK throws with the response attached when it was blocked
+  if (err?.response && (err.response.promptFeedback || err.response.candidates)) {
+    const { reason, category, safetyRatings } = blockReason(err.response);
+    const what = category ? `${reason}: ${category.toLowerCase().replace(/_/g, " ")}` : reason;
+    return new ApiError("safety_blocked", `The response was blocked by the model's safety filters (${what})`, {
+      reason: category ? `${reason}:${category}` : reason,
+      safetyRatings,
+      cause: err,
+    });
+  }
+
+  // Gemini answers an invalid key with a 400
+  if (status === 401 || status === 403 || hasDetailReason(err, "API_KEY_INVALID")) {
+    return new ApiError("auth", "The model provider rejected the API key. Check GEMINI_API_KEY (or OPENAI_API_KEY) in the server configuration.", {
+      status: 502,
+      cause: err,
+    });
+  }
+  if (status === 429) {
+    return new ApiError("rate_limited", "The model provider's rate limit was reached. Please wait a moment before trying again.", {
+      retryAfter,
+      cause: err,
+    });
+  }
+  if (status === 404) {
+    return new ApiError("model_not_found", "Model not found. Check that the API key has access to the configured models.", { cause: err });
+  }
+  if (status === 408 || status === 504 || err?.name === "TimeoutError") {
+    return new ApiError("timeout", "The model took too long to respond. Please try again.", { cause: err });
+  }
+  if (status >= 500 && status < 600) {
+    return new ApiError("overloaded", "The AI model is currently overloaded. Please try again in a few moments.", {
+      retryAfter,
+      cause: err,
+    });
+  }
+  // No response at all: the connection failed, which is worth another try (or model)
+  const networkCode = status ? null : networkErrorCode(err);
+  if (networkCode === "ETIMEDOUT" || networkCode === "UND_ERR_CONNECT_TIMEOUT" || networkCode === "UND_ERR_HEADERS_TIMEOUT") {
+    return new ApiError("timeout", "The model took too long to respond. Please try again.", { cause: err });
+  }
+  if (networkCode) {
+    return new ApiError("overloaded", "Could not reach the model provider. Please try again in a few moments.", { cause: err });
+  }
+  if (status === 400 || status === 413) {
+    return new ApiError("bad_request", "The model provider rejected the request. Try shortening the message or removing attachments.", { status, cause: err });
+  }
+  return new ApiError("internal", "Error communicating with the model", { cause: err });
+}
+
+// JSON body for an error response or SSE "error" event
+export function errorBody(err, requestId) {
+  const { code, message, retryable, retryAfter, reason, safetyRatings } = classifyError(err);
+  return {
+    error: message,
+    code,
+    retryable,
+    ...(retryAfter && { retryAfter }),
+    ...(reason && { reason }),
+    ...(safetyRatings && { safetyRatings }),
+    ...(requestId && { requestId }),
+  };
+}
+
+// Answer with the error's status, a Retry-After header when there is a delay, and its body.
+// The code is kept in res.locals.errorCode for the usage log.
+export function sendError(res, err) {
+  const error = classifyError(err);
+  res.locals.errorCode = error.code;
+  if (error.retryAfter) {
+    res.set("Retry-After", String(error.retryAfter));
+  }
+  res.status(error.status).json(errorBody(error, res.locals.requestId));
+}
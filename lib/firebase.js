@@ -0,0 +1,25 @@
+// Firebase Admin SDK setup shared by the server modules.
+// Verifying ID tokens only needs the project id; set GOOGLE_APPLICATION_CREDENTIALS
+// for anything that also needs service-account access.
+// With FIREBASE_AUTH_EMULATOR_HOST set, tokens from the Auth emulator are accepted.
+import { initializeApp, getApps } from "firebase-admin/app";
+
+// Project id and bucket from public/firebase-config.js, used when none is configured
+const DEFAULT_PROJECT_ID = "flashbott-4f83d";
+const DEFAULT_STORAGE_BUCKET = "flashbott-4f83d.firebasestorage.app";
+
+export function firebaseProjectId() {
+  return process.env.FIREBASE_PROJECT_ID || process.env.GOOGLE_CLOUD_PROJECT || DEFAULT_PROJECT_ID;
+}
+
+export function getFirebaseApp() {
+  const [existingApp] = getApps();
+  if (existingApp) {
+    return existingApp;
+  }
+
+  return initializeApp({
+    projectId: firebaseProjectId(),
+    storageBucket: process.env.FIREBASE_STORAGE_BUCKET || DEFAULT_STORAGE_BUCKET,
+  });
+}
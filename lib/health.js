@@ -0,0 +1,84 @@
+// Health checks for load balancers and orchestrators.
+// live(): the process is up and serving requests; never checks dependencies, so a
+// provider outage doesn't get the server restarted.
+// ready(): whether chat requests can succeed: the provider is configured, it
+// accepts the API key (checked by listing models, cached for ttlMs so probes
+// don't spend quota; any 4xx but a rate limit counts as rejected) and at least
+// one configured model is usable. Models that
+// are only overloaded or rate limited make the server "degraded" but still ready,
+// since failover and cooldowns handle those.
+import { classifyError } from "./errors.js";
+import { logger } from "./logger.js";
+
+const DEFAULT_TTL_MS = 60 * 1000;
+
+export function createHealthChecks({ provider, modelRegistry, ttlMs = DEFAULT_TTL_MS, now = Date.now }) {
+  // The last API key check: { checkedAt, result }
+  let apiKeyCheck = null;
+  // Shared by concurrent probes while a check is running
+  let pendingCheck = null;
+
+  async function checkApiKey() {
+    try {
+      await provider.listModels();
+      return { status: "pass" };
+    } catch (err) {
+      const { code, message } = classifyError(err);
+      logger.warn("API key check failed", { code, err });
+      // A rejected request (bad key, or any other 4xx but a rate limit) means no chat
+      // can succeed, so the server is unready; an outage or rate limit is a warning
+      const rejected = code === "auth" || code === "bad_request" || code === "forbidden" ||
+        (err?.status >= 400 && err.status < 500 && err.status !== 429);
+      return { status: rejected ? "fail" : "warn", code, message };
+    }
+  }
+
+  async function apiKeyStatus() {
+    if (apiKeyCheck && now() - apiKeyCheck.checkedAt < ttlMs) {
+      return apiKeyCheck.result;
+    }
+    if (!pendingCheck) {
+      pendingCheck = checkApiKey().then((result) => {
+        apiKeyCheck = { checkedAt: now(), result };
+        pendingCheck = null;
+        return result;
+      });
+    }
+    return pendingCheck;
+  }
+
+  function modelsStatus() {
+    const { models } = modelRegistry.snapshot();
+    const usable = models.filter((model) => model.status !== "unavailable" && model.status !== "cooling_down");
+    const unavailable = models.filter((model) => model.status === "unavailable");
+    const status = unavailable.length === models.length ? "fail" : usable.length < models.length ? "warn" : "pass";
+    return {
+      status,
+      models: Object.fromEntries(models.map((model) => [model.model, model.status])),
+    };
+  }
+
+  function live() {
+    return { status: "ok", timestamp: new Date(now()).toISOString() };
+  }
+
+  // -> { ready, body }; body.status is "ok", "degraded" or "unavailable"
+  async function ready() {
+    const configurationError = provider.configurationError();
+    const checks = {
+      configuration: configurationError ? { status: "fail", message: configurationError } : { status: "pass" },
+      // Without a configuration there is no key to check
+      apiKey: configurationError ? { status: "skip" } : await apiKeyStatus(),
+      models: modelsStatus(),
+    };
+
+    const statuses = Object.values(checks).map((check) => check.status);
+    const status = statuses.includes("fail") ? "unavailable" : statuses.includes("warn") ? "degraded" : "ok";
+    return {
+      ready: status !== "unavailable",
+      body: { status, provider: provider.name, checks, timestamp: new Date(now()).toISOString() },
+    };
+  }
+
+  return { live, ready };
+}
@@ -0,0 +1,115 @@
+// Structured logging: one JSON object per line ({ time, level, msg, ...fields }),
+// info and below on stdout, warnings and errors on stderr. LOG_LEVEL (debug, info,
+// warn, error; default info) sets the threshold and LOG_FORMAT=text prints readable
+// lines for local development instead.
+// Everything logged is redacted first: the configured API keys, things that look
+// like keys or bearer tokens, and fields that carry secrets or message content
+// (text, prompt, reply, ...) never reach the logs. Errors are logged as
+// { name, message, code, status, stack, cause } only, never with the data attached
+// to them (such as a blocked response).
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const SECRET_KEY = /^(authorization|cookie|password|.*secret|.*api[-_]?key|.*token)$/i;
+const CONTENT_KEYS = new Set(["text", "prompt", "reply", "contents", "parts", "messages", "history", "content", "snippet", "args", "result", "query"]);
+const SECRET_PATTERNS = [
+  [/AIza[0-9A-Za-z_-]{30,}/g, "[redacted]"],
+  [/\bsk-[A-Za-z0-9_-]{16,}/g, "[redacted]"],
+  [/(Bearer\s+)[A-Za-z0-9._~+/=-]+/gi, "$1[redacted]"],
+  [/([?&](?:key|api_key|access_token|token)=)[^&\s"']+/gi, "$1[redacted]"],
+];
+const MAX_DEPTH = 5;
+
+// Values of the configured keys, wherever they turn up
+function configuredSecrets(env = process.env) {
+  return [env.GEMINI_API_KEY, env.OPENAI_API_KEY, env.METRICS_TOKEN].filter((value) => value && value.length >= 8);
+}
+
+export function redactText(text, secrets = configuredSecrets()) {
+  let result = String(text);
+  for (const secret of secrets) {
+    result = result.split(secret).join("[redacted]");
+  }
+  for (const [pattern, replacement] of SECRET_PATTERNS) {
+    result = result.replace(pattern, replacement);
+  }
+  return result;
+}
+
+export function serializeError(err, depth = 0) {
+  if (!(err instanceof Error)) return err;
+  return {
+    name: err.name,
+    message: err.message,
+    ...(err.code !== undefined && { code: err.code }),
+    ...(err.status !== undefined && { status: err.status }),
+    ...(err.stack && { stack: err.stack }),
+    ...(err.cause && depth < MAX_DEPTH && { cause: serializeError(err.cause, depth + 1) }),
+  };
+}
+
+// A copy of value that is safe to log
+export function redact(value, depth = 0) {
+  if (typeof value === "string") return redactText(value);
+  if (value instanceof Error) return redact(serializeError(value), depth);
+  if (value === null || typeof value !== "object") return value;
+  if (depth >= MAX_DEPTH) return "[truncated]";
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (SECRET_KEY.test(key)) {
+      result[key] = "[redacted]";
+    } else if (CONTENT_KEYS.has(key) && item !== null && item !== undefined) {
+      result[key] = typeof item === "string" ? `[redacted ${item.length} chars]` : "[redacted]";
+    } else {
+      result[key] = redact(item, depth + 1);
+    }
+  }
+  return result;
+}
+
+function formatText({ time, level, msg, ...fields }) {
+  const { err, ...rest } = fields;
+  const pairs = Object.entries(rest).map(([key, value]) => `${key}=${typeof value === "string" ? value : JSON.stringify(value)}`);
+  const line = [time, level.toUpperCase().padEnd(5), msg, ...pairs].join(" ");
+  return err?.stack ? `${line}\n${err.stack}` : line;
+}
+
+// log.info(msg, fields) where fields is an object, or an Error (logged as err)
+export function createLogger({
+  level = process.env.LOG_LEVEL || "info",
+  format = process.env.LOG_FORMAT || "json",
+  fields = {},
+  write = (line, levelName) => (LEVELS[levelName] >= LEVELS.warn ? process.stderr : process.stdout).write(`${line}\n`),
+} = {}) {
+  if (!LEVELS[level]) {
+    throw new Error(`Unknown LOG_LEVEL "${level}" (expected one of: ${Object.keys(LEVELS).join(", ")})`);
+  }
+  if (format !== "json" && format !== "text") {
+    throw new Error(`Unknown LOG_FORMAT "${format}" (expected json or text)`);
+  }
+
+  function log(levelName, msg, extra) {
+    if (LEVELS[levelName] < LEVELS[level]) return;
+    const entry = redact({
+      time: new Date().toISOString(),
+      level: levelName,
+      msg,
+      ...fields,
+      ...(extra instanceof Error ? { err: extra } : extra),
+    });
+    write(format === "text" ? formatText(entry) : JSON.stringify(entry), levelName);
+  }
+
+  return {
+    debug: (msg, extra) => log("debug", msg, extra),
+    info: (msg, extra) => log("info", msg, extra),
+    warn: (msg, extra) => log("warn", msg, extra),
+    error: (msg, extra) => log("error", msg, extra),
+    // A logger that adds fields (e.g. the request id) to every entry
+    child: (childFields) => createLogger({ level, format, write, fields: { ...fields, ...childFields } }),
+  };
+}
+
+export const logger = createLogger();
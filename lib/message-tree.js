@@ -0,0 +1,172 @@
+// Conversations are trees of messages: every message has a parentId (null for
+// the first message), edits and regenerated replies are siblings of the message
+// they replace, and the conversation's activeLeafId selects the branch shown
+// and sent as context.
+
+// Messages read per storage call. Conversations are read newest first, a page at a
+// time, until the part a request needs is in; pages are contiguous, so every message
+// newer than the oldest one read is in the tree.
+const MESSAGE_PAGE_SIZE = 200;
+
+// Index messages (oldest first) by id and by parent. Messages saved before
+// branching existed have no parentId; they form a chain in creation order.
+export function buildMessageTree(messages) {
+  const byId = new Map();
+  const children = new Map(); // parentId (null for roots) -> messages, oldest first
+
+  let previousId = null;
+  for (const stored of messages) {
+    const message = stored.parentId === undefined ? { ...stored, parentId: previousId } : stored;
+    byId.set(message.id, message);
+    previousId = message.id;
+  }
+
+  for (const message of byId.values()) {
+    // A parent outside the loaded window makes the message a root
+    const parentId = byId.has(message.parentId) ? message.parentId : null;
+    if (!children.has(parentId)) {
+      children.set(parentId, []);
+    }
+    children.get(parentId).push(message);
+  }
+
+  return { byId, children, latestId: previousId, oldestId: messages[0]?.id || null };
+}
+
+// Add newly saved messages (with explicit parentIds) to a loaded tree
+export function addToMessageTree(tree, messages) {
+  for (const message of messages) {
+    const parentId = tree.byId.has(message.parentId) ? message.parentId : null;
+    tree.byId.set(message.id, message);
+    if (!tree.children.has(parentId)) {
+      tree.children.set(parentId, []);
+    }
+    tree.children.get(parentId).push(message);
+    tree.latestId = message.id;
+  }
+  return tree;
+}
+
+// Read a conversation's messages newest first, a page at a time (storage.listMessages
+// with a `before` cursor), until done(tree) says enough of it is in or none are left.
+// tree.complete tells whether every message was read; without done, they all are.
+export async function loadMessageTree(storage, uid, conversationId, done = () => false) {
+  let messages = [];
+  for (;;) {
+    const page = await storage.listMessages(uid, conversationId, { limit: MESSAGE_PAGE_SIZE, before: messages[0]?.id });
+    messages = [...page, ...messages];
+    const tree = { ...buildMessageTree(messages), complete: page.length < MESSAGE_PAGE_SIZE };
+    if (tree.complete || done(tree)) {
+      return tree;
+    }
+  }
+}
+
+// Every message of a conversation as stored, oldest first
+export async function listAllMessages(storage, uid, conversationId) {
+  let messages = [];
+  let page;
+  do {
+    page = await storage.listMessages(uid, conversationId, { limit: MESSAGE_PAGE_SIZE, before: messages[0]?.id });
+    messages = [...page, ...messages];
+  } while (page.length === MESSAGE_PAGE_SIZE);
+  return messages;
+}
+
+// The branch ending at `leafId` as far as it has been read, or null while the leaf
+// itself hasn't been (once the tree is complete, an unknown leaf falls back as in activePath)
+export function loadedPath(tree, leafId) {
+  return tree.complete || tree.byId.has(leafId) ? activePath(tree, leafId) : null;
+}
+
+// Whether a path read from a partial tree goes back to its branch's first message.
+// The oldest message read may only look parentless (one saved before branching,
+// whose predecessor hasn't been read), so that one needs another page to be sure.
+export function reachesStart(tree, path) {
+  return tree.complete || path.length === 0 || (path[0].parentId === null && path[0].id !== tree.oldestId);
+}
+
+// Follow the newest child from a message down to a leaf
+export function latestLeafId(tree, messageId) {
+  let id = messageId;
+  while (tree.children.get(id)?.length) {
+    const children = tree.children.get(id);
+    id = children[children.length - 1].id;
+  }
+  return id;
+}
+
+// Messages from the root to `leafId`, oldest first. An unknown leaf (e.g. a
+// conversation saved before branching) falls back to the newest message.
+export function activePath(tree, leafId) {
+  let id = tree.byId.has(leafId) ? leafId : tree.latestId;
+  const path = [];
+  while (id && tree.byId.has(id)) {
+    const message = tree.byId.get(id);
+    path.push(message);
+    id = message.parentId;
+  }
+  return path.reverse();
+}
+
+// Other versions of a message: siblings from the same sender, oldest first
+export function messageVersions(tree, message) {
+  const parentId = tree.byId.has(message.parentId) ? message.parentId : null;
+  const siblings = (tree.children.get(parentId) || []).filter((sibling) => sibling.sender === message.sender);
+  return { ids: siblings.map((sibling) => sibling.id), index: siblings.findIndex((sibling) => sibling.id === message.id) };
+}
+
+// The active branch as returned to clients: each message carries its versions
+export function describePath(tree, path) {
+  return path.map((message) => ({ ...message, versions: messageVersions(tree, message) }));
+}
+
+// The messages of an exchange: a user message and every version of the reply to it.
+// Given a reply, its user message is found first; a message without one is alone.
+export function exchangeIds(tree, messageId) {
+  const message = tree.byId.get(messageId);
+  const userMessage = message.sender === "user" ? message : tree.byId.get(message.parentId);
+  if (userMessage?.sender !== "user") {
+    return [message.id];
+  }
+  const replies = (tree.children.get(userMessage.id) || []).filter((child) => child.sender !== "user");
+  return [userMessage.id, ...replies.map((reply) => reply.id)];
+}
+
+// The tree without some messages. Their children move up to the nearest remaining
+// ancestor, so deleting a message keeps what came after it; `moved` lists the
+// children that got a new parent ([{ id, parentId }]).
+export function removeFromMessageTree(tree, messageIds) {
+  const removed = new Set(messageIds);
+  const remainingParentId = (message) => {
+    let id = message.parentId;
+    while (removed.has(id)) {
+      id = tree.byId.get(id).parentId;
+    }
+    return id;
+  };
+
+  const moved = [];
+  const remaining = [];
+  for (const message of tree.byId.values()) {
+    if (removed.has(message.id)) continue;
+    if (removed.has(message.parentId)) {
+      const parentId = remainingParentId(message);
+      moved.push({ id: message.id, parentId });
+      remaining.push({ ...message, parentId });
+    } else {
+      remaining.push(message);
+    }
+  }
+  return { tree: { ...buildMessageTree(remaining), complete: tree.complete }, moved };
+}
+
+// Whether a message is `ancestorId` or comes after it on its branch
+export function isAtOrBelow(tree, messageId, ancestorId) {
+  let id = messageId;
+  while (id && tree.byId.has(id)) {
+    if (id === ancestorId) return true;
+    id = tree.byId.get(id).parentId;
+  }
+  return false;
+}
@@ -0,0 +1,160 @@
+// Prometheus metrics, served in the text exposition format at /metrics. Counters
+// and histograms are kept in memory per server instance; gauges are read when
+// the endpoint is scraped.
+
+// Request and model latencies, in seconds
+export const LATENCY_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function labelText(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+function seriesKey(labels) {
+  return JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+function header(name, help, type) {
+  return [`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`];
+}
+
+function createCounter(name, help) {
+  const series = new Map(); // key -> { labels, value }
+  return {
+    inc(labels = {}, amount = 1) {
+      const key = seriesKey(labels);
+      if (!series.has(key)) series.set(key, { labels, value: 0 });
+      series.get(key).value += amount;
+    },
+    render() {
+      return [
+        ...header(name, help, "counter"),
+        ...[...series.values()].map(({ labels, value }) => `${name}${labelText(labels)} ${value}`),
+      ];
+    },
+  };
+}
+
+function createHistogram(name, help, buckets = LATENCY_BUCKETS) {
+  const series = new Map(); // key -> { labels, counts (per bucket), sum, count }
+  return {
+    observe(labels, value) {
+      const key = seriesKey(labels);
+      if (!series.has(key)) series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 });
+      const entry = series.get(key);
+      buckets.forEach((bound, i) => {
+        if (value <= bound) entry.counts[i]++;
+      });
+      entry.sum += value;
+      entry.count++;
+    },
+    render() {
+      const lines = header(name, help, "histogram");
+      for (const { labels, counts, sum, count } of series.values()) {
+        buckets.forEach((bound, i) => lines.push(`${name}_bucket${labelText({ ...labels, le: bound })} ${counts[i]}`));
+        lines.push(`${name}_bucket${labelText({ ...labels, le: "+Inf" })} ${count}`);
+        lines.push(`${name}_sum${labelText(labels)} ${sum}`);
+        lines.push(`${name}_count${labelText(labels)} ${count}`);
+      }
+      return lines;
+    },
+  };
+}
+
+// read() -> [{ labels, value }], called on every scrape
+function createGauge(name, help, read) {
+  return {
+    render() {
+      return [
+        ...header(name, help, "gauge"),
+        ...read().map(({ labels = {}, value }) => `${name}${labelText(labels)} ${value}`),
+      ];
+    },
+  };
+}
+
+export function createMetrics({ modelRegistry }) {
+  const startedAt = Date.now();
+
+  const metrics = {
+    httpRequests: createCounter("flashbott_http_requests_total", "HTTP requests by method, route and status"),
+    httpDuration: createHistogram("flashbott_http_request_duration_seconds", "HTTP request duration by method and route"),
+    modelRequests: createCounter("flashbott_model_requests_total", "Model calls by model and outcome (ok or the error code)"),
+    modelDuration: createHistogram("flashbott_model_request_duration_seconds", "Time until a model answered, or started streaming"),
+    modelFallbacks: createCounter("flashbott_model_fallbacks_total", "Requests moved on from a model, by model and failure kind"),
+    upstreamErrors: createCounter("flashbott_upstream_errors_total", "Errors from the model provider, by provider and error code"),
+    modelTokens: createCounter("flashbott_model_tokens_total", "Tokens reported by the model provider, by model and type (prompt or output)"),
+  };
+
+  const gauges = [
+    createGauge("flashbott_model_up", "1 if a model is available (not cooling down or missing)", () =>
+      modelRegistry.snapshot().models.map(({ model, status }) => ({
+        labels: { model },
+        value: status === "cooling_down" || status === "unavailable" ? 0 : 1,
+      }))),
+    createGauge("flashbott_process_uptime_seconds", "Seconds since the server started", () => [
+      { value: (Date.now() - startedAt) / 1000 },
+    ]),
+    createGauge("flashbott_process_resident_memory_bytes", "Resident memory of the server process", () => [
+      { value: process.memoryUsage().rss },
+    ]),
+    createGauge("flashbott_nodejs_heap_used_bytes", "V8 heap in use", () => [
+      { value: process.memoryUsage().heapUsed },
+    ]),
+  ];
+
+  return {
+    ...metrics,
+
+    // The whole registry in the Prometheus text format
+    render() {
+      return `${[...Object.values(metrics), ...gauges].flatMap((metric) => metric.render()).join("\n")}\n`;
+    },
+  };
+}
+
+// Route label of a finished request: the route pattern (not the URL, which would create
+// a series per conversation id); for a request a mounted router's middleware answered
+// before any of its routes (e.g. a 401 from requireAuth), the router's path; "static"
+// for files served by a middleware wrapped in servedAsStatic; "unmatched" for other 404s
+// and "middleware" for anything else answered outside a route (e.g. a malformed body).
+function routeLabel(req, res) {
+  if (req.route) {
+    // A router's own root ("/api/conversations/") is labelled without the trailing slash
+    return `${req.baseUrl}${req.route.path}`.replace(/(.)\/$/, "$1");
+  }
+  if (res.locals.metricsRoute) return res.locals.metricsRoute;
+  if (req.baseUrl) return req.baseUrl;
+  return res.statusCode === 404 ? "unmatched" : "middleware";
+}
+
+// Wrap a static file middleware (express.static) so the files it serves are labelled
+// "static"; requests it passes on are labelled by whatever answers them
+export function servedAsStatic(serve) {
+  return function staticFiles(req, res, next) {
+    res.locals.metricsRoute = "static";
+    serve(req, res, (err) => {
+      delete res.locals.metricsRoute;
+      next(err);
+    });
+  };
+}
+
+// Middleware: count every response and time it, labelled with routeLabel. It has to
+// come before the other middleware, so what they answer is counted too.
+export function createHttpMetrics(metrics) {
+  return function httpMetrics(req, res, next) {
+    const start = process.hrtime.bigint();
+    res.on("finish", () => {
+      const route = routeLabel(req, res);
+      const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+      metrics.httpRequests.inc({ method: req.method, route, status: res.statusCode });
+      metrics.httpDuration.observe({ method: req.method, route }, seconds);
+    });
+    next();
+  };
+}
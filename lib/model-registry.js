@@ -0,0 +1,195 @@
+// Model health registry: tracks how each of the provider's models has been
+// behaving so that /api/chat can pick a model without probing, and fail over
+// only when a real request fails. Overloaded / rate-limited models are put on a
+// cooldown (circuit breaker) that grows with consecutive failures.
+import { ApiError, classifyError } from "./errors.js";
+import { logger } from "./logger.js";
+
+// Cooldown settings per failure kind (milliseconds)
+const COOLDOWNS = {
+  overloaded: { base: 30 * 1000, max: 5 * 60 * 1000 },
+  rate_limited: { base: 60 * 1000, max: 10 * 60 * 1000 },
+  unavailable: { base: 60 * 60 * 1000, max: 60 * 60 * 1000 },
+};
+
+// Failure kind for each error code that says something about the model's health.
+// Only these trigger failover; anything else is the request's fault (bad input,
+// bad API key, a safety block, ...) and trying another model won't help.
+// A model that times out is treated like an overloaded one.
+const FAILURE_KINDS = {
+  overloaded: "overloaded",
+  timeout: "overloaded",
+  rate_limited: "rate_limited",
+  model_not_found: "unavailable",
+};
+
+// What to tell the user when every model failed, by the last failure's code
+const EXHAUSTED_MESSAGES = {
+  overloaded: "All models are busy right now. Please try again in a few moments.",
+  timeout: "The models took too long to respond. Please try again in a few moments.",
+  rate_limited: "All models are rate limited right now. Please try again in a few moments.",
+  model_not_found: "None of the configured models is available. Check LLM_MODELS and that the API key has access to them.",
+};
+
+export function classifyModelError(err) {
+  return FAILURE_KINDS[classifyError(err).code] || null;
+}
+
+export function createModelRegistry(modelNames, { now = Date.now } = {}) {
+  const entries = new Map();
+  for (const name of modelNames) {
+    entries.set(name, {
+      name,
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      lastErrorCode: null,
+      lastFailureKind: null,
+      cooldownUntil: 0,
+    });
+  }
+
+  // The model that served the last successful request is tried first
+  let preferredModel = null;
+
+  function getEntry(name) {
+    const entry = entries.get(name);
+    if (!entry) {
+      throw new Error(`Unknown model: ${name}`);
+    }
+    return entry;
+  }
+
+  function statusOf(entry) {
+    if (entry.cooldownUntil > now()) {
+      return entry.lastFailureKind === "unavailable" ? "unavailable" : "cooling_down";
+    }
+    if (entry.lastSuccessAt === null && entry.lastFailureAt === null) {
+      return "unknown";
+    }
+    return entry.consecutiveFailures === 0 ? "healthy" : "degraded";
+  }
+
+  // Models to try, best first. Models on cooldown are skipped; if every model
+  // is cooling down, they are all returned, soonest to recover first.
+  function candidates() {
+    const time = now();
+    const ready = [];
+    const coolingDown = [];
+
+    for (const entry of entries.values()) {
+      (entry.cooldownUntil > time ? coolingDown : ready).push(entry);
+    }
+
+    if (ready.length === 0) {
+      return coolingDown
+        .sort((a, b) => a.cooldownUntil - b.cooldownUntil)
+        .map((entry) => entry.name);
+    }
+
+    const names = ready.map((entry) => entry.name);
+    if (preferredModel && names.includes(preferredModel)) {
+      names.splice(names.indexOf(preferredModel), 1);
+      names.unshift(preferredModel);
+    }
+    return names;
+  }
+
+  function reportSuccess(name) {
+    const entry = getEntry(name);
+    entry.successes++;
+    entry.consecutiveFailures = 0;
+    entry.lastSuccessAt = now();
+    entry.cooldownUntil = 0;
+    preferredModel = name;
+  }
+
+  // Record a failed request; returns the failure kind (or null if the model isn't to blame)
+  function reportFailure(name, err) {
+    const entry = getEntry(name);
+    const kind = classifyModelError(err);
+
+    entry.failures++;
+    entry.lastFailureAt = now();
+    entry.lastErrorCode = classifyError(err).code;
+
+    if (!kind) {
+      return null;
+    }
+
+    entry.consecutiveFailures++;
+    entry.lastFailureKind = kind;
+
+    const { base, max } = COOLDOWNS[kind];
+    const backoff = Math.min(base * Math.pow(2, entry.consecutiveFailures - 1), max);
+    entry.cooldownUntil = entry.lastFailureAt + Math.max(backoff, (classifyError(err).retryAfter || 0) * 1000);
+
+    if (preferredModel === name) {
+      preferredModel = null;
+    }
+    return kind;
+  }
+
+  // Run operation(modelName) against the best available model, failing over
+  // to the next candidate only when the model itself is unhealthy.
+  // onFailover(modelName, kind) is called for each model given up on.
+  async function run(operation, onFailover = () => {}) {
+    let lastError;
+
+    for (const name of candidates()) {
+      try {
+        const result = await operation(name);
+        reportSuccess(name);
+        return { modelName: name, result };
+      } catch (err) {
+        lastError = err;
+        const kind = reportFailure(name, err);
+        if (!kind) {
+          throw err;
+        }
+        onFailover(name, kind);
+        logger.warn("Model failed, trying next model", { model: name, kind, err });
+      }
+    }
+
+    // Every model failed: report the last failure, with the wait until the first
+    // model comes off its cooldown
+    const time = now();
+    const soonest = Math.min(...[...entries.values()].map((entry) => entry.cooldownUntil));
+    const { code, retryable } = classifyError(lastError);
+    throw new ApiError(code, EXHAUSTED_MESSAGES[code], {
+      retryAfter: retryable && soonest > time ? (soonest - time) / 1000 : 0,
+      cause: lastError,
+    });
+  }
+
+  function snapshot() {
+    const time = now();
+    return {
+      preferredModel,
+      models: [...entries.values()].map((entry) => ({
+        model: entry.name,
+        status: statusOf(entry),
+        successes: entry.successes,
+        failures: entry.failures,
+        consecutiveFailures: entry.consecutiveFailures,
+        lastSuccessAt: entry.lastSuccessAt && new Date(entry.lastSuccessAt).toISOString(),
+        lastFailureAt: entry.lastFailureAt && new Date(entry.lastFailureAt).toISOString(),
+        lastErrorCode: entry.lastErrorCode,
+        cooldownRemainingMs: Math.max(0, entry.cooldownUntil - time),
+      })),
+    };
+  }
+
+  return {
+    modelNames: [...entries.keys()],
+    has: (name) => entries.has(name),
+    candidates,
+    reportSuccess,
+    reportFailure,
+    run,
+    snapshot,
+  };
+}
@@ -0,0 +1,75 @@
+// REST routes for personas, mounted at /api/personas behind requireAuth.
+// Lists built-in personas alongside the user's own; only the user's own can change.
+import express from "express";
+import { BUILT_IN_PERSONAS, isBuiltInPersonaId, validatePersona } from "./personas.js";
+import { ApiError, sendError } from "./errors.js";
+
+export function createPersonasRouter({ storage }) {
+  const router = express.Router();
+
+  router.get("/", async (req, res) => {
+    try {
+      const personas = await storage.listPersonas(req.user.uid);
+      res.json({ personas: [...BUILT_IN_PERSONAS, ...personas] });
+    } catch (err) {
+      res.locals.log.error("Error listing personas", err);
+      sendError(res, new ApiError("internal", "Could not load personas"));
+    }
+  });
+
+  router.post("/", async (req, res) => {
+    const { value, error } = validatePersona(req.body || {});
+    if (error) {
+      return sendError(res, new ApiError("bad_request", error));
+    }
+
+    try {
+      const persona = await storage.createPersona(req.user.uid, value);
+      res.status(201).json({ persona });
+    } catch (err) {
+      res.locals.log.error("Error creating persona", err);
+      sendError(res, new ApiError("internal", "Could not create persona"));
+    }
+  });
+
+  router.patch("/:id", async (req, res) => {
+    if (isBuiltInPersonaId(req.params.id)) {
+      return sendError(res, new ApiError("forbidden", "Built-in personas can't be changed"));
+    }
+
+    const { value, error } = validatePersona(req.body || {}, { partial: true });
+    if (error) {
+      return sendError(res, new ApiError("bad_request", error));
+    }
+
+    try {
+      const persona = await storage.updatePersona(req.user.uid, req.params.id, value);
+      if (!persona) {
+        return sendError(res, new ApiError("not_found", "Persona not found"));
+      }
+      res.json({ persona });
+    } catch (err) {
+      res.locals.log.error("Error updating persona", err);
+      sendError(res, new ApiError("internal", "Could not update persona"));
+    }
+  });
+
+  router.delete("/:id", async (req, res) => {
+    if (isBuiltInPersonaId(req.params.id)) {
+      return sendError(res, new ApiError("forbidden", "Built-in personas can't be deleted"));
+    }
+
+    try {
+      const deleted = await storage.deletePersona(req.user.uid, req.params.id);
+      if (!deleted) {
+        return sendError(res, new ApiError("not_found", "Persona not found"));
+      }
+      res.status(204).end();
+    } catch (err) {
+      res.locals.log.error("Error deleting persona", err);
+      sendError(res, new ApiError("internal", "Could not delete persona"));
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,111 @@
+// Assistant personas: a system instruction plus generation settings applied to
+// the model for a conversation. Built-in personas are shared and read-only;
+// users' own personas are saved through the storage adapter.
+
+export const BUILT_IN_PERSONAS = [
+  {
+    id: "builtin-concise-coder",
+    name: "Concise coder",
+    systemInstruction: "You are a senior software engineer. Answer programming questions with working code first and a short explanation after. Skip pleasantries, prefer idiomatic solutions, and point out bugs or edge cases you notice.",
+    temperature: 0.2,
+    topP: 0.9,
+    maxOutputTokens: null,
+    builtIn: true,
+  },
+  {
+    id: "builtin-tutor",
+    name: "Tutor",
+    systemInstruction: "You are a patient tutor. Explain concepts step by step in plain language, check understanding with a short question at the end, and give hints before full solutions when the user is working on an exercise.",
+    temperature: 0.6,
+    topP: 0.95,
+    maxOutputTokens: null,
+    builtIn: true,
+  },
+  {
+    id: "builtin-editor",
+    name: "Editor",
+    systemInstruction: "You are a careful copy editor. Improve clarity, grammar and flow of the text you are given while keeping the author's voice. Return the revised text first, then a brief list of the main changes.",
+    temperature: 0.3,
+    topP: 0.9,
+    maxOutputTokens: null,
+    builtIn: true,
+  },
+];
+
+const MAX_NAME_LENGTH = 60;
+const MAX_INSTRUCTION_LENGTH = 8000;
+
+// Numeric settings: [min, max, integer?]; null or "" means "use the model default"
+const NUMBER_FIELDS = {
+  temperature: [0, 2, false],
+  topP: [0, 1, false],
+  maxOutputTokens: [1, 65536, true],
+};
+
+// Validate persona fields from a request body. With partial = true only the
+// given fields are checked (for updates), and at least one has to be given.
+// Returns { value } or { error }.
+export function validatePersona(body, { partial = false } = {}) {
+  const value = {};
+
+  if (!partial || body.name !== undefined) {
+    const name = typeof body.name === "string" ? body.name.trim() : "";
+    if (!name) return { error: "name is required" };
+    if (name.length > MAX_NAME_LENGTH) return { error: `name must be at most ${MAX_NAME_LENGTH} characters` };
+    value.name = name;
+  }
+
+  if (!partial || body.systemInstruction !== undefined) {
+    const instruction = typeof body.systemInstruction === "string" ? body.systemInstruction.trim() : "";
+    if (instruction.length > MAX_INSTRUCTION_LENGTH) {
+      return { error: `systemInstruction must be at most ${MAX_INSTRUCTION_LENGTH} characters` };
+    }
+    value.systemInstruction = instruction;
+  }
+
+  for (const [field, [min, max, integer]] of Object.entries(NUMBER_FIELDS)) {
+    if (partial && body[field] === undefined) continue;
+    if (body[field] === undefined || body[field] === null || body[field] === "") {
+      value[field] = null;
+      continue;
+    }
+    const number = Number(body[field]);
+    if (!Number.isFinite(number) || number < min || number > max || (integer && !Number.isInteger(number))) {
+      return { error: `${field} must be ${integer ? "an integer" : "a number"} between ${min} and ${max}` };
+    }
+    value[field] = number;
+  }
+
+  if (Object.keys(value).length === 0) {
+    return { error: `At least one of name, systemInstruction, ${Object.keys(NUMBER_FIELDS).join(", ")} is required` };
+  }
+  return { value };
+}
+
+export function isBuiltInPersonaId(personaId) {
+  return BUILT_IN_PERSONAS.some((persona) => persona.id === personaId);
+}
+
+// A built-in or user persona by id, or null
+export async function findPersona(storage, uid, personaId) {
+  if (!personaId) return null;
+  return BUILT_IN_PERSONAS.find((persona) => persona.id === personaId)
+    || await storage.getPersona(uid, personaId);
+}
+
+// Request options ({ systemInstruction?, generationConfig }) that apply a persona
+export function personaModelOptions(persona) {
+  if (!persona) return {};
+
+  const generationConfig = {};
+  for (const field of Object.keys(NUMBER_FIELDS)) {
+    if (persona[field] !== null && persona[field] !== undefined) {
+      generationConfig[field] = persona[field];
+    }
+  }
+
+  return {
+    ...(persona.systemInstruction ? { systemInstruction: persona.systemInstruction } : {}),
+    generationConfig,
+  };
+}
@@ -0,0 +1,209 @@
+// Google Gemini provider, through the @google/generative-ai SDK.
+import { GoogleGenerativeAI } from "@google/generative-ai";
+import { configuredSafetySettings, isSafetyFinish, toSafetyRatings } from "../safety.js";
+
+// Default models to try, in order of preference
+export const GEMINI_DEFAULT_MODELS = [
+  "gemini-2.5-flash",        // Stable, fast model
+  "gemini-2.5-pro",          // Stable, more capable
+  "gemini-flash-latest",     // Latest flash version
+  "gemini-pro-latest",       // Latest pro version
+  "gemini-2.0-flash-001",    // Stable fallback
+  "gemini-2.0-flash"         // Alternative fallback
+];
+
+const API_BASE_URL = "https://generativelanguage.googleapis.com";
+
+const DEFAULT_EMBEDDING_MODEL = "text-embedding-004";
+const EMBED_BATCH_SIZE = 100; // most texts per batchEmbedContents call
+
+function toUsage(usageMetadata) {
+  return {
+    promptTokens: usageMetadata?.promptTokenCount || 0,
+    outputTokens: usageMetadata?.candidatesTokenCount || 0,
+    totalTokens: usageMetadata?.totalTokenCount || 0,
+  };
+}
+
+// Function calls of the first candidate ({ name, args }). Gemini 2.5 attaches a
+// thoughtSignature to them that has to be sent back with the call.
+function toFunctionCalls(response) {
+  return (response.candidates?.[0]?.content?.parts || [])
+    .filter((part) => part.functionCall)
+    .map(({ functionCall, thoughtSignature }) => ({
+      name: functionCall.name,
+      args: functionCall.args || {},
+      ...(thoughtSignature && { thoughtSignature }),
+    }));
+}
+
+// Our contents carry call ids (used by other providers); Gemini matches calls and
+// responses by order, and wants the thought signature next to the call
+function toGeminiContents(contents) {
+  return contents.map(({ role, parts }) => ({
+    role,
+    parts: parts.map((part) => {
+      if (part.functionCall) {
+        const { name, args, thoughtSignature } = part.functionCall;
+        return { functionCall: { name, args }, ...(thoughtSignature && { thoughtSignature }) };
+      }
+      if (part.functionResponse) {
+        const { name, response } = part.functionResponse;
+        return { functionResponse: { name, response } };
+      }
+      return part;
+    }),
+  }));
+}
+
+// Text of the first candidate. Unlike response.text() this keeps what was written
+// before a safety stop, so the reply can be shown with its finish reason.
+function candidateText(response) {
+  return (response.candidates?.[0]?.content?.parts || []).map((part) => part.text || "").join("");
+}
+
+// Shaped like the SDK's own error, with the response attached for classifyError
+function blockedError(response) {
+  const reason = response.promptFeedback?.blockReason || response.candidates?.[0]?.finishReason;
+  const error = new Error(`Response was blocked due to ${reason}`);
+  error.response = response;
+  return error;
+}
+
+// A blocked prompt, or a reply stopped by the safety filters before it said
+// anything, is an error; a reply cut short later keeps its text
+function toResult(response) {
+  const candidate = response.candidates?.[0];
+  const text = candidateText(response);
+  const functionCalls = toFunctionCalls(response);
+  const promptBlocked = !candidate && response.promptFeedback?.blockReason;
+  const replyBlocked = candidate && !text && functionCalls.length === 0 && isSafetyFinish(candidate.finishReason);
+  if (promptBlocked || replyBlocked) {
+    throw blockedError(response);
+  }
+  return {
+    text,
+    usage: toUsage(response.usageMetadata),
+    functionCalls,
+    finishReason: candidate?.finishReason || "OTHER",
+    safetyRatings: toSafetyRatings(candidate?.safetyRatings),
+    ...(response.promptFeedback && { promptFeedback: response.promptFeedback }),
+  };
+}
+
+// Shaped like the SDK's fetch errors: the status and Gemini's error details (e.g. an
+// API_KEY_INVALID reason on a 400), which is what classifyError goes by
+async function listModelsError(response) {
+  const body = await response.text().catch(() => "");
+  let details;
+  try {
+    details = JSON.parse(body).error?.details;
+  } catch {
+    // Not JSON; the status is all there is
+  }
+  const error = new Error(`Failed to fetch models: [${response.status} ${response.statusText}] ${body}`.trim());
+  error.status = response.status;
+  if (Array.isArray(details)) {
+    error.errorDetails = details;
+  }
+  return error;
+}
+
+export function createGeminiProvider({
+  apiKey = process.env.GEMINI_API_KEY,
+  embeddingModel = process.env.EMBEDDING_MODEL || DEFAULT_EMBEDDING_MODEL,
+  safetySettings = configuredSafetySettings(),
+} = {}) {
+  const genAI = new GoogleGenerativeAI(apiKey || "");
+
+  function getModel(modelName, { systemInstruction, generationConfig, tools, toolChoice } = {}) {
+    return genAI.getGenerativeModel({
+      model: modelName,
+      ...(systemInstruction && { systemInstruction }),
+      ...(generationConfig && { generationConfig }),
+      ...(safetySettings.length && { safetySettings }),
+      ...(tools?.length && {
+        tools: [{ functionDeclarations: tools }],
+        toolConfig: { functionCallingConfig: { mode: toolChoice === "none" ? "NONE" : "AUTO" } },
+      }),
+    });
+  }
+
+  return {
+    name: "gemini",
+    defaultModels: GEMINI_DEFAULT_MODELS,
+    audioInput: true,
+    embeddingModel,
+    safetySettings,
+
+    configurationError() {
+      return apiKey ? null : "Gemini API key not configured";
+    },
+
+    async generate(modelName, request) {
+      const { response } = await getModel(modelName, request).generateContent({ contents: toGeminiContents(request.contents) });
+      return toResult(response);
+    },
+
+    async stream(modelName, request) {
+      const result = await getModel(modelName, request).generateContentStream(
+        { contents: toGeminiContents(request.contents) },
+        request.signal ? { signal: request.signal } : {},
+      );
+
+      async function* texts() {
+        for await (const chunk of result.stream) {
+          const text = candidateText(chunk);
+          if (text) yield text;
+        }
+      }
+
+      return {
+        stream: texts(),
+        response: result.response.then(toResult),
+      };
+    },
+
+    async countTokens(modelName, request) {
+      const { totalTokens } = await getModel(modelName, request).countTokens({ contents: toGeminiContents(request.contents) });
+      return totalTokens;
+    },
+
+    // Document chunks and search queries are embedded with matching task types
+    async embed(texts, { task = "document" } = {}) {
+      const model = genAI.getGenerativeModel({ model: embeddingModel });
+      const taskType = task === "query" ? "RETRIEVAL_QUERY" : "RETRIEVAL_DOCUMENT";
+      const vectors = [];
+      for (let start = 0; start < texts.length; start += EMBED_BATCH_SIZE) {
+        const { embeddings } = await model.batchEmbedContents({
+          requests: texts.slice(start, start + EMBED_BATCH_SIZE).map((text) => ({
+            content: { role: "user", parts: [{ text }] },
+            taskType,
+          })),
+        });
+        vectors.push(...embeddings.map((embedding) => embedding.values));
+      }
+      return vectors;
+    },
+
+    // Models that support generateContent (v1beta first, then v1)
+    async listModels() {
+      let response = await fetch(`${API_BASE_URL}/v1beta/models?key=${apiKey}`);
+      if (!response.ok) {
+        response = await fetch(`${API_BASE_URL}/v1/models?key=${apiKey}`);
+      }
+      if (!response.ok) {
+        throw await listModelsError(response);
+      }
+
+      const data = await response.json();
+      return (data.models || [])
+        .filter((model) => model.supportedGenerationMethods?.includes("generateContent"))
+        .map((model) => ({
+          name: (model.name || "").replace("models/", ""),
+          displayName: model.displayName,
+          description: model.description,
+        }));
+    },
+  };
+}
@@ -0,0 +1,50 @@
+// LLM providers, chosen with LLM_PROVIDER. Every provider implements the same interface:
+//   name, defaultModels, audioInput (whether models hear audio parts, e.g. voice messages),
+//   configurationError() -> message or null,
+//   generate(model, request) -> result,
+//   stream(model, request) -> { stream: async iterable of text, response: Promise<result> },
+//   countTokens(model, request) -> number, listModels() -> [{ name, displayName }]
+// and optionally embeddingModel with embed(texts, { task: "document" | "query" }) -> vectors.
+// request is { contents, systemInstruction?, generationConfig?, tools?, toolChoice?, signal? } with
+// Gemini-style contents ([{ role: "user" | "model" | "function", parts }]), where parts are
+// { text }, { inlineData }, { functionCall: { id, name, args } } (model turns) or
+// { functionResponse: { id, name, response } } (function turns). generationConfig is
+// { temperature?, topP?, maxOutputTokens? }, tools are declarations ({ name, description,
+// parameters }) and toolChoice "none" stops the model from calling them. functionCalls
+// ([{ name, args, id? }], empty if none) are the tools the model wants to call;
+// usage is { promptTokens, outputTokens, totalTokens }. A result is { text, usage,
+// functionCalls, finishReason, safetyRatings, promptFeedback? }, with Gemini's finish reasons
+// ("STOP", "MAX_TOKENS", "SAFETY", ...) and ratings as [{ category, probability, blocked }].
+// Errors carry an HTTP `status` where there is one, for the model registry to classify.
+// Aborting signal (an AbortSignal) cancels the upstream request, e.g. a stalled stream.
+import { createGeminiProvider } from "./gemini.js";
+import { createOpenAICompatibleProvider } from "./openai-compatible.js";
+import { createMockProvider } from "./mock.js";
+
+const providers = {
+  gemini: createGeminiProvider,
+  openai: createOpenAICompatibleProvider,
+  mock: createMockProvider,
+};
+
+export function createProvider(name = process.env.LLM_PROVIDER || "gemini") {
+  const createProviderFor = providers[name];
+  if (!createProviderFor) {
+    throw new Error(`Unknown LLM_PROVIDER "${name}" (expected one of: ${Object.keys(providers).join(", ")})`);
+  }
+  return createProviderFor();
+}
+
+// Models to use, in order of preference: LLM_MODELS (or GEMINI_MODELS for the
+// Gemini provider) overrides the provider's defaults
+export function configuredModelNames(provider, env = process.env) {
+  const list = env.LLM_MODELS || (provider.name === "gemini" ? env.GEMINI_MODELS : "");
+  const names = list
+    ? list.split(",").map((name) => name.trim()).filter(Boolean)
+    : provider.defaultModels;
+
+  if (names.length === 0) {
+    throw new Error(`LLM_MODELS is required for LLM_PROVIDER=${provider.name}`);
+  }
+  return names;
+}
@@ -0,0 +1,181 @@
+// Deterministic offline provider for local development and end-to-end tests:
+// no network and no API key. The reply echoes the last user message, so the
+// same conversation always gets the same answer. A message containing
+// "[mock:overloaded]", "[mock:rate_limited]", "[mock:unavailable]", "[mock:auth]" or
+// "[mock:bad_request]" makes the model fail with the matching HTTP status, to exercise
+// failover and errors; "[mock:safety]" blocks the prompt like Gemini's safety filters
+// and "[mock:slow]" takes 5 seconds to answer. "[mock:max_tokens]" and
+// "[mock:safety_stop]" cut the reply short with that finish reason, and "[mock:stall]"
+// streams the first word and then nothing until the request is aborted.
+// With tools declared, "[mock:tool:NAME {json args}]" makes the model call that
+// tool first and then reply with the results.
+import { estimateTextTokens } from "../context-window.js";
+
+export const MOCK_DEFAULT_MODELS = ["mock-1", "mock-2"];
+
+const FAILURES = {
+  overloaded: [503, "Service Unavailable"],
+  rate_limited: [429, "Too Many Requests"],
+  unavailable: [404, "Not Found"],
+  auth: [401, "Unauthorized"],
+  bad_request: [400, "Bad Request"],
+};
+
+const SLOW_REPLY_MS = 5000;
+
+function lastUserText(contents) {
+  const last = [...contents].reverse().find((content) => content.role === "user");
+  return (last?.parts || []).map((part) => part.text || "").join(" ").trim();
+}
+
+function countAttachments(contents) {
+  const last = [...contents].reverse().find((content) => content.role === "user");
+  return (last?.parts || []).filter((part) => part.inlineData).length;
+}
+
+const TOOL_DIRECTIVE = /\[mock:tool:(\w+)(?:\s+(\{[^\]]*\}))?\]/g;
+
+// Tool calls requested by the last user message, unless they have been answered
+function mockFunctionCalls({ contents, tools, toolChoice }) {
+  if (!tools?.length || toolChoice === "none" || contents[contents.length - 1]?.role !== "user") return [];
+  return [...lastUserText(contents).matchAll(TOOL_DIRECTIVE)].map(([, name, args], index) => {
+    let parsed = {};
+    try {
+      parsed = args ? JSON.parse(args) : {};
+    } catch {
+      // Left empty; the tool reports the missing arguments
+    }
+    return { id: `mock-call-${index + 1}`, name, args: parsed };
+  });
+}
+
+function toolResultsReply(contents) {
+  const last = contents[contents.length - 1];
+  if (last?.role !== "function") return null;
+  return last.parts
+    .map(({ functionResponse }) => `Tool ${functionResponse.name} returned ${JSON.stringify(functionResponse.response)}`)
+    .join("\n\n");
+}
+
+function mockReply(modelName, { contents, systemInstruction }) {
+  const text = lastUserText(contents);
+  const failure = /\[mock:(\w+)\]/.exec(text)?.[1];
+  if (FAILURES[failure]) {
+    const [status, statusText] = FAILURES[failure];
+    const error = new Error(`[${status} ${statusText}] Mock model ${modelName} failed on purpose`);
+    error.status = status;
+    throw error;
+  }
+  if (failure === "safety") {
+    // Shaped like the Gemini SDK's error for a blocked prompt
+    const error = new Error("Response was blocked due to SAFETY");
+    error.response = {
+      promptFeedback: {
+        blockReason: "SAFETY",
+        safetyRatings: [{ category: "HARM_CATEGORY_HARASSMENT", probability: "HIGH", blocked: true }],
+      },
+    };
+    throw error;
+  }
+
+  const toolResults = toolResultsReply(contents);
+  if (toolResults) return `Mock reply from ${modelName}: ${toolResults}`;
+
+  const attachments = countAttachments(contents);
+  const lines = [`Mock reply from ${modelName}: ${text || "(no text)"}`];
+  if (attachments > 0) lines.push(`Attachments: ${attachments}`);
+  if (systemInstruction) lines.push(`System instruction: ${estimateTextTokens(systemInstruction)} tokens`);
+  lines.push(`Turns in context: ${contents.length}`);
+  return lines.join("\n\n");
+}
+
+// The reply and why it ended; a turn that calls tools has no text
+function mockResult(modelName, request, functionCalls) {
+  if (functionCalls.length > 0) {
+    return { text: "", finishReason: "STOP", safetyRatings: [] };
+  }
+  const text = mockReply(modelName, request);
+  const directive = lastUserText(request.contents);
+  if (directive.includes("[mock:max_tokens]")) {
+    return { text: text.slice(0, Math.ceil(text.length / 2)), finishReason: "MAX_TOKENS", safetyRatings: [] };
+  }
+  if (directive.includes("[mock:safety_stop]")) {
+    return {
+      text: text.slice(0, Math.ceil(text.length / 2)),
+      finishReason: "SAFETY",
+      safetyRatings: [
+        { category: "HARASSMENT", probability: "NEGLIGIBLE", blocked: false },
+        { category: "DANGEROUS_CONTENT", probability: "HIGH", blocked: true },
+      ],
+    };
+  }
+  return { text, finishReason: "STOP", safetyRatings: [] };
+}
+
+async function slowDown({ contents }) {
+  if (lastUserText(contents).includes("[mock:slow]")) {
+    await new Promise((resolve) => setTimeout(resolve, SLOW_REPLY_MS));
+  }
+}
+
+// Never settles unless the request is aborted, then fails like an aborted fetch
+function stalled(signal) {
+  return new Promise((resolve, reject) => {
+    signal?.addEventListener("abort", () => reject(new DOMException("This operation was aborted", "AbortError")), { once: true });
+  });
+}
+
+function usageFor({ contents, systemInstruction }, text) {
+  const prompt = (systemInstruction || "") + contents.flatMap(({ parts }) => parts.map((part) => part.text || "")).join("");
+  const promptTokens = estimateTextTokens(prompt);
+  const outputTokens = estimateTextTokens(text);
+  return { promptTokens, outputTokens, totalTokens: promptTokens + outputTokens };
+}
+
+export function createMockProvider({ chunkDelayMs = Number(process.env.MOCK_STREAM_DELAY_MS) || 0 } = {}) {
+  return {
+    name: "mock",
+    defaultModels: MOCK_DEFAULT_MODELS,
+    audioInput: true,
+
+    configurationError() {
+      return null;
+    },
+
+    async generate(modelName, request) {
+      await slowDown(request);
+      const functionCalls = mockFunctionCalls(request);
+      const reply = mockResult(modelName, request, functionCalls);
+      return { ...reply, usage: usageFor(request, reply.text), functionCalls };
+    },
+
+    // The reply is streamed word by word
+    async stream(modelName, request) {
+      await slowDown(request);
+      const functionCalls = mockFunctionCalls(request);
+      const reply = mockResult(modelName, request, functionCalls);
+
+      const stalls = lastUserText(request.contents).includes("[mock:stall]");
+
+      async function* texts() {
+        for (const piece of reply.text.match(/\S+\s*/g) || []) {
+          if (chunkDelayMs > 0) {
+            await new Promise((resolve) => setTimeout(resolve, chunkDelayMs));
+          }
+          yield piece;
+          if (stalls) await stalled(request.signal);
+        }
+      }
+
+      return { stream: texts(), response: Promise.resolve({ ...reply, usage: usageFor(request, reply.text), functionCalls }) };
+    },
+
+    async countTokens(modelName, request) {
+      return usageFor(request, "").promptTokens;
+    },
+
+    async listModels() {
+      return MOCK_DEFAULT_MODELS.map((name) => ({ name, displayName: `Mock model ${name}` }));
+    },
+  };
+}
@@ -0,0 +1,285 @@
+// Provider for OpenAI-compatible chat completion APIs (/v1/chat/completions),
+// e.g. local llama.cpp, Ollama or vLLM servers. Set OPENAI_BASE_URL to the API
+// root (such as http://localhost:11434/v1) and list the models in LLM_MODELS.
+// EMBEDDING_MODEL enables embeddings (/v1/embeddings) for the document library.
+import { estimateTextTokens } from "../context-window.js";
+
+// Attachments this kind of API can't take are replaced by a short note
+function toContentPart(part) {
+  if (part.text !== undefined) {
+    return { type: "text", text: part.text };
+  }
+  const { mimeType, data } = part.inlineData || {};
+  if (mimeType?.startsWith("image/")) {
+    return { type: "image_url", image_url: { url: `data:${mimeType};base64,${data}` } };
+  }
+  if (mimeType?.startsWith("text/")) {
+    return { type: "text", text: Buffer.from(data, "base64").toString("utf8") };
+  }
+  return { type: "text", text: `[Attached ${mimeType || "file"} can't be read by this model]` };
+}
+
+// Gemini-style contents ({ role: "user" | "model" | "function", parts }) as chat
+// messages: function calls become assistant tool_calls, function responses tool messages
+function toMessages({ contents, systemInstruction }) {
+  const messages = systemInstruction ? [{ role: "system", content: systemInstruction }] : [];
+  for (const { role, parts } of contents) {
+    if (role === "function") {
+      for (const { functionResponse } of parts.filter((part) => part.functionResponse)) {
+        messages.push({ role: "tool", tool_call_id: functionResponse.id, content: JSON.stringify(functionResponse.response) });
+      }
+      continue;
+    }
+
+    const calls = parts.filter((part) => part.functionCall).map(({ functionCall }) => ({
+      id: functionCall.id,
+      type: "function",
+      function: { name: functionCall.name, arguments: JSON.stringify(functionCall.args || {}) },
+    }));
+    if (calls.length > 0) {
+      const text = parts.map((part) => part.text || "").join("");
+      messages.push({ role: "assistant", content: text || null, tool_calls: calls });
+      continue;
+    }
+
+    const content = parts.map(toContentPart);
+    messages.push({
+      role: role === "model" ? "assistant" : "user",
+      // Plain text as a string: not every server accepts content arrays
+      content: content.every((part) => part.type === "text")
+        ? content.map((part) => part.text).join("\n\n")
+        : content,
+    });
+  }
+  return messages;
+}
+
+// tool_calls of a response message as { id, name, args }; unparseable arguments become {}
+function toFunctionCalls(toolCalls) {
+  return (toolCalls || []).filter((call) => call.function?.name).map((call) => {
+    let args = {};
+    try {
+      args = JSON.parse(call.function.arguments || "{}");
+    } catch {
+      // The model produced invalid JSON; the tool reports the missing arguments
+    }
+    return { id: call.id, name: call.function.name, args };
+  });
+}
+
+// finish_reason under Gemini's names; these APIs don't rate safety
+const FINISH_REASONS = { stop: "STOP", tool_calls: "STOP", function_call: "STOP", length: "MAX_TOKENS", content_filter: "SAFETY" };
+
+function toFinishReason(finishReason) {
+  return FINISH_REASONS[finishReason] || "OTHER";
+}
+
+function estimateRequestTokens({ contents, systemInstruction }) {
+  const text = contents.flatMap(({ parts }) => parts.map((part) => part.text || "")).join("");
+  return estimateTextTokens((systemInstruction || "") + text);
+}
+
+// Servers that don't report usage get an estimate
+function toUsage(usage, request, replyText) {
+  if (usage) {
+    return {
+      promptTokens: usage.prompt_tokens || 0,
+      outputTokens: usage.completion_tokens || 0,
+      totalTokens: usage.total_tokens || 0,
+    };
+  }
+  const promptTokens = estimateRequestTokens(request);
+  const outputTokens = estimateTextTokens(replyText);
+  return { promptTokens, outputTokens, totalTokens: promptTokens + outputTokens };
+}
+
+// Errors carry the HTTP status (and Retry-After) so the model registry can classify them,
+// and the error details of Gemini's OpenAI-compatible endpoint (which answers with an
+// array of errors), so an invalid key is told apart from a bad request
+async function toError(response) {
+  const body = await response.text().catch(() => "");
+  let message = body;
+  let details;
+  try {
+    const parsed = JSON.parse(body);
+    const info = (Array.isArray(parsed) ? parsed[0] : parsed)?.error;
+    message = info?.message || body;
+    details = info?.details;
+  } catch {
+    // Not JSON; keep the raw body
+  }
+
+  const error = new Error(`[${response.status} ${response.statusText}] ${message}`.trim());
+  error.status = response.status;
+  if (Array.isArray(details)) {
+    error.errorDetails = details;
+  }
+  const retryAfter = Number(response.headers.get("retry-after"));
+  if (retryAfter > 0) {
+    error.retryAfterMs = retryAfter * 1000;
+  }
+  return error;
+}
+
+// "data:" payloads of a Server-Sent Events response body
+async function* readSseData(body) {
+  const decoder = new TextDecoder();
+  let buffer = "";
+  for await (const bytes of body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    const lines = buffer.split("\n");
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (line.startsWith("data:")) {
+        yield line.slice(5).trim();
+      }
+    }
+  }
+}
+
+export function createOpenAICompatibleProvider({
+  baseUrl = process.env.OPENAI_BASE_URL,
+  apiKey = process.env.OPENAI_API_KEY,
+  embeddingModel = process.env.EMBEDDING_MODEL,
+} = {}) {
+  const rootUrl = (baseUrl || "").replace(/\/+$/, "");
+
+  async function request(path, body, { signal } = {}) {
+    const response = await fetch(rootUrl + path, {
+      method: body ? "POST" : "GET",
+      headers: {
+        "Content-Type": "application/json",
+        ...(apiKey && { Authorization: `Bearer ${apiKey}` }),
+      },
+      body: body && JSON.stringify(body),
+      signal,
+    });
+    if (!response.ok) {
+      throw await toError(response);
+    }
+    return response;
+  }
+
+  function completionBody(modelName, chatRequest) {
+    const { temperature, topP, maxOutputTokens } = chatRequest.generationConfig || {};
+    return {
+      model: modelName,
+      messages: toMessages(chatRequest),
+      ...(temperature !== undefined && { temperature }),
+      ...(topP !== undefined && { top_p: topP }),
+      ...(maxOutputTokens !== undefined && { max_tokens: maxOutputTokens }),
+      ...(chatRequest.tools?.length && {
+        tools: chatRequest.tools.map((tool) => ({ type: "function", function: tool })),
+        tool_choice: chatRequest.toolChoice === "none" ? "none" : "auto",
+      }),
+    };
+  }
+
+  return {
+    name: "openai",
+    defaultModels: [],
+    // Audio parts reach the model as a placeholder (see toContentPart)
+    audioInput: false,
+    ...(embeddingModel && {
+      embeddingModel,
+      async embed(texts) {
+        const response = await request("/embeddings", { model: embeddingModel, input: texts });
+        const data = await response.json();
+        return [...data.data].sort((a, b) => a.index - b.index).map((item) => item.embedding);
+      },
+    }),
+
+    configurationError() {
+      return rootUrl ? null : "OPENAI_BASE_URL not configured";
+    },
+
+    async generate(modelName, chatRequest) {
+      const response = await request("/chat/completions", completionBody(modelName, chatRequest));
+      const data = await response.json();
+      const choice = data.choices?.[0];
+      const text = choice?.message?.content || "";
+      return {
+        text,
+        usage: toUsage(data.usage, chatRequest, text),
+        functionCalls: toFunctionCalls(choice?.message?.tool_calls),
+        finishReason: toFinishReason(choice?.finish_reason),
+        safetyRatings: [],
+      };
+    },
+
+    async stream(modelName, chatRequest) {
+      const response = await request("/chat/completions", {
+        ...completionBody(modelName, chatRequest),
+        stream: true,
+        stream_options: { include_usage: true },
+      }, { signal: chatRequest.signal });
+
+      let resolveResponse;
+      let rejectResponse;
+      const finalResponse = new Promise((resolve, reject) => {
+        resolveResponse = resolve;
+        rejectResponse = reject;
+      });
+      finalResponse.catch(() => {}); // the stream itself reports the error
+
+      async function* texts() {
+        let text = "";
+        let usage = null;
+        let finishReason = null;
+        let finished = false;
+        const toolCalls = []; // streamed in pieces, by index
+        try {
+          for await (const data of readSseData(response.body)) {
+            if (data === "[DONE]") break;
+            const event = JSON.parse(data);
+            if (event.usage) usage = event.usage;
+            const delta = event.choices?.[0]?.delta;
+            finishReason = event.choices?.[0]?.finish_reason || finishReason;
+            for (const call of delta?.tool_calls || []) {
+              const index = call.index ?? toolCalls.length;
+              toolCalls[index] ||= { id: call.id, function: { name: "", arguments: "" } };
+              if (call.id) toolCalls[index].id = call.id;
+              toolCalls[index].function.name += call.function?.name || "";
+              toolCalls[index].function.arguments += call.function?.arguments || "";
+            }
+            const piece = delta?.content;
+            if (piece) {
+              text += piece;
+              yield piece;
+            }
+          }
+          finished = true;
+        } catch (err) {
+          rejectResponse(err);
+          throw err;
+        } finally {
+          // Stopped early (the client went away): drop the connection and
+          // settle with what arrived so far
+          if (!finished) {
+            response.body.cancel().catch(() => {});
+          }
+          resolveResponse({
+            text,
+            usage: toUsage(usage, chatRequest, text),
+            functionCalls: toFunctionCalls(toolCalls.filter(Boolean)),
+            finishReason: toFinishReason(finishReason),
+            safetyRatings: [],
+          });
+        }
+      }
+
+      return { stream: texts(), response: finalResponse };
+    },
+
+    // There is no standard token counting endpoint; estimate locally
+    async countTokens(modelName, chatRequest) {
+      return estimateRequestTokens(chatRequest);
+    },
+
+    async listModels() {
+      const response = await request("/models");
+      const data = await response.json();
+      return (data.data || []).map((model) => ({ name: model.id, displayName: model.id }));
+    },
+  };
+}
@@ -0,0 +1,167 @@
+// Throttling for /api/chat: sliding-window limits per user and per IP, plus a
+// daily message and token budget per user (tokens are counted from the usage
+// the model provider reports). State is kept in memory, so limits apply per server
+// instance and reset when it restarts. A limit of 0 disables it.
+
+const MINUTE = 60 * 1000;
+
+function startOfNextUtcDay(time) {
+  const date = new Date(time);
+  return Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate() + 1);
+}
+
+export function createSlidingWindowLimiter({ limit, windowMs = MINUTE, now = Date.now }) {
+  const hits = new Map(); // key -> timestamps of requests inside the window
+
+  function recentHits(key) {
+    const cutoff = now() - windowMs;
+    const timestamps = (hits.get(key) || []).filter((time) => time > cutoff);
+    if (timestamps.length > 0) {
+      hits.set(key, timestamps);
+    } else {
+      hits.delete(key);
+    }
+    return timestamps;
+  }
+
+  // Count a request for key; returns whether it is allowed and how long to wait if not
+  function hit(key) {
+    if (!limit) {
+      return { allowed: true, remaining: null, retryAfterMs: 0 };
+    }
+
+    const timestamps = recentHits(key);
+    if (timestamps.length >= limit) {
+      return { allowed: false, remaining: 0, retryAfterMs: timestamps[0] + windowMs - now() };
+    }
+
+    timestamps.push(now());
+    hits.set(key, timestamps);
+    return { allowed: true, remaining: limit - timestamps.length, retryAfterMs: 0 };
+  }
+
+  // Forget keys with no requests left in the window
+  function prune() {
+    for (const key of [...hits.keys()]) {
+      recentHits(key);
+    }
+  }
+
+  return { hit, prune };
+}
+
+export function createDailyQuota({ maxMessages, maxTokens, now = Date.now }) {
+  const usage = new Map(); // uid -> { resetsAt, messages, tokens }; resets at UTC midnight
+
+  function getUsage(uid) {
+    const time = now();
+    let entry = usage.get(uid);
+    if (!entry || entry.resetsAt <= time) {
+      entry = { resetsAt: startOfNextUtcDay(time), messages: 0, tokens: 0 };
+      usage.set(uid, entry);
+    }
+    return entry;
+  }
+
+  // Remaining quota as reported to the client (null = unlimited)
+  function remaining(uid) {
+    const entry = getUsage(uid);
+    return {
+      messagesLeft: maxMessages ? Math.max(0, maxMessages - entry.messages) : null,
+      messageLimit: maxMessages || null,
+      tokensLeft: maxTokens ? Math.max(0, maxTokens - entry.tokens) : null,
+      tokenLimit: maxTokens || null,
+      resetsAt: new Date(entry.resetsAt).toISOString(),
+    };
+  }
+
+  // Name of the daily limit this user has used up, if any
+  function exceeded(uid) {
+    const entry = getUsage(uid);
+    if (maxMessages && entry.messages >= maxMessages) {
+      return "daily_messages";
+    }
+    if (maxTokens && entry.tokens >= maxTokens) {
+      return "daily_tokens";
+    }
+    return null;
+  }
+
+  function retryAfterMs(uid) {
+    return getUsage(uid).resetsAt - now();
+  }
+
+  function recordMessage(uid) {
+    getUsage(uid).messages++;
+  }
+
+  function recordTokens(uid, count) {
+    if (count > 0) {
+      getUsage(uid).tokens += count;
+    }
+  }
+
+  // Forget users whose day has rolled over
+  function prune() {
+    const time = now();
+    for (const [uid, entry] of usage) {
+      if (entry.resetsAt <= time) {
+        usage.delete(uid);
+      }
+    }
+  }
+
+  return { remaining, exceeded, retryAfterMs, recordMessage, recordTokens, prune };
+}
+
+const LIMIT_MESSAGES = {
+  ip_rate: "Too many requests from your network. Please slow down.",
+  user_rate: "You're sending messages too quickly. Please wait a moment.",
+  daily_messages: "You've reached today's message limit.",
+  daily_tokens: "You've used up today's token budget.",
+};
+
+// Middleware for /api/chat; must run after requireAuth so req.user is set.
+// With countMessages false (transcribing a voice message before it's sent) the request
+// is throttled but doesn't use up one of the day's messages.
+export function createChatRateLimit({ userLimiter, ipLimiter, dailyQuota, countMessages = true }) {
+  function reject(res, limit, retryAfterMs, uid) {
+    const retryAfter = Math.max(1, Math.ceil(retryAfterMs / 1000));
+    res.set("Retry-After", String(retryAfter));
+    res.locals.errorCode = "rate_limited";
+    res.status(429).json({
+      error: LIMIT_MESSAGES[limit],
+      code: "rate_limited",
+      // Waiting out a per-minute limit is worth an automatic retry; a daily one isn't
+      retryable: !limit.startsWith("daily_"),
+      limit,
+      retryAfter,
+      quota: dailyQuota.remaining(uid),
+      requestId: res.locals.requestId,
+    });
+  }
+
+  return function chatRateLimit(req, res, next) {
+    const { uid } = req.user;
+
+    const dailyLimit = dailyQuota.exceeded(uid);
+    if (dailyLimit) {
+      return reject(res, dailyLimit, dailyQuota.retryAfterMs(uid), uid);
+    }
+
+    const ipResult = ipLimiter.hit(req.ip);
+    if (!ipResult.allowed) {
+      return reject(res, "ip_rate", ipResult.retryAfterMs, uid);
+    }
+
+    const userResult = userLimiter.hit(uid);
+    if (!userResult.allowed) {
+      return reject(res, "user_rate", userResult.retryAfterMs, uid);
+    }
+
+    if (countMessages) {
+      dailyQuota.recordMessage(uid);
+    }
+    next();
+  };
+}
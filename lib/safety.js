@@ -0,0 +1,70 @@
+// Safety settings and finish reasons. SAFETY_SETTINGS sets Gemini's blocking
+// thresholds for the deployment: one threshold for every category
+// ("BLOCK_ONLY_HIGH") or a threshold per category
+// ("HARASSMENT=BLOCK_ONLY_HIGH,DANGEROUS_CONTENT=BLOCK_LOW_AND_ABOVE").
+// Categories left out keep Gemini's defaults. Other providers ignore it.
+// Finish reasons use Gemini's names; other providers map theirs onto them.
+
+export const HARM_CATEGORIES = ["HARASSMENT", "HATE_SPEECH", "SEXUALLY_EXPLICIT", "DANGEROUS_CONTENT", "CIVIC_INTEGRITY"];
+export const BLOCK_THRESHOLDS = ["BLOCK_NONE", "BLOCK_ONLY_HIGH", "BLOCK_MEDIUM_AND_ABOVE", "BLOCK_LOW_AND_ABOVE", "OFF"];
+
+// Reasons a reply was cut short because of its content
+const SAFETY_FINISH_REASONS = ["SAFETY", "RECITATION", "BLOCKLIST", "PROHIBITED_CONTENT", "SPII", "IMAGE_SAFETY"];
+
+// Gemini safetySettings ([{ category, threshold }]) from SAFETY_SETTINGS; throws on unknown names
+export function configuredSafetySettings(value = process.env.SAFETY_SETTINGS) {
+  const text = (value || "").trim().toUpperCase();
+  if (!text) return [];
+
+  const pairs = text.includes("=")
+    ? text.split(",").map((entry) => entry.split("=").map((part) => part.trim()))
+    : HARM_CATEGORIES.map((category) => [category, text]);
+
+  return pairs.map(([name, threshold]) => {
+    const category = name.replace(/^HARM_CATEGORY_/, "");
+    if (!HARM_CATEGORIES.includes(category)) {
+      throw new Error(`Unknown category "${name}" in SAFETY_SETTINGS (expected: ${HARM_CATEGORIES.join(", ")})`);
+    }
+    if (!BLOCK_THRESHOLDS.includes(threshold)) {
+      throw new Error(`Unknown threshold "${threshold}" in SAFETY_SETTINGS (expected: ${BLOCK_THRESHOLDS.join(", ")})`);
+    }
+    return { category: `HARM_CATEGORY_${category}`, threshold };
+  });
+}
+
+export function isSafetyFinish(finishReason) {
+  return SAFETY_FINISH_REASONS.includes(finishReason);
+}
+
+// Ratings as { category, probability, blocked } with short category names ("HARASSMENT")
+export function toSafetyRatings(ratings) {
+  return (ratings || []).map((rating) => ({
+    category: String(rating.category || "").replace(/^HARM_CATEGORY_/, ""),
+    probability: rating.probability || "UNKNOWN",
+    blocked: Boolean(rating.blocked),
+  }));
+}
+
+// Categories that were blocked or rated as likely harmful
+export function flaggedCategories(ratings) {
+  return (ratings || [])
+    .filter((rating) => rating.blocked || rating.probability === "MEDIUM" || rating.probability === "HIGH")
+    .map((rating) => rating.category);
+}
+
+// How a reply ended, as sent to the client: { finishReason, safetyStop, safetyRatings,
+// promptFeedback } with promptFeedback { blockReason, safetyRatings } when the provider
+// gave one. safetyStop says the reply was cut short because of its content, so clients
+// don't need their own list of finish reasons.
+export function finishDetails(result) {
+  const feedback = result?.promptFeedback;
+  const finishReason = result?.finishReason || "STOP";
+  return {
+    finishReason,
+    safetyStop: isSafetyFinish(finishReason),
+    safetyRatings: result?.safetyRatings || [],
+    promptFeedback: feedback
+      ? { blockReason: feedback.blockReason || null, safetyRatings: toSafetyRatings(feedback.safetyRatings) }
+      : null,
+  };
+}
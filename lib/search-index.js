@@ -0,0 +1,265 @@
+// Full-text search over a user's messages, across all conversations and versions.
+// The index lives in process memory: a user's index is built from storage on their
+// first search, kept up to date as messages are saved (see indexedStorage) and
+// dropped after it has been idle for a while.
+import { listAllMessages } from "./message-tree.js";
+
+const DEFAULT_IDLE_MS = 30 * 60 * 1000;
+const MAX_QUERY_TERMS = 10;
+const SNIPPET_LENGTH = 200;
+const SNIPPET_LEAD = 60;
+
+// Words are runs of letters and digits; they're matched case- and accent-insensitively
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+
+function fold(word) {
+  return word.toLowerCase().normalize("NFKD").replace(/\p{M}/gu, "");
+}
+
+export function tokenize(text) {
+  return (text || "").match(WORD_PATTERN)?.map(fold) || [];
+}
+
+// Helper: does a (folded) word match one of the query terms? Terms match whole
+// words and word prefixes, so "deploy" finds "deployment".
+function matchesTerm(word, terms) {
+  return terms.some((term) => word.startsWith(term));
+}
+
+// A short piece of the message around the first match, with whitespace collapsed.
+// highlights are [start, end] offsets of matched words within the snippet.
+export function buildSnippet(text, terms) {
+  const flat = (text || "").replace(/\s+/g, " ").trim();
+  const words = [...flat.matchAll(WORD_PATTERN)].map((match) => ({
+    start: match.index,
+    end: match.index + match[0].length,
+    matched: matchesTerm(fold(match[0]), terms),
+  }));
+
+  const first = words.find((word) => word.matched);
+  let start = first ? Math.max(0, first.start - SNIPPET_LEAD) : 0;
+  if (start > 0) {
+    // Start on a word boundary
+    const space = flat.indexOf(" ", start);
+    start = space !== -1 && space < first.start ? space + 1 : first.start;
+  }
+  const end = Math.min(flat.length, start + SNIPPET_LENGTH);
+
+  const prefix = start > 0 ? "…" : "";
+  const suffix = end < flat.length ? "…" : "";
+  const highlights = words
+    .filter((word) => word.matched && word.start >= start && word.end <= end)
+    .map((word) => [word.start - start + prefix.length, word.end - start + prefix.length]);
+
+  return { snippet: prefix + flat.slice(start, end) + suffix, highlights };
+}
+
+export function createSearchIndex(storage, { idleMs = DEFAULT_IDLE_MS, now = () => Date.now() } = {}) {
+  const users = new Map(); // uid -> { ready, docs: Map(messageId -> doc), postings: Map(term -> Map(messageId -> count)), usedAt }
+
+  function addDocs(entry, conversationId, messages) {
+    for (const message of messages) {
+      if (entry.docs.has(message.id)) continue;
+
+      const counts = new Map();
+      for (const term of tokenize(message.text)) {
+        counts.set(term, (counts.get(term) || 0) + 1);
+      }
+      entry.docs.set(message.id, {
+        conversationId,
+        messageId: message.id,
+        sender: message.sender,
+        text: message.text || "",
+        createdAt: message.createdAt,
+        terms: [...counts.keys()],
+      });
+      for (const [term, count] of counts) {
+        if (!entry.postings.has(term)) {
+          entry.postings.set(term, new Map());
+        }
+        entry.postings.get(term).set(message.id, count);
+      }
+    }
+  }
+
+  function removeDoc(entry, messageId) {
+    const doc = entry.docs.get(messageId);
+    if (!doc) return;
+    for (const term of doc.terms) {
+      const postings = entry.postings.get(term);
+      postings.delete(messageId);
+      if (postings.size === 0) {
+        entry.postings.delete(term);
+      }
+    }
+    entry.docs.delete(messageId);
+  }
+
+  function removeConversation(entry, conversationId) {
+    for (const [messageId, doc] of entry.docs) {
+      if (doc.conversationId === conversationId) {
+        removeDoc(entry, messageId);
+      }
+    }
+  }
+
+  async function build(uid, entry) {
+    const conversations = await storage.listConversations(uid);
+    // One conversation at a time, so a large history doesn't flood the database
+    for (const conversation of conversations) {
+      const messages = await listAllMessages(storage, uid, conversation.id);
+      addDocs(entry, conversation.id, messages);
+    }
+  }
+
+  function userIndex(uid) {
+    let entry = users.get(uid);
+    if (!entry) {
+      entry = { docs: new Map(), postings: new Map(), usedAt: now() };
+      entry.ready = build(uid, entry).catch((err) => {
+        users.delete(uid);
+        throw err;
+      });
+      users.set(uid, entry);
+    }
+    entry.usedAt = now();
+    return entry;
+  }
+
+  function evictIdle() {
+    const cutoff = now() - idleMs;
+    for (const [uid, entry] of users) {
+      if (entry.usedAt < cutoff) {
+        users.delete(uid);
+      }
+    }
+  }
+
+  // Apply a change to a user's index once it's built; users without an index
+  // get the change when theirs is built from storage
+  function whenBuilt(uid, change) {
+    const entry = users.get(uid);
+    if (!entry) return;
+    entry.ready.then(() => change(entry)).catch(() => {});
+  }
+
+  return {
+    messagesAdded(uid, conversationId, messages) {
+      whenBuilt(uid, (entry) => addDocs(entry, conversationId, messages));
+    },
+
+    messagesRemoved(uid, messageIds) {
+      whenBuilt(uid, (entry) => messageIds.forEach((messageId) => removeDoc(entry, messageId)));
+    },
+
+    conversationRemoved(uid, conversationId) {
+      whenBuilt(uid, (entry) => removeConversation(entry, conversationId));
+    },
+
+    // Drop the user's whole index (their data is gone)
+    userRemoved(uid) {
+      users.delete(uid);
+    },
+
+    // Messages containing every query word (or a word starting with it), best
+    // matches first and newer first among equals. Returns { total, results }.
+    async search(uid, query, { limit = 20, offset = 0, conversationId = null } = {}) {
+      evictIdle();
+      const terms = [...new Set(tokenize(query))].slice(0, MAX_QUERY_TERMS);
+      if (terms.length === 0) return { total: 0, results: [] };
+
+      const entry = userIndex(uid);
+      await entry.ready;
+
+      // Conversations deleted elsewhere (e.g. by another server instance) are dropped from the index
+      const conversations = new Map(
+        (await storage.listConversations(uid)).map((conversation) => [conversation.id, conversation])
+      );
+      for (const id of new Set([...entry.docs.values()].map((doc) => doc.conversationId))) {
+        if (!conversations.has(id)) {
+          removeConversation(entry, id);
+        }
+      }
+
+      // Exact words count double, so "test" ranks "test" above "testing"
+      let scores = null;
+      for (const term of terms) {
+        const termScores = new Map();
+        for (const [word, postings] of entry.postings) {
+          if (!word.startsWith(term)) continue;
+          const weight = word === term ? 2 : 1;
+          for (const [messageId, count] of postings) {
+            termScores.set(messageId, (termScores.get(messageId) || 0) + count * weight);
+          }
+        }
+        scores = scores === null
+          ? termScores
+          : new Map([...scores].filter(([messageId]) => termScores.has(messageId))
+            .map(([messageId, score]) => [messageId, score + termScores.get(messageId)]));
+        if (scores.size === 0) break;
+      }
+
+      const matches = [...scores]
+        .map(([messageId, score]) => ({ doc: entry.docs.get(messageId), score }))
+        .filter(({ doc }) => !conversationId || doc.conversationId === conversationId)
+        .sort((a, b) => b.score - a.score || (b.doc.createdAt || 0) - (a.doc.createdAt || 0));
+
+      return {
+        total: matches.length,
+        results: matches.slice(offset, offset + limit).map(({ doc }) => ({
+          conversationId: doc.conversationId,
+          conversationTitle: conversations.get(doc.conversationId).title,
+          messageId: doc.messageId,
+          sender: doc.sender,
+          createdAt: doc.createdAt,
+          ...buildSnippet(doc.text, terms),
+        })),
+      };
+    },
+  };
+}
+
+// Storage that keeps the search index up to date as messages are saved, cleared
+// or deleted (imports and chat replies both go through appendMessages)
+export function indexedStorage(storage, searchIndex) {
+  return {
+    ...storage,
+
+    async appendMessages(uid, conversationId, messages) {
+      const saved = await storage.appendMessages(uid, conversationId, messages);
+      if (saved) {
+        searchIndex.messagesAdded(uid, conversationId, saved);
+      }
+      return saved;
+    },
+
+    async deleteMessages(uid, conversationId, messageIds, changes) {
+      const deleted = await storage.deleteMessages(uid, conversationId, messageIds, changes);
+      if (deleted) {
+        searchIndex.messagesRemoved(uid, messageIds);
+      }
+      return deleted;
+    },
+
+    async clearMessages(uid, conversationId) {
+      const cleared = await storage.clearMessages(uid, conversationId);
+      if (cleared) {
+        searchIndex.conversationRemoved(uid, conversationId);
+      }
+      return cleared;
+    },
+
+    async deleteConversation(uid, conversationId) {
+      const deleted = await storage.deleteConversation(uid, conversationId);
+      if (deleted) {
+        searchIndex.conversationRemoved(uid, conversationId);
+      }
+      return deleted;
+    },
+
+    async deleteUserData(uid) {
+      await storage.deleteUserData(uid);
+      searchIndex.userRemoved(uid);
+    },
+  };
+}
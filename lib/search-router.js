@@ -0,0 +1,40 @@
+// Search route, mounted at /api/search behind requireAuth.
+// GET /api/search?q=&limit=&offset=&conversationId= searches the user's messages.
+import express from "express";
+import { ApiError, sendError } from "./errors.js";
+
+const MAX_QUERY_LENGTH = 200;
+
+export function createSearchRouter({ searchIndex }) {
+  const router = express.Router();
+
+  router.get("/", async (req, res) => {
+    const query = typeof req.query.q === "string" ? req.query.q.trim() : "";
+    if (!query) {
+      return sendError(res, new ApiError("bad_request", "q is required"));
+    }
+    if (query.length > MAX_QUERY_LENGTH) {
+      return sendError(res, new ApiError("bad_request", `q must be ${MAX_QUERY_LENGTH} characters or fewer`));
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const conversationId = typeof req.query.conversationId === "string" ? req.query.conversationId : null;
+
+    try {
+      const { total, results } = await searchIndex.search(req.user.uid, query, { limit, offset, conversationId });
+      res.json({
+        query,
+        total,
+        offset,
+        results,
+        nextOffset: offset + results.length < total ? offset + results.length : null,
+      });
+    } catch (err) {
+      res.locals.log.error("Error searching messages", err);
+      sendError(res, new ApiError("internal", "Could not search messages"));
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,98 @@
+// Security headers and CORS for the app.
+// The Content-Security-Policy only lets the page run its own scripts and the Firebase
+// SDK from gstatic, and talk to this server, gstatic and Firebase Auth, so HTML that
+// slips into a rendered reply still can't run script (see public/safe-markdown.js for
+// the first line of defence). Google and GitHub sign-in also need Google's API loader
+// and a frame from the project's auth domain. CORS is off unless CORS_ORIGINS lists
+// the origins allowed to call the API from another site.
+
+import { createHash } from "node:crypto";
+import { firebaseProjectId } from "./firebase.js";
+
+const FIREBASE_SCRIPTS = "https://www.gstatic.com";
+const GOOGLE_API_LOADER = "https://apis.google.com";
+const FIREBASE_AUTH_APIS = ["https://identitytoolkit.googleapis.com", "https://securetoken.googleapis.com"];
+const HSTS_MAX_AGE = 180 * 24 * 60 * 60;
+
+function parseList(value) {
+  return (value || "").split(",").map((item) => item.trim()).filter(Boolean);
+}
+
+function formatPolicy(directives) {
+  return Object.entries(directives).map(([name, sources]) => `${name} ${sources.join(" ")}`).join("; ");
+}
+
+// connectSources: extra origins the page may fetch from (CSP_CONNECT_SRC); the Firebase
+// Auth emulator is added when the server uses one (FIREBASE_AUTH_EMULATOR_HOST).
+// authDomain: the authDomain of public/firebase-config.js (FIREBASE_AUTH_DOMAIN,
+// by default <project id>.firebaseapp.com), which hosts the OAuth sign-in frame.
+export function contentSecurityPolicy({
+  connectSources = parseList(process.env.CSP_CONNECT_SRC),
+  authEmulatorHost = process.env.FIREBASE_AUTH_EMULATOR_HOST,
+  authDomain = process.env.FIREBASE_AUTH_DOMAIN || `${firebaseProjectId()}.firebaseapp.com`,
+} = {}) {
+  const authEmulator = authEmulatorHost ? [`http://${authEmulatorHost}`] : [];
+  const directives = {
+    "default-src": ["'self'"],
+    "script-src": ["'self'", FIREBASE_SCRIPTS, GOOGLE_API_LOADER],
+    "style-src": ["'self'"],
+    // No remote images: a reply could point one at a URL carrying the conversation
+    "img-src": ["'self'", "data:", "blob:"],
+    // Voice messages play from blob: URLs
+    "media-src": ["'self'", "blob:"],
+    // The service worker fetches the Firebase SDK to cache it for offline use
+    "connect-src": ["'self'", FIREBASE_SCRIPTS, ...FIREBASE_AUTH_APIS, ...authEmulator, ...connectSources],
+    "frame-src": [`https://${authDomain}`, ...authEmulator],
+    // Attachments open in a new tab as blob: URLs, which inherit this policy; PDFs need blob: here
+    "object-src": ["blob:"],
+    "base-uri": ["'self'"],
+    "form-action": ["'self'"],
+    "frame-ancestors": ["'none'"],
+  };
+  return formatPolicy(directives);
+}
+
+// Policy for pages rendered by the server that run no script and load nothing:
+// their one inline stylesheet is allowed by its hash
+export function staticPagePolicy(style) {
+  const styleHash = createHash("sha256").update(style).digest("base64");
+  const directives = {
+    "default-src": ["'none'"],
+    "style-src": [`'sha256-${styleHash}'`],
+    "base-uri": ["'none'"],
+    "form-action": ["'none'"],
+    "frame-ancestors": ["'none'"],
+  };
+  return formatPolicy(directives);
+}
+
+// Middleware: security headers on every response. HSTS is only sent over HTTPS
+// (behind a proxy, set TRUST_PROXY so req.secure reflects the client's connection).
+export function createSecurityHeaders({ policy = contentSecurityPolicy() } = {}) {
+  return function securityHeaders(req, res, next) {
+    res.set({
+      "Content-Security-Policy": policy,
+      "X-Content-Type-Options": "nosniff",
+      "X-Frame-Options": "DENY",
+      "Referrer-Policy": "strict-origin-when-cross-origin",
+      // Sign-in popups (Google, GitHub) report back to the page through window.opener
+      "Cross-Origin-Opener-Policy": "same-origin-allow-popups",
+      "Permissions-Policy": "camera=(), microphone=(self), geolocation=()",
+    });
+    if (req.secure) {
+      res.set("Strict-Transport-Security", `max-age=${HSTS_MAX_AGE}; includeSubDomains`);
+    }
+    next();
+  };
+}
+
+// Options for the cors middleware: only the origins in CORS_ORIGINS (exact matches,
+// e.g. https://app.example.com) get CORS headers; "*" allows any origin. The API
+// authenticates with bearer tokens, not cookies, so credentials are never allowed.
+export function corsOptions({ origins = parseList(process.env.CORS_ORIGINS) } = {}) {
+  return {
+    origin: origins.includes("*") ? "*" : (origin, callback) => callback(null, origins.includes(origin)),
+    exposedHeaders: ["X-Request-Id", "X-Model", "Retry-After"],
+    maxAge: 600,
+  };
+}
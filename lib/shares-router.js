@@ -0,0 +1,59 @@
+// REST routes for shared conversation links, mounted at /api/shares behind requireAuth.
+// The public page of a share is served by server.js at /share/:id.
+import express from "express";
+import { describeShare, snapshotConversation, validateShare } from "./shares.js";
+import { ApiError, sendError } from "./errors.js";
+
+export function createSharesRouter({ storage }) {
+  const router = express.Router();
+
+  // The user's shared links, newest first
+  router.get("/", async (req, res) => {
+    try {
+      const shares = await storage.listShares(req.user.uid);
+      res.json({ shares: shares.map(describeShare) });
+    } catch (err) {
+      res.locals.log.error("Error listing shared links", err);
+      sendError(res, new ApiError("internal", "Could not load shared links"));
+    }
+  });
+
+  // Snapshot a conversation's active branch ({ conversationId, expiresInDays? })
+  router.post("/", async (req, res) => {
+    const { value, error } = validateShare(req.body || {});
+    if (error) {
+      return sendError(res, new ApiError("bad_request", error));
+    }
+
+    try {
+      const snapshot = await snapshotConversation(storage, req.user.uid, value);
+      if (!snapshot) {
+        return sendError(res, new ApiError("not_found", "Conversation not found"));
+      }
+      if (snapshot.messages.length === 0) {
+        return sendError(res, new ApiError("bad_request", "Conversation has no messages to share"));
+      }
+      const share = await storage.createShare(req.user.uid, snapshot.share, snapshot.messages);
+      res.status(201).json({ share: describeShare(share) });
+    } catch (err) {
+      res.locals.log.error("Error sharing conversation", err);
+      sendError(res, new ApiError("internal", "Could not share conversation"));
+    }
+  });
+
+  // Revoke a link: the snapshot is deleted and the link stops working
+  router.delete("/:id", async (req, res) => {
+    try {
+      const deleted = await storage.deleteShare(req.user.uid, req.params.id);
+      if (!deleted) {
+        return sendError(res, new ApiError("not_found", "Shared link not found"));
+      }
+      res.status(204).end();
+    } catch (err) {
+      res.locals.log.error("Error revoking shared link", err);
+      sendError(res, new ApiError("internal", "Could not revoke shared link"));
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,74 @@
+// Shared conversations: read-only snapshots of a conversation's active branch, served
+// to anyone with the link at /share/:id. A snapshot is a copy, so later messages,
+// edits and deletions don't change it; the owner removes it by revoking the link.
+// Snapshots hold the title and message text only (plus attachment names), never the
+// owner's uid or email; the uid is kept on the share record for listing and revoking
+// and isn't returned or rendered.
+import { randomBytes } from "node:crypto";
+import { loadedPath, loadMessageTree, reachesStart } from "./message-tree.js";
+
+const MAX_EXPIRY_DAYS = 365;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 192 random bits, URL-safe: the link is the only thing that grants access
+export function newShareId() {
+  return randomBytes(24).toString("base64url");
+}
+
+// body: { conversationId, expiresInDays? }; no expiresInDays keeps the link until revoked
+export function validateShare(body) {
+  const conversationId = typeof body.conversationId === "string" ? body.conversationId : "";
+  if (!conversationId) return { error: "conversationId is required" };
+
+  if (body.expiresInDays === undefined || body.expiresInDays === null || body.expiresInDays === "") {
+    return { value: { conversationId, expiresInDays: null } };
+  }
+  const days = Number(body.expiresInDays);
+  if (!Number.isInteger(days) || days < 1 || days > MAX_EXPIRY_DAYS) {
+    return { error: `expiresInDays must be an integer between 1 and ${MAX_EXPIRY_DAYS}` };
+  }
+  return { value: { conversationId, expiresInDays: days } };
+}
+
+// -> { share, messages } for storage.createShare, or null if the conversation doesn't exist
+export async function snapshotConversation(storage, uid, { conversationId, expiresInDays }) {
+  const conversation = await storage.getConversation(uid, conversationId);
+  if (!conversation) return null;
+
+  // Only the shown branch is read, back to its first message
+  const branchLoaded = (tree) => {
+    const path = loadedPath(tree, conversation.activeLeafId);
+    return Boolean(path) && reachesStart(tree, path);
+  };
+  const tree = await loadMessageTree(storage, uid, conversationId, branchLoaded);
+  const messages = loadedPath(tree, conversation.activeLeafId).map((message) => ({
+    sender: message.sender,
+    text: message.text || "",
+    createdAt: message.createdAt,
+    ...(message.attachments?.length && {
+      attachments: message.attachments.map(({ name, mimeType, size }) => ({ name, mimeType, size })),
+    }),
+  }));
+
+  const now = Date.now();
+  return {
+    share: {
+      id: newShareId(),
+      conversationId,
+      title: conversation.title,
+      messageCount: messages.length,
+      createdAt: now,
+      expiresAt: expiresInDays ? now + expiresInDays * DAY_MS : null,
+    },
+    messages,
+  };
+}
+
+export function isExpired(share, now = Date.now()) {
+  return Boolean(share.expiresAt) && share.expiresAt <= now;
+}
+
+// What the owner sees about a share (the stored record minus the owner's uid)
+export function describeShare({ uid, ...share }) {
+  return { ...share, path: `/share/${share.id}`, expired: isExpired(share) };
+}
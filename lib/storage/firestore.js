@@ -0,0 +1,310 @@
+// Firestore storage adapter (Firebase Admin SDK). Layout:
+// users/{uid}/conversations/{conversationId}/messages/{messageId}
+// users/{uid}/personas/{personaId}
+// shares/{shareId}/messages/{position} (shared snapshots, looked up by id without a uid)
+// Attachments are too large for Firestore documents and go to Cloud Storage under
+// users/{uid}/conversations/{conversationId}/attachments/{attachmentId}.
+// The Admin SDK needs service-account credentials (GOOGLE_APPLICATION_CREDENTIALS)
+// or FIRESTORE_EMULATOR_HOST / FIREBASE_STORAGE_EMULATOR_HOST for the local emulators.
+import { randomUUID } from "node:crypto";
+import { getFirestore } from "firebase-admin/firestore";
+import { getStorage } from "firebase-admin/storage";
+import { getFirebaseApp } from "../firebase.js";
+
+const FIRESTORE_BATCH_LIMIT = 500;
+const IMPORTED_CONVERSATION_ID = "imported";
+
+function toConversation(docSnap) {
+  const { title, personaId = null, summary = null, activeLeafId = null, createdAt, updatedAt } = docSnap.data();
+  return { id: docSnap.id, title, personaId, summary, activeLeafId, createdAt, updatedAt };
+}
+
+// Messages and personas are returned as stored, plus their id
+function toDocument(docSnap) {
+  return { id: docSnap.id, ...docSnap.data() };
+}
+
+export function createFirestoreStorage(
+  db = getFirestore(getFirebaseApp()),
+  bucket = getStorage(getFirebaseApp()).bucket()
+) {
+  function conversationsRef(uid) {
+    return db.collection("users").doc(uid).collection("conversations");
+  }
+
+  function messagesRef(uid, conversationId) {
+    return conversationsRef(uid).doc(conversationId).collection("messages");
+  }
+
+  function personasRef(uid) {
+    return db.collection("users").doc(uid).collection("personas");
+  }
+
+  function sharesRef() {
+    return db.collection("shares");
+  }
+
+  function attachmentsPrefix(uid, conversationId) {
+    return `users/${uid}/conversations/${conversationId}/attachments/`;
+  }
+
+  return {
+    async listConversations(uid) {
+      const snap = await conversationsRef(uid).orderBy("updatedAt", "desc").get();
+      return snap.docs.map(toConversation);
+    },
+
+    async getConversation(uid, conversationId) {
+      const snap = await conversationsRef(uid).doc(conversationId).get();
+      return snap.exists ? toConversation(snap) : null;
+    },
+
+    async createConversation(uid, { title, personaId = null }) {
+      const now = Date.now();
+      const data = { title, personaId, createdAt: now, updatedAt: now };
+      const docRef = await conversationsRef(uid).add(data);
+      return { id: docRef.id, ...data };
+    },
+
+    async updateConversation(uid, conversationId, fields) {
+      const docRef = conversationsRef(uid).doc(conversationId);
+      const snap = await docRef.get();
+      if (!snap.exists) return null;
+      await docRef.update(fields);
+      return { ...toConversation(snap), ...fields };
+    },
+
+    async deleteConversation(uid, conversationId) {
+      const docRef = conversationsRef(uid).doc(conversationId);
+      const snap = await docRef.get();
+      if (!snap.exists) return false;
+      await db.recursiveDelete(docRef);
+      await bucket.deleteFiles({ prefix: attachmentsPrefix(uid, conversationId) });
+      return true;
+    },
+
+    // Most recent `limit` messages, oldest first; with `before` (a message id) the
+    // `limit` messages before that one, for reading a long conversation page by page
+    async listMessages(uid, conversationId, { limit = 100, before } = {}) {
+      let query = messagesRef(uid, conversationId).orderBy("createdAt", "asc");
+      if (before) {
+        const cursor = await messagesRef(uid, conversationId).doc(before).get();
+        if (!cursor.exists) return [];
+        query = query.endBefore(cursor);
+      }
+      const snap = await query.limitToLast(limit).get();
+      return snap.docs.map(toDocument);
+    },
+
+    // Append messages (e.g. a user message and its reply) in a single batch; the
+    // last one becomes the active branch's leaf. Messages may bring their own id.
+    async appendMessages(uid, conversationId, messages) {
+      const conversationRef = conversationsRef(uid).doc(conversationId);
+      const snap = await conversationRef.get();
+      if (!snap.exists) return null;
+
+      const batch = db.batch();
+      const saved = messages.map(({ id, ...message }) => {
+        const docRef = id ? messagesRef(uid, conversationId).doc(id) : messagesRef(uid, conversationId).doc();
+        batch.set(docRef, message);
+        return { id: docRef.id, ...message };
+      });
+      batch.update(conversationRef, { updatedAt: Date.now(), activeLeafId: saved[saved.length - 1].id });
+      await batch.commit();
+      return saved;
+    },
+
+    async getMessage(uid, conversationId, messageId) {
+      const snap = await messagesRef(uid, conversationId).doc(messageId).get();
+      return snap.exists ? toDocument(snap) : null;
+    },
+
+    // Change fields of a message (e.g. pinnedAt); returns the updated message or null
+    async updateMessage(uid, conversationId, messageId, fields) {
+      const docRef = messagesRef(uid, conversationId).doc(messageId);
+      const snap = await docRef.get();
+      if (!snap.exists) return null;
+      await docRef.update(fields);
+      return { ...toDocument(snap), ...fields };
+    },
+
+    // Delete messages, moving their children to new parents first (moved: [{ id, parentId }])
+    // so a failure part-way never leaves a message pointing at a deleted one. Writes go in
+    // batches of FIRESTORE_BATCH_LIMIT, so any number of messages can be deleted.
+    // attachmentIds are the files no remaining message uses.
+    async deleteMessages(uid, conversationId, messageIds, { moved = [], attachmentIds = [] } = {}) {
+      const snap = await conversationsRef(uid).doc(conversationId).get();
+      if (!snap.exists) return false;
+
+      const writes = [
+        ...moved.map(({ id, parentId }) => (batch) => batch.update(messagesRef(uid, conversationId).doc(id), { parentId })),
+        ...messageIds.map((id) => (batch) => batch.delete(messagesRef(uid, conversationId).doc(id))),
+      ];
+      for (let i = 0; i < writes.length; i += FIRESTORE_BATCH_LIMIT) {
+        const batch = db.batch();
+        writes.slice(i, i + FIRESTORE_BATCH_LIMIT).forEach((write) => write(batch));
+        await batch.commit();
+      }
+      await Promise.all(attachmentIds.map((id) =>
+        bucket.file(attachmentsPrefix(uid, conversationId) + id).delete({ ignoreNotFound: true })));
+      return true;
+    },
+
+    // recursiveDelete removes the messages in chunks, so histories of any size can be cleared
+    async clearMessages(uid, conversationId) {
+      const conversationRef = conversationsRef(uid).doc(conversationId);
+      const snap = await conversationRef.get();
+      if (!snap.exists) return false;
+      await db.recursiveDelete(messagesRef(uid, conversationId));
+      await bucket.deleteFiles({ prefix: attachmentsPrefix(uid, conversationId) });
+      await conversationRef.update({ summary: null, activeLeafId: null });
+      return true;
+    },
+
+    // Save an uploaded file ({ name, mimeType, size, data }); returns its metadata
+    async saveAttachment(uid, conversationId, { name, mimeType, size, data }) {
+      const snap = await conversationsRef(uid).doc(conversationId).get();
+      if (!snap.exists) return null;
+
+      const attachment = { id: randomUUID(), name, mimeType, size };
+      await bucket.file(attachmentsPrefix(uid, conversationId) + attachment.id).save(data, {
+        contentType: mimeType,
+        metadata: { metadata: { name } },
+      });
+      return attachment;
+    },
+
+    // Metadata plus contents ({ ..., data: Buffer }), or null
+    async getAttachment(uid, conversationId, attachmentId) {
+      const file = bucket.file(attachmentsPrefix(uid, conversationId) + attachmentId);
+      const [exists] = await file.exists();
+      if (!exists) return null;
+
+      const [[data], [metadata]] = await Promise.all([file.download(), file.getMetadata()]);
+      return {
+        id: attachmentId,
+        name: metadata.metadata?.name || attachmentId,
+        mimeType: metadata.contentType,
+        size: Number(metadata.size),
+        data,
+      };
+    },
+
+    async listPersonas(uid) {
+      const snap = await personasRef(uid).orderBy("createdAt", "asc").get();
+      return snap.docs.map(toDocument);
+    },
+
+    async getPersona(uid, personaId) {
+      const snap = await personasRef(uid).doc(personaId).get();
+      return snap.exists ? toDocument(snap) : null;
+    },
+
+    async createPersona(uid, fields) {
+      const data = { ...fields, createdAt: Date.now() };
+      const docRef = await personasRef(uid).add(data);
+      return { id: docRef.id, ...data };
+    },
+
+    async updatePersona(uid, personaId, fields) {
+      const docRef = personasRef(uid).doc(personaId);
+      const snap = await docRef.get();
+      if (!snap.exists) return null;
+      await docRef.update(fields);
+      return { ...toDocument(snap), ...fields };
+    },
+
+    async deletePersona(uid, personaId) {
+      const docRef = personasRef(uid).doc(personaId);
+      const snap = await docRef.get();
+      if (!snap.exists) return false;
+      await docRef.delete();
+      return true;
+    },
+
+    // Save a shared snapshot (see lib/shares.js) with its messages, oldest first, in
+    // batches of FIRESTORE_BATCH_LIMIT. The share document is written last, so a
+    // failure part-way never leaves a link that shows part of a conversation.
+    async createShare(uid, { id, ...share }, messages) {
+      const shareRef = sharesRef().doc(id);
+      for (let i = 0; i < messages.length; i += FIRESTORE_BATCH_LIMIT) {
+        const batch = db.batch();
+        messages.slice(i, i + FIRESTORE_BATCH_LIMIT).forEach((message, offset) => {
+          const position = i + offset;
+          batch.set(shareRef.collection("messages").doc(String(position).padStart(5, "0")), { ...message, position });
+        });
+        await batch.commit();
+      }
+      const data = { ...share, uid };
+      await shareRef.set(data);
+      return { id, ...data };
+    },
+
+    // Any user's share by id (for the public page), or null
+    async getShare(shareId) {
+      const snap = await sharesRef().doc(shareId).get();
+      return snap.exists ? toDocument(snap) : null;
+    },
+
+    async listShareMessages(shareId) {
+      const snap = await sharesRef().doc(shareId).collection("messages").orderBy("position", "asc").get();
+      return snap.docs.map((docSnap) => {
+        const { position, ...message } = docSnap.data();
+        return message;
+      });
+    },
+
+    // The user's shares, newest first (sorted here, so no composite index is needed)
+    async listShares(uid) {
+      const snap = await sharesRef().where("uid", "==", uid).get();
+      return snap.docs.map(toDocument).sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    async deleteShare(uid, shareId) {
+      const shareRef = sharesRef().doc(shareId);
+      const snap = await shareRef.get();
+      if (!snap.exists || snap.data().uid !== uid) return false;
+      await db.recursiveDelete(shareRef);
+      return true;
+    },
+
+    // Everything stored for the user: users/{uid} with all its subcollections
+    // (conversations, messages, personas), their files and their shares
+    async deleteUserData(uid) {
+      const sharesSnap = await sharesRef().where("uid", "==", uid).get();
+      for (const docSnap of sharesSnap.docs) {
+        await db.recursiveDelete(docSnap.ref);
+      }
+      await db.recursiveDelete(db.collection("users").doc(uid));
+      await bucket.deleteFiles({ prefix: `users/${uid}/` });
+    },
+
+    // Move messages from the old flat users/{uid}/messages collection into an
+    // "Imported" conversation. Documents keep their ids, so re-running after a
+    // partial failure picks up where it left off.
+    async migrateLegacyMessages(uid) {
+      const legacyRef = db.collection("users").doc(uid).collection("messages");
+      const probe = await legacyRef.limit(1).get();
+      if (probe.empty) return;
+
+      const snap = await legacyRef.orderBy("createdAt", "asc").get();
+      const docs = snap.docs;
+      await conversationsRef(uid).doc(IMPORTED_CONVERSATION_ID).set({
+        title: "Imported",
+        createdAt: docs[0].data().createdAt || Date.now(),
+        updatedAt: docs[docs.length - 1].data().createdAt || Date.now(),
+      }, { merge: true });
+
+      // Each message is one write plus one delete
+      const perBatch = FIRESTORE_BATCH_LIMIT / 2;
+      for (let i = 0; i < docs.length; i += perBatch) {
+        const batch = db.batch();
+        for (const docSnap of docs.slice(i, i + perBatch)) {
+          batch.set(messagesRef(uid, IMPORTED_CONVERSATION_ID).doc(docSnap.id), docSnap.data());
+          batch.delete(docSnap.ref);
+        }
+        await batch.commit();
+      }
+    },
+  };
+}
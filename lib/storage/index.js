@@ -0,0 +1,31 @@
+// Conversation storage. Every adapter implements the same async interface:
+//   listConversations(uid), getConversation(uid, id), createConversation(uid, { title }),
+//   updateConversation(uid, id, fields), deleteConversation(uid, id),
+//   listMessages(uid, id, { limit, before }), getMessage(uid, id, messageId),
+//   appendMessages(uid, id, messages), clearMessages(uid, id),
+//   updateMessage(uid, id, messageId, fields), deleteMessages(uid, id, messageIds, { moved, attachmentIds }),
+//   saveAttachment(uid, id, file), getAttachment(uid, id, attachmentId),
+//   listPersonas(uid), getPersona(uid, personaId), createPersona(uid, fields),
+//   updatePersona(uid, personaId, fields), deletePersona(uid, personaId),
+//   createShare(uid, share, messages), getShare(shareId), listShareMessages(shareId),
+//   listShares(uid), deleteShare(uid, shareId), deleteUserData(uid)
+// and optionally migrateLegacyMessages(uid). Missing conversations resolve to null/false.
+// Conversations carry { title, personaId, summary, activeLeafId }; clearMessages resets the
+// last two. Messages form a tree through parentId (see lib/message-tree.js); appendMessages
+// keeps a given message id and makes the last appended message the active leaf;
+// deleteMessages gives the deleted messages' children their new parents (see removeFromMessageTree).
+import { createFirestoreStorage } from "./firestore.js";
+import { createMemoryStorage } from "./memory.js";
+
+const adapters = {
+  firestore: createFirestoreStorage,
+  memory: createMemoryStorage,
+};
+
+export function createStorage(name = process.env.STORAGE_ADAPTER || "firestore") {
+  const createAdapter = adapters[name];
+  if (!createAdapter) {
+    throw new Error(`Unknown STORAGE_ADAPTER "${name}" (expected one of: ${Object.keys(adapters).join(", ")})`);
+  }
+  return createAdapter();
+}
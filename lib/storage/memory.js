@@ -0,0 +1,202 @@
+// In-memory storage adapter for local development and tests.
+// Data lives only as long as the process.
+import { randomUUID } from "node:crypto";
+
+export function createMemoryStorage() {
+  const users = new Map(); // uid -> Map(conversationId -> { conversation, messages, attachments })
+  const personas = new Map(); // uid -> Map(personaId -> persona)
+  const shares = new Map(); // shareId -> { share, messages }
+
+  function userConversations(uid) {
+    if (!users.has(uid)) {
+      users.set(uid, new Map());
+    }
+    return users.get(uid);
+  }
+
+  function getRecord(uid, conversationId) {
+    return userConversations(uid).get(conversationId) || null;
+  }
+
+  function userPersonas(uid) {
+    if (!personas.has(uid)) {
+      personas.set(uid, new Map());
+    }
+    return personas.get(uid);
+  }
+
+  return {
+    async listConversations(uid) {
+      return [...userConversations(uid).values()]
+        .map((record) => ({ ...record.conversation }))
+        .sort((a, b) => b.updatedAt - a.updatedAt);
+    },
+
+    async getConversation(uid, conversationId) {
+      const record = getRecord(uid, conversationId);
+      return record ? { ...record.conversation } : null;
+    },
+
+    async createConversation(uid, { title, personaId = null }) {
+      const now = Date.now();
+      const conversation = { id: randomUUID(), title, personaId, createdAt: now, updatedAt: now };
+      userConversations(uid).set(conversation.id, { conversation, messages: [], attachments: new Map() });
+      return { ...conversation };
+    },
+
+    async updateConversation(uid, conversationId, fields) {
+      const record = getRecord(uid, conversationId);
+      if (!record) return null;
+      Object.assign(record.conversation, fields);
+      return { ...record.conversation };
+    },
+
+    async deleteConversation(uid, conversationId) {
+      return userConversations(uid).delete(conversationId);
+    },
+
+    // Most recent `limit` messages, oldest first; with `before` (a message id) the
+    // `limit` messages before that one
+    async listMessages(uid, conversationId, { limit = 100, before } = {}) {
+      const record = getRecord(uid, conversationId);
+      if (!record) return [];
+      const end = before ? record.messages.findIndex((message) => message.id === before) : record.messages.length;
+      if (end === -1) return [];
+      return record.messages.slice(Math.max(0, end - limit), end).map((message) => ({ ...message }));
+    },
+
+    // Append messages (e.g. a user message and its reply) in one step; the last
+    // one becomes the active branch's leaf
+    async appendMessages(uid, conversationId, messages) {
+      const record = getRecord(uid, conversationId);
+      if (!record) return null;
+
+      const saved = messages.map((message) => ({ id: randomUUID(), ...message }));
+      record.messages.push(...saved);
+      record.conversation.updatedAt = Date.now();
+      record.conversation.activeLeafId = saved[saved.length - 1].id;
+      return saved.map((message) => ({ ...message }));
+    },
+
+    async getMessage(uid, conversationId, messageId) {
+      const message = getRecord(uid, conversationId)?.messages.find((stored) => stored.id === messageId);
+      return message ? { ...message } : null;
+    },
+
+    // Change fields of a message (e.g. pinnedAt); returns the updated message or null
+    async updateMessage(uid, conversationId, messageId, fields) {
+      const message = getRecord(uid, conversationId)?.messages.find((stored) => stored.id === messageId);
+      if (!message) return null;
+      Object.assign(message, fields);
+      return { ...message };
+    },
+
+    // Delete messages, moving their children to new parents (moved: [{ id, parentId }]);
+    // attachmentIds are the files no remaining message uses
+    async deleteMessages(uid, conversationId, messageIds, { moved = [], attachmentIds = [] } = {}) {
+      const record = getRecord(uid, conversationId);
+      if (!record) return false;
+
+      const deleted = new Set(messageIds);
+      const parents = new Map(moved.map(({ id, parentId }) => [id, parentId]));
+      record.messages = record.messages
+        .filter((message) => !deleted.has(message.id))
+        .map((message) => (parents.has(message.id) ? { ...message, parentId: parents.get(message.id) } : message));
+      attachmentIds.forEach((id) => record.attachments.delete(id));
+      return true;
+    },
+
+    async clearMessages(uid, conversationId) {
+      const record = getRecord(uid, conversationId);
+      if (!record) return false;
+      record.messages = [];
+      record.attachments.clear();
+      record.conversation.summary = null;
+      record.conversation.activeLeafId = null;
+      return true;
+    },
+
+    // Save an uploaded file ({ name, mimeType, size, data }); returns its metadata
+    async saveAttachment(uid, conversationId, { name, mimeType, size, data }) {
+      const record = getRecord(uid, conversationId);
+      if (!record) return null;
+
+      const attachment = { id: randomUUID(), name, mimeType, size };
+      record.attachments.set(attachment.id, { ...attachment, data: Buffer.from(data) });
+      return attachment;
+    },
+
+    // Metadata plus contents ({ ..., data: Buffer }), or null
+    async getAttachment(uid, conversationId, attachmentId) {
+      const attachment = getRecord(uid, conversationId)?.attachments.get(attachmentId);
+      return attachment ? { ...attachment } : null;
+    },
+
+    async listPersonas(uid) {
+      return [...userPersonas(uid).values()]
+        .map((persona) => ({ ...persona }))
+        .sort((a, b) => a.createdAt - b.createdAt);
+    },
+
+    async getPersona(uid, personaId) {
+      const persona = userPersonas(uid).get(personaId);
+      return persona ? { ...persona } : null;
+    },
+
+    async createPersona(uid, fields) {
+      const persona = { id: randomUUID(), ...fields, createdAt: Date.now() };
+      userPersonas(uid).set(persona.id, persona);
+      return { ...persona };
+    },
+
+    async updatePersona(uid, personaId, fields) {
+      const persona = userPersonas(uid).get(personaId);
+      if (!persona) return null;
+      Object.assign(persona, fields);
+      return { ...persona };
+    },
+
+    async deletePersona(uid, personaId) {
+      return userPersonas(uid).delete(personaId);
+    },
+
+    // Save a shared snapshot (see lib/shares.js) with its messages, oldest first
+    async createShare(uid, share, messages) {
+      const record = { ...share, uid };
+      shares.set(share.id, { share: record, messages: messages.map((message) => ({ ...message })) });
+      return { ...record };
+    },
+
+    // Any user's share by id (for the public page), or null
+    async getShare(shareId) {
+      const record = shares.get(shareId);
+      return record ? { ...record.share } : null;
+    },
+
+    async listShareMessages(shareId) {
+      return (shares.get(shareId)?.messages || []).map((message) => ({ ...message }));
+    },
+
+    // The user's shares, newest first
+    async listShares(uid) {
+      return [...shares.values()]
+        .filter((record) => record.share.uid === uid)
+        .map((record) => ({ ...record.share }))
+        .sort((a, b) => b.createdAt - a.createdAt);
+    },
+
+    async deleteShare(uid, shareId) {
+      if (shares.get(shareId)?.share.uid !== uid) return false;
+      return shares.delete(shareId);
+    },
+
+    // Everything stored for the user: conversations, attachments, personas and shares
+    async deleteUserData(uid) {
+      users.delete(uid);
+      personas.delete(uid);
+      for (const [shareId, record] of shares) {
+        if (record.share.uid === uid) shares.delete(shareId);
+      }
+    },
+  };
+}
@@ -0,0 +1,165 @@
+// calculator: evaluates arithmetic expressions with a small parser (never eval).
+// Supports + - * / % ^, parentheses, unary minus, constants (pi, e) and common functions.
+
+const FUNCTIONS = {
+  sqrt: Math.sqrt,
+  cbrt: Math.cbrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan,
+  asin: Math.asin,
+  acos: Math.acos,
+  atan: Math.atan,
+  ln: Math.log,
+  log: Math.log10,
+  log2: Math.log2,
+  exp: Math.exp,
+  min: Math.min,
+  max: Math.max,
+};
+
+const CONSTANTS = { pi: Math.PI, e: Math.E };
+
+const MAX_EXPRESSION_LENGTH = 500;
+
+function tokenizeExpression(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_][a-z0-9_]*)|(\*\*|[-+*/%^(),]))/giy;
+  const source = expression.trimEnd();
+  let index = 0;
+  while (index < source.length) {
+    pattern.lastIndex = index;
+    const match = pattern.exec(source);
+    if (!match) {
+      throw new Error(`Unexpected character at position ${source.slice(index).search(/\S/) + index + 1}`);
+    }
+    if (match[1] !== undefined) tokens.push({ type: "number", value: Number(match[1]) });
+    else if (match[2] !== undefined) tokens.push({ type: "name", value: match[2].toLowerCase() });
+    else tokens.push({ type: "operator", value: match[3] === "**" ? "^" : match[3] });
+    index = pattern.lastIndex;
+  }
+  return tokens;
+}
+
+// Recursive descent: expression -> term (+|- term)*, term -> unary (*|/|% unary)*,
+// unary -> -unary | +unary | power, power -> primary (^ unary)?
+export function evaluateExpression(expression) {
+  if (expression.length > MAX_EXPRESSION_LENGTH) {
+    throw new Error(`Expressions can be at most ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+  const tokens = tokenizeExpression(expression);
+  let position = 0;
+
+  const peek = () => tokens[position];
+  const isOperator = (value) => peek()?.type === "operator" && peek().value === value;
+  function expect(value) {
+    if (!isOperator(value)) throw new Error(`Expected "${value}"`);
+    position++;
+  }
+
+  function parseExpression() {
+    let value = parseTerm();
+    while (isOperator("+") || isOperator("-")) {
+      const operator = tokens[position++].value;
+      const right = parseTerm();
+      value = operator === "+" ? value + right : value - right;
+    }
+    return value;
+  }
+
+  function parseTerm() {
+    let value = parseUnary();
+    while (isOperator("*") || isOperator("/") || isOperator("%")) {
+      const operator = tokens[position++].value;
+      const right = parseUnary();
+      value = operator === "*" ? value * right : operator === "/" ? value / right : value % right;
+    }
+    return value;
+  }
+
+  // A sign applies to the whole power, as in math: -2^2 is -(2^2)
+  function parseUnary() {
+    if (isOperator("-")) {
+      position++;
+      return -parseUnary();
+    }
+    if (isOperator("+")) {
+      position++;
+      return parseUnary();
+    }
+    return parsePower();
+  }
+
+  // The exponent may carry its own sign (2^-1) and is itself a power (right-associative)
+  function parsePower() {
+    const base = parsePrimary();
+    if (isOperator("^")) {
+      position++;
+      return base ** parseUnary();
+    }
+    return base;
+  }
+
+  function parsePrimary() {
+    const token = tokens[position++];
+    if (!token) throw new Error("Unexpected end of expression");
+
+    if (token.type === "number") return token.value;
+    if (token.type === "operator" && token.value === "(") {
+      const value = parseExpression();
+      expect(")");
+      return value;
+    }
+    if (token.type === "name") {
+      if (Object.hasOwn(CONSTANTS, token.value)) return CONSTANTS[token.value];
+      if (!Object.hasOwn(FUNCTIONS, token.value)) throw new Error(`Unknown name "${token.value}"`);
+
+      expect("(");
+      const args = [parseExpression()];
+      while (isOperator(",")) {
+        position++;
+        args.push(parseExpression());
+      }
+      expect(")");
+      return FUNCTIONS[token.value](...args);
+    }
+    throw new Error(`Unexpected "${token.value}"`);
+  }
+
+  const value = parseExpression();
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position].value}"`);
+  }
+  return value;
+}
+
+export function createCalculatorTool() {
+  return {
+    name: "calculator",
+    description: "Evaluate an arithmetic expression exactly instead of doing math in your head. " +
+      "Supports + - * / % ^ (power), parentheses, pi, e and the functions " +
+      `${Object.keys(FUNCTIONS).join(", ")} (trigonometry in radians, log is base 10, ln is natural).`,
+    parameters: {
+      type: "object",
+      properties: {
+        expression: { type: "string", description: "The expression, e.g. \"(1.07^10 - 1) * 2500\"" },
+      },
+      required: ["expression"],
+    },
+
+    async run({ expression }) {
+      if (typeof expression !== "string" || !expression.trim()) {
+        throw new Error("expression is required");
+      }
+      const value = evaluateExpression(expression);
+      if (!Number.isFinite(value)) {
+        throw new Error("The result is not a finite number");
+      }
+      return { expression, value };
+    },
+  };
+}
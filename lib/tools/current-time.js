@@ -0,0 +1,45 @@
+// current_time: the current date and time, optionally in a given IANA time zone.
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function createCurrentTimeTool({ now = () => new Date() } = {}) {
+  return {
+    name: "current_time",
+    description: "Get the current date and time. Use it whenever the answer depends on today's date, " +
+      "the day of the week or the time somewhere.",
+    parameters: {
+      type: "object",
+      properties: {
+        timeZone: {
+          type: "string",
+          description: "IANA time zone such as \"Europe/Berlin\" or \"America/New_York\"; defaults to UTC",
+        },
+      },
+    },
+
+    async run({ timeZone = "UTC" } = {}) {
+      if (typeof timeZone !== "string" || !isValidTimeZone(timeZone)) {
+        throw new Error(`Unknown time zone "${timeZone}"`);
+      }
+
+      const date = now();
+      return {
+        iso: date.toISOString(),
+        timeZone,
+        local: new Intl.DateTimeFormat("en-US", {
+          timeZone,
+          dateStyle: "full",
+          timeStyle: "long",
+        }).format(date),
+        unixMs: date.getTime(),
+      };
+    },
+  };
+}
@@ -0,0 +1,183 @@
+// fetch_url: downloads a public web page and returns its text. Disabled unless
+// listed in TOOLS. Requests go out from the server, so addresses on private,
+// loopback and link-local networks are refused; the check happens when the
+// connection is made, which also covers redirects and DNS rebinding.
+import http from "node:http";
+import https from "node:https";
+import dns from "node:dns";
+import net from "node:net";
+
+const MAX_REDIRECTS = 3;
+const TIMEOUT_MS = 10000;
+const MAX_DOWNLOAD_BYTES = 1024 * 1024;
+const MAX_TEXT_LENGTH = 20000;
+
+const TEXT_TYPES = /^(text\/|application\/(json|xml|xhtml\+xml|rss\+xml|atom\+xml)\b)/;
+
+// IPv4 ranges that aren't on the public internet: [network, prefix length]
+const BLOCKED_IPV4 = [
+  ["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3],
+];
+
+function ipv4ToNumber(address) {
+  return address.split(".").reduce((value, part) => value * 256 + Number(part), 0);
+}
+
+export function isPublicAddress(address) {
+  if (net.isIPv4(address)) {
+    const value = ipv4ToNumber(address);
+    return !BLOCKED_IPV4.some(([network, bits]) => {
+      const size = 2 ** (32 - bits);
+      const start = ipv4ToNumber(network);
+      return value >= start && value < start + size;
+    });
+  }
+  if (net.isIPv6(address)) {
+    const lower = address.toLowerCase();
+    // IPv4-mapped addresses, dotted (::ffff:10.0.0.1) or in hex (::ffff:a00:1)
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/.exec(lower);
+    if (mapped) return isPublicAddress(mapped[1]);
+    const mappedHex = /^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/.exec(lower);
+    if (mappedHex) {
+      const [high, low] = [parseInt(mappedHex[1], 16), parseInt(mappedHex[2], 16)];
+      return isPublicAddress(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+    }
+    // Loopback, unspecified, link-local (fe80::/10), unique local (fc00::/7) and multicast
+    return !(lower === "::1" || lower === "::" || /^fe[89ab]/.test(lower) || /^f[cd]/.test(lower) || lower.startsWith("ff"));
+  }
+  return false;
+}
+
+// dns.lookup replacement for http(s).request that refuses non-public addresses
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+    const blocked = addresses.find(({ address }) => !isPublicAddress(address));
+    if (blocked) {
+      return callback(new Error(`${hostname} resolves to a private address`));
+    }
+    if (options.all) return callback(null, addresses);
+    callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+function get(url) {
+  return new Promise((resolve, reject) => {
+    const client = url.protocol === "https:" ? https : http;
+    const request = client.get(url, {
+      lookup: publicLookup,
+      timeout: TIMEOUT_MS,
+      headers: { "User-Agent": "FlashBott/1.0 (fetch_url tool)", Accept: "text/html,text/plain,application/json;q=0.9,*/*;q=0.5" },
+    }, resolve);
+    request.on("timeout", () => request.destroy(new Error("The request timed out")));
+    request.on("error", reject);
+  });
+}
+
+async function readBody(response) {
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of response) {
+    size += chunk.length;
+    if (size > MAX_DOWNLOAD_BYTES) {
+      response.destroy();
+      chunks.push(chunk.subarray(0, chunk.length - (size - MAX_DOWNLOAD_BYTES)));
+      return { body: Buffer.concat(chunks), truncated: true };
+    }
+    chunks.push(chunk);
+  }
+  return { body: Buffer.concat(chunks), truncated: false };
+}
+
+const ENTITIES = { amp: "&", lt: "<", gt: ">", quot: "\"", apos: "'", nbsp: " " };
+
+function decodeEntities(text) {
+  return text.replace(/&(#x?[0-9a-f]+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] === "#") {
+      const code = name[1].toLowerCase() === "x" ? parseInt(name.slice(2), 16) : parseInt(name.slice(1), 10);
+      return Number.isFinite(code) && code <= 0x10ffff ? String.fromCodePoint(code) : entity;
+    }
+    return ENTITIES[name.toLowerCase()] ?? entity;
+  });
+}
+
+// Readable text of an HTML page: scripts, styles and tags removed
+export function htmlToText(html) {
+  return decodeEntities(html
+    .replace(/<(script|style|noscript|svg|template)\b[\s\S]*?<\/\1\s*>/gi, " ")
+    .replace(/<!--[\s\S]*?-->/g, " ")
+    .replace(/<(br|\/p|\/div|\/li|\/h[1-6]|\/tr)\b[^>]*>/gi, "\n")
+    .replace(/<[^>]+>/g, " "))
+    .replace(/[ \t\f\v]+/g, " ")
+    .replace(/\s*\n\s*/g, "\n")
+    .trim();
+}
+
+export function createFetchUrlTool() {
+  return {
+    name: "fetch_url",
+    description: "Download a public web page (http or https) and read its text. " +
+      "Use it when the user shares a link or asks about a page's current content.",
+    parameters: {
+      type: "object",
+      properties: {
+        url: { type: "string", description: "Absolute URL, e.g. \"https://example.com/article\"" },
+      },
+      required: ["url"],
+    },
+
+    async run({ url }) {
+      let target;
+      try {
+        target = new URL(url);
+      } catch {
+        throw new Error("url must be an absolute URL");
+      }
+
+      for (let redirects = 0; ; redirects++) {
+        if (target.protocol !== "http:" && target.protocol !== "https:") {
+          throw new Error("Only http and https URLs can be fetched");
+        }
+        if (target.username || target.password) {
+          throw new Error("URLs with credentials can't be fetched");
+        }
+        // IP literals are connected to directly, without a lookup
+        const host = target.hostname.replace(/^\[|\]$/g, "");
+        if (net.isIP(host) && !isPublicAddress(host)) {
+          throw new Error(`${host} is a private address`);
+        }
+
+        const response = await get(target);
+        const { statusCode, headers } = response;
+        if (statusCode >= 300 && statusCode < 400 && headers.location) {
+          response.resume();
+          if (redirects >= MAX_REDIRECTS) throw new Error("Too many redirects");
+          target = new URL(headers.location, target);
+          continue;
+        }
+
+        const contentType = String(headers["content-type"] || "").toLowerCase();
+        if (!TEXT_TYPES.test(contentType)) {
+          response.resume();
+          throw new Error(`Can't read ${contentType || "this kind of"} content`);
+        }
+
+        const { body, truncated: downloadTruncated } = await readBody(response);
+        const raw = body.toString("utf8");
+        const isHtml = contentType.includes("html");
+        const title = isHtml ? decodeEntities(/<title[^>]*>([\s\S]*?)<\/title>/i.exec(raw)?.[1] || "").trim() : "";
+        const text = isHtml ? htmlToText(raw) : raw;
+
+        return {
+          url: target.href,
+          status: statusCode,
+          contentType,
+          ...(title && { title }),
+          text: text.slice(0, MAX_TEXT_LENGTH),
+          truncated: downloadTruncated || text.length > MAX_TEXT_LENGTH,
+        };
+      }
+    },
+  };
+}
@@ -0,0 +1,67 @@
+// Tools the model can call while answering (function calling). Every tool has
+//   name, description, parameters (a JSON schema subset: type, description,
+//   properties, required, enum) and run(args) -> a JSON-serializable result.
+// TOOLS lists the enabled ones (default: calculator, current_time, convert_units);
+// fetch_url makes requests from the server and has to be listed explicitly.
+// TOOLS=none turns function calling off.
+import { createCalculatorTool } from "./calculator.js";
+import { createCurrentTimeTool } from "./current-time.js";
+import { createUnitConverterTool } from "./unit-converter.js";
+import { createFetchUrlTool } from "./fetch-url.js";
+
+const BUILT_IN_TOOLS = {
+  calculator: createCalculatorTool,
+  current_time: createCurrentTimeTool,
+  convert_units: createUnitConverterTool,
+  fetch_url: createFetchUrlTool,
+};
+
+export const DEFAULT_TOOLS = ["calculator", "current_time", "convert_units"];
+
+const TOOL_TIMEOUT_MS = 15000;
+
+// Tool names from TOOLS ("none" or empty for no tools)
+export function configuredToolNames(env = process.env) {
+  if (env.TOOLS === undefined) return DEFAULT_TOOLS;
+  const names = env.TOOLS.split(",").map((name) => name.trim()).filter(Boolean);
+  return names.length === 1 && names[0] === "none" ? [] : names;
+}
+
+export function createToolRegistry(names = configuredToolNames()) {
+  const unknown = names.filter((name) => !Object.hasOwn(BUILT_IN_TOOLS, name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown tool "${unknown[0]}" in TOOLS (expected: ${Object.keys(BUILT_IN_TOOLS).join(", ")}, or none)`);
+  }
+
+  const tools = new Map(names.map((name) => [name, BUILT_IN_TOOLS[name]()]));
+
+  return {
+    names: [...tools.keys()],
+
+    // Declarations sent to the model ({ name, description, parameters })
+    declarations() {
+      return [...tools.values()].map(({ name, description, parameters }) => ({ name, description, parameters }));
+    },
+
+    // Run a tool the model asked for. Failures are returned as { error } so the
+    // model can see them and recover; this never throws.
+    async call(name, args) {
+      const tool = tools.get(name);
+      if (!tool) {
+        return { error: `Unknown tool "${name}"` };
+      }
+
+      let timer;
+      try {
+        const timeout = new Promise((resolve, reject) => {
+          timer = setTimeout(() => reject(new Error("The tool timed out")), TOOL_TIMEOUT_MS);
+        });
+        return { result: await Promise.race([tool.run(args || {}), timeout]) };
+      } catch (err) {
+        return { error: err.message || "The tool failed" };
+      } finally {
+        clearTimeout(timer);
+      }
+    },
+  };
+}
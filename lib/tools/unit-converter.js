@@ -0,0 +1,112 @@
+// convert_units: converts a value between units of the same kind (length, mass,
+// volume, area, speed, time, data, temperature).
+
+// Factors to each kind's base unit (meter, kilogram, liter, square meter, m/s, second, byte)
+const UNITS = {
+  length: {
+    mm: 0.001, cm: 0.01, m: 1, km: 1000,
+    in: 0.0254, ft: 0.3048, yd: 0.9144, mi: 1609.344, nmi: 1852,
+  },
+  mass: {
+    mg: 1e-6, g: 0.001, kg: 1, t: 1000,
+    oz: 0.028349523125, lb: 0.45359237, st: 6.35029318,
+  },
+  volume: {
+    ml: 0.001, cl: 0.01, dl: 0.1, l: 1, m3: 1000,
+    tsp: 0.00492892159375, tbsp: 0.01478676478125, floz: 0.0295735295625,
+    cup: 0.2365882365, pt: 0.473176473, qt: 0.946352946, gal: 3.785411784,
+  },
+  area: {
+    mm2: 1e-6, cm2: 1e-4, m2: 1, ha: 10000, km2: 1e6,
+    in2: 0.00064516, ft2: 0.09290304, yd2: 0.83612736, acre: 4046.8564224, mi2: 2589988.110336,
+  },
+  speed: {
+    "m/s": 1, "km/h": 1 / 3.6, mph: 0.44704, knot: 1852 / 3600, "ft/s": 0.3048,
+  },
+  time: {
+    ms: 0.001, s: 1, min: 60, h: 3600, day: 86400, week: 604800, year: 31557600,
+  },
+  data: {
+    b: 1, kb: 1000, mb: 1e6, gb: 1e9, tb: 1e12,
+    kib: 1024, mib: 1024 ** 2, gib: 1024 ** 3, tib: 1024 ** 4,
+  },
+};
+
+// Other spellings of the unit names above
+const ALIASES = {
+  meter: "m", meters: "m", metre: "m", metres: "m", kilometer: "km", kilometers: "km",
+  centimeter: "cm", centimeters: "cm", millimeter: "mm", millimeters: "mm",
+  inch: "in", inches: "in", foot: "ft", feet: "ft", yard: "yd", yards: "yd", mile: "mi", miles: "mi",
+  gram: "g", grams: "g", kilogram: "kg", kilograms: "kg", tonne: "t", tonnes: "t",
+  ounce: "oz", ounces: "oz", pound: "lb", pounds: "lb", lbs: "lb", stone: "st",
+  liter: "l", liters: "l", litre: "l", litres: "l", milliliter: "ml", milliliters: "ml",
+  gallon: "gal", gallons: "gal", quart: "qt", quarts: "qt", pint: "pt", pints: "pt", cups: "cup",
+  "fl oz": "floz", "fl_oz": "floz",
+  kph: "km/h", kmh: "km/h", knots: "knot", kn: "knot", mps: "m/s",
+  sec: "s", second: "s", seconds: "s", minute: "min", minutes: "min", hour: "h", hours: "h", hr: "h",
+  days: "day", weeks: "week", years: "year",
+  byte: "b", bytes: "b", kilobyte: "kb", megabyte: "mb", gigabyte: "gb", terabyte: "tb",
+  celsius: "c", "°c": "c", fahrenheit: "f", "°f": "f", kelvin: "k",
+};
+
+// Temperatures aren't proportional, so they convert through Celsius
+const TEMPERATURE = {
+  c: { toC: (v) => v, fromC: (v) => v },
+  f: { toC: (v) => (v - 32) * 5 / 9, fromC: (v) => v * 9 / 5 + 32 },
+  k: { toC: (v) => v - 273.15, fromC: (v) => v + 273.15 },
+};
+
+function normalizeUnit(unit) {
+  const name = String(unit).trim().toLowerCase();
+  return ALIASES[name] || name;
+}
+
+function kindOf(unit) {
+  if (Object.hasOwn(TEMPERATURE, unit)) return "temperature";
+  return Object.keys(UNITS).find((kind) => Object.hasOwn(UNITS[kind], unit)) || null;
+}
+
+export function convertUnits(value, from, to) {
+  const fromUnit = normalizeUnit(from);
+  const toUnit = normalizeUnit(to);
+  const fromKind = kindOf(fromUnit);
+  const toKind = kindOf(toUnit);
+  if (!fromKind) throw new Error(`Unknown unit "${from}"`);
+  if (!toKind) throw new Error(`Unknown unit "${to}"`);
+  if (fromKind !== toKind) throw new Error(`Can't convert ${fromKind} (${from}) to ${toKind} (${to})`);
+
+  if (fromKind === "temperature") {
+    return TEMPERATURE[toUnit].fromC(TEMPERATURE[fromUnit].toC(value));
+  }
+  return value * UNITS[fromKind][fromUnit] / UNITS[toKind][toUnit];
+}
+
+export function createUnitConverterTool() {
+  return {
+    name: "convert_units",
+    description: "Convert a value between units of the same kind. Units: " +
+      Object.entries(UNITS).map(([kind, units]) => `${kind} (${Object.keys(units).join(", ")})`).join("; ") +
+      "; temperature (c, f, k).",
+    parameters: {
+      type: "object",
+      properties: {
+        value: { type: "number", description: "The amount to convert" },
+        from: { type: "string", description: "Unit of the value, e.g. \"mi\"" },
+        to: { type: "string", description: "Unit to convert to, e.g. \"km\"" },
+      },
+      required: ["value", "from", "to"],
+    },
+
+    async run({ value, from, to }) {
+      if (typeof value !== "number" || !Number.isFinite(value)) {
+        throw new Error("value must be a number");
+      }
+      if (typeof from !== "string" || typeof to !== "string") {
+        throw new Error("from and to are required");
+      }
+      // Rounded to 10 significant digits to hide floating point noise
+      const result = Number(convertUnits(value, from, to).toPrecision(10));
+      return { value, from, to, result };
+    },
+  };
+}
@@ -0,0 +1,63 @@
+// Usage dashboard routes, mounted at /api/admin/usage behind requireAuth and requireAdmin.
+// GET / summarizes the last ?days= days (default 7): totals, per-user and per-model
+// usage with estimated cost, and a timeline (hourly up to 2 days, daily beyond).
+// GET /export.csv downloads the raw records of the same period.
+import express from "express";
+import { summarizeUsage, usageCsv } from "./usage/report.js";
+import { ApiError, sendError } from "./errors.js";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const DEFAULT_DAYS = 7;
+
+export function createUsageRouter({ usageLog, pricing, now = Date.now }) {
+  const router = express.Router();
+
+  // The requested period, or null (after responding 400) if ?days= is invalid
+  function period(req, res) {
+    const days = req.query.days === undefined ? DEFAULT_DAYS : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > usageLog.retentionDays) {
+      sendError(res, new ApiError("bad_request", `days must be a whole number from 1 to ${usageLog.retentionDays}`));
+      return null;
+    }
+    const to = now();
+    return { days, from: to - days * DAY_MS, to };
+  }
+
+  router.get("/", async (req, res) => {
+    const range = period(req, res);
+    if (!range) return;
+
+    try {
+      const records = await usageLog.query(range);
+      res.json({
+        days: range.days,
+        log: usageLog.kind,
+        retentionDays: usageLog.retentionDays,
+        ...summarizeUsage(records, { ...range, bucketMs: range.days <= 2 ? HOUR_MS : DAY_MS, pricing }),
+      });
+    } catch (err) {
+      res.locals.log.error("Error loading usage", err);
+      sendError(res, new ApiError("internal", "Could not load usage"));
+    }
+  });
+
+  router.get("/export.csv", async (req, res) => {
+    const range = period(req, res);
+    if (!range) return;
+
+    try {
+      const records = await usageLog.query(range);
+      res.set({
+        "Content-Type": "text/csv; charset=utf-8",
+        "Content-Disposition": `attachment; filename="usage-${new Date(range.to).toISOString().slice(0, 10)}-${range.days}d.csv"`,
+      });
+      res.send(usageCsv(records, { pricing }));
+    } catch (err) {
+      res.locals.log.error("Error exporting usage", err);
+      sendError(res, new ApiError("internal", "Could not export usage"));
+    }
+  });
+
+  return router;
+}
@@ -0,0 +1,54 @@
+// Estimated model costs, in US dollars per million tokens. MODEL_PRICES adds or
+// overrides prices as JSON: {"my-model": {"input": 0.5, "output": 1.5}}. A model
+// takes the price of the longest name it starts with, so dated or preview
+// versions ("gemini-2.5-flash-preview-05-20") are priced like their family;
+// models without a price are reported as unpriced rather than free.
+const DEFAULT_PRICES = {
+  "gemini-2.5-pro": { input: 1.25, output: 10 },
+  "gemini-2.5-flash": { input: 0.3, output: 2.5 },
+  "gemini-2.5-flash-lite": { input: 0.1, output: 0.4 },
+  "gemini-2.0-flash": { input: 0.1, output: 0.4 },
+  "gemini-2.0-flash-lite": { input: 0.075, output: 0.3 },
+  "gemini-pro-latest": { input: 1.25, output: 10 },
+  "gemini-flash-latest": { input: 0.3, output: 2.5 },
+  "gemini-flash-lite-latest": { input: 0.1, output: 0.4 },
+  "mock-": { input: 0, output: 0 },
+};
+
+function parsePrices(value) {
+  if (!value) return {};
+  let prices;
+  try {
+    prices = JSON.parse(value);
+  } catch {
+    throw new Error("MODEL_PRICES must be JSON, like {\"my-model\": {\"input\": 0.5, \"output\": 1.5}}");
+  }
+  for (const [model, price] of Object.entries(prices)) {
+    if (!(price?.input >= 0) || !(price?.output >= 0)) {
+      throw new Error(`MODEL_PRICES for "${model}" needs non-negative input and output prices`);
+    }
+  }
+  return prices;
+}
+
+export function createPricing(value = process.env.MODEL_PRICES) {
+  const prices = { ...DEFAULT_PRICES, ...parsePrices(value) };
+  const names = Object.keys(prices).sort((a, b) => b.length - a.length);
+
+  function priceOf(model) {
+    const name = model && names.find((prefix) => model.startsWith(prefix));
+    return name ? prices[name] : null;
+  }
+
+  return {
+    prices,
+    priceOf,
+
+    // Dollars for the tokens of a record, or null if its model has no price
+    costOf({ model, promptTokens = 0, outputTokens = 0 }) {
+      if (!promptTokens && !outputTokens) return 0;
+      const price = priceOf(model);
+      return price ? (promptTokens * price.input + outputTokens * price.output) / 1e6 : null;
+    },
+  };
+}
@@ -0,0 +1,135 @@
+// Usage reports for the admin dashboard: totals per user, per model and per time
+// bucket, with estimated cost, error rates and latency percentiles, plus a CSV of
+// the raw records. Latency counts successful requests only, so fast failures (like
+// rate limit rejections) don't flatter it.
+
+function newGroup() {
+  return {
+    requests: 0,
+    errors: 0,
+    cancelled: 0,
+    promptTokens: 0,
+    outputTokens: 0,
+    cost: 0,
+    unpricedRequests: 0,
+    retries: 0,
+    fallbacks: 0,
+    latencies: [],
+    errorCodes: {},
+  };
+}
+
+function addRecord(group, record, cost) {
+  group.requests++;
+  group.promptTokens += record.promptTokens || 0;
+  group.outputTokens += record.outputTokens || 0;
+  group.retries += record.retries || 0;
+  group.fallbacks += record.fallbacks || 0;
+  if (cost === null) {
+    group.unpricedRequests++;
+  } else {
+    group.cost += cost;
+  }
+  if (record.error) {
+    group.errors++;
+    group.errorCodes[record.error] = (group.errorCodes[record.error] || 0) + 1;
+  } else if (record.cancelled) {
+    group.cancelled++;
+  } else {
+    group.latencies.push(record.latencyMs);
+  }
+}
+
+// Nearest-rank percentile of sorted values
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function finishGroup({ latencies, ...group }) {
+  const sorted = latencies.sort((a, b) => a - b);
+  return {
+    ...group,
+    totalTokens: group.promptTokens + group.outputTokens,
+    errorRate: group.requests > 0 ? group.errors / group.requests : 0,
+    p50LatencyMs: percentile(sorted, 50),
+    p95LatencyMs: percentile(sorted, 95),
+  };
+}
+
+function groupBy(records, costs, keyOf, fieldsOf) {
+  const groups = new Map();
+  records.forEach((record, i) => {
+    const key = keyOf(record);
+    if (!groups.has(key)) groups.set(key, { fields: fieldsOf(record), group: newGroup() });
+    const entry = groups.get(key);
+    Object.assign(entry.fields, fieldsOf(record)); // the latest email wins
+    addRecord(entry.group, record, costs[i]);
+  });
+  return [...groups.values()].map(({ fields, group }) => ({ ...fields, ...finishGroup(group) }));
+}
+
+// records: usage log records, oldest first. bucketMs sets the timeline's resolution;
+// every bucket between from and to is listed, empty ones included.
+export function summarizeUsage(records, { from, to, bucketMs, pricing }) {
+  const costs = records.map((record) => pricing.costOf(record));
+  const byCost = (a, b) => b.cost - a.cost || b.requests - a.requests;
+
+  const totals = newGroup();
+  records.forEach((record, i) => addRecord(totals, record, costs[i]));
+
+  const start = Math.floor(from / bucketMs) * bucketMs;
+  const buckets = [];
+  for (let time = start; time < to; time += bucketMs) {
+    buckets.push(newGroup());
+  }
+  records.forEach((record, i) => {
+    const bucket = buckets[Math.floor((record.at - start) / bucketMs)];
+    if (bucket) addRecord(bucket, record, costs[i]);
+  });
+
+  return {
+    from: new Date(from).toISOString(),
+    to: new Date(to).toISOString(),
+    bucketMs,
+    totals: finishGroup(totals),
+    users: groupBy(records, costs, (record) => record.uid, (record) => ({ uid: record.uid, email: record.email || null })).sort(byCost),
+    models: groupBy(records, costs, (record) => record.model || "", (record) => ({ model: record.model || null })).sort(byCost),
+    timeline: buckets.map((bucket, i) => ({ start: new Date(start + i * bucketMs).toISOString(), ...finishGroup(bucket) })),
+  };
+}
+
+const CSV_COLUMNS = [
+  ["time", (record) => new Date(record.at).toISOString()],
+  ["request_id", (record) => record.requestId],
+  ["uid", (record) => record.uid],
+  ["email", (record) => record.email],
+  ["kind", (record) => record.kind],
+  ["model", (record) => record.model],
+  ["prompt_tokens", (record) => record.promptTokens],
+  ["output_tokens", (record) => record.outputTokens],
+  ["cost_usd", (record, cost) => cost === null ? "" : cost.toFixed(6)],
+  ["latency_ms", (record) => record.latencyMs],
+  ["model_calls", (record) => record.modelCalls],
+  ["retries", (record) => record.retries],
+  ["fallbacks", (record) => record.fallbacks],
+  ["status", (record) => record.status],
+  ["error", (record) => record.error],
+  ["cancelled", (record) => record.cancelled],
+];
+
+// Quoted when needed; text that a spreadsheet would run as a formula is prefixed with '
+function csvCell(value) {
+  let text = value === null || value === undefined ? "" : String(value);
+  if (typeof value === "string" && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function usageCsv(records, { pricing }) {
+  const lines = [CSV_COLUMNS.map(([name]) => name).join(",")];
+  for (const record of records) {
+    const cost = pricing.costOf(record);
+    lines.push(CSV_COLUMNS.map(([, valueOf]) => csvCell(valueOf(record, cost))).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
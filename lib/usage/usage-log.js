@@ -0,0 +1,140 @@
+// Usage log: one record per model request (chat replies, regenerations,
+// continuations, titles) for the admin usage dashboard. USAGE_LOG picks where
+// records live:
+//   file:   JSON Lines under USAGE_LOG_DIR (default ./data/usage), one file per UTC day,
+//           deleted after USAGE_RETENTION_DAYS (default 90)
+//   memory: in the process only, lost on restart
+//   off:    not recorded
+// Records are { at, requestId, uid, email, kind, model, promptTokens, outputTokens,
+// latencyMs, modelCalls, retries, fallbacks, status, error, cancelled }.
+import fs from "node:fs/promises";
+import path from "node:path";
+import { logger } from "../logger.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})\.jsonl$/;
+
+function dayOf(time) {
+  return new Date(time).toISOString().slice(0, 10);
+}
+
+export function createUsageLog({
+  kind = process.env.USAGE_LOG || "file",
+  dir = process.env.USAGE_LOG_DIR || "./data/usage",
+  retentionDays = Number(process.env.USAGE_RETENTION_DAYS) || 90,
+  now = Date.now,
+} = {}) {
+  if (!["file", "memory", "off"].includes(kind)) {
+    throw new Error(`Unknown USAGE_LOG "${kind}" (expected file, memory or off)`);
+  }
+
+  const records = []; // memory only
+  let writes = Promise.resolve(); // appends run one at a time so lines never interleave
+
+  function oldestKept() {
+    return now() - retentionDays * DAY_MS;
+  }
+
+  async function readDay(day) {
+    try {
+      const text = await fs.readFile(path.join(dir, `${day}.jsonl`), "utf8");
+      return text.split("\n").filter(Boolean).flatMap((line) => {
+        try {
+          return [JSON.parse(line)];
+        } catch {
+          return []; // a line cut short by a crash
+        }
+      });
+    } catch (err) {
+      if (err.code === "ENOENT") return [];
+      throw err;
+    }
+  }
+
+  return {
+    kind,
+    retentionDays,
+
+    // Failures are logged, never thrown: usage tracking must not break a request
+    record(entry) {
+      if (kind === "off") return Promise.resolve();
+      if (kind === "memory") {
+        records.push(entry);
+        while (records.length > 0 && records[0].at < oldestKept()) records.shift();
+        return Promise.resolve();
+      }
+      writes = writes.then(async () => {
+        await fs.mkdir(dir, { recursive: true });
+        await fs.appendFile(path.join(dir, `${dayOf(entry.at)}.jsonl`), `${JSON.stringify(entry)}\n`);
+      }).catch((err) => logger.warn("Usage log write failed", err));
+      return writes;
+    },
+
+    // Records with from <= at <= to, oldest first
+    async query({ from, to = now() }) {
+      if (kind === "memory") {
+        return records.filter((record) => record.at >= from && record.at <= to);
+      }
+      if (kind === "off") return [];
+
+      const days = [];
+      for (let time = Date.parse(dayOf(from)); time <= to; time += DAY_MS) {
+        days.push(dayOf(time));
+      }
+      const results = [];
+      for (const day of days) {
+        results.push(...(await readDay(day)).filter((record) => record.at >= from && record.at <= to));
+      }
+      return results.sort((a, b) => a.at - b.at);
+    },
+
+    // Remove a deleted user's identity from their records. The records stay, under the
+    // uid "deleted", so totals and costs don't change. File logs are rewritten day by day.
+    async forgetUser(uid) {
+      const anonymize = (record) => (record.uid === uid ? { ...record, uid: "deleted", email: null } : record);
+      if (kind === "memory") {
+        records.splice(0, records.length, ...records.map(anonymize));
+        return;
+      }
+      if (kind === "off") return;
+
+      // Queued behind pending appends; a failure is the caller's, not the next append's
+      const rewrite = writes.then(async () => {
+        let names;
+        try {
+          names = await fs.readdir(dir);
+        } catch (err) {
+          if (err.code === "ENOENT") return;
+          throw err;
+        }
+        for (const name of names.filter((file) => FILE_PATTERN.test(file))) {
+          const day = FILE_PATTERN.exec(name)[1];
+          const dayRecords = await readDay(day);
+          if (!dayRecords.some((record) => record.uid === uid)) continue;
+          const file = path.join(dir, name);
+          const temporary = `${file}.tmp`;
+          await fs.writeFile(temporary, dayRecords.map((record) => `${JSON.stringify(anonymize(record))}\n`).join(""));
+          await fs.rename(temporary, file);
+        }
+      });
+      writes = rewrite.catch(() => {});
+      return rewrite;
+    },
+
+    // Delete day files older than the retention period
+    async prune() {
+      if (kind !== "file") return;
+      const cutoff = dayOf(oldestKept());
+      let names;
+      try {
+        names = await fs.readdir(dir);
+      } catch (err) {
+        if (err.code === "ENOENT") return;
+        throw err;
+      }
+      await Promise.all(names
+        .filter((name) => FILE_PATTERN.exec(name)?.[1] < cutoff)
+        .map((name) => fs.unlink(path.join(dir, name)).catch(() => {})));
+    },
+  };
+}
@@ -0,0 +1,202 @@
+// Usage dashboard for admins: totals, a timeline, and per-model and per-user
+// tables from /api/admin/usage. Sign-in happens on the chat page; Firebase keeps
+// the session for this page too.
+import { firebaseConfig, authEmulatorUrl } from "/firebase-config.js";
+
+import { initializeApp } from "https://www.gstatic.com/firebasejs/11.0.0/firebase-app.js";
+import { getAuth, connectAuthEmulator, onAuthStateChanged } from "https://www.gstatic.com/firebasejs/11.0.0/firebase-auth.js";
+
+const app = initializeApp(firebaseConfig);
+const auth = getAuth(app);
+
+if (authEmulatorUrl) {
+  connectAuthEmulator(auth, authEmulatorUrl);
+}
+
+const userInfoEl = document.getElementById("user-info");
+const daysSelect = document.getElementById("days-select");
+const refreshBtn = document.getElementById("refresh-btn");
+const exportBtn = document.getElementById("export-btn");
+const contentEl = document.getElementById("usage-content");
+const totalsEl = document.getElementById("usage-totals");
+const chartEl = document.getElementById("usage-chart");
+const timelineTable = document.getElementById("timeline-table");
+const modelsTable = document.getElementById("models-table");
+const usersTable = document.getElementById("users-table");
+const statusEl = document.getElementById("status");
+
+let currentUser = null;
+
+// --- Formatting ---
+const numberFormat = new Intl.NumberFormat();
+
+function formatCost(group) {
+  const cost = `$${group.cost.toFixed(group.cost < 1 ? 4 : 2)}`;
+  return group.unpricedRequests > 0 ? `${cost} + ${group.unpricedRequests} unpriced` : cost;
+}
+
+function formatLatency(ms) {
+  if (ms === null) return "—";
+  return ms < 1000 ? `${ms} ms` : `${(ms / 1000).toFixed(1)} s`;
+}
+
+function formatRate(rate) {
+  return `${(rate * 100).toFixed(1)}%`;
+}
+
+function formatBucket(start, bucketMs) {
+  const date = new Date(start);
+  return bucketMs < 24 * 60 * 60 * 1000
+    ? date.toLocaleString([], { month: "short", day: "numeric", hour: "2-digit", minute: "2-digit" })
+    : date.toLocaleDateString([], { month: "short", day: "numeric" });
+}
+
+// --- Rendering ---
+// Columns shared by every table: [heading, value of a group]
+const GROUP_COLUMNS = [
+  ["Requests", (group) => numberFormat.format(group.requests)],
+  ["Errors", (group) => `${numberFormat.format(group.errors)} (${formatRate(group.errorRate)})`],
+  ["Input tokens", (group) => numberFormat.format(group.promptTokens)],
+  ["Output tokens", (group) => numberFormat.format(group.outputTokens)],
+  ["Est. cost", formatCost],
+  ["p50 latency", (group) => formatLatency(group.p50LatencyMs)],
+  ["p95 latency", (group) => formatLatency(group.p95LatencyMs)],
+  ["Retries", (group) => numberFormat.format(group.retries)],
+  ["Fallbacks", (group) => numberFormat.format(group.fallbacks)],
+];
+
+function renderTable(table, rows, firstColumn) {
+  table.innerHTML = "";
+  const columns = [firstColumn, ...GROUP_COLUMNS];
+
+  const head = table.createTHead().insertRow();
+  for (const [heading] of columns) {
+    const th = document.createElement("th");
+    th.textContent = heading;
+    head.appendChild(th);
+  }
+
+  const body = table.createTBody();
+  if (rows.length === 0) {
+    const cell = body.insertRow().insertCell();
+    cell.colSpan = columns.length;
+    cell.classList.add("usage-empty");
+    cell.textContent = "No requests in this period";
+    return;
+  }
+  for (const row of rows) {
+    const tr = body.insertRow();
+    for (const [, valueOf] of columns) {
+      tr.insertCell().textContent = valueOf(row);
+    }
+  }
+}
+
+function renderTotals(totals) {
+  totalsEl.innerHTML = "";
+  const cards = [
+    ["Requests", numberFormat.format(totals.requests)],
+    ["Error rate", formatRate(totals.errorRate)],
+    ["Tokens", numberFormat.format(totals.totalTokens)],
+    ["Est. cost", formatCost(totals)],
+    ["p50 / p95 latency", `${formatLatency(totals.p50LatencyMs)} / ${formatLatency(totals.p95LatencyMs)}`],
+  ];
+  for (const [label, value] of cards) {
+    const card = document.createElement("div");
+    card.classList.add("usage-card");
+    const valueEl = document.createElement("strong");
+    valueEl.textContent = value;
+    const labelEl = document.createElement("span");
+    labelEl.textContent = label;
+    card.append(valueEl, labelEl);
+    totalsEl.appendChild(card);
+  }
+}
+
+// One bar per bucket: its height is the request count, the red part the errors
+function renderChart(timeline, bucketMs) {
+  chartEl.innerHTML = "";
+  const most = Math.max(1, ...timeline.map((bucket) => bucket.requests));
+  for (const bucket of timeline) {
+    const bar = document.createElement("div");
+    bar.classList.add("usage-bar");
+    bar.style.height = `${(bucket.requests / most) * 100}%`;
+    bar.title = `${formatBucket(bucket.start, bucketMs)}: ${bucket.requests} requests, ${bucket.errors} errors, p95 ${formatLatency(bucket.p95LatencyMs)}`;
+
+    const errors = document.createElement("div");
+    errors.classList.add("usage-bar-errors");
+    errors.style.height = `${bucket.requests > 0 ? (bucket.errors / bucket.requests) * 100 : 0}%`;
+    bar.appendChild(errors);
+    chartEl.appendChild(bar);
+  }
+}
+
+function renderUsage(usage) {
+  renderTotals(usage.totals);
+  renderChart(usage.timeline, usage.bucketMs);
+  renderTable(timelineTable, [...usage.timeline].reverse().filter((bucket) => bucket.requests > 0),
+    ["Period", (bucket) => formatBucket(bucket.start, usage.bucketMs)]);
+  renderTable(modelsTable, usage.models, ["Model", (model) => model.model || "(no model answered)"]);
+  renderTable(usersTable, usage.users, ["User", (user) => user.email || user.uid]);
+  contentEl.classList.remove("hidden");
+}
+
+// --- Data ---
+async function usageRequest(path) {
+  const res = await fetch(path, { headers: { Authorization: `Bearer ${await currentUser.getIdToken()}` } });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || "Server error");
+  }
+  return res;
+}
+
+async function loadUsage() {
+  if (!currentUser) return;
+  statusEl.textContent = "Loading…";
+  try {
+    const res = await usageRequest(`/api/admin/usage?days=${daysSelect.value}`);
+    const usage = await res.json();
+    renderUsage(usage);
+    statusEl.textContent = usage.log === "off"
+      ? "Usage logging is off (USAGE_LOG=off)"
+      : `Updated ${new Date().toLocaleTimeString()} · costs are estimates`;
+  } catch (err) {
+    console.error("Error loading usage:", err);
+    contentEl.classList.add("hidden");
+    statusEl.textContent = `Could not load usage: ${err.message}`;
+  }
+}
+
+async function exportCsv() {
+  try {
+    const res = await usageRequest(`/api/admin/usage/export.csv?days=${daysSelect.value}`);
+    const fileName = res.headers.get("Content-Disposition")?.match(/filename="([^"]+)"/)?.[1] || "usage.csv";
+    const url = URL.createObjectURL(await res.blob());
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  } catch (err) {
+    console.error("Error exporting usage:", err);
+    statusEl.textContent = `Export failed: ${err.message}`;
+  }
+}
+
+daysSelect.onchange = loadUsage;
+refreshBtn.onclick = loadUsage;
+exportBtn.onclick = exportCsv;
+
+onAuthStateChanged(auth, (user) => {
+  currentUser = user;
+  userInfoEl.textContent = user?.email || "Not logged in";
+  if (user) {
+    loadUsage();
+  } else {
+    contentEl.classList.add("hidden");
+    statusEl.textContent = "Log in on the chat page first, with an admin account.";
+  }
+});
@@ -0,0 +1,44 @@
+// Friendly messages for Firebase Auth errors, by error code. Firebase's own messages
+// ("Firebase: Error (auth/invalid-credential).") are meant for developers.
+
+const AUTH_ERROR_MESSAGES = {
+  "auth/invalid-credential": "Wrong email or password.",
+  "auth/invalid-login-credentials": "Wrong email or password.",
+  "auth/wrong-password": "Wrong password.",
+  "auth/user-not-found": "No account uses that email address.",
+  "auth/invalid-email": "That doesn't look like an email address.",
+  "auth/missing-email": "Please enter your email address.",
+  "auth/missing-password": "Please enter your password.",
+  "auth/email-already-in-use": "An account already uses that email address. Log in instead, or reset your password.",
+  "auth/weak-password": "Please choose a password of at least 6 characters.",
+  "auth/user-disabled": "This account has been disabled.",
+  "auth/too-many-requests": "Too many attempts. Please wait a few minutes and try again.",
+  "auth/network-request-failed": "Can't reach the sign-in service. Check your connection and try again.",
+  "auth/popup-blocked": "The sign-in window was blocked. Allow pop-ups for this site and try again.",
+  "auth/popup-closed-by-user": "The sign-in window was closed before signing in finished.",
+  "auth/cancelled-popup-request": "The sign-in window was closed before signing in finished.",
+  "auth/account-exists-with-different-credential":
+    "An account already uses this email address with another sign-in method. Sign in with that method instead.",
+  "auth/operation-not-allowed": "This sign-in method isn't enabled for this app.",
+  "auth/unauthorized-domain": "Sign-in isn't allowed from this site's address.",
+  "auth/requires-recent-login": "For your security, please sign in again and retry.",
+  "auth/user-mismatch": "That's a different account from the one you're signed in with.",
+  "auth/expired-action-code": "This link has expired. Please request a new one.",
+  "auth/invalid-action-code": "This link is invalid or has already been used.",
+};
+
+export function authErrorMessage(err) {
+  return AUTH_ERROR_MESSAGES[err?.code] || "Something went wrong. Please try again.";
+}
+
+// When confirming a signed-in user, the email is already known: only the password can be wrong
+export function reauthErrorMessage(err) {
+  return err?.code === "auth/invalid-credential" || err?.code === "auth/invalid-login-credentials"
+    ? "Wrong password."
+    : authErrorMessage(err);
+}
+
+// Closing the popup yourself isn't worth an error message
+export function isCancelledSignIn(err) {
+  return err?.code === "auth/popup-closed-by-user" || err?.code === "auth/cancelled-popup-request";
+}
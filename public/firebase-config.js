@@ -10,4 +10,7 @@ const firebaseConfig = {
   measurementId: "G-RXJQHVEXJP"
 };
 
-export { firebaseConfig };
+// Set to the Firebase Auth emulator URL (e.g. "http://127.0.0.1:9099") for local testing
+const authEmulatorUrl = null;
+
+export { firebaseConfig, authEmulatorUrl };
@@ -0,0 +1,111 @@
+// Local copy of the signed-in user's chats in IndexedDB, for reading them offline, and
+// the outbox of messages typed while offline. Everything is keyed by uid, so another
+// account on the same browser never sees it, and it's removed on logout.
+// Browsers without IndexedDB (or with it blocked) just get no offline copy: reads
+// resolve to null or [] and writes are dropped.
+
+const DB_NAME = "flashbott";
+const DB_VERSION = 1;
+
+let dbPromise = null;
+
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        // { uid, conversations, savedAt }
+        db.createObjectStore("conversations", { keyPath: "uid" });
+        // { uid, conversationId, conversation, messages, hasMore, savedAt }: the last page shown
+        db.createObjectStore("branches", { keyPath: ["uid", "conversationId"] }).createIndex("uid", "uid");
+        // { id, uid, conversationId, draftId, text, createdAt, status: "pending" | "failed", error }
+        db.createObjectStore("outbox", { keyPath: "id" }).createIndex("uid", "uid");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+    dbPromise.catch(() => {
+      dbPromise = null;
+    });
+  }
+  return dbPromise;
+}
+
+// Run fn(store) in a transaction; resolves with the result of the request it returns
+// (if any) once the transaction has completed
+async function withStore(name, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(name, mode);
+    const request = fn(transaction.objectStore(name));
+    transaction.oncomplete = () => resolve(request?.result);
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error);
+  });
+}
+
+// Errors are logged and turned into `fallback`: the offline copy is best-effort
+async function bestEffort(promise, fallback) {
+  try {
+    return await promise;
+  } catch (err) {
+    console.warn("Offline storage unavailable:", err);
+    return fallback;
+  }
+}
+
+export function cacheConversations(uid, conversations) {
+  return bestEffort(withStore("conversations", "readwrite", (store) =>
+    store.put({ uid, conversations, savedAt: Date.now() })));
+}
+
+export async function cachedConversations(uid) {
+  const record = await bestEffort(withStore("conversations", "readonly", (store) => store.get(uid)), null);
+  return record?.conversations || null;
+}
+
+// page: { conversation, messages, hasMore }, as returned by GET /api/conversations/:id/messages
+export function cacheBranch(uid, conversationId, { conversation, messages, hasMore }) {
+  return bestEffort(withStore("branches", "readwrite", (store) =>
+    store.put({ uid, conversationId, conversation, messages, hasMore, savedAt: Date.now() })));
+}
+
+export function cachedBranch(uid, conversationId) {
+  return bestEffort(withStore("branches", "readonly", (store) => store.get([uid, conversationId])), null);
+}
+
+export function queueMessage(entry) {
+  return withStore("outbox", "readwrite", (store) => store.put({ ...entry, status: "pending", error: null }));
+}
+
+// The user's queued messages, oldest first
+export async function queuedMessages(uid) {
+  const entries = await bestEffort(withStore("outbox", "readonly", (store) => store.index("uid").getAll(uid)), []);
+  return entries.sort((a, b) => a.createdAt - b.createdAt);
+}
+
+export function updateQueuedMessage(entry, fields) {
+  return bestEffort(withStore("outbox", "readwrite", (store) => store.put({ ...entry, ...fields })));
+}
+
+export function removeQueuedMessage(id) {
+  return bestEffort(withStore("outbox", "readwrite", (store) => store.delete(id)));
+}
+
+// Forget everything stored for the user (on logout)
+export function clearOfflineData(uid) {
+  const range = IDBKeyRange.only(uid);
+  return bestEffort(Promise.all([
+    withStore("conversations", "readwrite", (store) => store.delete(uid)),
+    ...["branches", "outbox"].map((name) => withStore(name, "readwrite", (store) => {
+      const cursor = store.index("uid").openKeyCursor(range);
+      cursor.onsuccess = () => {
+        if (cursor.result) {
+          store.delete(cursor.result.primaryKey);
+          cursor.result.continue();
+        }
+      };
+    })),
+  ]));
+}
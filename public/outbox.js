@@ -0,0 +1,26 @@
+// What the outbox does when a queued message can't be sent, and sending with an ID
+// token that is refreshed once if the server says it has expired. Kept apart from
+// script.js so it runs without a page.
+
+// The connection is down (fetch throws a TypeError; Firebase can't refresh the token)
+export function isNetworkError(err, online = navigator.onLine) {
+  return !online || err instanceof TypeError || err?.code === "auth/network-request-failed";
+}
+
+// For a failed send (err as thrown by apiRequest):
+//   "offline": stays pending until the connection is back
+//   "wait": rate limited or busy; stays pending and is sent after err.retryAfter
+//   "failed": the server refused it; shown as failed, to be retried or deleted by hand
+export function queuedSendOutcome(err, { online = navigator.onLine } = {}) {
+  if (isNetworkError(err, online)) return "offline";
+  if (err?.retryable) return "wait";
+  return "failed";
+}
+
+// send(idToken) -> Response. A token that expired while the page was offline (or was
+// revoked since) is answered with 401; the request is sent once more with a fresh one.
+export async function sendWithIdToken(user, send) {
+  const response = await send(await user.getIdToken());
+  if (response.status !== 401) return response;
+  return send(await user.getIdToken(true));
+}
@@ -0,0 +1,53 @@
+// Options for marked that make rendered markdown safe to insert as HTML: raw HTML in
+// the text is shown as text, and links keep only http(s), mailto and relative URLs, so
+// javascript: and data: URLs never reach the page. Images become links to them: a reply
+// can be steered by a fetched page or document into an image URL that carries the
+// conversation, and an <img> would send it without a click. Used by the chat page and
+// by the server's HTML export:
+//   new Marked(safeMarkdown).parse(text)
+
+const LINK_SCHEMES = ["http:", "https:", "mailto:"];
+const IMAGE_SCHEMES = ["http:", "https:"];
+
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+// Browsers decode character references in attributes and ignore whitespace and control
+// characters in a URL's scheme, so "java&#115;cript:" and "java\tscript:" are still
+// javascript: URLs. Decode and strip those before looking at the scheme; any other
+// named reference (e.g. &colon;) makes the URL unsafe.
+export function isSafeUrl(url, schemes = LINK_SCHEMES) {
+  const decoded = String(url)
+    .replace(/&#x([0-9a-f]+);?/gi, (match, hex) => String.fromCodePoint(Math.min(parseInt(hex, 16), 0x10ffff)))
+    .replace(/&#(\d+);?/g, (match, decimal) => String.fromCodePoint(Math.min(parseInt(decimal, 10), 0x10ffff)))
+    .replace(/&amp;/gi, "&")
+    .replace(/[\u0000- \u007f-\u009f]/g, "");
+
+  if (/&[a-z][a-z0-9]*;/i.test(decoded)) return false;
+
+  // Relative URLs have no scheme: no ":" before the first "/", "?" or "#"
+  const scheme = decoded.match(/^([^/?#]*?):/);
+  return !scheme || schemes.includes(`${scheme[1].toLowerCase()}:`);
+}
+
+export const safeMarkdown = {
+  renderer: {
+    html({ text }) {
+      return escapeHtml(text);
+    },
+    // Returning false renders the link as usual
+    link({ href, tokens }) {
+      return isSafeUrl(href) ? false : this.parser.parseInline(tokens);
+    },
+    image({ href, text }) {
+      if (!isSafeUrl(href, IMAGE_SCHEMES)) return escapeHtml(text);
+      return `<a href="${escapeHtml(href)}">${escapeHtml(text || href)}</a>`;
+    },
+  },
+};
@@ -1,4 +1,22 @@
-import { firebaseConfig } from "./firebase-config.js";
+import { firebaseConfig, authEmulatorUrl } from "./firebase-config.js";
+import { safeMarkdown } from "./safe-markdown.js";
+import {
+  cacheBranch,
+  cacheConversations,
+  cachedBranch,
+  cachedConversations,
+  clearOfflineData,
+  queueMessage,
+  queuedMessages,
+  removeQueuedMessage,
+  updateQueuedMessage,
+} from "./offline-store.js";
+import { isNetworkError, queuedSendOutcome, sendWithIdToken } from "./outbox.js";
+import { authErrorMessage, isCancelledSignIn, reauthErrorMessage } from "./auth-errors.js";
+import { recordingSupported, speak, speechSupported, speechText, startRecording, stopSpeaking } from "./voice.js";
+
+// marked, served by our server from node_modules
+import { Marked } from "/vendor/marked/marked.esm.js";
 
 // Import Firebase SDKs
 import {
@@ -6,28 +24,32 @@ import {
 } from "https://www.gstatic.com/firebasejs/11.0.0/firebase-app.js";
 import {
   getAuth,
+  connectAuthEmulator,
   onAuthStateChanged,
   signInWithEmailAndPassword,
   createUserWithEmailAndPassword,
   signOut,
+  GoogleAuthProvider,
+  GithubAuthProvider,
+  signInWithPopup,
+  sendPasswordResetEmail,
+  sendEmailVerification,
+  EmailAuthProvider,
+  reauthenticateWithCredential,
+  reauthenticateWithPopup,
+  updatePassword,
 } from "https://www.gstatic.com/firebasejs/11.0.0/firebase-auth.js";
-import {
-  getFirestore,
-  collection,
-  addDoc,
-  query,
-  orderBy,
-  limit,
-  getDocs,
-  deleteDoc,
-  doc,
-  writeBatch,
-} from "https://www.gstatic.com/firebasejs/11.0.0/firebase-firestore.js";
+
+// Bot replies are markdown; raw HTML and unsafe links in them are never rendered
+const markdown = new Marked(safeMarkdown);
 
 // --- Firebase init ---
 const app = initializeApp(firebaseConfig);
 const auth = getAuth(app);
-const db = getFirestore(app);
+
+if (authEmulatorUrl) {
+  connectAuthEmulator(auth, authEmulatorUrl);
+}
 
 // --- DOM elements ---
 const authSection = document.getElementById("auth-section");
@@ -38,20 +60,165 @@ const loginBtn = document.getElementById("login-btn");
 const signupBtn = document.getElementById("signup-btn");
 const authError = document.getElementById("auth-error");
 const logoutBtn = document.getElementById("logout-btn");
+const forgotPasswordBtn = document.getElementById("forgot-password-btn");
+const googleSignInBtn = document.getElementById("google-signin-btn");
+const githubSignInBtn = document.getElementById("github-signin-btn");
+const verifySection = document.getElementById("verify-section");
+const verifyEmailEl = document.getElementById("verify-email");
+const verifiedBtn = document.getElementById("verified-btn");
+const resendVerificationBtn = document.getElementById("resend-verification-btn");
+const verifyError = document.getElementById("verify-error");
+const settingsBtn = document.getElementById("settings-btn");
+const settingsDialog = document.getElementById("settings-dialog");
+const closeSettingsBtn = document.getElementById("close-settings-btn");
+const accountSummaryEl = document.getElementById("account-summary");
+const passwordForm = document.getElementById("password-form");
+const currentPasswordInput = document.getElementById("current-password");
+const newPasswordInput = document.getElementById("new-password");
+const confirmPasswordInput = document.getElementById("confirm-password");
+const changePasswordBtn = document.getElementById("change-password-btn");
+const passwordMessage = document.getElementById("password-message");
+const deleteAccountForm = document.getElementById("delete-account-form");
+const deletePasswordLabel = document.getElementById("delete-password-label");
+const deletePasswordInput = document.getElementById("delete-password");
+const deleteConfirmInput = document.getElementById("delete-confirm");
+const deleteAccountBtn = document.getElementById("delete-account-btn");
+const deleteAccountError = document.getElementById("delete-account-error");
 const clearChatBtn = document.getElementById("clear-chat-btn");
+const renameConversationBtn = document.getElementById("rename-conversation-btn");
+const deleteConversationBtn = document.getElementById("delete-conversation-btn");
+const exportSelect = document.getElementById("export-select");
+const importConversationsBtn = document.getElementById("import-conversations-btn");
+const importInput = document.getElementById("import-input");
+const searchInput = document.getElementById("search-input");
+const searchResultsEl = document.getElementById("search-results");
+const newConversationBtn = document.getElementById("new-conversation-btn");
+const conversationListEl = document.getElementById("conversation-list");
+const conversationTitleEl = document.getElementById("conversation-title");
+const quotaInfoEl = document.getElementById("quota-info");
+const personaSelect = document.getElementById("persona-select");
+const managePersonasBtn = document.getElementById("manage-personas-btn");
+const personaDialog = document.getElementById("persona-dialog");
+const closePersonasBtn = document.getElementById("close-personas-btn");
+const personaListEl = document.getElementById("persona-list");
+const personaForm = document.getElementById("persona-form");
+const personaFormTitle = document.getElementById("persona-form-title");
+const personaNameInput = document.getElementById("persona-name");
+const personaInstructionInput = document.getElementById("persona-instruction");
+const personaTemperatureInput = document.getElementById("persona-temperature");
+const personaTopPInput = document.getElementById("persona-top-p");
+const personaMaxTokensInput = document.getElementById("persona-max-tokens");
+const personaError = document.getElementById("persona-error");
+const newPersonaBtn = document.getElementById("new-persona-btn");
+const manageDocumentsBtn = document.getElementById("manage-documents-btn");
+const documentsDialog = document.getElementById("documents-dialog");
+const closeDocumentsBtn = document.getElementById("close-documents-btn");
+const documentListEl = document.getElementById("document-list");
+const documentError = document.getElementById("document-error");
+const documentInput = document.getElementById("document-input");
+const uploadDocumentBtn = document.getElementById("upload-document-btn");
+const sourceDialog = document.getElementById("source-dialog");
+const sourceTitleEl = document.getElementById("source-title");
+const sourceTextEl = document.getElementById("source-text");
+const closeSourceBtn = document.getElementById("close-source-btn");
+const useDocumentsInput = document.getElementById("use-documents");
+const pinsBtn = document.getElementById("pins-btn");
+const pinsDialog = document.getElementById("pins-dialog");
+const closePinsBtn = document.getElementById("close-pins-btn");
+const pinListEl = document.getElementById("pin-list");
+const pinError = document.getElementById("pin-error");
+const shareBtn = document.getElementById("share-btn");
+const shareDialog = document.getElementById("share-dialog");
+const closeShareBtn = document.getElementById("close-share-btn");
+const shareExpirySelect = document.getElementById("share-expiry");
+const createShareBtn = document.getElementById("create-share-btn");
+const shareListEl = document.getElementById("share-list");
+const shareError = document.getElementById("share-error");
 
 const chatWindow = document.getElementById("chat-window");
 const chatForm = document.getElementById("chat-form");
 const userInput = document.getElementById("user-input");
 const sendBtn = document.getElementById("send-btn");
+const stopBtn = document.getElementById("stop-btn");
+const attachBtn = document.getElementById("attach-btn");
+const micBtn = document.getElementById("mic-btn");
+const readAloudToggle = document.getElementById("read-aloud-toggle");
+const readAloudInput = document.getElementById("read-aloud");
+const fileInput = document.getElementById("file-input");
+const attachmentPreviewEl = document.getElementById("attachment-preview");
+const chatMain = document.querySelector(".chat-main");
 const statusEl = document.getElementById("status");
 const userInfoEl = document.getElementById("user-info");
 
-// Local conversation history used for Gemini
-let conversationHistory = []; // [{ sender: "user" | "bot", text: "..." }]
+// State of the open conversation (the server owns the stored history)
 let currentUser = null;
 let typingIndicator = null;
-let messageDocs = []; // Store document IDs for deletion
+let branchMessages = []; // Stored messages of the active branch ({ id, parentId, sender, text, versions, ... })
+let hasOlderMessages = false; // Whether the branch has messages before the first one loaded
+let loadingOlderMessages = false;
+let activeRequest = null; // AbortController for the reply being streamed
+let conversations = []; // [{ id, title, createdAt, updatedAt }], most recent first
+let currentConversationId = null; // null until the first message of a new chat is sent
+
+let personas = []; // Built-in personas followed by the user's own
+let newConversationPersonaId = ""; // Persona picked for a chat that hasn't been created yet
+let editingPersonaId = null; // Persona open in the editor, null when creating one
+let pendingAttachments = []; // Files to send with the next message
+let attachmentUrls = []; // Object URLs created for the open conversation, revoked on switch
+let searchTimer = null; // Debounces search-as-you-type
+let searchQuery = ""; // Query whose results are listed
+let documents = []; // The user's document library, newest first
+let offlineDraftId = null; // Groups the queued messages of a new chat until it's created
+let flushingOutbox = false; // Queued messages are being sent
+let outboxRetryTimer = null; // Sends the outbox again when the server asked to wait
+let showingOfflineCopy = false; // The open conversation was drawn from the local copy
+let signedOutNotice = ""; // Shown on the login screen after the next sign-out
+let recording = null; // Voice message being recorded ({ stop, cancel })
+
+const DEFAULT_CONVERSATION_TITLE = "New chat";
+
+// Sign-in methods offered besides email and password, by Firebase provider id
+const OAUTH_PROVIDERS = { "google.com": GoogleAuthProvider, "github.com": GithubAuthProvider };
+const PROVIDER_NAMES = { password: "email and password", "google.com": "Google", "github.com": "GitHub" };
+
+// Mirrors the server's limits in lib/attachments.js
+const MAX_ATTACHMENTS = 5;
+const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+const ATTACHMENT_TYPES = [
+  "image/png", "image/jpeg", "image/webp", "image/heic", "image/heif",
+  "application/pdf", "text/plain", "text/markdown", "text/csv",
+  "audio/webm", "audio/ogg", "audio/mp4", "audio/mpeg", "audio/wav", "audio/aac", "audio/flac",
+];
+const ATTACHMENT_EXTENSIONS = ["md", "markdown", "txt", "csv", "pdf", "webm", "ogg", "oga", "m4a", "mp3", "wav", "aac", "flac"];
+
+// Voice messages are cut off at this length (the server's attachment size limit allows
+// far more, but transcripts of long recordings are tedious to check)
+const MAX_RECORDING_SECONDS = 120;
+
+// Messages loaded at a time; older ones load when scrolling near the top
+const HISTORY_PAGE_SIZE = 50;
+const LOAD_OLDER_THRESHOLD_PX = 80;
+
+const SEARCH_DELAY_MS = 300;
+const SEARCH_PAGE_SIZE = 20;
+
+// Replies that fail with a retryable error (overloaded, timeout, per-minute limits)
+// are sent again automatically after a countdown, unless the wait is too long
+const MAX_AUTO_RETRIES = 3;
+const MAX_AUTO_RETRY_WAIT_SECONDS = 60;
+const RETRY_BASE_SECONDS = 5;
+
+const OFFLINE_STATUS = "Offline · showing saved chats; new messages are sent when you're back online";
+const DELIVERY_LABELS = {
+  pending: "Waiting for connection…",
+  sending: "Sending…",
+  sent: "Sent",
+  failed: "Not sent",
+};
+
+// The "Use my documents" and "Read aloud" toggles are remembered between visits
+const USE_DOCUMENTS_KEY = "flashbott.useDocuments";
+const READ_ALOUD_KEY = "flashbott.readAloud";
 
 // --- UI helpers ---
 function removeEmptyState() {
@@ -61,24 +228,424 @@ function removeEmptyState() {
   }
 }
 
-function addMessageToUI(text, sender) {
+function showEmptyState() {
+  chatWindow.innerHTML = `
+    <div class="empty-state">
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+        <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path>
+      </svg>
+      <h3>Start a conversation</h3>
+      <p>Your chat history will appear here</p>
+    </div>
+  `;
+}
+
+function createMessageElement(sender) {
   removeEmptyState();
-  
+
   const div = document.createElement("div");
   div.classList.add("message", sender);
-  
-  if (sender === "bot" && typeof marked !== "undefined") {
-    // Render markdown for bot messages
-    div.innerHTML = marked.parse(text);
+  chatWindow.appendChild(div);
+  return div;
+}
+
+function renderMessageContent(div, text, sender) {
+  if (sender === "bot") {
+    // Render markdown for bot messages, keeping the tool steps above the text
+    const toolSteps = div.querySelector(":scope > .tool-steps");
+    div.innerHTML = markdown.parse(text);
+    if (toolSteps) div.prepend(toolSteps);
   } else {
     // Plain text for user messages
     div.textContent = text;
   }
-  
-  chatWindow.appendChild(div);
+}
+
+// attachments are File objects (just sent) or stored metadata ({ id, name, mimeType, size })
+function addMessageToUI(text, sender, attachments = [], conversationId = currentConversationId) {
+  const div = createMessageElement(sender);
+  renderMessageContent(div, text, sender);
+  if (attachments.length > 0) {
+    renderAttachments(div, attachments, conversationId);
+  }
   scrollToBottom();
-  
-  conversationHistory.push({ sender, text });
+  return div;
+}
+
+// --- Tool steps ---
+// Tools the model ran while answering, shown as collapsible steps above the reply
+function toolStepsContainer(div) {
+  let container = div.querySelector(":scope > .tool-steps");
+  if (!container) {
+    container = document.createElement("div");
+    container.classList.add("tool-steps");
+    div.prepend(container);
+  }
+  return container;
+}
+
+function toolStepSection(label, value) {
+  const fragment = document.createDocumentFragment();
+  const heading = document.createElement("div");
+  heading.classList.add("tool-step-label");
+  heading.textContent = label;
+  const pre = document.createElement("pre");
+  pre.textContent = typeof value === "string" ? value : JSON.stringify(value, null, 2);
+  fragment.append(heading, pre);
+  return fragment;
+}
+
+// step is { id, name, args } while the tool runs, then also { result } or { error }
+function renderToolStep(div, step) {
+  const container = toolStepsContainer(div);
+  let details = [...container.children].find((el) => el.dataset.callId === step.id);
+  if (!details) {
+    details = document.createElement("details");
+    details.classList.add("tool-step");
+    details.dataset.callId = step.id;
+    container.appendChild(details);
+  }
+
+  const done = "result" in step || "error" in step;
+  details.classList.toggle("failed", "error" in step);
+  details.innerHTML = "";
+
+  const summary = document.createElement("summary");
+  const name = document.createElement("span");
+  name.classList.add("tool-step-name");
+  name.textContent = `🔧 ${step.name}`;
+  const status = document.createElement("span");
+  status.classList.add("tool-step-status");
+  status.textContent = !done ? "running…" : "error" in step ? "failed" : "done";
+  summary.append(name, status);
+
+  details.append(summary, toolStepSection("Input", step.args || {}));
+  if ("error" in step) {
+    details.append(toolStepSection("Error", step.error));
+  } else if ("result" in step) {
+    details.append(toolStepSection("Result", step.result));
+  }
+}
+
+// --- Document sources ---
+// Passages of the user's documents a reply was given, listed under it; the
+// [n] citations in the reply open the same passages
+function sourceLabel(source) {
+  return source.page ? `${source.documentName}, p. ${source.page}` : source.documentName;
+}
+
+function renderSources(div, sources) {
+  div.querySelector(":scope > .message-sources")?.remove();
+  if (!sources?.length) return;
+
+  linkCitations(div, sources);
+
+  const container = document.createElement("div");
+  container.classList.add("message-sources");
+  const heading = document.createElement("span");
+  heading.textContent = "Sources:";
+  container.appendChild(heading);
+
+  for (const source of sources) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.textContent = `[${source.n}] ${sourceLabel(source)}`;
+    button.title = source.snippet;
+    button.onclick = () => showSource(source);
+    container.appendChild(button);
+  }
+  const actions = div.querySelector(":scope > .message-actions");
+  if (actions) {
+    actions.before(container);
+  } else {
+    div.appendChild(container);
+  }
+}
+
+// Turn "[n]" in the rendered reply into links to source n (code is left alone)
+function linkCitations(div, sources) {
+  const byNumber = new Map(sources.map((source) => [String(source.n), source]));
+  const walker = document.createTreeWalker(div, NodeFilter.SHOW_TEXT, {
+    acceptNode: (node) => node.parentElement.closest("pre, code, .tool-steps, .message-sources, .message-actions")
+      ? NodeFilter.FILTER_REJECT
+      : NodeFilter.FILTER_ACCEPT,
+  });
+  const textNodes = [];
+  while (walker.nextNode()) textNodes.push(walker.currentNode);
+
+  for (const node of textNodes) {
+    const parts = node.textContent.split(/(\[\d+\])/);
+    if (parts.length === 1) continue;
+    const fragment = document.createDocumentFragment();
+    for (const part of parts) {
+      const source = byNumber.get(/^\[(\d+)\]$/.exec(part)?.[1]);
+      if (!source) {
+        fragment.append(part);
+        continue;
+      }
+      const link = document.createElement("a");
+      link.href = "#";
+      link.classList.add("citation");
+      link.textContent = part;
+      link.title = sourceLabel(source);
+      link.onclick = (e) => {
+        e.preventDefault();
+        showSource(source);
+      };
+      fragment.append(link);
+    }
+    node.replaceWith(fragment);
+  }
+}
+
+// Show the full text of a cited passage
+async function showSource(source) {
+  sourceTitleEl.textContent = `[${source.n}] ${sourceLabel(source)}`;
+  sourceTextEl.textContent = source.snippet;
+  sourceDialog.showModal();
+
+  try {
+    const { chunk } = await apiRequest(`/api/documents/${source.documentId}/chunks/${source.chunkId}`);
+    sourceTextEl.textContent = chunk.text;
+  } catch (err) {
+    sourceTextEl.textContent = `${source.snippet}\n\n(${err.message === "Document not found" ? "This document has been deleted." : err.message})`;
+  }
+}
+
+// --- Finish reasons ---
+// A reply that didn't finish normally says why under it: a length limit can be
+// continued, a safety stop (the server marks it safetyStop) names the categories
+// the model flagged
+
+function renderFinishNotice(div, message) {
+  div.querySelector(":scope > .finish-notice")?.remove();
+  const { finishReason, safetyRatings = [] } = message;
+  if (!finishReason || finishReason === "STOP") return;
+
+  const notice = document.createElement("div");
+  notice.classList.add("finish-notice");
+  const flagged = safetyRatings
+    .filter((rating) => rating.blocked || rating.probability === "MEDIUM" || rating.probability === "HIGH")
+    .map((rating) => rating.category.toLowerCase().replace(/_/g, " "));
+  const label = document.createElement("span");
+  label.textContent = message.safetyStop
+    ? `🛡️ Response stopped: ${finishReason}${flagged.length ? ` (${flagged.join(", ")})` : ""}`
+    : `Response stopped: ${finishReason}`;
+  notice.appendChild(label);
+
+  if (finishReason === "MAX_TOKENS" && message.id) {
+    const continueBtn = document.createElement("button");
+    continueBtn.type = "button";
+    continueBtn.textContent = "Continue";
+    continueBtn.title = "Resume the reply where it stopped";
+    continueBtn.onclick = () => continueReply(message);
+    notice.append(" — ", continueBtn);
+  }
+
+  const actions = div.querySelector(":scope > .message-actions");
+  if (actions) {
+    actions.before(notice);
+  } else {
+    div.appendChild(notice);
+  }
+}
+
+// Marker after the last message folded into the conversation summary; those
+// earlier messages are no longer sent to the model word for word
+function renderSummaryMarker(summary) {
+  chatWindow.querySelector(".summary-marker")?.remove();
+  if (!summary?.messageCount) return;
+
+  const marker = document.createElement("details");
+  marker.classList.add("summary-marker");
+
+  const label = document.createElement("summary");
+  const count = summary.messageCount;
+  label.textContent = `${count} earlier message${count === 1 ? " was" : "s were"} summarized to fit the context window`;
+  marker.appendChild(label);
+
+  if (summary.text) {
+    const text = document.createElement("p");
+    text.textContent = summary.text;
+    marker.appendChild(text);
+  }
+
+  // If the last summarized message isn't loaded, everything shown comes after it
+  const lastSummarized = chatWindow.querySelector(`[data-message-id="${CSS.escape(summary.throughMessageId)}"]`);
+  if (lastSummarized) {
+    lastSummarized.after(marker);
+  } else {
+    chatWindow.prepend(marker);
+  }
+}
+
+// The summary moved on while sending: fetch its text with the conversation and redraw the marker
+async function refreshSummary(conversationId, context) {
+  const current = getCurrentConversation();
+  if (!context || !current || current.id !== conversationId) return;
+  if ((current.summary?.throughMessageId || null) === context.summaryThroughMessageId) return;
+
+  try {
+    const { conversation } = await apiRequest(`/api/conversations/${conversationId}/messages?limit=1`);
+    updateLocalConversation(conversation);
+    if (currentConversationId === conversationId) {
+      renderSummaryMarker(conversation.summary);
+    }
+  } catch (err) {
+    console.warn("Could not load conversation summary:", err);
+  }
+}
+
+// --- Attachments ---
+function formatFileSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${Math.round(bytes / 1024)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+function isAllowedAttachment(file) {
+  const extension = file.name.split(".").pop().toLowerCase();
+  return ATTACHMENT_TYPES.includes(file.type) || ATTACHMENT_EXTENSIONS.includes(extension);
+}
+
+// Object URL for a stored attachment, fetched with the auth header
+async function fetchAttachmentUrl(conversationId, attachmentId) {
+  const res = await fetch(`/api/conversations/${conversationId}/attachments/${attachmentId}`, {
+    headers: await authHeaders(),
+  });
+  if (!res.ok) {
+    throw new Error("Could not load attachment");
+  }
+  return trackAttachmentUrl(URL.createObjectURL(await res.blob()));
+}
+
+function trackAttachmentUrl(url) {
+  attachmentUrls.push(url);
+  return url;
+}
+
+function revokeAttachmentUrls() {
+  attachmentUrls.forEach((url) => URL.revokeObjectURL(url));
+  attachmentUrls = [];
+}
+
+// Images as thumbnails, audio (voice messages) as players, other files as chips;
+// clicking an image or chip opens the file
+function renderAttachments(div, attachments, conversationId) {
+  const container = document.createElement("div");
+  container.classList.add("message-attachments");
+
+  for (const attachment of attachments) {
+    const isFile = attachment instanceof File;
+    const mimeType = isFile ? attachment.type : attachment.mimeType;
+    let urlPromise = null;
+    const getUrl = () => {
+      if (!urlPromise) {
+        urlPromise = isFile
+          ? Promise.resolve(trackAttachmentUrl(URL.createObjectURL(attachment)))
+          : fetchAttachmentUrl(conversationId, attachment.id);
+      }
+      return urlPromise;
+    };
+
+    let item;
+    if (mimeType?.startsWith("image/")) {
+      item = document.createElement("img");
+      item.classList.add("attachment-thumb");
+      item.alt = attachment.name;
+      getUrl().then((url) => { item.src = url; }).catch(() => item.classList.add("broken"));
+    } else if (mimeType?.startsWith("audio/")) {
+      item = document.createElement("audio");
+      item.classList.add("attachment-audio");
+      item.controls = true;
+      getUrl().then((url) => { item.src = url; }).catch(() => item.classList.add("broken"));
+    } else {
+      item = document.createElement("span");
+      item.classList.add("attachment-chip");
+      item.textContent = `📄 ${attachment.name} (${formatFileSize(attachment.size)})`;
+    }
+    item.title = attachment.name;
+    // Players have their own controls
+    if (item.tagName !== "AUDIO") {
+      item.onclick = () => {
+        getUrl()
+          .then((url) => window.open(url, "_blank", "noopener"))
+          .catch((err) => { statusEl.textContent = err.message; });
+      };
+    }
+    container.appendChild(item);
+  }
+
+  div.appendChild(container);
+}
+
+// Queue files for the next message, enforcing the same limits as the server
+function addPendingAttachments(files) {
+  for (const file of files) {
+    if (pendingAttachments.length >= MAX_ATTACHMENTS) {
+      statusEl.textContent = `You can attach at most ${MAX_ATTACHMENTS} files per message`;
+      break;
+    }
+    if (!isAllowedAttachment(file)) {
+      statusEl.textContent = `Unsupported file type: ${file.name}`;
+      continue;
+    }
+    if (file.size > MAX_ATTACHMENT_BYTES) {
+      statusEl.textContent = `${file.name} is larger than ${formatFileSize(MAX_ATTACHMENT_BYTES)}`;
+      continue;
+    }
+    pendingAttachments.push(file);
+  }
+  renderAttachmentPreview();
+}
+
+function renderAttachmentPreview() {
+  attachmentPreviewEl.innerHTML = "";
+  attachmentPreviewEl.classList.toggle("hidden", pendingAttachments.length === 0);
+
+  pendingAttachments.forEach((file, index) => {
+    const chip = document.createElement("span");
+    chip.classList.add("attachment-chip");
+    chip.textContent = `${file.name} (${formatFileSize(file.size)})`;
+
+    const removeBtn = document.createElement("button");
+    removeBtn.type = "button";
+    removeBtn.classList.add("attachment-remove");
+    removeBtn.textContent = "×";
+    removeBtn.title = "Remove";
+    removeBtn.onclick = () => {
+      pendingAttachments.splice(index, 1);
+      renderAttachmentPreview();
+    };
+
+    chip.appendChild(removeBtn);
+    attachmentPreviewEl.appendChild(chip);
+  });
+}
+
+// Informational bubble (e.g. rate limits); not part of the conversation history
+function showNotice(text) {
+  const div = createMessageElement("notice");
+  div.textContent = text;
+  scrollToBottom();
+}
+
+function updateQuotaInfo(quota) {
+  if (!quota || quota.messagesLeft === null) {
+    quotaInfoEl.classList.add("hidden");
+    return;
+  }
+
+  const left = quota.messagesLeft;
+  quotaInfoEl.textContent = `${left} message${left === 1 ? "" : "s"} left today`;
+  quotaInfoEl.classList.toggle("low", left <= 5);
+  quotaInfoEl.classList.remove("hidden");
+}
+
+function formatWait(seconds) {
+  if (seconds < 60) return `${seconds}s`;
+  if (seconds < 3600) return `${Math.ceil(seconds / 60)} min`;
+  return `${Math.ceil(seconds / 3600)} h`;
 }
 
 function showTypingIndicator() {
@@ -107,241 +674,2196 @@ function scrollToBottom() {
   chatWindow.scrollTop = chatWindow.scrollHeight;
 }
 
-async function loadHistoryFromFirestore(user) {
-  conversationHistory = [];
-  messageDocs = [];
-  chatWindow.innerHTML = "";
+// --- API ---
+// Headers for calls to our API: the server verifies the Firebase ID token
+async function authHeaders(user = currentUser, idToken = null) {
+  return {
+    "Content-Type": "application/json",
+    Authorization: `Bearer ${idToken || await user.getIdToken()}`,
+  };
+}
 
-  try {
-    const msgsRef = collection(db, "users", user.uid, "messages");
-    const q = query(msgsRef, orderBy("createdAt", "asc"), limit(100));
-    const snap = await getDocs(q);
-
-    if (snap.empty) {
-      // Show empty state
-      chatWindow.innerHTML = `
-        <div class="empty-state">
-          <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-            <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path>
-          </svg>
-          <h3>Start a conversation</h3>
-          <p>Your chat history will appear here</p>
-        </div>
-      `;
-      return;
-    }
+// Call a JSON API route; throws the server's typed error (see chatError) on failure.
+// A token that expired (e.g. while offline) is refreshed and the request sent again.
+async function apiRequest(path, { method = "GET", body, user = currentUser } = {}) {
+  const res = await sendWithIdToken(user, async (idToken) => fetch(path, {
+    method,
+    headers: await authHeaders(user, idToken),
+    body: body === undefined ? undefined : JSON.stringify(body),
+  }));
 
-    snap.forEach((docSnap) => {
-      const data = docSnap.data();
-      addMessageToUI(data.text, data.sender);
-      messageDocs.push({ id: docSnap.id, data });
-    });
-    
-    scrollToBottom();
-  } catch (err) {
-    console.error("Error loading history:", err);
-    statusEl.textContent = "Error loading chat history";
+  const data = res.status === 204 ? null : await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw chatError(data || {}, res.status);
   }
+  return data;
 }
 
-async function saveMessageToFirestore(user, sender, text) {
+// --- Conversations ---
+// Offline, the list saved by the last successful load is shown instead
+async function loadConversations(user) {
   try {
-    const msgsRef = collection(db, "users", user.uid, "messages");
-    const docRef = await addDoc(msgsRef, {
-      sender,
-      text,
-      createdAt: Date.now(),
-    });
-    messageDocs.push({ id: docRef.id, data: { sender, text, createdAt: Date.now() } });
+    const data = await apiRequest("/api/conversations", { user });
+    conversations = data.conversations;
+    cacheConversations(user.uid, conversations);
   } catch (err) {
-    console.error("Error saving message:", err);
-    throw err;
+    const cached = isNetworkError(err) && await cachedConversations(user.uid);
+    if (!cached) throw err;
+    conversations = cached;
+  }
+  renderConversationList();
+}
+
+function getCurrentConversation() {
+  return conversations.find((conv) => conv.id === currentConversationId) || null;
+}
+
+function renderConversationList() {
+  conversationListEl.innerHTML = "";
+
+  for (const conv of conversations) {
+    const item = document.createElement("li");
+    item.classList.add("conversation-item");
+    if (conv.id === currentConversationId) {
+      item.classList.add("active");
+    }
+    item.textContent = conv.title || DEFAULT_CONVERSATION_TITLE;
+    item.title = conv.title || DEFAULT_CONVERSATION_TITLE;
+    item.onclick = () => switchConversation(conv.id);
+    conversationListEl.appendChild(item);
   }
+
+  const current = getCurrentConversation();
+  conversationTitleEl.textContent = current ? current.title : DEFAULT_CONVERSATION_TITLE;
+  renameConversationBtn.disabled = !current;
+  deleteConversationBtn.disabled = !current;
+  exportSelect.querySelector('optgroup[label="This chat"]').disabled = !current;
+  syncPersonaSelect();
 }
 
-async function clearChatHistory(user) {
-  if (!confirm("Are you sure you want to clear all chat history? This cannot be undone.")) {
+async function switchConversation(conversationId) {
+  if (activeRequest) {
+    statusEl.textContent = "Please wait for the current reply to finish";
     return;
   }
 
-  try {
-    statusEl.textContent = "Clearing chat history...";
-    const msgsRef = collection(db, "users", user.uid, "messages");
-    const batch = writeBatch(db);
-    
-    // Delete all messages in batches
-    for (const msgDoc of messageDocs) {
-      const docRef = doc(db, "users", user.uid, "messages", msgDoc.id);
-      batch.delete(docRef);
-    }
-    
-    await batch.commit();
-    
-    conversationHistory = [];
-    messageDocs = [];
-    chatWindow.innerHTML = `
-      <div class="empty-state">
-        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
-          <path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"></path>
-        </svg>
-        <h3>Start a conversation</h3>
-        <p>Your chat history will appear here</p>
-      </div>
-    `;
-    statusEl.textContent = "Chat history cleared";
-    
-    setTimeout(() => {
-      statusEl.textContent = "Ready";
-    }, 2000);
-  } catch (err) {
-    console.error("Error clearing chat:", err);
-    statusEl.textContent = "Error clearing chat history";
+  stopSpeaking();
+  currentConversationId = conversationId;
+  renderConversationList();
+  statusEl.textContent = "Loading conversation...";
+  await loadHistory(currentUser, conversationId);
+  statusEl.textContent = showingOfflineCopy ? OFFLINE_STATUS : "Ready";
+  userInput.focus();
+}
+
+// The conversation is only created once its first message is sent
+function startNewConversation() {
+  if (activeRequest) {
+    statusEl.textContent = "Please wait for the current reply to finish";
+    return;
   }
+
+  stopSpeaking();
+  currentConversationId = null;
+  offlineDraftId = null;
+  showingOfflineCopy = false;
+  branchMessages = [];
+  hasOlderMessages = false;
+  revokeAttachmentUrls();
+  showEmptyState();
+  renderConversationList();
+  userInput.focus();
 }
 
-// --- Auth handlers ---
-loginBtn.onclick = async () => {
-  authError.textContent = "";
-  loginBtn.disabled = true;
-  loginBtn.textContent = "Logging in...";
-  
-  try {
-    await signInWithEmailAndPassword(
-      auth,
-      emailInput.value.trim(),
-      passwordInput.value.trim()
-    );
-  } catch (err) {
-    authError.textContent = err.message || "Login failed";
-  } finally {
-    loginBtn.disabled = false;
-    loginBtn.textContent = "Login";
+async function createConversation(user) {
+  const { conversation } = await apiRequest("/api/conversations", {
+    method: "POST",
+    body: { personaId: newConversationPersonaId || null },
+    user,
+  });
+  conversations.unshift(conversation);
+  return conversation.id;
+}
+
+// Replace a conversation in the local list with the server's copy
+function updateLocalConversation(conversation) {
+  const index = conversations.findIndex((c) => c.id === conversation.id);
+  if (index !== -1) {
+    conversations[index] = conversation;
+    renderConversationList();
+  }
+}
+
+async function renameConversation(user, conversationId, title) {
+  const { conversation } = await apiRequest(`/api/conversations/${conversationId}`, {
+    method: "PATCH",
+    body: { title },
+    user,
+  });
+  updateLocalConversation(conversation);
+}
+
+// Bump the conversation to the top of the list after new messages
+function touchConversation(conversationId) {
+  const index = conversations.findIndex((c) => c.id === conversationId);
+  if (index === -1) return;
+
+  const [conv] = conversations.splice(index, 1);
+  conv.updatedAt = Date.now();
+  conversations.unshift(conv);
+  renderConversationList();
+}
+
+async function deleteConversation(user, conversationId) {
+  if (!confirm("Delete this conversation? This cannot be undone.")) {
+    return;
   }
-};
 
-signupBtn.onclick = async () => {
-  authError.textContent = "";
-  signupBtn.disabled = true;
-  signupBtn.textContent = "Creating account...";
-  
   try {
-    await createUserWithEmailAndPassword(
-      auth,
-      emailInput.value.trim(),
-      passwordInput.value.trim()
-    );
-    authError.textContent = "Account created! You are now logged in.";
-    authError.style.color = "#10b981";
+    statusEl.textContent = "Deleting conversation...";
+    await apiRequest(`/api/conversations/${conversationId}`, { method: "DELETE", user });
+
+    conversations = conversations.filter((c) => c.id !== conversationId);
+    if (conversations.length > 0) {
+      await switchConversation(conversations[0].id);
+    } else {
+      startNewConversation();
+    }
+    statusEl.textContent = "Conversation deleted";
   } catch (err) {
-    authError.textContent = err.message || "Sign up failed";
-    authError.style.color = "#e74c3c";
-  } finally {
-    signupBtn.disabled = false;
-    signupBtn.textContent = "Create Account";
+    console.error("Error deleting conversation:", err);
+    statusEl.textContent = "Error deleting conversation";
   }
-};
+}
 
-logoutBtn.onclick = async () => {
+// --- Personas ---
+async function loadPersonas(user) {
   try {
-    await signOut(auth);
+    const data = await apiRequest("/api/personas", { user });
+    personas = data.personas;
   } catch (err) {
-    console.error("Logout error:", err);
+    console.warn("Could not load personas:", err);
+    personas = [];
   }
-};
+  renderPersonaSelect();
+  renderPersonaList();
+}
 
-clearChatBtn.onclick = async () => {
-  if (currentUser) {
-    await clearChatHistory(currentUser);
-  }
-};
+function renderPersonaSelect() {
+  personaSelect.innerHTML = "";
+  personaSelect.appendChild(new Option("Default assistant", ""));
 
-// React to login/logout
-onAuthStateChanged(auth, async (user) => {
-  if (user) {
-    currentUser = user;
-    userInfoEl.textContent = user.email;
-    logoutBtn.classList.remove("hidden");
-    authSection.style.display = "none";
-    chatSection.classList.remove("hidden");
-    statusEl.textContent = "Loading your chats...";
-    await loadHistoryFromFirestore(user);
-    statusEl.textContent = "Ready";
-    userInput.focus();
-  } else {
-    currentUser = null;
-    userInfoEl.textContent = "Not logged in";
-    logoutBtn.classList.add("hidden");
-    authSection.style.display = "flex";
-    chatSection.classList.add("hidden");
-    chatWindow.innerHTML = "";
-    conversationHistory = [];
-    messageDocs = [];
-    emailInput.value = "";
-    passwordInput.value = "";
-    authError.textContent = "";
+  const groups = [
+    ["Built-in", personas.filter((persona) => persona.builtIn)],
+    ["My personas", personas.filter((persona) => !persona.builtIn)],
+  ];
+  for (const [label, members] of groups) {
+    if (members.length === 0) continue;
+    const group = document.createElement("optgroup");
+    group.label = label;
+    members.forEach((persona) => group.appendChild(new Option(persona.name, persona.id)));
+    personaSelect.appendChild(group);
   }
-});
 
-// --- Chat logic ---
-async function sendMessage(message) {
-  if (!currentUser) return;
+  syncPersonaSelect();
+}
 
-  sendBtn.disabled = true;
-  userInput.disabled = true;
-  statusEl.textContent = "Thinking...";
-  showTypingIndicator();
+// Show the open conversation's persona (or the one picked for a new chat)
+function syncPersonaSelect() {
+  const current = getCurrentConversation();
+  const personaId = current ? current.personaId || "" : newConversationPersonaId;
+  personaSelect.value = personas.some((persona) => persona.id === personaId) ? personaId : "";
+}
 
-  try {
-    // Save user message first
-    await saveMessageToFirestore(currentUser, "user", message);
+function renderPersonaList() {
+  personaListEl.innerHTML = "";
+  const own = personas.filter((persona) => !persona.builtIn);
 
-    // Prepare trimmed history to send to backend (last 30 messages for better context)
-    const historyToSend = conversationHistory.slice(-30);
+  if (own.length === 0) {
+    const item = document.createElement("li");
+    item.classList.add("empty");
+    item.textContent = "No custom personas yet. Create one below.";
+    personaListEl.appendChild(item);
+    return;
+  }
 
-    const res = await fetch("/api/chat", {
-      method: "POST",
-      headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({
-        message,
-        history: historyToSend,
-        userId: currentUser.uid,
-      }),
-    });
+  for (const persona of own) {
+    const item = document.createElement("li");
+    const name = document.createElement("span");
+    name.textContent = persona.name;
 
-    hideTypingIndicator();
+    const editBtn = document.createElement("button");
+    editBtn.type = "button";
+    editBtn.classList.add("header-btn");
+    editBtn.textContent = "Edit";
+    editBtn.onclick = () => fillPersonaForm(persona);
 
-    if (!res.ok) {
-      const err = await res.json().catch(() => ({}));
-      throw new Error(err.error || "Server error");
-    }
+    const deleteBtn = document.createElement("button");
+    deleteBtn.type = "button";
+    deleteBtn.classList.add("header-btn");
+    deleteBtn.textContent = "Delete";
+    deleteBtn.onclick = () => deletePersona(persona);
 
-    const data = await res.json();
-    const botReply = data.reply || "I couldn't generate a reply.";
+    item.append(name, editBtn, deleteBtn);
+    personaListEl.appendChild(item);
+  }
+}
 
-    addMessageToUI(botReply, "bot");
-    await saveMessageToFirestore(currentUser, "bot", botReply);
+function fillPersonaForm(persona = null) {
+  editingPersonaId = persona?.id || null;
+  personaFormTitle.textContent = persona ? `Edit "${persona.name}"` : "New persona";
+  personaNameInput.value = persona?.name || "";
+  personaInstructionInput.value = persona?.systemInstruction || "";
+  personaTemperatureInput.value = persona?.temperature ?? "";
+  personaTopPInput.value = persona?.topP ?? "";
+  personaMaxTokensInput.value = persona?.maxOutputTokens ?? "";
+  personaError.textContent = "";
+}
 
-    statusEl.textContent = "Ready";
-  } catch (err) {
-    console.error(err);
-    hideTypingIndicator();
+async function savePersona() {
+  // Empty number fields mean "use the model default"
+  const body = {
+    name: personaNameInput.value,
+    systemInstruction: personaInstructionInput.value,
+    temperature: personaTemperatureInput.value || null,
+    topP: personaTopPInput.value || null,
+    maxOutputTokens: personaMaxTokensInput.value || null,
+  };
+
+  personaError.textContent = "";
+  try {
+    if (editingPersonaId) {
+      await apiRequest(`/api/personas/${editingPersonaId}`, { method: "PATCH", body });
+    } else {
+      await apiRequest("/api/personas", { method: "POST", body });
+    }
+    await loadPersonas(currentUser);
+    fillPersonaForm(null);
+  } catch (err) {
+    personaError.textContent = err.message;
+  }
+}
+
+async function deletePersona(persona) {
+  if (!confirm(`Delete the persona "${persona.name}"? Conversations using it will go back to the default assistant.`)) {
+    return;
+  }
+
+  try {
+    await apiRequest(`/api/personas/${persona.id}`, { method: "DELETE" });
+    if (editingPersonaId === persona.id) {
+      fillPersonaForm(null);
+    }
+    await loadPersonas(currentUser);
+  } catch (err) {
+    personaError.textContent = err.message;
+  }
+}
+
+async function loadQuota(user) {
+  try {
+    const { quota } = await apiRequest("/api/quota", { user });
+    updateQuotaInfo(quota);
+  } catch (err) {
+    console.warn("Could not load quota:", err);
+  }
+}
+
+// Ask the server to title the conversation from its first exchange
+async function generateConversationTitle(user, conversationId) {
+  try {
+    const { conversation } = await apiRequest("/api/title", {
+      method: "POST",
+      body: { conversationId },
+      user,
+    });
+    if (conversation) {
+      updateLocalConversation(conversation);
+    }
+  } catch (err) {
+    console.warn("Could not generate conversation title:", err);
+  }
+}
+
+// --- Messages ---
+async function loadHistory(user, conversationId) {
+  branchMessages = [];
+  hasOlderMessages = false;
+  revokeAttachmentUrls();
+  chatWindow.innerHTML = "";
+
+  showingOfflineCopy = false;
+
+  try {
+    const data = await apiRequest(`/api/conversations/${conversationId}/messages?limit=${HISTORY_PAGE_SIZE}`, { user });
+    renderBranch(data.conversation, data.messages, conversationId, { hasMore: data.hasMore });
+    cacheBranch(user.uid, conversationId, data);
+  } catch (err) {
+    // Offline, show the messages saved the last time the conversation was open (read-only:
+    // older pages aren't loaded until the connection is back)
+    const cached = isNetworkError(err) && await cachedBranch(user.uid, conversationId);
+    if (cached) {
+      showingOfflineCopy = true;
+      renderBranch(cached.conversation, cached.messages, conversationId);
+    } else {
+      console.error("Error loading history:", err);
+      statusEl.textContent = "Error loading chat history";
+    }
+  }
+  await showQueuedMessages(user, conversationId);
+}
+
+// Draw a stored message with its tool steps, sources, finish notice and actions
+function renderStoredMessage(message, conversationId) {
+  const div = addMessageToUI(message.text, message.sender, message.attachments || [], conversationId);
+  (message.toolCalls || []).forEach((step) => renderToolStep(div, step));
+  renderSources(div, message.sources);
+  renderFinishNotice(div, message);
+  showMessageActions(div, message);
+  return div;
+}
+
+// Draw the messages of the active branch (replacing whatever is shown), scrolled to the
+// bottom or to scrollTop. hasMore: older messages can be loaded by scrolling up.
+function renderBranch(conversation, messages, conversationId, { hasMore = false, scrollTop = null } = {}) {
+  branchMessages = [];
+  hasOlderMessages = hasMore;
+  chatWindow.innerHTML = "";
+
+  if (messages.length === 0) {
+    showEmptyState();
+    return;
+  }
+
+  for (const message of messages) {
+    renderStoredMessage(message, conversationId);
+    branchMessages.push(message);
+  }
+  renderSummaryMarker(conversation.summary);
+
+  if (scrollTop === null) {
+    scrollToBottom();
+  } else {
+    chatWindow.scrollTop = scrollTop;
+  }
+  loadOlderMessagesIfNeeded();
+}
+
+// Load the page of messages before the first one shown, keeping the view where it is
+async function loadOlderMessages() {
+  if (!hasOlderMessages || loadingOlderMessages || !currentConversationId || branchMessages.length === 0) return;
+
+  const conversationId = currentConversationId;
+  loadingOlderMessages = true;
+  try {
+    const params = new URLSearchParams({ before: branchMessages[0].id, limit: HISTORY_PAGE_SIZE });
+    const data = await apiRequest(`/api/conversations/${conversationId}/messages?${params}`);
+    if (currentConversationId !== conversationId) return;
+
+    const firstShown = chatWindow.querySelector(".message[data-message-id]");
+    const { scrollTop, scrollHeight } = chatWindow;
+    for (const message of data.messages) {
+      chatWindow.insertBefore(renderStoredMessage(message, conversationId), firstShown);
+    }
+    branchMessages = [...data.messages, ...branchMessages];
+    hasOlderMessages = data.hasMore;
+    renderSummaryMarker(data.conversation.summary);
+    chatWindow.scrollTop = scrollTop + chatWindow.scrollHeight - scrollHeight;
+  } catch (err) {
+    console.error("Error loading older messages:", err);
+    statusEl.textContent = "Could not load older messages";
+  } finally {
+    loadingOlderMessages = false;
+  }
+}
+
+// Scrolled near the top (or the messages don't fill the window): load older ones
+async function loadOlderMessagesIfNeeded() {
+  while (hasOlderMessages && !loadingOlderMessages && chatWindow.scrollTop < LOAD_OLDER_THRESHOLD_PX) {
+    const before = branchMessages[0]?.id;
+    await loadOlderMessages();
+    if (branchMessages[0]?.id === before) break;
+  }
+}
+
+chatWindow.addEventListener("scroll", () => {
+  loadOlderMessagesIfNeeded();
+});
+
+// --- Versions: edit, regenerate and switch between alternatives ---
+function showMessageActions(div, message) {
+  div.dataset.messageId = message.id;
+  div.querySelector(".message-actions")?.remove();
+
+  const actions = document.createElement("div");
+  actions.classList.add("message-actions");
+
+  const { ids = [message.id], index = 0 } = message.versions || {};
+  if (ids.length > 1) {
+    const prevBtn = document.createElement("button");
+    prevBtn.type = "button";
+    prevBtn.textContent = "‹";
+    prevBtn.title = "Previous version";
+    prevBtn.disabled = index === 0;
+    prevBtn.onclick = () => selectVersion(ids[index - 1]);
+
+    const counter = document.createElement("span");
+    counter.textContent = `${index + 1}/${ids.length}`;
+
+    const nextBtn = document.createElement("button");
+    nextBtn.type = "button";
+    nextBtn.textContent = "›";
+    nextBtn.title = "Next version";
+    nextBtn.disabled = index === ids.length - 1;
+    nextBtn.onclick = () => selectVersion(ids[index + 1]);
+
+    actions.append(prevBtn, counter, nextBtn);
+  }
+
+  const actionBtn = document.createElement("button");
+  actionBtn.type = "button";
+  if (message.sender === "user") {
+    actionBtn.textContent = "Edit";
+    actionBtn.onclick = () => startEditing(div, message);
+  } else {
+    actionBtn.textContent = "Regenerate";
+    actionBtn.onclick = () => regenerateReply(message);
+  }
+  actions.appendChild(actionBtn);
+
+  // Answers can be pinned to the "Pinned" panel
+  div.classList.toggle("pinned", Boolean(message.pinnedAt));
+  if (message.sender === "bot") {
+    const pinBtn = document.createElement("button");
+    pinBtn.type = "button";
+    pinBtn.textContent = message.pinnedAt ? "Unpin" : "Pin";
+    pinBtn.onclick = () => setPinned(message, !message.pinnedAt);
+    actions.appendChild(pinBtn);
+  }
+
+  // Answers can be read aloud
+  if (message.sender === "bot" && speechSupported) {
+    const listenBtn = document.createElement("button");
+    listenBtn.type = "button";
+    listenBtn.classList.add("listen-btn");
+    listenBtn.textContent = "▶ Listen";
+    listenBtn.onclick = () => (listenBtn.classList.contains("speaking") ? stopSpeaking() : readAloud(message.text, listenBtn));
+    actions.appendChild(listenBtn);
+  }
+
+  const deleteBtn = document.createElement("button");
+  deleteBtn.type = "button";
+  deleteBtn.textContent = "Delete";
+  deleteBtn.title = message.sender === "user" ? "Delete this message and its reply" : "Delete this reply";
+  deleteBtn.onclick = () => deleteMessage(message);
+  actions.appendChild(deleteBtn);
+
+  div.appendChild(actions);
+}
+
+// --- Deleting and pinning messages ---
+// A user message is deleted with its reply (all versions of it), a reply on its own;
+// the messages after them stay. The branch is redrawn where it was scrolled to.
+async function deleteMessage(message) {
+  if (activeRequest || !currentConversationId) return;
+  const exchange = message.sender === "user";
+  if (!confirm(exchange ? "Delete this message and its reply?" : "Delete this reply?")) return;
+
+  const conversationId = currentConversationId;
+  try {
+    const params = new URLSearchParams({
+      scope: exchange ? "exchange" : "message",
+      limit: Math.min(Math.max(branchMessages.length, HISTORY_PAGE_SIZE), 500),
+    });
+    const data = await apiRequest(`/api/conversations/${conversationId}/messages/${message.id}?${params}`, { method: "DELETE" });
+    updateLocalConversation(data.conversation);
+    if (currentConversationId !== conversationId) return;
+    revokeAttachmentUrls();
+    renderBranch(data.conversation, data.messages, conversationId, { hasMore: data.hasMore, scrollTop: chatWindow.scrollTop });
+    if (pinsDialog.open) await loadPins();
+  } catch (err) {
+    console.error("Error deleting message:", err);
+    statusEl.textContent = "Could not delete the message";
+  }
+}
+
+async function setPinned(message, pinned) {
+  const conversationId = currentConversationId;
+  try {
+    const { message: updated } = await apiRequest(`/api/conversations/${conversationId}/messages/${message.id}`, {
+      method: "PATCH",
+      body: { pinned },
+    });
+    message.pinnedAt = updated.pinnedAt;
+    const div = chatWindow.querySelector(`[data-message-id="${CSS.escape(message.id)}"]`);
+    if (div && currentConversationId === conversationId) {
+      showMessageActions(div, message);
+    }
+    if (pinsDialog.open) await loadPins();
+  } catch (err) {
+    console.error("Error pinning message:", err);
+    statusEl.textContent = pinned ? "Could not pin the message" : "Could not unpin the message";
+  }
+}
+
+async function loadPins() {
+  if (!currentConversationId) {
+    renderPinList([]);
+    return;
+  }
+  const { pins } = await apiRequest(`/api/conversations/${currentConversationId}/pins`);
+  renderPinList(pins);
+}
+
+// Pinned answers of the open conversation; clicking one shows it in the chat,
+// switching to its branch if needed
+function renderPinList(pins) {
+  pinListEl.innerHTML = "";
+
+  if (pins.length === 0) {
+    const item = document.createElement("li");
+    item.classList.add("empty");
+    item.textContent = "No pinned messages. Use \"Pin\" on an answer to keep it here.";
+    pinListEl.appendChild(item);
+    return;
+  }
+
+  const conversationId = currentConversationId;
+  for (const pin of pins) {
+    const item = document.createElement("li");
+    const text = document.createElement("span");
+    text.textContent = (pin.text || "").replace(/\s+/g, " ").slice(0, 200);
+    text.title = "Show in chat";
+    text.onclick = () => {
+      pinsDialog.close();
+      jumpToMessage(conversationId, pin.id);
+    };
+    const pinnedAt = document.createElement("small");
+    pinnedAt.textContent = new Date(pin.pinnedAt).toLocaleDateString();
+
+    const unpinBtn = document.createElement("button");
+    unpinBtn.type = "button";
+    unpinBtn.classList.add("header-btn");
+    unpinBtn.textContent = "Unpin";
+    unpinBtn.onclick = () => {
+      const shown = branchMessages.find((message) => message.id === pin.id);
+      setPinned(shown || pin, false);
+    };
+
+    item.append(text, pinnedAt, unpinBtn);
+    pinListEl.appendChild(item);
+  }
+}
+
+pinsBtn.onclick = async () => {
+  pinError.textContent = "";
+  pinsDialog.showModal();
+  try {
+    await loadPins();
+  } catch (err) {
+    pinError.textContent = err.message;
+  }
+};
+
+closePinsBtn.onclick = () => pinsDialog.close();
+
+// --- Shared links ---
+async function loadShares() {
+  const { shares } = await apiRequest("/api/shares");
+  renderShareList(shares);
+}
+
+function renderShareList(shares) {
+  shareListEl.innerHTML = "";
+
+  if (shares.length === 0) {
+    const item = document.createElement("li");
+    item.classList.add("empty");
+    item.textContent = "No shared links yet.";
+    shareListEl.appendChild(item);
+    return;
+  }
+
+  for (const share of shares) {
+    const item = document.createElement("li");
+    const title = document.createElement("span");
+    title.textContent = share.title;
+    title.title = share.title;
+
+    const details = document.createElement("small");
+    const expiry = share.expired
+      ? "expired"
+      : share.expiresAt ? `expires ${new Date(share.expiresAt).toLocaleDateString()}` : "no expiry";
+    details.textContent = `${new Date(share.createdAt).toLocaleDateString()} · ${expiry}`;
+
+    const copyBtn = document.createElement("button");
+    copyBtn.type = "button";
+    copyBtn.classList.add("header-btn");
+    copyBtn.textContent = "Copy link";
+    copyBtn.disabled = share.expired;
+    copyBtn.onclick = () => copyShareLink(share);
+
+    const revokeBtn = document.createElement("button");
+    revokeBtn.type = "button";
+    revokeBtn.classList.add("header-btn");
+    revokeBtn.textContent = share.expired ? "Remove" : "Revoke";
+    revokeBtn.onclick = () => revokeShare(share);
+
+    item.append(title, details, copyBtn, revokeBtn);
+    shareListEl.appendChild(item);
+  }
+}
+
+async function copyShareLink(share) {
+  const url = new URL(share.path, location.origin).href;
+  try {
+    await navigator.clipboard.writeText(url);
+    statusEl.textContent = "Link copied";
+  } catch {
+    // Clipboard access can be denied; show the link so it can be copied by hand
+    prompt("Copy this link:", url);
+  }
+}
+
+async function revokeShare(share) {
+  if (!share.expired && !confirm(`Revoke the link to "${share.title}"? Anyone who has it will no longer be able to open it.`)) {
+    return;
+  }
+
+  shareError.textContent = "";
+  try {
+    await apiRequest(`/api/shares/${encodeURIComponent(share.id)}`, { method: "DELETE" });
+    await loadShares();
+  } catch (err) {
+    shareError.textContent = err.message;
+  }
+}
+
+createShareBtn.onclick = async () => {
+  if (!currentConversationId) return;
+
+  shareError.textContent = "";
+  createShareBtn.disabled = true;
+  try {
+    const { share } = await apiRequest("/api/shares", {
+      method: "POST",
+      body: {
+        conversationId: currentConversationId,
+        expiresInDays: shareExpirySelect.value ? Number(shareExpirySelect.value) : null,
+      },
+    });
+    await loadShares();
+    await copyShareLink(share);
+  } catch (err) {
+    shareError.textContent = err.message;
+  } finally {
+    createShareBtn.disabled = !currentConversationId;
+  }
+};
+
+shareBtn.onclick = async () => {
+  shareError.textContent = "";
+  createShareBtn.disabled = !currentConversationId;
+  shareDialog.showModal();
+  try {
+    await loadShares();
+  } catch (err) {
+    shareError.textContent = err.message;
+  }
+};
+
+closeShareBtn.onclick = () => shareDialog.close();
+
+// Remove a message and everything after it, before it's replaced by a new version
+function truncateBranchFrom(messageId) {
+  const index = branchMessages.findIndex((message) => message.id === messageId);
+  const div = chatWindow.querySelector(`[data-message-id="${CSS.escape(messageId)}"]`);
+  if (index === -1 || !div) return;
+
+  let node = div;
+  while (node) {
+    const next = node.nextElementSibling;
+    node.remove();
+    node = next;
+  }
+  branchMessages = branchMessages.slice(0, index);
+}
+
+async function selectVersion(messageId) {
+  if (activeRequest || !currentConversationId) return;
+
+  const conversationId = currentConversationId;
+  try {
+    const { conversation, messages, hasMore } = await apiRequest(
+      `/api/conversations/${conversationId}/messages/${messageId}/select`,
+      { method: "POST" }
+    );
+    if (currentConversationId !== conversationId) return;
+    updateLocalConversation(conversation);
+    revokeAttachmentUrls();
+    renderBranch(conversation, messages, conversationId, { hasMore });
+  } catch (err) {
+    console.error("Error switching version:", err);
+    statusEl.textContent = "Error switching version";
+  }
+}
+
+function regenerateReply(message) {
+  if (activeRequest || !currentUser) return;
+  truncateBranchFrom(message.id);
+  sendMessage("", [], { regenerateOf: message.id });
+}
+
+// Resume a reply that hit the length limit; the whole reply becomes a new version
+function continueReply(message) {
+  if (activeRequest || !currentUser) return;
+  truncateBranchFrom(message.id);
+  sendMessage("", [], { continueOf: message.id, replyPrefix: message.text });
+}
+
+// Edit a user message in place; sending it starts a new branch from that point
+function startEditing(div, message) {
+  if (activeRequest) return;
+
+  div.innerHTML = "";
+  div.classList.add("editing");
+
+  const textarea = document.createElement("textarea");
+  textarea.classList.add("edit-input");
+  textarea.value = message.text || "";
+  textarea.rows = Math.min(Math.max(textarea.value.split("\n").length, 2), 10);
+
+  const buttons = document.createElement("div");
+  buttons.classList.add("edit-actions");
+
+  const cancelBtn = document.createElement("button");
+  cancelBtn.type = "button";
+  cancelBtn.textContent = "Cancel";
+  cancelBtn.onclick = () => {
+    div.classList.remove("editing");
+    renderMessageContent(div, message.text, "user");
+    if (message.attachments?.length) {
+      renderAttachments(div, message.attachments, currentConversationId);
+    }
+    showMessageActions(div, message);
+  };
+
+  const saveBtn = document.createElement("button");
+  saveBtn.type = "button";
+  saveBtn.textContent = "Send";
+  saveBtn.onclick = () => {
+    const text = textarea.value.trim();
+    if ((!text && !message.attachments?.length) || activeRequest) return;
+    truncateBranchFrom(message.id);
+    addMessageToUI(text, "user", message.attachments || []);
+    sendMessage(text, [], { editOf: message.id });
+  };
+
+  textarea.addEventListener("keydown", (e) => {
+    if (e.key === "Enter" && !e.shiftKey) {
+      e.preventDefault();
+      saveBtn.click();
+    } else if (e.key === "Escape") {
+      cancelBtn.click();
+    }
+  });
+
+  buttons.append(cancelBtn, saveBtn);
+  div.append(textarea, buttons);
+  textarea.focus();
+}
+
+async function clearChatHistory(user, conversationId) {
+  if (!confirm("Are you sure you want to clear all messages in this conversation? This cannot be undone.")) {
+    return;
+  }
+
+  try {
+    statusEl.textContent = "Clearing chat history...";
+    await apiRequest(`/api/conversations/${conversationId}/messages`, { method: "DELETE", user });
+    
+    branchMessages = [];
+    hasOlderMessages = false;
+    const conversation = conversations.find((c) => c.id === conversationId);
+    if (conversation) conversation.summary = null;
+    showEmptyState();
+    statusEl.textContent = "Chat history cleared";
+    
+    setTimeout(() => {
+      statusEl.textContent = "Ready";
+    }, 2000);
+  } catch (err) {
+    console.error("Error clearing chat:", err);
+    statusEl.textContent = "Error clearing chat history";
+  }
+}
+
+// --- Auth handlers ---
+// Show a message under a form: an error, or a confirmation when success is true
+function setMessage(el, text, success = false) {
+  el.textContent = text;
+  el.style.color = success ? "#10b981" : "";
+}
+
+// Whether the account has an email/password sign-in (rather than only Google or GitHub)
+function usesPassword(user) {
+  return user.providerData.some((profile) => profile.providerId === "password");
+}
+
+loginBtn.onclick = async () => {
+  setMessage(authError, "");
+  loginBtn.disabled = true;
+  loginBtn.textContent = "Logging in...";
+  
+  try {
+    await signInWithEmailAndPassword(
+      auth,
+      emailInput.value.trim(),
+      passwordInput.value.trim()
+    );
+  } catch (err) {
+    setMessage(authError, authErrorMessage(err));
+  } finally {
+    loginBtn.disabled = false;
+    loginBtn.textContent = "Login";
+  }
+};
+
+signupBtn.onclick = async () => {
+  setMessage(authError, "");
+  signupBtn.disabled = true;
+  signupBtn.textContent = "Creating account...";
+  
+  try {
+    const { user } = await createUserWithEmailAndPassword(
+      auth,
+      emailInput.value.trim(),
+      passwordInput.value.trim()
+    );
+    // The verify screen can send it again if this fails
+    await sendEmailVerification(user).catch((err) => console.warn("Could not send verification email:", err));
+  } catch (err) {
+    setMessage(authError, authErrorMessage(err));
+  } finally {
+    signupBtn.disabled = false;
+    signupBtn.textContent = "Create Account";
+  }
+};
+
+// The reply is the same whether or not an account uses the address, so this can't be
+// used to find out who has one
+forgotPasswordBtn.onclick = async () => {
+  const email = emailInput.value.trim();
+  if (!email) {
+    setMessage(authError, "Enter your email address above, then press \"Forgot password?\" again.");
+    return;
+  }
+
+  forgotPasswordBtn.disabled = true;
+  try {
+    await sendPasswordResetEmail(auth, email);
+    setMessage(authError, `If an account uses ${email}, we've sent it a link to reset the password.`, true);
+  } catch (err) {
+    if (err.code === "auth/user-not-found") {
+      setMessage(authError, `If an account uses ${email}, we've sent it a link to reset the password.`, true);
+    } else {
+      setMessage(authError, authErrorMessage(err));
+    }
+  } finally {
+    forgotPasswordBtn.disabled = false;
+  }
+};
+
+async function signInWithProvider(Provider, button) {
+  setMessage(authError, "");
+  button.disabled = true;
+  try {
+    await signInWithPopup(auth, new Provider());
+  } catch (err) {
+    if (!isCancelledSignIn(err)) {
+      setMessage(authError, authErrorMessage(err));
+    }
+  } finally {
+    button.disabled = false;
+  }
+}
+
+googleSignInBtn.onclick = () => signInWithProvider(GoogleAuthProvider, googleSignInBtn);
+githubSignInBtn.onclick = () => signInWithProvider(GithubAuthProvider, githubSignInBtn);
+
+logoutBtn.onclick = async () => {
+  // The local copy of the chats and the outbox don't outlive the session
+  if (currentUser) {
+    const unsent = (await queuedMessages(currentUser.uid)).length;
+    if (unsent > 0 && !confirm(`${unsent} unsent message${unsent === 1 ? "" : "s"} will be discarded. Log out anyway?`)) {
+      return;
+    }
+    await clearOfflineData(currentUser.uid);
+  }
+
+  try {
+    await signOut(auth);
+  } catch (err) {
+    console.error("Logout error:", err);
+  }
+};
+
+// --- Email verification ---
+// Email/password accounts that the server turns away as unverified (see
+// REQUIRE_EMAIL_VERIFICATION) wait on the verify screen. Offline, nobody is held back:
+// the app only shows the local copy until the server can be asked.
+async function needsVerification(user) {
+  if (!usesPassword(user) || user.emailVerified) return false;
+  try {
+    await apiRequest("/api/quota", { user });
+    return false;
+  } catch (err) {
+    return err.reason === "email_unverified";
+  }
+}
+
+function showVerifySection(user) {
+  verifyEmailEl.textContent = user.email;
+  setMessage(verifyError, "");
+  chatSection.classList.add("hidden");
+  verifySection.classList.remove("hidden");
+}
+
+verifiedBtn.onclick = async () => {
+  setMessage(verifyError, "");
+  verifiedBtn.disabled = true;
+  try {
+    await currentUser.reload();
+    if (!currentUser.emailVerified) {
+      setMessage(verifyError, "Your email isn't verified yet. Open the link we sent you, then try again.");
+      return;
+    }
+    // The server reads the verified flag from the ID token, so get a fresh one
+    await currentUser.getIdToken(true);
+    verifySection.classList.add("hidden");
+    await openChats(currentUser);
+  } catch (err) {
+    setMessage(verifyError, authErrorMessage(err));
+  } finally {
+    verifiedBtn.disabled = false;
+  }
+};
+
+resendVerificationBtn.onclick = async () => {
+  resendVerificationBtn.disabled = true;
+  try {
+    await sendEmailVerification(currentUser);
+    setMessage(verifyError, `Sent a new link to ${currentUser.email}.`, true);
+  } catch (err) {
+    setMessage(verifyError, authErrorMessage(err));
+  } finally {
+    resendVerificationBtn.disabled = false;
+  }
+};
+
+// --- Account settings ---
+function resetSettingsForms() {
+  passwordForm.reset();
+  deleteAccountForm.reset();
+  setMessage(passwordMessage, "");
+  setMessage(deleteAccountError, "");
+}
+
+settingsBtn.onclick = () => {
+  resetSettingsForms();
+  // Google and GitHub accounts have no password here to change or to confirm with
+  const hasPassword = usesPassword(currentUser);
+  passwordForm.classList.toggle("hidden", !hasPassword);
+  deletePasswordLabel.classList.toggle("hidden", !hasPassword);
+  deletePasswordInput.required = hasPassword;
+
+  const methods = currentUser.providerData.map((profile) => PROVIDER_NAMES[profile.providerId] || profile.providerId);
+  accountSummaryEl.textContent = `Signed in as ${currentUser.email} with ${methods.join(" and ")}.`;
+  settingsDialog.showModal();
+};
+
+closeSettingsBtn.onclick = () => settingsDialog.close();
+
+// Sensitive changes need a recent sign-in: ask for the password again, or go through
+// the provider's popup for Google and GitHub accounts
+function reauthenticate(password) {
+  if (usesPassword(currentUser)) {
+    return reauthenticateWithCredential(currentUser, EmailAuthProvider.credential(currentUser.email, password));
+  }
+  const Provider = OAUTH_PROVIDERS[currentUser.providerData[0]?.providerId];
+  return reauthenticateWithPopup(currentUser, new Provider());
+}
+
+passwordForm.onsubmit = async (e) => {
+  e.preventDefault();
+  setMessage(passwordMessage, "");
+  if (newPasswordInput.value !== confirmPasswordInput.value) {
+    setMessage(passwordMessage, "The new passwords don't match.");
+    return;
+  }
+
+  changePasswordBtn.disabled = true;
+  try {
+    await reauthenticate(currentPasswordInput.value);
+    await updatePassword(currentUser, newPasswordInput.value);
+    passwordForm.reset();
+    setMessage(passwordMessage, "Password changed.", true);
+  } catch (err) {
+    setMessage(passwordMessage, reauthErrorMessage(err));
+  } finally {
+    changePasswordBtn.disabled = false;
+  }
+};
+
+deleteAccountForm.onsubmit = async (e) => {
+  e.preventDefault();
+  setMessage(deleteAccountError, "");
+  if (deleteConfirmInput.value.trim() !== "DELETE") {
+    setMessage(deleteAccountError, "Type DELETE to confirm.");
+    return;
+  }
+
+  const user = currentUser;
+  deleteAccountBtn.disabled = true;
+  try {
+    await reauthenticate(deletePasswordInput.value);
+    // The server checks the sign-in time in the ID token, so get one with the new time
+    await user.getIdToken(true);
+    await apiRequest("/api/account", { method: "DELETE", user });
+  } catch (err) {
+    if (!isCancelledSignIn(err)) {
+      setMessage(deleteAccountError, err.name === "FirebaseError" ? reauthErrorMessage(err) : err.message);
+    }
+    deleteAccountBtn.disabled = false;
+    return;
+  }
+
+  deleteAccountBtn.disabled = false;
+  settingsDialog.close();
+  await clearOfflineData(user.uid);
+  signedOutNotice = "Your account has been deleted.";
+  await signOut(auth).catch((err) => console.error("Logout error:", err));
+};
+
+clearChatBtn.onclick = async () => {
+  if (currentUser && currentConversationId) {
+    await clearChatHistory(currentUser, currentConversationId);
+  }
+};
+
+newConversationBtn.onclick = () => {
+  if (currentUser) {
+    startNewConversation();
+  }
+};
+
+renameConversationBtn.onclick = async () => {
+  const current = getCurrentConversation();
+  if (!currentUser || !current) return;
+
+  const title = prompt("Rename conversation", current.title)?.trim();
+  if (!title || title === current.title) return;
+
+  try {
+    await renameConversation(currentUser, current.id, title);
+  } catch (err) {
+    console.error("Error renaming conversation:", err);
+    statusEl.textContent = "Error renaming conversation";
+  }
+};
+
+personaSelect.onchange = async () => {
+  const current = getCurrentConversation();
+  if (!current) {
+    newConversationPersonaId = personaSelect.value;
+    return;
+  }
+
+  try {
+    const { conversation } = await apiRequest(`/api/conversations/${current.id}`, {
+      method: "PATCH",
+      body: { personaId: personaSelect.value || null },
+    });
+    updateLocalConversation(conversation);
+    statusEl.textContent = `Persona: ${personaSelect.selectedOptions[0]?.textContent || "Default assistant"}`;
+  } catch (err) {
+    console.error("Error changing persona:", err);
+    statusEl.textContent = "Error changing persona";
+    syncPersonaSelect();
+  }
+};
+
+managePersonasBtn.onclick = () => {
+  fillPersonaForm(null);
+  personaDialog.showModal();
+};
+
+closePersonasBtn.onclick = () => personaDialog.close();
+newPersonaBtn.onclick = () => fillPersonaForm(null);
+
+personaForm.addEventListener("submit", (e) => {
+  e.preventDefault();
+  savePersona();
+});
+
+deleteConversationBtn.onclick = async () => {
+  if (currentUser && currentConversationId) {
+    await deleteConversation(currentUser, currentConversationId);
+  }
+};
+
+// --- Documents ---
+async function loadDocuments() {
+  const data = await apiRequest("/api/documents");
+  documents = data.documents;
+  renderDocumentList(data.embedding);
+}
+
+// embedding: the embedding model in use; documents embedded with another one
+// aren't searched until they are uploaded again
+function renderDocumentList(embedding) {
+  documentListEl.innerHTML = "";
+
+  if (documents.length === 0) {
+    const item = document.createElement("li");
+    item.classList.add("empty");
+    item.textContent = "No documents yet. Upload text, Markdown or PDF files.";
+    documentListEl.appendChild(item);
+    return;
+  }
+
+  for (const doc of documents) {
+    const item = document.createElement("li");
+    const name = document.createElement("span");
+    name.textContent = doc.name;
+    const details = document.createElement("small");
+    const pages = doc.pageCount ? `${doc.pageCount} page${doc.pageCount === 1 ? "" : "s"} · ` : "";
+    details.textContent = doc.embedding === embedding
+      ? `${pages}${formatFileSize(doc.size)}`
+      : "Not searchable with the current embedding model; upload it again";
+
+    const deleteBtn = document.createElement("button");
+    deleteBtn.type = "button";
+    deleteBtn.classList.add("header-btn");
+    deleteBtn.textContent = "Delete";
+    deleteBtn.onclick = () => deleteDocument(doc);
+
+    item.append(name, details, deleteBtn);
+    documentListEl.appendChild(item);
+  }
+}
+
+async function uploadDocument(file) {
+  const headers = await authHeaders();
+  delete headers["Content-Type"]; // the browser sets the multipart boundary
+  const body = new FormData();
+  body.append("file", file);
+
+  const res = await fetch("/api/documents", { method: "POST", headers, body });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(data.error || "Server error");
+  }
+  return data.document;
+}
+
+async function deleteDocument(doc) {
+  if (!confirm(`Delete "${doc.name}"? Replies that cite it keep their citations, but its text can no longer be opened.`)) {
+    return;
+  }
+
+  documentError.textContent = "";
+  try {
+    await apiRequest(`/api/documents/${doc.id}`, { method: "DELETE" });
+    await loadDocuments();
+  } catch (err) {
+    documentError.textContent = err.message;
+  }
+}
+
+manageDocumentsBtn.onclick = async () => {
+  documentError.textContent = "";
+  documentsDialog.showModal();
+  try {
+    await loadDocuments();
+  } catch (err) {
+    documentError.textContent = err.message;
+  }
+};
+
+closeDocumentsBtn.onclick = () => documentsDialog.close();
+closeSourceBtn.onclick = () => sourceDialog.close();
+uploadDocumentBtn.onclick = () => documentInput.click();
+
+documentInput.onchange = async () => {
+  const file = documentInput.files[0];
+  documentInput.value = "";
+  if (!file || !currentUser) return;
+
+  uploadDocumentBtn.disabled = true;
+  uploadDocumentBtn.textContent = "Processing...";
+  documentError.textContent = "";
+  try {
+    await uploadDocument(file);
+    await loadDocuments();
+  } catch (err) {
+    documentError.textContent = err.message;
+  } finally {
+    uploadDocumentBtn.disabled = false;
+    uploadDocumentBtn.textContent = "Upload document";
+  }
+};
+
+useDocumentsInput.checked = localStorage.getItem(USE_DOCUMENTS_KEY) === "true";
+useDocumentsInput.onchange = () => {
+  localStorage.setItem(USE_DOCUMENTS_KEY, String(useDocumentsInput.checked));
+};
+
+// --- Search ---
+// Search results replace the conversation list while there is a query
+function showSearchResults(visible) {
+  searchResultsEl.classList.toggle("hidden", !visible);
+  conversationListEl.classList.toggle("hidden", visible);
+}
+
+// Snippet text with the matched words wrapped in <mark> (built as DOM, never as HTML)
+function renderSnippet(snippet, highlights) {
+  const el = document.createElement("div");
+  el.classList.add("search-result-snippet");
+  let position = 0;
+  for (const [start, end] of highlights) {
+    el.append(snippet.slice(position, start));
+    const mark = document.createElement("mark");
+    mark.textContent = snippet.slice(start, end);
+    el.append(mark);
+    position = end;
+  }
+  el.append(snippet.slice(position));
+  return el;
+}
+
+function renderSearchResult(result) {
+  const item = document.createElement("li");
+  item.classList.add("search-result");
+
+  const meta = document.createElement("div");
+  meta.classList.add("search-result-meta");
+  const date = result.createdAt ? new Date(result.createdAt).toLocaleDateString() : "";
+  meta.textContent = `${result.conversationTitle || DEFAULT_CONVERSATION_TITLE} · ${result.sender === "user" ? "You" : "Assistant"}${date ? ` · ${date}` : ""}`;
+
+  item.append(meta, renderSnippet(result.snippet, result.highlights));
+  item.onclick = () => jumpToMessage(result.conversationId, result.messageId);
+  return item;
+}
+
+// Show a page of results; offset > 0 appends to the list
+async function runSearch(query, offset = 0) {
+  const params = new URLSearchParams({ q: query, limit: SEARCH_PAGE_SIZE, offset });
+  const data = await apiRequest(`/api/search?${params}`);
+  if (query !== searchQuery) return; // a newer search has started
+
+  if (offset === 0) {
+    searchResultsEl.innerHTML = "";
+  }
+  searchResultsEl.querySelector(".search-more")?.remove();
+
+  if (data.total === 0) {
+    const empty = document.createElement("li");
+    empty.classList.add("search-empty");
+    empty.textContent = "No messages found";
+    searchResultsEl.appendChild(empty);
+    return;
+  }
+
+  data.results.forEach((result) => searchResultsEl.appendChild(renderSearchResult(result)));
+  if (data.nextOffset !== null) {
+    const more = document.createElement("li");
+    more.classList.add("search-more");
+    more.textContent = `Show more (${data.total - data.nextOffset} left)`;
+    more.onclick = () => runSearch(query, data.nextOffset).catch(showSearchError);
+    searchResultsEl.appendChild(more);
+  }
+}
+
+function showSearchError(err) {
+  console.error("Error searching messages:", err);
+  statusEl.textContent = `Search failed: ${err.message}`;
+}
+
+// Open a conversation at a message: load enough of its branch to include it,
+// switching to the message's branch if it's another version
+async function jumpToMessage(conversationId, messageId) {
+  if (activeRequest) {
+    statusEl.textContent = "Please wait for the current reply to finish";
+    return;
+  }
+
+  stopSpeaking();
+  currentConversationId = conversationId;
+  renderConversationList();
+  statusEl.textContent = "Loading conversation...";
+  try {
+    const params = new URLSearchParams({ around: messageId });
+    let data = await apiRequest(`/api/conversations/${conversationId}/messages?${params}`);
+    if (!data.messages.some((message) => message.id === messageId)) {
+      data = await apiRequest(`/api/conversations/${conversationId}/messages/${messageId}/select`, { method: "POST" });
+      updateLocalConversation(data.conversation);
+    }
+    if (currentConversationId !== conversationId) return;
+
+    revokeAttachmentUrls();
+    renderBranch(data.conversation, data.messages, conversationId, { hasMore: data.hasMore });
+    const div = chatWindow.querySelector(`[data-message-id="${CSS.escape(messageId)}"]`);
+    if (div) {
+      div.scrollIntoView({ block: "center" });
+      div.classList.add("search-hit");
+      setTimeout(() => div.classList.remove("search-hit"), 2000);
+    }
+    statusEl.textContent = "Ready";
+  } catch (err) {
+    console.error("Error opening search result:", err);
+    statusEl.textContent = "Could not open that message";
+  }
+}
+
+searchInput.oninput = () => {
+  clearTimeout(searchTimer);
+  searchQuery = searchInput.value.trim();
+  if (!searchQuery) {
+    showSearchResults(false);
+    return;
+  }
+  searchTimer = setTimeout(() => {
+    showSearchResults(true);
+    runSearch(searchQuery).catch(showSearchError);
+  }, SEARCH_DELAY_MS);
+};
+
+searchInput.onkeydown = (e) => {
+  if (e.key === "Escape") {
+    searchInput.value = "";
+    searchInput.oninput();
+  }
+};
+
+// --- Export / import ---
+// Download an export rendered by the server (one conversation or all of them)
+async function downloadExport(scope, format) {
+  const path = scope === "current"
+    ? `/api/conversations/${currentConversationId}/export`
+    : "/api/conversations/export";
+  const res = await fetch(`${path}?format=${format}`, { headers: await authHeaders() });
+  if (!res.ok) {
+    const data = await res.json().catch(() => ({}));
+    throw new Error(data.error || "Server error");
+  }
+
+  const fileName = res.headers.get("Content-Disposition")?.match(/filename="([^"]+)"/)?.[1]
+    || `conversations.${format === "markdown" ? "md" : format}`;
+  const url = URL.createObjectURL(await res.blob());
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Upload a JSON export; the imported conversations are added next to the existing ones
+async function importConversations(file) {
+  const headers = await authHeaders();
+  delete headers["Content-Type"]; // the browser sets the multipart boundary
+  const body = new FormData();
+  body.append("file", file);
+
+  const res = await fetch("/api/conversations/import", { method: "POST", headers, body });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw new Error(data.error || "Server error");
+  }
+  return data.conversations;
+}
+
+exportSelect.onchange = async () => {
+  const [scope, format] = exportSelect.value.split(":");
+  exportSelect.value = "";
+  if (!currentUser || !format || (scope === "current" && !currentConversationId)) return;
+
+  statusEl.textContent = "Preparing export...";
+  try {
+    await downloadExport(scope, format);
+    statusEl.textContent = "Export downloaded";
+  } catch (err) {
+    console.error("Error exporting conversations:", err);
+    statusEl.textContent = `Export failed: ${err.message}`;
+  }
+};
+
+importConversationsBtn.onclick = () => {
+  if (currentUser) {
+    importInput.click();
+  }
+};
+
+importInput.onchange = async () => {
+  const file = importInput.files[0];
+  importInput.value = "";
+  if (!file || !currentUser) return;
+
+  importConversationsBtn.disabled = true;
+  statusEl.textContent = "Importing conversations...";
+  try {
+    const imported = await importConversations(file);
+    await loadConversations(currentUser);
+    if (imported.length > 0) {
+      await switchConversation(imported[0].id);
+    }
+    statusEl.textContent = `Imported ${imported.length} conversation${imported.length === 1 ? "" : "s"}`;
+  } catch (err) {
+    console.error("Error importing conversations:", err);
+    statusEl.textContent = `Import failed: ${err.message}`;
+  } finally {
+    importConversationsBtn.disabled = false;
+  }
+};
+
+// Open the chat screen for a signed-in (and, if need be, verified) user
+async function openChats(user) {
+  chatSection.classList.remove("hidden");
+  statusEl.textContent = "Loading your chats...";
+  loadQuota(user);
+  await loadPersonas(user);
+  try {
+    await loadConversations(user);
+  } catch (err) {
+    console.error("Error loading conversations:", err);
+  }
+  if (conversations.length > 0) {
+    await switchConversation(conversations[0].id);
+  } else {
+    startNewConversation();
+    statusEl.textContent = navigator.onLine ? "Ready" : OFFLINE_STATUS;
+  }
+  flushOutbox();
+}
+
+// React to login/logout
+onAuthStateChanged(auth, async (user) => {
+  if (user) {
+    currentUser = user;
+    userInfoEl.textContent = user.email;
+    logoutBtn.classList.remove("hidden");
+    settingsBtn.classList.remove("hidden");
+    authSection.style.display = "none";
+    if (await needsVerification(user)) {
+      showVerifySection(user);
+      return;
+    }
+    await openChats(user);
+  } else {
+    currentUser = null;
+    userInfoEl.textContent = "Not logged in";
+    logoutBtn.classList.add("hidden");
+    settingsBtn.classList.add("hidden");
+    settingsDialog.close();
+    resetSettingsForms();
+    cancelVoiceMessage();
+    stopSpeaking();
+    verifySection.classList.add("hidden");
+    authSection.style.display = "flex";
+    chatSection.classList.add("hidden");
+    chatWindow.innerHTML = "";
+    branchMessages = [];
+    hasOlderMessages = false;
+    conversations = [];
+    currentConversationId = null;
+    conversationListEl.innerHTML = "";
+    clearTimeout(searchTimer);
+    searchQuery = "";
+    searchInput.value = "";
+    searchResultsEl.innerHTML = "";
+    showSearchResults(false);
+    quotaInfoEl.classList.add("hidden");
+    pendingAttachments = [];
+    renderAttachmentPreview();
+    revokeAttachmentUrls();
+    personas = [];
+    newConversationPersonaId = "";
+    documents = [];
+    documentListEl.innerHTML = "";
+    pinListEl.innerHTML = "";
+    shareListEl.innerHTML = "";
+    offlineDraftId = null;
+    showingOfflineCopy = false;
+    emailInput.value = "";
+    passwordInput.value = "";
+    setMessage(authError, signedOutNotice, true);
+    signedOutNotice = "";
+  }
+});
+
+// --- Voice ---
+// Read a reply aloud; its Listen button turns into Stop until it's done
+function readAloud(text, button) {
+  button.textContent = "■ Stop";
+  button.classList.add("speaking");
+  speak(speechText(markdown.parse(text)), {
+    onEnd: () => {
+      button.textContent = "▶ Listen";
+      button.classList.remove("speaking");
+    },
+  });
+}
+
+function setRecordingState(active) {
+  micBtn.classList.toggle("recording", active);
+  micBtn.textContent = active ? "■" : "🎤";
+  micBtn.title = active ? "Stop recording" : "Record a voice message";
+}
+
+async function transcribe(file) {
+  const headers = await authHeaders();
+  delete headers["Content-Type"]; // the browser sets the multipart boundary
+  const body = new FormData();
+  body.append("audio", file);
+
+  const res = await fetch("/api/transcribe", { method: "POST", headers, body });
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) {
+    throw chatError(data, res.status);
+  }
+  return data.transcript;
+}
+
+async function startVoiceMessage() {
+  if (!navigator.onLine) {
+    statusEl.textContent = "Voice messages can't be sent offline";
+    return;
+  }
+  if (pendingAttachments.length >= MAX_ATTACHMENTS) {
+    statusEl.textContent = `You can attach at most ${MAX_ATTACHMENTS} files per message`;
+    return;
+  }
+
+  try {
+    recording = await startRecording({ maxSeconds: MAX_RECORDING_SECONDS, onLimit: finishVoiceMessage });
+  } catch (err) {
+    console.error("Could not start recording:", err);
+    statusEl.textContent = err.name === "NotAllowedError"
+      ? "Microphone access is blocked; allow it for this site to record"
+      : "Could not start recording";
+    return;
+  }
+  setRecordingState(true);
+  statusEl.textContent = `Recording… press ■ to stop (at most ${MAX_RECORDING_SECONDS / 60} minutes)`;
+}
+
+// Stop recording and put the transcript in the message box to check and edit before
+// sending. The recording is attached too, so the model hears it as well.
+async function finishVoiceMessage() {
+  if (!recording) return;
+  const current = recording;
+  recording = null;
+  setRecordingState(false);
+  micBtn.disabled = true;
+  statusEl.textContent = "Transcribing…";
+
+  let file = null;
+  try {
+    file = await current.stop();
+    if (file.size === 0) {
+      statusEl.textContent = "Nothing was recorded";
+      return;
+    }
+    const transcript = await transcribe(file);
+    if (!transcript) {
+      statusEl.textContent = "No speech was heard in the recording";
+      return;
+    }
+    addPendingAttachments([file]);
+    const typed = userInput.value.trim();
+    userInput.value = typed ? `${typed} ${transcript}` : transcript;
+    userInput.focus();
+    statusEl.textContent = "Check the transcript, then press Send";
+  } catch (err) {
+    console.error("Error transcribing voice message:", err);
+    // The model may still understand the recording itself, unless it can't take audio at all
+    if (file?.size && err.code !== "bad_request") {
+      addPendingAttachments([file]);
+      statusEl.textContent = `Could not transcribe the recording (${err.message}); it's attached and can be sent as it is`;
+    } else {
+      statusEl.textContent = "Could not record the voice message";
+    }
+  } finally {
+    micBtn.disabled = Boolean(activeRequest);
+  }
+}
+
+function cancelVoiceMessage() {
+  recording?.cancel();
+  recording = null;
+  setRecordingState(false);
+}
+
+micBtn.classList.toggle("hidden", !recordingSupported);
+micBtn.onclick = () => (recording ? finishVoiceMessage() : startVoiceMessage());
+
+readAloudToggle.classList.toggle("hidden", !speechSupported);
+readAloudInput.checked = speechSupported && localStorage.getItem(READ_ALOUD_KEY) === "true";
+readAloudInput.onchange = () => {
+  localStorage.setItem(READ_ALOUD_KEY, String(readAloudInput.checked));
+  if (!readAloudInput.checked) stopSpeaking();
+};
+
+// --- Errors ---
+// An Error carrying the server's typed error ({ error, code, retryable, retryAfter, reason, requestId })
+function chatError(info, status) {
+  const err = new Error(info.error || "Server error");
+  err.code = info.code || "internal";
+  err.retryable = Boolean(info.retryable);
+  err.retryAfter = info.retryAfter || null;
+  err.reason = info.reason || null;
+  err.requestId = info.requestId || null;
+  err.status = status;
+  return err;
+}
+
+function shouldAutoRetry(err, attempt) {
+  return err.retryable && attempt < MAX_AUTO_RETRIES && (err.retryAfter || 0) <= MAX_AUTO_RETRY_WAIT_SECONDS;
+}
+
+// Count down to an automatic retry; resolves false if the user presses Stop first
+function waitToRetry(err, attempt, signal) {
+  let remaining = err.retryAfter || RETRY_BASE_SECONDS * 2 ** attempt;
+  const reason = err.code === "rate_limited" ? "Rate limited" : err.code === "timeout" ? "The model timed out" : "The model is busy";
+  const showCountdown = () => {
+    statusEl.textContent = `${reason}. Retrying in ${formatWait(remaining)}… (Stop to cancel)`;
+  };
+
+  return new Promise((resolve) => {
+    showCountdown();
+    const timer = setInterval(() => {
+      remaining--;
+      if (remaining > 0) return showCountdown();
+      clearInterval(timer);
+      resolve(true);
+    }, 1000);
+    signal.addEventListener("abort", () => {
+      clearInterval(timer);
+      resolve(false);
+    }, { once: true });
+  });
+}
+
+// Explain a failed reply in the chat, in the way that fits its code
+function showChatError(err) {
+  const reference = err.requestId ? ` (request ${err.requestId})` : "";
+
+  if (err.code === "safety_blocked") {
+    const div = addMessageToUI(`🛡️ ${err.message}`, "bot");
+    div.classList.add("blocked");
+    statusEl.textContent = "Blocked by safety filters";
+  } else if (err.code === "rate_limited") {
+    const wait = err.retryAfter ? ` Try again in ${formatWait(err.retryAfter)}.` : "";
+    showNotice(`${err.message}${wait}`);
+    statusEl.textContent = "Rate limit reached";
+  } else if (err.code === "auth" && err.status === 401) {
+    showNotice("Your session has expired. Please log out and log in again.");
+    statusEl.textContent = "Not signed in";
+  } else {
     statusEl.textContent = "Error: " + err.message;
-    addMessageToUI("Sorry, I encountered an error: " + err.message, "bot");
+    addMessageToUI(`Sorry, I encountered an error: ${err.message}${reference}`, "bot");
+  }
+}
+
+// --- Offline queue ---
+// Messages written without a connection (or whose request never reached the server)
+// wait in the outbox (public/offline-store.js) and are sent in order once the browser
+// is back online. Their bubbles show whether they are pending, sending, sent or failed.
+
+function setDeliveryState(div, state, entry = null) {
+  div.dataset.delivery = state;
+  div.querySelector(":scope > .delivery-state")?.remove();
+
+  const label = document.createElement("div");
+  label.classList.add("delivery-state");
+  label.textContent = DELIVERY_LABELS[state];
+  if (state === "failed" && entry) {
+    label.title = entry.error || "";
+    const retryBtn = document.createElement("button");
+    retryBtn.type = "button";
+    retryBtn.textContent = "Retry";
+    retryBtn.onclick = async () => {
+      await updateQueuedMessage(entry, { status: "pending", error: null });
+      setDeliveryState(div, "pending");
+      flushOutbox();
+    };
+    const discardBtn = document.createElement("button");
+    discardBtn.type = "button";
+    discardBtn.textContent = "Discard";
+    discardBtn.onclick = async () => {
+      await removeQueuedMessage(entry.id);
+      div.remove();
+    };
+    label.append(" · ", retryBtn, discardBtn);
+  }
+  div.appendChild(label);
+}
+
+// Add the queued messages of a conversation (or of the new chat being written) below its history
+async function showQueuedMessages(user, conversationId) {
+  const entries = (await queuedMessages(user.uid)).filter((entry) => (conversationId
+    ? entry.conversationId === conversationId
+    : !entry.conversationId && entry.draftId === offlineDraftId));
+  if (currentUser !== user || currentConversationId !== conversationId) return;
+
+  for (const entry of entries) {
+    const div = addMessageToUI(entry.text, "user");
+    div.dataset.outboxId = entry.id;
+    setDeliveryState(div, entry.status, entry);
+  }
+}
+
+// Put a message in the outbox; div is its bubble, already in the chat
+async function queueOutgoingMessage(text, div) {
+  const entry = {
+    id: crypto.randomUUID(),
+    uid: currentUser.uid,
+    conversationId: currentConversationId,
+    draftId: currentConversationId ? null : (offlineDraftId ||= crypto.randomUUID()),
+    text,
+    createdAt: Date.now(),
+  };
+
+  try {
+    await queueMessage(entry);
+  } catch (err) {
+    console.error("Error queueing message:", err);
+    setDeliveryState(div, "failed");
+    statusEl.textContent = "Offline, and the message couldn't be saved to send later";
+    return;
+  }
+  div.dataset.outboxId = entry.id;
+  setDeliveryState(div, "pending", entry);
+  statusEl.textContent = navigator.onLine
+    ? "The message will be sent after the ones before it"
+    : "Offline · the message will be sent when you're back online";
+  flushOutbox();
+}
+
+// Send one queued message; resolves false if the connection is still down or the server
+// asks to wait (stop sending), true otherwise. A message the server refuses is marked failed.
+async function sendQueuedMessage(user, entry) {
+  const bubble = () => chatWindow.querySelector(`[data-outbox-id="${CSS.escape(entry.id)}"]`);
+  let { conversationId } = entry;
+  let created = false;
+  if (bubble()) setDeliveryState(bubble(), "sending");
+
+  try {
+    // A chat started offline is created with its first queued message
+    if (!conversationId) {
+      conversationId = await createConversation(user);
+      created = true;
+      for (const queued of await queuedMessages(user.uid)) {
+        if (queued.draftId === entry.draftId) {
+          await updateQueuedMessage(queued, { conversationId, draftId: null });
+        }
+      }
+      if (!currentConversationId && offlineDraftId === entry.draftId) {
+        currentConversationId = conversationId;
+        offlineDraftId = null;
+      }
+      renderConversationList();
+    }
+
+    // The entry's id goes along, so a message that did reach the server before the
+    // connection dropped is answered with what was saved instead of being sent twice
+    const data = await apiRequest("/api/chat", {
+      method: "POST",
+      body: { conversationId, message: entry.text, useDocuments: useDocumentsInput.checked, clientMessageId: entry.id },
+      user,
+    });
+    await removeQueuedMessage(entry.id);
+    updateQuotaInfo(data.quota);
+    touchConversation(conversationId);
+    if (created) {
+      generateConversationTitle(user, conversationId);
+    }
+
+    // Redraw the conversation with the reply, marking the message as sent
+    if (currentUser === user && currentConversationId === conversationId && !activeRequest) {
+      await loadHistory(user, conversationId);
+      const sent = data.messages?.find((message) => message.sender === "user");
+      const div = sent && chatWindow.querySelector(`[data-message-id="${CSS.escape(sent.id)}"]`);
+      if (div) setDeliveryState(div, "sent");
+    }
+    return true;
+  } catch (err) {
+    const outcome = queuedSendOutcome(err);
+    if (outcome === "offline") {
+      if (bubble()) setDeliveryState(bubble(), "pending", entry);
+      return false;
+    }
+    // Rate limited or busy: try again once the server says to
+    if (outcome === "wait") {
+      if (bubble()) setDeliveryState(bubble(), "pending", entry);
+      const wait = err.retryAfter || RETRY_BASE_SECONDS;
+      statusEl.textContent = `${err.message} · queued messages will be sent in ${formatWait(wait)}`;
+      clearTimeout(outboxRetryTimer);
+      outboxRetryTimer = setTimeout(() => {
+        outboxRetryTimer = null;
+        flushOutbox();
+      }, wait * 1000);
+      return false;
+    }
+    console.error("Error sending queued message:", err);
+    const failed = { ...entry, conversationId, draftId: conversationId ? null : entry.draftId, status: "failed", error: err.message };
+    await updateQueuedMessage(failed, {});
+    if (bubble()) setDeliveryState(bubble(), "failed", failed);
+    return true;
+  }
+}
+
+// Send the pending messages in the order they were written, one at a time
+async function flushOutbox() {
+  if (flushingOutbox || !currentUser || !navigator.onLine) return;
+
+  const user = currentUser;
+  let attempted = 0;
+  flushingOutbox = true;
+  try {
+    while (currentUser === user) {
+      const entry = (await queuedMessages(user.uid)).find((queued) => queued.status === "pending");
+      if (!entry) break;
+      attempted++;
+      if (!await sendQueuedMessage(user, entry)) break;
+    }
+  } finally {
+    flushingOutbox = false;
+  }
+  if (attempted > 0 && currentUser === user && !activeRequest && !outboxRetryTimer) {
+    statusEl.textContent = navigator.onLine ? "Ready" : OFFLINE_STATUS;
+  }
+}
+
+window.addEventListener("online", async () => {
+  if (!currentUser) return;
+  statusEl.textContent = "Back online";
+  // Replace the offline copy with the server's history, then send what's queued
+  if (showingOfflineCopy && currentConversationId && !activeRequest) {
+    await loadHistory(currentUser, currentConversationId);
+  }
+  flushOutbox();
+});
+
+window.addEventListener("offline", () => {
+  if (currentUser && !activeRequest) {
+    statusEl.textContent = OFFLINE_STATUS;
+  }
+});
+
+// --- Chat logic ---
+function setSendingState(sending) {
+  sendBtn.disabled = sending;
+  userInput.disabled = sending;
+  attachBtn.disabled = sending;
+  micBtn.disabled = sending && !recording;
+  sendBtn.classList.toggle("hidden", sending);
+  stopBtn.classList.toggle("hidden", !sending);
+}
+
+// Parse one Server-Sent Event block ("event: ...\ndata: ...") from /api/chat
+function parseSseEvent(rawEvent) {
+  let event = "message";
+  let data = "";
+  for (const line of rawEvent.split("\n")) {
+    if (line.startsWith("event:")) {
+      event = line.slice(6).trim();
+    } else if (line.startsWith("data:")) {
+      data += line.slice(5).trim();
+    }
+  }
+  return { event, data: data ? JSON.parse(data) : {} };
+}
+
+// Read the streamed reply, calling onChunk with the text received so far and
+// onToolStep with each tool call and result. Resolves with the final "done" payload ({ reply, model }).
+async function readChatStream(res, onChunk, onToolStep) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = "";
+  let replyText = "";
+
+  while (true) {
+    const { value, done } = await reader.read();
+    if (done) break;
+
+    buffer += decoder.decode(value, { stream: true });
+    let boundary;
+    while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+      const { event, data } = parseSseEvent(buffer.slice(0, boundary));
+      buffer = buffer.slice(boundary + 2);
+
+      if (event === "chunk") {
+        replyText += data.text;
+        onChunk(replyText);
+      } else if (event === "tool_call" || event === "tool_result") {
+        onToolStep(data);
+      } else if (event === "done") {
+        return data;
+      } else if (event === "error") {
+        throw chatError({ error: "Stream error", ...data });
+      }
+    }
+  }
+
+  return { reply: replyText };
+}
+
+// editOf: id of a user message this one replaces (a new branch from there);
+// regenerateOf: id of a bot reply to generate a new version of (message is unused);
+// continueOf: id of a bot reply to resume, whose text (replyPrefix) stays in the bubble;
+// attempt counts automatic retries after retryable errors; userBubble is the bubble of a
+// new message, which goes to the outbox if the request can't reach the server
+async function sendMessage(message, files = [], { editOf = null, regenerateOf = null, continueOf = null, replyPrefix = "", attempt = 0, userBubble = null } = {}) {
+  if (!currentUser) return;
+
+  setSendingState(true);
+  statusEl.textContent = "Thinking...";
+  showTypingIndicator();
+
+  activeRequest = new AbortController();
+  let conversationId = currentConversationId;
+  let botBubble = null;
+  let partialReply = replyPrefix;
+  let retry = false;
+  let responded = false; // The server got the request (so it may have saved the exchange)
+  let queue = false;
+
+  // Render markdown progressively into the bot bubble as chunks arrive
+  const ensureBotBubble = () => {
+    if (!botBubble) {
+      hideTypingIndicator();
+      botBubble = createMessageElement("bot");
+      botBubble.classList.add("streaming");
+    }
+    return botBubble;
+  };
+  if (replyPrefix) {
+    renderMessageContent(ensureBotBubble(), replyPrefix, "bot");
+  }
+
+  try {
+    // The first message of a new chat creates its conversation
+    if (!conversationId) {
+      conversationId = await createConversation(currentUser);
+      currentConversationId = conversationId;
+      renderConversationList();
+    }
+
+    // The server loads the conversation's history itself and saves the exchange.
+    // Messages with attachments go as multipart/form-data.
+    const headers = await authHeaders();
+    const useDocuments = useDocumentsInput.checked;
+    let url = "/api/chat";
+    let body;
+    if (regenerateOf) {
+      url = `/api/conversations/${conversationId}/messages/${regenerateOf}/regenerate`;
+      body = JSON.stringify({ stream: true, useDocuments });
+    } else if (continueOf) {
+      url = `/api/conversations/${conversationId}/messages/${continueOf}/continue`;
+      body = JSON.stringify({ stream: true });
+    } else if (files.length > 0) {
+      delete headers["Content-Type"]; // the browser sets the multipart boundary
+      body = new FormData();
+      body.append("conversationId", conversationId);
+      body.append("message", message);
+      body.append("stream", "true");
+      body.append("useDocuments", String(useDocuments));
+      if (editOf) body.append("editOf", editOf);
+      files.forEach((file) => body.append("attachments", file));
+    } else {
+      body = JSON.stringify({ conversationId, message, stream: true, useDocuments, ...(editOf && { editOf }) });
+    }
+
+    const res = await fetch(url, {
+      method: "POST",
+      headers,
+      body,
+      signal: activeRequest.signal,
+    });
+    responded = true;
+
+    if (!res.ok) {
+      const info = await res.json().catch(() => ({}));
+      if (info.quota) updateQuotaInfo(info.quota);
+      throw chatError(info, res.status);
+    }
+
+    statusEl.textContent = "Responding...";
+
+    const { reply, model, quota, context, sources, messages } = await readChatStream(res, (text) => {
+      partialReply = replyPrefix + text;
+      renderMessageContent(ensureBotBubble(), partialReply, "bot");
+      scrollToBottom();
+    }, (step) => {
+      renderToolStep(ensureBotBubble(), step);
+      statusEl.textContent = "result" in step || "error" in step ? "Responding..." : `Running ${step.name}...`;
+      scrollToBottom();
+    });
+
+    const replyText = reply || "I couldn't generate a reply.";
+    updateQuotaInfo(quota);
+    renderSources(finishBotReply(botBubble, replyText), sources);
+
+    // The saved messages (user message and reply, or just the new reply) are the
+    // last bubbles; give them their ids and version controls
+    const saved = messages || [];
+    const bubbles = [...chatWindow.querySelectorAll(".message.user, .message.bot")].slice(-saved.length);
+    saved.forEach((savedMessage, index) => {
+      if (bubbles[index]) {
+        renderFinishNotice(bubbles[index], savedMessage);
+        showMessageActions(bubbles[index], savedMessage);
+      }
+      branchMessages.push(savedMessage);
+    });
+    // With "Read aloud" on, the new reply is read out
+    const savedReply = saved[saved.length - 1];
+    const listenBtn = bubbles[saved.length - 1]?.querySelector(":scope > .message-actions .listen-btn");
+    if (readAloudInput.checked && savedReply?.sender === "bot" && listenBtn) {
+      readAloud(savedReply.text, listenBtn);
+    }
+    touchConversation(conversationId);
+    refreshSummary(conversationId, context);
+    if (currentConversationId === conversationId) {
+      cacheBranch(currentUser.uid, conversationId, {
+        conversation: getCurrentConversation(),
+        messages: branchMessages.slice(-HISTORY_PAGE_SIZE),
+        hasMore: hasOlderMessages || branchMessages.length > HISTORY_PAGE_SIZE,
+      });
+    }
+    // The connection works, so anything still queued can go too
+    flushOutbox();
+
+    // Title conversations that don't have one yet; the server titles them from their
+    // first exchange and leaves ones that were titled meanwhile alone
+    if (getCurrentConversation()?.title === DEFAULT_CONVERSATION_TITLE) {
+      generateConversationTitle(currentUser, conversationId);
+    }
+
+    statusEl.textContent = model ? `Ready · answered by ${model}` : "Ready";
+  } catch (err) {
+    hideTypingIndicator();
+
+    if (err.name === "AbortError") {
+      // Keep whatever arrived before the user pressed Stop (the server saves it too)
+      if (partialReply || botBubble) {
+        finishBotReply(botBubble, partialReply);
+        touchConversation(conversationId);
+        statusEl.textContent = "Response stopped";
+      } else {
+        statusEl.textContent = "Response cancelled";
+      }
+    } else {
+      console.error(err);
+      // Nothing of a failed reply is saved, so a retry starts it over
+      if (botBubble) botBubble.remove();
+      // A new text message that never reached the server waits for the connection
+      queue = Boolean(userBubble) && !responded && files.length === 0 && !editOf && isNetworkError(err);
+      retry = !queue && shouldAutoRetry(err, attempt) && await waitToRetry(err, attempt, activeRequest.signal);
+      if (!queue && !retry) showChatError(err);
+    }
   } finally {
-    sendBtn.disabled = false;
-    userInput.disabled = false;
+    activeRequest = null;
+    setSendingState(false);
     userInput.focus();
   }
+
+  if (queue) {
+    await queueOutgoingMessage(message, userBubble);
+  } else if (retry) {
+    await sendMessage(message, files, { editOf, regenerateOf, continueOf, replyPrefix, attempt: attempt + 1, userBubble });
+  }
+}
+
+// Render the final reply; returns its bubble
+function finishBotReply(botBubble, text) {
+  if (botBubble) {
+    botBubble.classList.remove("streaming");
+    renderMessageContent(botBubble, text, "bot");
+    scrollToBottom();
+    return botBubble;
+  }
+  return addMessageToUI(text, "bot");
 }
 
+stopBtn.onclick = () => {
+  if (activeRequest) {
+    activeRequest.abort();
+  }
+};
+
 chatForm.addEventListener("submit", (e) => {
   e.preventDefault();
   const text = userInput.value.trim();
-  if (!text || !currentUser) return;
+  if ((!text && pendingAttachments.length === 0) || !currentUser || activeRequest) return;
+
+  // Only text can wait in the outbox
+  if (!navigator.onLine && pendingAttachments.length > 0) {
+    statusEl.textContent = "Attachments can't be sent offline; remove them to send the message later";
+    return;
+  }
 
-  addMessageToUI(text, "user");
+  const files = pendingAttachments;
+  pendingAttachments = [];
+  renderAttachmentPreview();
+
+  const div = addMessageToUI(text, "user", files);
   userInput.value = "";
-  sendMessage(text);
+  // While queued messages are going out, new text messages line up behind them
+  if (!navigator.onLine || (flushingOutbox && files.length === 0)) {
+    queueOutgoingMessage(text, div);
+  } else {
+    sendMessage(text, files, { userBubble: div });
+  }
+});
+
+// Attach files with the button, by pasting, or by dropping them on the chat
+attachBtn.onclick = () => fileInput.click();
+
+fileInput.addEventListener("change", () => {
+  addPendingAttachments([...fileInput.files]);
+  fileInput.value = "";
+});
+
+userInput.addEventListener("paste", (e) => {
+  const files = [...(e.clipboardData?.files || [])];
+  if (files.length > 0) {
+    e.preventDefault();
+    addPendingAttachments(files);
+  }
+});
+
+chatMain.addEventListener("dragover", (e) => {
+  if (e.dataTransfer?.types.includes("Files")) {
+    e.preventDefault();
+    chatMain.classList.add("drag-over");
+  }
+});
+
+chatMain.addEventListener("dragleave", (e) => {
+  if (!chatMain.contains(e.relatedTarget)) {
+    chatMain.classList.remove("drag-over");
+  }
+});
+
+chatMain.addEventListener("drop", (e) => {
+  e.preventDefault();
+  chatMain.classList.remove("drag-over");
+  if (currentUser) {
+    addPendingAttachments([...(e.dataTransfer?.files || [])]);
+  }
 });
 
 // Allow Enter key to send (Shift+Enter for new line)
@@ -354,3 +2876,10 @@ userInput.addEventListener("keydown", (e) => {
 
 // Initialize
 statusEl.textContent = "Please log in to start chatting.";
+
+// The service worker caches the app so it opens offline (and can be installed)
+if ("serviceWorker" in navigator) {
+  navigator.serviceWorker.register("/service-worker.js").catch((err) => {
+    console.warn("Service worker registration failed:", err);
+  });
+}
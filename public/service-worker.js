@@ -0,0 +1,77 @@
+// Service worker: keeps the app shell (page, styles, scripts, Firebase SDK) cached so
+// FlashBott opens without a network. The shell is fetched from the network first and
+// the cache is only a fallback, so a deploy shows up on the next load. API calls are
+// never cached here; the page keeps its own copy of the history (public/offline-store.js).
+
+const CACHE_NAME = "flashbott-shell-v4";
+
+// Same version as the imports in script.js
+const FIREBASE_SDK = [
+  "https://www.gstatic.com/firebasejs/11.0.0/firebase-app.js",
+  "https://www.gstatic.com/firebasejs/11.0.0/firebase-auth.js",
+];
+
+const SHELL = [
+  "/",
+  "/index.html",
+  "/style.css",
+  "/script.js",
+  "/safe-markdown.js",
+  "/offline-store.js",
+  "/outbox.js",
+  "/auth-errors.js",
+  "/voice.js",
+  "/firebase-config.js",
+  "/vendor/marked/marked.esm.js",
+  "/manifest.webmanifest",
+  "/icons/icon.svg",
+  "/icons/icon-192.png",
+  "/icons/icon-512.png",
+  ...FIREBASE_SDK,
+];
+
+// Same-origin paths that are never served from the cache
+const NETWORK_ONLY = ["/api/", "/share/", "/admin/", "/health", "/metrics"];
+
+self.addEventListener("install", (event) => {
+  event.waitUntil(caches.open(CACHE_NAME).then((cache) => cache.addAll(SHELL)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names.filter((name) => name !== CACHE_NAME).map((name) => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+function isShellRequest(url) {
+  if (url.origin !== self.location.origin) {
+    return FIREBASE_SDK.includes(url.href);
+  }
+  return !NETWORK_ONLY.some((prefix) => url.pathname.startsWith(prefix));
+}
+
+// Network first, updating the cache; the cached copy when offline. Pages fall back to
+// the cached index.html, so a reload at any app URL still opens the app.
+async function networkFirst(request) {
+  const cache = await caches.open(CACHE_NAME);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      await cache.put(request, response.clone());
+    }
+    return response;
+  } catch (err) {
+    const cached = await cache.match(request, { ignoreSearch: true })
+      || (request.mode === "navigate" && await cache.match("/index.html"));
+    if (cached) return cached;
+    throw err;
+  }
+}
+
+self.addEventListener("fetch", (event) => {
+  const url = new URL(event.request.url);
+  if (event.request.method !== "GET" || !isShellRequest(url)) return;
+  event.respondWith(networkFirst(event.request));
+});
@@ -0,0 +1,101 @@
+// Voice input and spoken replies. Voice messages are recorded with MediaRecorder; the
+// server transcribes them and the recording goes with the message as an attachment.
+// Replies are read out by the browser's own speech synthesis.
+
+export const recordingSupported = Boolean(navigator.mediaDevices?.getUserMedia && window.MediaRecorder);
+export const speechSupported = "speechSynthesis" in window;
+
+// Containers the server accepts, in order of preference; each browser records only some
+const RECORDING_TYPES = ["audio/webm;codecs=opus", "audio/ogg;codecs=opus", "audio/webm", "audio/ogg", "audio/mp4"];
+const EXTENSIONS = { "audio/webm": "webm", "audio/ogg": "ogg", "audio/mp4": "m4a" };
+
+// Long utterances are cut off by some browsers, so replies are read a few sentences at a time
+const MAX_UTTERANCE_CHARS = 200;
+
+// Start recording from the microphone (the browser asks for permission first). Resolves
+// with { stop() -> Promise<File>, cancel() }; onLimit runs after maxSeconds, when the
+// caller should stop it.
+export async function startRecording({ maxSeconds, onLimit }) {
+  const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+  const mimeType = RECORDING_TYPES.find((type) => MediaRecorder.isTypeSupported(type));
+  const recorder = new MediaRecorder(stream, mimeType ? { mimeType } : undefined);
+  const chunks = [];
+  recorder.ondataavailable = (e) => {
+    if (e.data.size > 0) chunks.push(e.data);
+  };
+  const stopped = new Promise((resolve) => {
+    recorder.onstop = resolve;
+  });
+  recorder.start();
+  const timer = setTimeout(() => onLimit?.(), maxSeconds * 1000);
+
+  async function finish() {
+    clearTimeout(timer);
+    if (recorder.state !== "inactive") recorder.stop();
+    await stopped;
+    stream.getTracks().forEach((track) => track.stop());
+  }
+
+  return {
+    async stop() {
+      await finish();
+      const type = (recorder.mimeType || mimeType || "audio/webm").split(";")[0];
+      return new File(chunks, `Voice message.${EXTENSIONS[type] || "webm"}`, { type });
+    },
+    cancel: finish,
+  };
+}
+
+// Text to read for a rendered reply: code and tables are named rather than read out.
+// The HTML is parsed into an inert document, so nothing in it loads.
+export function speechText(html) {
+  const doc = new DOMParser().parseFromString(html, "text/html");
+  doc.querySelectorAll("pre").forEach((el) => el.replaceWith(" (code) "));
+  doc.querySelectorAll("table").forEach((el) => el.replaceWith(" (table) "));
+  return doc.body.textContent.replace(/\s+/g, " ").trim();
+}
+
+function utteranceChunks(text) {
+  const chunks = [];
+  let current = "";
+  for (const sentence of text.match(/[^.!?]+[.!?]*\s*/g) || [text]) {
+    if (current && current.length + sentence.length > MAX_UTTERANCE_CHARS) {
+      chunks.push(current);
+      current = "";
+    }
+    current += sentence;
+  }
+  if (current.trim()) chunks.push(current);
+  return chunks;
+}
+
+let endCurrent = null; // Ends the reading in progress
+
+// Read text aloud, stopping whatever was being read. onEnd runs once, when it has been
+// read or is stopped.
+export function speak(text, { onEnd } = {}) {
+  stopSpeaking();
+  let ended = false;
+  const end = () => {
+    if (ended) return;
+    ended = true;
+    if (endCurrent === end) endCurrent = null;
+    onEnd?.();
+  };
+  endCurrent = end;
+
+  const chunks = utteranceChunks(text);
+  if (chunks.length === 0) return end();
+  chunks.forEach((chunk, index) => {
+    const utterance = new SpeechSynthesisUtterance(chunk);
+    utterance.onerror = end;
+    if (index === chunks.length - 1) utterance.onend = end;
+    speechSynthesis.speak(utterance);
+  });
+}
+
+export function stopSpeaking() {
+  if (!speechSupported) return;
+  speechSynthesis.cancel();
+  endCurrent?.();
+}
@@ -1,326 +1,1260 @@
+import { createHash, randomUUID, timingSafeEqual } from "node:crypto";
 import express from "express";
 import cors from "cors";
 import dotenv from "dotenv";
-import { GoogleGenerativeAI } from "@google/generative-ai";
+import { createModelRegistry } from "./lib/model-registry.js";
+import { configuredModelNames, createProvider } from "./lib/providers/index.js";
+import { requireAdmin, requireAuth, requireSignedIn } from "./lib/auth.js";
+import { ApiError, classifyError, errorBody, sendError } from "./lib/errors.js";
+import { createChatRateLimit, createDailyQuota, createSlidingWindowLimiter } from "./lib/rate-limit.js";
+import { createStorage } from "./lib/storage/index.js";
+import { createConversationsRouter, DEFAULT_CONVERSATION_TITLE } from "./lib/conversations-router.js";
+import { acceptAttachments, acceptAudio, readUploadedFiles, toInlineDataPart } from "./lib/attachments.js";
+import { findPersona, personaModelOptions } from "./lib/personas.js";
+import { createPersonasRouter } from "./lib/personas-router.js";
+import { createSearchIndex, indexedStorage } from "./lib/search-index.js";
+import { createSearchRouter } from "./lib/search-router.js";
+import { createToolRegistry } from "./lib/tools/index.js";
+import { createEmbedder } from "./lib/documents/embeddings.js";
+import { createVectorStore } from "./lib/documents/vector-store.js";
+import { citedSources, createDocumentLibrary, estimateSourceTokens, sourcesInstruction } from "./lib/documents/index.js";
+import { createDocumentsRouter } from "./lib/documents-router.js";
+import { finishDetails, isSafetyFinish } from "./lib/safety.js";
+import { createUsageLog } from "./lib/usage/usage-log.js";
+import { createPricing } from "./lib/usage/pricing.js";
+import { createUsageRouter } from "./lib/usage-router.js";
+import { logger } from "./lib/logger.js";
+import { createHttpMetrics, createMetrics, servedAsStatic } from "./lib/metrics.js";
+import { createHealthChecks } from "./lib/health.js";
+import { corsOptions, createSecurityHeaders, staticPagePolicy } from "./lib/security.js";
+import { createSharesRouter } from "./lib/shares-router.js";
+import { createAccountRouter } from "./lib/account-router.js";
+import { isExpired } from "./lib/shares.js";
+import { HTML_STYLE, renderSharedErrorPage, renderSharedPage } from "./lib/conversation-export.js";
+import { buildSummaryPrompt, selectContext, summaryBatchSize, summaryForPath, summaryInstruction } from "./lib/context-window.js";
+import { activePath, addToMessageTree, describePath, loadedPath, loadMessageTree, reachesStart } from "./lib/message-tree.js";
 
 dotenv.config();
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-app.use(cors());
-app.use(express.json());
-app.use(express.static("public"));
+// Largest JSON request body accepted (a size such as "256kb"); bigger ones get a 413
+const JSON_BODY_LIMIT = process.env.JSON_BODY_LIMIT || "256kb";
 
-// Initialize Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY || "");
+app.disable("x-powered-by");
 
-// Cache for the working model name
-let cachedModelName = null;
+// Behind a reverse proxy (e.g. Azure App Service), trust X-Forwarded-For so req.ip is the client
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set("trust proxy", /^\d+$/.test(trustProxy) ? Number(trustProxy) : trustProxy);
+}
+
+// Every request gets an id (a proxy's X-Request-Id, or a new one), sent back in the
+// X-Request-Id header and in error responses so failures can be found in the logs.
+// res.locals.log adds it to everything logged for the request, which ends with an
+// access log line.
+app.use((req, res, next) => {
+  const incoming = req.get("X-Request-Id");
+  res.locals.requestId = incoming && /^[\w.:-]{1,64}$/.test(incoming) ? incoming : randomUUID();
+  res.locals.log = logger.child({ requestId: res.locals.requestId });
+  res.set("X-Request-Id", res.locals.requestId);
+
+  const startedAt = Date.now();
+  res.on("close", () => {
+    res.locals.log.info("request", {
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      status: res.statusCode,
+      durationMs: Date.now() - startedAt,
+      ...(req.user && { uid: req.user.uid }),
+      ...(!res.writableFinished && { aborted: true }),
+    });
+  });
+  next();
+});
+
+// Model provider (LLM_PROVIDER=gemini | openai | mock)
+const provider = createProvider();
+
+// Models to use, in order of preference (LLM_MODELS overrides the provider's defaults)
+const modelNames = configuredModelNames(provider);
+
+// Health registry: picks the model for each request and handles failover/cooldowns
+const modelRegistry = createModelRegistry(modelNames);
+
+// Prometheus metrics (GET /metrics) and the health checks behind /health/live and /health/ready
+const metrics = createMetrics({ modelRegistry });
+const healthChecks = createHealthChecks({ provider, modelRegistry });
+app.use(createHttpMetrics(metrics));
+
+// Security headers (CSP, nosniff, no framing, ...) and CORS for the origins in CORS_ORIGINS
+app.use(createSecurityHeaders());
+app.use(cors(corsOptions()));
+app.use(express.json({ limit: JSON_BODY_LIMIT }));
+app.use(servedAsStatic(express.static("public")));
+// The page's markdown renderer, served from the installed package rather than a CDN
+app.use("/vendor/marked", servedAsStatic(express.static("node_modules/marked/lib")));
+
+// Conversation storage (STORAGE_ADAPTER=firestore | memory); the server owns chat history.
+// Writes go through the search index so it stays up to date.
+const baseStorage = createStorage();
+const searchIndex = createSearchIndex(baseStorage);
+const storage = indexedStorage(baseStorage, searchIndex);
+
+// Most messages of the branch sent as context, however few tokens they take; older
+// ones are folded into the summary like those over the token budget
+const CONTEXT_MAX_MESSAGES = 200;
+
+// Helper: read a numeric limit from the environment (0 disables the limit)
+function readLimit(name, defaultValue) {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value) ? value : defaultValue;
+}
+
+// Per-user / per-IP throttling and daily quotas for /api/chat. Other routes that call the
+// model (titles, transcription, document uploads) share the limits and the token budget
+// but don't use up the day's messages.
+const userLimiter = createSlidingWindowLimiter({ limit: readLimit("RATE_LIMIT_USER_PER_MINUTE", 10) });
+const ipLimiter = createSlidingWindowLimiter({ limit: readLimit("RATE_LIMIT_IP_PER_MINUTE", 30) });
+const dailyQuota = createDailyQuota({
+  maxMessages: readLimit("DAILY_MESSAGE_LIMIT", 200),
+  maxTokens: readLimit("DAILY_TOKEN_LIMIT", 200000),
+});
+const chatRateLimit = createChatRateLimit({ userLimiter, ipLimiter, dailyQuota });
+const modelRateLimit = createChatRateLimit({ userLimiter, ipLimiter, dailyQuota, countMessages: false });
+
+// Estimated tokens of history (summary + recent messages + new message) sent with each
+// message; older turns beyond it are summarized. 0 sends the whole loaded history.
+const CONTEXT_TOKEN_BUDGET = readLimit("CONTEXT_TOKEN_BUDGET", 32000);
+
+// Tools the model can call (TOOLS). A reply may take up to TOOL_MAX_ITERATIONS rounds of
+// tool calls; after that the model has to answer with what it has.
+const toolRegistry = createToolRegistry();
+const TOOL_MAX_ITERATIONS = readLimit("TOOL_MAX_ITERATIONS", 5);
+const MAX_TOOL_CALLS_PER_ROUND = 8;
+
+// Longest wait for a model to answer (or, when streaming, to start answering)
+// before the request fails with a timeout error; 0 waits indefinitely
+const MODEL_TIMEOUT_MS = readLimit("MODEL_TIMEOUT_MS", 60000);
+// Longest pause in a stream that has started before it is aborted with a timeout
+// error, so a stalled upstream doesn't hold the response open; 0 waits indefinitely
+const STREAM_IDLE_TIMEOUT_MS = readLimit("STREAM_IDLE_TIMEOUT_MS", 30000);
+
+// Document library for retrieval-augmented replies: chunks embedded with EMBEDDINGS
+// (the provider's embedding model or local hashing), kept in VECTOR_STORE
+const vectorStore = createVectorStore();
+const documentLibrary = createDocumentLibrary({ vectorStore, embedder: createEmbedder(provider) });
+
+// Usage log for the admin dashboard (USAGE_LOG), with costs estimated from MODEL_PRICES
+const usageLog = createUsageLog();
+const pricing = createPricing();
+
+setInterval(() => {
+  userLimiter.prune();
+  ipLimiter.prune();
+  dailyQuota.prune();
+  usageLog.prune().catch((err) => logger.warn("Usage log pruning failed", err));
+}, 10 * 60 * 1000).unref();
+
+// Helper: what a request used of the models, filled in as it runs and written to the usage log
+function createMeter() {
+  return { model: null, promptTokens: 0, outputTokens: 0, modelCalls: 0, retries: 0, fallbacks: 0 };
+}
+
+// Helper: middleware that keeps a meter in res.locals.meter and records the request in the
+// usage log once the response ends (or the client goes away)
+function meterUsage(kind) {
+  return (req, res, next) => {
+    const startedAt = Date.now();
+    const meter = createMeter();
+    res.locals.meter = meter;
+    res.on("close", () => {
+      const status = res.statusCode;
+      usageLog.record({
+        at: startedAt,
+        requestId: res.locals.requestId,
+        uid: req.user.uid,
+        email: req.user.email,
+        kind,
+        ...meter,
+        latencyMs: Date.now() - startedAt,
+        status,
+        error: res.locals.errorCode || (status >= 500 ? "internal" : status >= 400 ? "bad_request" : null),
+        cancelled: !res.writableFinished,
+      });
+    });
+    next();
+  };
+}
+
+// Helper: count the tokens the provider reports for a response against the user's daily budget
+// and the request's meter
+function recordTokenUsage(uid, usage, meter = createMeter()) {
+  dailyQuota.recordTokens(uid, usage?.totalTokens || 0);
+  meter.promptTokens += usage?.promptTokens || 0;
+  meter.outputTokens += usage?.outputTokens || 0;
+  meter.modelCalls++;
+
+  const model = meter.model || "unknown";
+  metrics.modelTokens.inc({ model, type: "prompt" }, usage?.promptTokens || 0);
+  metrics.modelTokens.inc({ model, type: "output" }, usage?.outputTokens || 0);
+}
+
+// Helper: count the (estimated) tokens of an embedding call like recordTokenUsage; they
+// are all input tokens of the embedding model
+function recordEmbeddingTokens(uid, tokens, meter = createMeter()) {
+  if (!tokens) return;
+  dailyQuota.recordTokens(uid, tokens);
+  meter.promptTokens += tokens;
+  meter.modelCalls++;
+  metrics.modelTokens.inc({ model: documentLibrary.embedding, type: "prompt" }, tokens);
+}
+
+// Helper: run an operation on the best available model (see modelRegistry.run),
+// counting failovers and the model that answered on the meter
+async function runOnModel(meter, operation) {
+  const run = await modelRegistry.run(operation, (modelName, kind) => {
+    meter.fallbacks++;
+    metrics.modelFallbacks.inc({ model: modelName, kind });
+  });
+  meter.model = run.modelName;
+  return run;
+}
+
+// Helper: request parts for a message: its text followed by any extra parts (e.g. attachments)
+function messageParts(msg) {
+  const parts = msg.text ? [{ text: msg.text }] : [];
+  return parts.concat(msg.parts || []);
+}
 
-// Helper: convert our simple history format into Gemini contents
-function buildHistoryForGemini(history, newMessage) {
+// Helper: convert our simple history format into request contents. Consecutive messages
+// from the same side (left behind when a message is deleted) become one turn.
+function buildContents(history, newMessage) {
   const chatHistory = [];
+  const addTurn = (role, parts) => {
+    const previous = chatHistory[chatHistory.length - 1];
+    if (previous?.role === role) {
+      previous.parts = previous.parts.concat(parts);
+    } else {
+      chatHistory.push({ role, parts });
+    }
+  };
 
-  // Convert history to Gemini format
+  // Convert history to { role, parts } contents
   for (const msg of history || []) {
     if (msg.sender === "user") {
-      chatHistory.push({ role: "user", parts: [{ text: msg.text }] });
+      addTurn("user", messageParts(msg));
     } else if (msg.sender === "bot") {
-      chatHistory.push({ role: "model", parts: [{ text: msg.text }] });
+      addTurn("model", messageParts(msg));
     }
   }
 
   // Add new user message
-  chatHistory.push({ role: "user", parts: [{ text: newMessage }] });
+  addTurn("user", messageParts(newMessage));
 
   return chatHistory;
 }
 
-app.post("/api/chat", async (req, res) => {
+// Helper: load the stored attachments of earlier messages as inlineData parts
+async function withAttachmentParts(uid, conversationId, messages) {
+  return await Promise.all(messages.map(async (msg) => {
+    if (!msg.attachments?.length) {
+      return msg;
+    }
+    const files = await Promise.all(
+      msg.attachments.map((attachment) => storage.getAttachment(uid, conversationId, attachment.id))
+    );
+    return { ...msg, parts: files.filter(Boolean).map(toInlineDataPart) };
+  }));
+}
+
+// Helper: a plain title from the first message, used when the model can't provide one
+function fallbackConversationTitle(message) {
+  const text = message.trim().replace(/\s+/g, " ");
+  return text.length > 40 ? `${text.slice(0, 40).trimEnd()}…` : text;
+}
+
+// Helper: retry with exponential backoff while the model is overloaded; onRetry is called before each retry
+async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000, onRetry = () => {}) {
+  for (let attempt = 0; attempt < maxRetries; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (classifyError(error).code === "overloaded" && attempt < maxRetries - 1) {
+        const delay = baseDelay * Math.pow(2, attempt);
+        logger.info("Model overloaded, retrying", { delayMs: delay, attempt: attempt + 1, maxRetries });
+        onRetry();
+        await new Promise(resolve => setTimeout(resolve, delay));
+        continue;
+      }
+      throw error;
+    }
+  }
+}
+
+// Helper: write a single Server-Sent Event
+function writeSseEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Helper: fail with a timeout error if the model hasn't answered within MODEL_TIMEOUT_MS
+async function withModelTimeout(promise) {
+  if (!MODEL_TIMEOUT_MS) return await promise;
+
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new ApiError("timeout", "The model took too long to respond. Please try again.")), MODEL_TIMEOUT_MS);
+  });
   try {
-    const { message, history, userId } = req.body;
-
-    if (!message || !message.trim()) {
-      return res.status(400).json({ error: "message is required" });
-    }
-
-    if (!process.env.GEMINI_API_KEY) {
-      return res.status(500).json({ error: "Gemini API key not configured" });
-    }
-
-    // Limit history for efficiency (last 30 messages for better context)
-    const trimmedHistory = Array.isArray(history)
-      ? history.slice(-30)
-      : [];
-
-    // Build conversation history
-    const conversationHistory = buildHistoryForGemini(trimmedHistory, message.trim());
-
-    // Helper function to retry with exponential backoff
-    async function retryWithBackoff(fn, maxRetries = 3, baseDelay = 1000) {
-      for (let attempt = 0; attempt < maxRetries; attempt++) {
-        try {
-          return await fn();
-        } catch (error) {
-          const isOverloaded = error.message?.includes("503") || 
-                              error.message?.includes("overloaded") ||
-                              error.message?.includes("Service Unavailable");
-          
-          if (isOverloaded && attempt < maxRetries - 1) {
-            const delay = baseDelay * Math.pow(2, attempt);
-            console.log(`Request overloaded, retrying in ${delay}ms... (attempt ${attempt + 1}/${maxRetries})`);
-            await new Promise(resolve => setTimeout(resolve, delay));
-            continue;
-          }
-          throw error;
-        }
+    return await Promise.race([promise, timeout]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Helper: settle with `promise`, or abort the stream behind it (see sendToModel's signal)
+// and fail with a timeout error if it takes longer than STREAM_IDLE_TIMEOUT_MS
+async function withStreamIdleTimeout(promise, controller) {
+  if (!STREAM_IDLE_TIMEOUT_MS) return await promise;
+
+  let timer;
+  const idle = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new ApiError("timeout", "The model stopped responding. Please try again.");
+      controller.abort(error);
+      reject(error);
+    }, STREAM_IDLE_TIMEOUT_MS);
+  });
+  try {
+    return await Promise.race([promise, idle]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+// Helper: the pieces of a model's stream, each within STREAM_IDLE_TIMEOUT_MS of the last.
+// Stopping early (a cancel or a timeout) closes the model's stream too.
+async function* idleLimitedStream(stream, controller) {
+  const iterator = stream[Symbol.asyncIterator]();
+  let finished = false;
+  try {
+    for (;;) {
+      const { value, done } = await withStreamIdleTimeout(iterator.next(), controller);
+      if (done) {
+        finished = true;
+        return;
       }
+      yield value;
     }
-    
-    // List of models to try in order (with fallbacks for overloaded models)
-    const modelNames = [
-      "gemini-2.5-flash",        // Stable, fast model
-      "gemini-2.5-pro",          // Stable, more capable
-      "gemini-flash-latest",     // Latest flash version
-      "gemini-pro-latest",       // Latest pro version
-      "gemini-2.0-flash-001",    // Stable fallback
-      "gemini-2.0-flash"         // Alternative fallback
-    ];
-    
-    // Try models with retry logic
-    let model;
-    let modelName = cachedModelName;
-    let lastError;
-    
-    // If we have a cached model, try it first
-    if (modelName) {
-      try {
-        model = genAI.getGenerativeModel({ model: modelName });
-        // Quick test with retry
-        await retryWithBackoff(async () => {
-          const testResult = await model.generateContent("test");
-          await testResult.response;
-        }, 2, 500);
-        console.log(`✓ Using cached model: ${modelName}`);
-      } catch (err) {
-        // Cached model failed, clear it and try others
-        console.warn(`Cached model ${modelName} failed, trying others...`);
-        cachedModelName = null;
-        modelName = null;
-        model = null;
+  } finally {
+    if (!finished) iterator.return?.().catch(() => {});
+  }
+}
+
+// Helper: time a model call (until it answers, or starts streaming) and count its
+// outcome in the metrics: "ok" or the error code, which also counts as an upstream error
+async function measureModelCall(modelName, promise) {
+  const startedAt = Date.now();
+  try {
+    const result = await promise;
+    metrics.modelRequests.inc({ model: modelName, outcome: "ok" });
+    return result;
+  } catch (err) {
+    const { code } = classifyError(err);
+    metrics.modelRequests.inc({ model: modelName, outcome: code });
+    metrics.upstreamErrors.inc({ provider: provider.name, code });
+    throw err;
+  } finally {
+    metrics.modelDuration.observe({ model: modelName }, (Date.now() - startedAt) / 1000);
+  }
+}
+
+// Helper: send the conversation to a model, retrying briefly if it is overloaded.
+// A persona supplies the system instruction and generation settings; the
+// conversation summary and any retrieved document sources are appended to the
+// system instruction. The enabled tools are declared; toolChoice "none" asks for
+// an answer without further tool calls. Retries are counted on the meter. Aborting
+// signal cancels the request (used to end a stalled stream).
+async function sendToModel(modelName, contents, {
+  stream = false, persona = null, summary = null, sources = [], toolChoice = "auto", meter = createMeter(), signal,
+} = {}) {
+  const options = personaModelOptions(persona);
+  const systemInstruction = [options.systemInstruction, summaryInstruction(summary), sourcesInstruction(sources)]
+    .filter(Boolean)
+    .join("\n\n");
+  const tools = TOOL_MAX_ITERATIONS > 0 ? toolRegistry.declarations() : [];
+  const request = {
+    ...options,
+    contents,
+    ...(systemInstruction && { systemInstruction }),
+    ...(tools.length > 0 && { tools, toolChoice }),
+    ...(signal && { signal }),
+  };
+
+  return await retryWithBackoff(async () => {
+    return await measureModelCall(modelName, withModelTimeout(stream
+      ? provider.stream(modelName, request)
+      : provider.generate(modelName, request)));
+  }, 2, 500, () => meter.retries++);
+}
+
+// Helper: run the tools the model asked for and add the exchange to `contents`
+// (the model's turn with its calls, then a function turn with the results).
+// onEvent(name, data) reports each "tool_call" and "tool_result" as it happens.
+// Returns the steps ({ id, name, args, result } or { id, name, args, error }).
+async function runToolCalls(contents, roundText, functionCalls, onEvent = () => {}) {
+  const calls = functionCalls
+    .slice(0, MAX_TOOL_CALLS_PER_ROUND)
+    .map((call) => ({ ...call, id: call.id || randomUUID() }));
+
+  const steps = [];
+  for (const call of calls) {
+    onEvent("tool_call", { id: call.id, name: call.name, args: call.args });
+    const step = { id: call.id, name: call.name, args: call.args, ...await toolRegistry.call(call.name, call.args) };
+    onEvent("tool_result", step);
+    steps.push(step);
+  }
+
+  contents.push(
+    { role: "model", parts: [...(roundText ? [{ text: roundText }] : []), ...calls.map((call) => ({ functionCall: call }))] },
+    {
+      role: "function",
+      parts: steps.map(({ id, name, result, error }) => ({
+        functionResponse: { id, name, response: error !== undefined ? { error } : { result } },
+      })),
+    }
+  );
+  return steps;
+}
+
+// Helper: reply text of several model rounds (e.g. before and after a tool call)
+function joinRounds(text, roundText) {
+  return text && roundText ? `${text}\n\n${roundText}` : text || roundText;
+}
+
+// Helper: ask the model for a reply, running the tools it calls in between.
+// Returns { modelName, text, toolCalls, finish } with how the last round ended (see finishDetails).
+async function generateReply(uid, contents, { persona, summary, sources, meter }) {
+  let text = "";
+  const toolCalls = [];
+  for (let round = 0; ; round++) {
+    const toolChoice = round < TOOL_MAX_ITERATIONS ? "auto" : "none";
+    const { modelName, result } = await runOnModel(meter, (name) =>
+      sendToModel(name, contents, { persona, summary, sources, toolChoice, meter })
+    );
+    recordTokenUsage(uid, result.usage, meter);
+    text = joinRounds(text, result.text);
+    if (!result.functionCalls?.length || toolChoice === "none") {
+      return { modelName, text, toolCalls, finish: finishDetails(result) };
+    }
+    toolCalls.push(...await runToolCalls(contents, result.text, result.functionCalls));
+  }
+}
+
+// Helper: a one-off prompt (titles, summaries, transcripts) to the best available model.
+// prompt is text, or parts when it comes with a file
+async function generateText(prompt, generationConfig, meter = createMeter()) {
+  const parts = typeof prompt === "string" ? [{ text: prompt }] : prompt;
+  return await runOnModel(meter, (name) =>
+    retryWithBackoff(() => withModelTimeout(provider.generate(name, {
+      contents: [{ role: "user", parts }],
+      ...(generationConfig && { generationConfig }),
+    })), 2, 500, () => meter.retries++)
+  );
+}
+
+// Helper: fold messages that no longer fit the context window into the
+// conversation's rolling summary, a prompt's worth (CONTEXT_TOKEN_BUDGET) at a time,
+// each on top of the summary the last one wrote. If the model fails, what was folded
+// so far is kept (the rest is just left out this time) and folding goes on next message.
+async function updateConversationSummary(uid, conversationId, previous, overflow, meter) {
+  let summary = previous || null;
+  let rest = overflow;
+  try {
+    while (rest.length > 0) {
+      const batch = rest.slice(0, summaryBatchSize(rest, summary?.text, CONTEXT_TOKEN_BUDGET));
+      const prompt = buildSummaryPrompt(summary?.text, batch, { budget: CONTEXT_TOKEN_BUDGET });
+      const { result } = await generateText(prompt, { temperature: 0.2, maxOutputTokens: 1024 }, meter);
+      recordTokenUsage(uid, result.usage, meter);
+
+      const text = result.text.trim();
+      if (!text) break;
+
+      summary = {
+        text,
+        throughMessageId: batch[batch.length - 1].id,
+        messageCount: (summary?.messageCount || 0) + batch.length,
+        updatedAt: Date.now(),
+      };
+      rest = rest.slice(batch.length);
+    }
+  } catch (err) {
+    logger.warn("Conversation summary failed", err);
+  }
+
+  if (summary === (previous || null)) return summary;
+  try {
+    await storage.updateConversation(uid, conversationId, { summary });
+  } catch (err) {
+    logger.warn("Could not save the conversation summary", err);
+    return previous || null;
+  }
+  return summary;
+}
+
+// Helper: summary metadata returned with replies (the text is fetched with the conversation)
+function contextInfo(summary, recent, estimatedTokens) {
+  return {
+    summarizedMessages: summary?.messageCount || 0,
+    summaryThroughMessageId: summary?.throughMessageId || null,
+    contextMessages: recent.length,
+    estimatedTokens,
+  };
+}
+
+// Helper: a bot reply to save, with the tool calls that led to it, the document
+// sources it was given and, if it didn't finish normally, why it stopped
+function botMessage(parentId, replyText, { toolCalls = [], sources = [], finish = null } = {}) {
+  const finishReason = finish?.finishReason;
+  return {
+    id: randomUUID(),
+    sender: "bot",
+    parentId,
+    text: replyText,
+    createdAt: Date.now(),
+    ...(toolCalls.length > 0 && { toolCalls }),
+    ...(sources.length > 0 && { sources }),
+    ...(finishReason && finishReason !== "STOP" && { finishReason }),
+    ...(isSafetyFinish(finishReason) && { safetyStop: true }),
+    ...(isSafetyFinish(finishReason) && finish.safetyRatings.length > 0 && { safetyRatings: finish.safetyRatings }),
+  };
+}
+
+// Helper: what to save and show when the model finished without writing anything
+function emptyReplyText(finishReason) {
+  return finishReason === "MAX_TOKENS"
+    ? "The reply reached the output token limit before any text was written."
+    : "I couldn't generate a reply.";
+}
+
+// Helper: persist a user message (with its uploaded files) and its reply together.
+// Attachments already on the message (kept from an edited message) stay first.
+async function saveExchange(uid, conversationId, userMessage, replyText, extras, files = []) {
+  if (files.length > 0) {
+    const attachments = await Promise.all(
+      files.map((file) => storage.saveAttachment(uid, conversationId, file))
+    );
+    userMessage = { ...userMessage, attachments: [...(userMessage.attachments || []), ...attachments] };
+  }
+
+  return await storage.appendMessages(uid, conversationId, [userMessage, botMessage(userMessage.id, replyText, extras)]);
+}
+
+// Helper: stream the reply to the client as Server-Sent Events.
+// Events: "chunk" ({ text }) for each piece, "tool_call" ({ id, name, args }) and
+// "tool_result" ({ id, name, args, result | error }) around each tool the model runs,
+// then "done" ({ reply, model, persona, quota, context, sources, finishReason, safetyStop,
+// safetyRatings, promptFeedback, messages }) or "error" (errorBody: { error, code, ... }).
+// Chunks carry only new text; the reply and what is saved start with replyPrefix (the
+// text a continued reply already had). A model that sends nothing for
+// STREAM_IDLE_TIMEOUT_MS is aborted and the stream ends with a "timeout" error.
+// save(replyText, { toolCalls, sources, finish }) stores the reply once it is complete, or the
+// partial reply if the client cancels.
+async function streamChatReply(res, { uid, persona, summary, sources, context, replyPrefix, meter, save }, contents) {
+  // One controller per model call, so the idle timeout aborts the stream being read
+  let controller;
+  const startRound = (toolChoice) => runOnModel(meter, (name) => {
+    controller = new AbortController();
+    return sendToModel(name, contents, { stream: true, persona, summary, sources, toolChoice, meter, signal: controller.signal });
+  });
+  const cited = citedSources(sources);
+
+  // Failover happens before the first chunk; failures there still surface
+  // as a normal JSON error response
+  let round = 0;
+  let { modelName, result } = await startRound(TOOL_MAX_ITERATIONS > 0 ? "auto" : "none");
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+    "X-Model": modelName,
+  });
+
+  // Stop pulling from the model once the browser cancels
+  let clientClosed = false;
+  res.on("close", () => {
+    clientClosed = true;
+  });
+
+  let replyText = "";
+  const toolCalls = [];
+  let finish = null;
+  let streamingModel = null; // set while a model's stream is read, so its failures count against it
+  try {
+    for (;;) {
+      streamingModel = modelName;
+      let roundText = "";
+      for await (const text of idleLimitedStream(result.stream, controller)) {
+        if (clientClosed) break;
+        // Rounds are separated like in the saved reply (see joinRounds)
+        const piece = !roundText && replyText ? `\n\n${text}` : text;
+        roundText += text;
+        replyText += piece;
+        writeSseEvent(res, "chunk", { text: piece });
       }
+      if (clientClosed) break;
+
+      const response = await withStreamIdleTimeout(result.response, controller);
+      streamingModel = null;
+      recordTokenUsage(uid, response.usage, meter);
+      finish = finishDetails(response);
+      if (!response.functionCalls?.length || round >= TOOL_MAX_ITERATIONS) break;
+
+      round++;
+      toolCalls.push(...await runToolCalls(contents, roundText, response.functionCalls, (event, data) => {
+        if (!clientClosed) writeSseEvent(res, event, data);
+      }));
+      if (clientClosed) break;
+      ({ modelName, result } = await startRound(round < TOOL_MAX_ITERATIONS ? "auto" : "none"));
     }
-    
-    // If no cached model or it failed, try all models
-    if (!model || !modelName) {
-      for (const name of modelNames) {
-        try {
-          model = genAI.getGenerativeModel({ model: name });
-          
-          // Test the model with retry logic
-          await retryWithBackoff(async () => {
-            const testResult = await model.generateContent("test");
-            await testResult.response;
-          }, 2, 500); // 2 retries with 500ms base delay
-          
-          modelName = name;
-          cachedModelName = name; // Cache it for future requests
-          console.log(`✓ Using model: ${modelName}`);
-          break;
-        } catch (err) {
-          lastError = err;
-          const isOverloaded = err.message?.includes("503") || 
-                              err.message?.includes("overloaded");
-          if (isOverloaded) {
-            console.warn(`Model ${name} is overloaded, trying next model...`);
-          } else {
-            console.warn(`Model ${name} not available:`, err.message);
-          }
-          continue;
-        }
+
+    if (clientClosed) {
+      // The model may keep generating after a cancel; count the tokens once it finishes
+      if (streamingModel) {
+        result.response.then(({ usage }) => recordTokenUsage(uid, usage, meter)).catch(() => {});
+      }
+      if (replyText || toolCalls.length > 0) {
+        await save(replyPrefix + replyText, { toolCalls, sources: cited });
       }
+    } else {
+      const reply = replyPrefix + replyText || emptyReplyText(finish.finishReason);
+      const messages = await save(reply, { toolCalls, sources: cited, finish });
+      writeSseEvent(res, "done", {
+        reply,
+        model: modelName,
+        persona: persona?.id || null,
+        quota: dailyQuota.remaining(uid),
+        context,
+        sources: cited,
+        ...finish,
+        messages,
+      });
     }
-    
-    if (!model || !modelName) {
-      throw new Error(`No available Gemini model found. All models are either unavailable or overloaded. Last error: ${lastError?.message || "Unknown"}. Please try again in a few moments.`);
+  } catch (err) {
+    // An aborted stream's final response fails too; nothing waits for it any more
+    result.response.catch(() => {});
+    res.locals.log.error("Model stream error", err);
+    res.locals.errorCode = classifyError(err).code;
+    if (streamingModel) {
+      modelRegistry.reportFailure(streamingModel, err);
+      metrics.upstreamErrors.inc({ provider: provider.name, code: res.locals.errorCode });
+    }
+    if (!clientClosed) {
+      writeSseEvent(res, "error", errorBody(err, res.locals.requestId));
+    }
+  }
+
+  res.end();
+}
+
+// Helper: answer `prompt` (a user message with request parts) after `history`, the
+// stored messages of the branch it belongs to, oldest first. Recent messages are
+// sent as long as they fit CONTEXT_TOKEN_BUDGET; older ones are folded into the
+// conversation's summary. With useDocuments, the chunks of the user's documents
+// closest to documentQuery (the prompt's text by default) go along as sources and
+// take their share of the budget first. The reply is appended to replyPrefix.
+// save(replyText, { toolCalls, sources, finish }) stores the result and returns the
+// saved messages, which are sent back with their versions.
+async function replyInContext(res, {
+  uid, conversation, tree, history, prompt, persona, useDocuments, stream, save,
+  documentQuery = prompt.text, replyPrefix = "",
+}) {
+  const meter = res.locals.meter || createMeter();
+  const sources = useDocuments
+    ? await documentLibrary.retrieve(uid, documentQuery, { onTokens: (tokens) => recordEmbeddingTokens(uid, tokens, meter) })
+    : [];
+  const sourceTokens = estimateSourceTokens(sources);
+
+  // A summary written for another branch is replaced once this one overflows
+  const branchSummary = summaryForPath(conversation.summary, history);
+  const { recent, overflow, estimatedTokens } = selectContext(history, {
+    summary: branchSummary,
+    newMessage: prompt,
+    budget: CONTEXT_TOKEN_BUDGET > 0 ? Math.max(CONTEXT_TOKEN_BUDGET - sourceTokens, 1) : 0,
+    maxMessages: CONTEXT_MAX_MESSAGES,
+  });
+  const summary = overflow.length > 0
+    ? await updateConversationSummary(uid, conversation.id, branchSummary, overflow, meter)
+    : branchSummary;
+  const context = contextInfo(summary, recent, estimatedTokens + sourceTokens);
+
+  const contents = buildContents(
+    await withAttachmentParts(uid, conversation.id, recent),
+    prompt
+  );
+
+  const saveWithVersions = async (replyText, extras) => {
+    const saved = await save(replyText, extras);
+    addToMessageTree(tree, saved);
+    return describePath(tree, saved);
+  };
+
+  // Streaming mode: send the reply token-by-token as Server-Sent Events
+  if (stream) {
+    return await streamChatReply(res, { uid, persona, summary, sources, context, replyPrefix, meter, save: saveWithVersions }, contents);
+  }
+
+  // The registry picks the healthiest model and fails over only if a request fails
+  const { modelName, text, toolCalls, finish } = await generateReply(uid, contents, { persona, summary, sources, meter });
+  const replyText = replyPrefix + text || emptyReplyText(finish.finishReason);
+  const cited = citedSources(sources);
+
+  const messages = await saveWithVersions(replyText, { toolCalls, sources: cited, finish });
+
+  res.json({
+    reply: replyText,
+    model: modelName,
+    persona: persona?.id || null,
+    quota: dailyQuota.remaining(uid),
+    context,
+    sources: cited,
+    ...finish,
+    messages,
+  });
+}
+
+// Helper: the conversation's persona, or the one requested for this message.
+// Returns undefined (after responding 400) if a requested persona doesn't exist.
+async function resolvePersona(req, res, conversation) {
+  const requestedPersonaId = req.body.personaId;
+  const persona = await findPersona(storage, req.user.uid, requestedPersonaId || conversation.personaId);
+  if (requestedPersonaId && !persona) {
+    sendError(res, new ApiError("bad_request", "Persona not found"));
+    return undefined;
+  }
+  return persona;
+}
+
+// Helper: the provider's configuration problem (e.g. a missing API key) as an error, if any
+function configurationApiError() {
+  const configurationError = provider.configurationError();
+  return configurationError ? new ApiError("auth", configurationError, { status: 500 }) : null;
+}
+
+// Helper: done() for loadMessageTree before a reply: the branch ending at leafOf(tree) is
+// read back to the conversation's summary (older messages aren't sent) or to its first
+// message. leafOf returns undefined while it can't tell yet (the messages it looks for
+// haven't been read) and null when the reply has no history.
+function historyLoaded(conversation, leafOf) {
+  const throughMessageId = conversation.summary?.throughMessageId;
+  return (tree) => {
+    const leafId = leafOf(tree);
+    if (leafId === null) return true;
+    const path = leafId === undefined ? null : loadedPath(tree, leafId);
+    return Boolean(path) && (reachesStart(tree, path) || path.some((message) => message.id === throughMessageId));
+  };
+}
+
+// Helper: log a failed chat request and answer with its typed error
+// ({ error, code, retryable, retryAfter?, reason?, safetyRatings?, requestId })
+function sendChatError(res, err) {
+  const error = classifyError(err);
+  res.locals.log.error("Chat request failed", { code: error.code, err });
+
+  // Headers are already out once a stream has started
+  if (res.headersSent) {
+    res.locals.errorCode = error.code;
+    return res.end();
+  }
+  sendError(res, error);
+}
+
+// Client message ids (uid:conversationId:id) of messages being answered right now
+const pendingClientMessages = new Set();
+const CLIENT_MESSAGE_ID = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Helper middleware: answer a resent message before the rate limits and the daily quota
+// count it, so resending from the outbox costs nothing: a clientMessageId already saved
+// gets { duplicate: true, messages, quota }, one still being answered a retryable
+// rate_limited error. Multipart bodies aren't parsed yet here; handleChat checks those.
+async function answerResentMessage(req, res, next) {
+  const { clientMessageId } = req.body || {};
+  const conversationId = req.params.id || req.body?.conversationId;
+  if (typeof clientMessageId !== "string" || !CLIENT_MESSAGE_ID.test(clientMessageId) || typeof conversationId !== "string") {
+    return next();
+  }
+
+  const { uid } = req.user;
+  if (pendingClientMessages.has(`${uid}:${conversationId}:${clientMessageId}`)) {
+    return sendError(res, new ApiError("rate_limited", "This message is still being answered", { retryAfter: 5, reason: "in_progress" }));
+  }
+  try {
+    const saved = await storage.getMessage(uid, conversationId, clientMessageId);
+    if (saved) {
+      return res.json({ duplicate: true, messages: [saved], quota: dailyQuota.remaining(uid) });
     }
-    
-    // Try using startChat first (preferred method for conversations) with retry logic
-    let replyText;
-    try {
-      const historyForChat = conversationHistory.slice(0, -1); // All except the last message
-      const currentMessage = conversationHistory[conversationHistory.length - 1];
-      
-      if (historyForChat.length > 0) {
-        // Start chat with history
-        const chat = model.startChat({
-          history: historyForChat
-        });
-        
-        // Retry with backoff if overloaded
-        const result = await retryWithBackoff(async () => {
-          return await chat.sendMessage(currentMessage.parts[0].text);
-        }, 3, 1000);
-        
-        const response = await result.response;
-        replyText = response.text() || "I couldn't generate a reply.";
-      } else {
-        // No history, just send the message directly with retry
-        const result = await retryWithBackoff(async () => {
-          return await model.generateContent(message.trim());
-        }, 3, 1000);
-        
-        const response = await result.response;
-        replyText = response.text() || "I couldn't generate a reply.";
-      }
-    } catch (chatError) {
-      // If still failing, try fallback with retry
-      console.warn("Chat method failed, using simple generateContent:", chatError.message);
-      const prompt = trimmedHistory.length > 0
-        ? `Previous conversation:\n${trimmedHistory.map(m => `${m.sender === "user" ? "User" : "Assistant"}: ${m.text}`).join("\n")}\n\nUser: ${message.trim()}\nAssistant:`
-        : message.trim();
-      
-      const result = await retryWithBackoff(async () => {
-        return await model.generateContent(prompt);
-      }, 3, 1000);
-      
-      const response = await result.response;
-      replyText = response.text() || "I couldn't generate a reply.";
-    }
-
-    res.json({ reply: replyText });
   } catch (err) {
-    console.error("Gemini error:", err);
-    console.error("Error details:", JSON.stringify(err, null, 2));
-    
-    // Provide more helpful error messages
-    let errorMessage = "Error communicating with Gemini API";
-    if (err.message) {
-      errorMessage = err.message;
-      // Check for common errors
-      if (err.message.includes("503") || err.message.includes("overloaded") || err.message.includes("Service Unavailable")) {
-        errorMessage = "The AI model is currently overloaded. Please try again in a few moments. The system will automatically retry with different models.";
-      } else if (err.message.includes("404") || err.message.includes("not found")) {
-        errorMessage = "Model not found. Please check your API key has access to the requested model.";
-      } else if (err.message.includes("401") || err.message.includes("API key")) {
-        errorMessage = "Invalid API key. Please check your GEMINI_API_KEY in .env file.";
-      } else if (err.message.includes("403")) {
-        errorMessage = "API key doesn't have permission to access this model.";
-      } else if (err.message.includes("429") || err.message.includes("rate limit")) {
-        errorMessage = "Rate limit exceeded. Please wait a moment before trying again.";
+    // handleChat loads the conversation again and reports the failure
+    res.locals.log.warn("Could not look up a resent message", err);
+  }
+  next();
+}
+
+// Shared handler for POST /api/chat ({ conversationId, message, stream, personaId, editOf, useDocuments,
+// clientMessageId }) and POST /api/conversations/:id/messages (the same without conversationId).
+// personaId defaults to the conversation's persona (ignored if that persona was deleted).
+// useDocuments answers with sources from the user's document library.
+// The message continues the active branch; with editOf (a user message id) it becomes a
+// new version of that message instead, keeping its attachments, and starts a new branch.
+// Either route also accepts multipart/form-data with files in "attachments".
+// Context is loaded from storage; the client's view of the history is never trusted.
+// clientMessageId (a UUID) becomes the message's id, so sending it again is safe: a message
+// already saved is answered with { duplicate: true, messages, quota } instead of a new reply,
+// and one still being answered with a retryable rate_limited error.
+async function handleChat(req, res, conversationId) {
+  let pendingKey = null;
+  try {
+    const message = typeof req.body.message === "string" ? req.body.message : "";
+    const stream = req.body.stream === true || req.body.stream === "true";
+    const useDocuments = req.body.useDocuments === true || req.body.useDocuments === "true";
+    const editOf = typeof req.body.editOf === "string" && req.body.editOf ? req.body.editOf : null;
+    const clientMessageId = req.body.clientMessageId || null;
+    const files = readUploadedFiles(req);
+    const { uid } = req.user;
+
+    if (!message.trim() && files.length === 0 && !editOf) {
+      return sendError(res, new ApiError("bad_request", "message is required"));
+    }
+
+    if (clientMessageId !== null && !CLIENT_MESSAGE_ID.test(clientMessageId)) {
+      return sendError(res, new ApiError("bad_request", "clientMessageId must be a UUID"));
+    }
+
+    if (!conversationId) {
+      return sendError(res, new ApiError("bad_request", "conversationId is required"));
+    }
+
+    const configurationError = configurationApiError();
+    if (configurationError) {
+      return sendError(res, configurationError);
+    }
+
+    const conversation = await storage.getConversation(uid, conversationId);
+    if (!conversation) {
+      return sendError(res, new ApiError("not_found", "Conversation not found"));
+    }
+
+    if (clientMessageId) {
+      const saved = await storage.getMessage(uid, conversationId, clientMessageId);
+      if (saved) {
+        return res.json({ duplicate: true, messages: [saved], quota: dailyQuota.remaining(uid) });
       }
+      pendingKey = `${uid}:${conversationId}:${clientMessageId}`;
+      if (pendingClientMessages.has(pendingKey)) {
+        pendingKey = null;
+        return sendError(res, new ApiError("rate_limited", "This message is still being answered", { retryAfter: 5, reason: "in_progress" }));
+      }
+      pendingClientMessages.add(pendingKey);
     }
-    
-    res.status(500).json({ error: errorMessage });
+
+    const persona = await resolvePersona(req, res, conversation);
+    if (persona === undefined) return;
+
+    // The new message's parent: the active leaf, or the parent of the edited message.
+    // A new first message waits for the whole tree, since its versions can be of any age.
+    const tree = await loadMessageTree(storage, uid, conversationId, historyLoaded(conversation, (tree) => {
+      if (!editOf) return conversation.activeLeafId || undefined;
+      const edited = tree.byId.get(editOf);
+      return edited && (edited.parentId !== null || tree.complete) ? edited.parentId : undefined;
+    }));
+    let parentId = activePath(tree, conversation.activeLeafId).at(-1)?.id || null;
+    let keptAttachments = [];
+    if (editOf) {
+      const edited = tree.byId.get(editOf);
+      if (!edited || edited.sender !== "user") {
+        return sendError(res, new ApiError("not_found", "Message not found"));
+      }
+      parentId = edited.parentId;
+      keptAttachments = edited.attachments || [];
+    }
+
+    if (!message.trim() && files.length === 0 && keptAttachments.length === 0) {
+      return sendError(res, new ApiError("bad_request", "message is required"));
+    }
+
+    const userMessage = {
+      id: clientMessageId || randomUUID(),
+      sender: "user",
+      parentId,
+      text: message.trim(),
+      createdAt: Date.now(),
+      ...(keptAttachments.length > 0 && { attachments: keptAttachments }),
+    };
+    const [withKeptParts] = await withAttachmentParts(uid, conversationId, [userMessage]);
+
+    await replyInContext(res, {
+      uid,
+      conversation,
+      tree,
+      history: parentId ? activePath(tree, parentId) : [],
+      prompt: {
+        ...userMessage,
+        attachments: [...keptAttachments, ...files],
+        parts: [...(withKeptParts.parts || []), ...files.map(toInlineDataPart)],
+      },
+      persona,
+      useDocuments,
+      stream,
+      save: (replyText, extras) => saveExchange(uid, conversationId, userMessage, replyText, extras, files),
+    });
+  } catch (err) {
+    sendChatError(res, err);
+  } finally {
+    if (pendingKey) pendingClientMessages.delete(pendingKey);
   }
-});
+}
 
-// List available models endpoint
-app.get("/api/list-models", async (req, res) => {
+// POST /api/conversations/:id/messages/:messageId/regenerate ({ stream, personaId, useDocuments }):
+// a new version of a bot reply, answering the same user message with the context of its branch
+async function handleRegenerate(req, res) {
   try {
-    if (!process.env.GEMINI_API_KEY) {
-      return res.status(500).json({ error: "GEMINI_API_KEY not set" });
+    const stream = req.body.stream === true || req.body.stream === "true";
+    const useDocuments = req.body.useDocuments === true || req.body.useDocuments === "true";
+    const { uid } = req.user;
+    const { id: conversationId, messageId } = req.params;
+
+    const configurationError = configurationApiError();
+    if (configurationError) {
+      return sendError(res, configurationError);
     }
-    
-    // Try to fetch available models using the REST API directly
-    const apiKey = process.env.GEMINI_API_KEY;
-    
-    // Try v1beta first
-    let response = await fetch(`https://generativelanguage.googleapis.com/v1beta/models?key=${apiKey}`);
-    let apiVersion = "v1beta";
-    
-    if (!response.ok) {
-      // Try v1 API instead
-      response = await fetch(`https://generativelanguage.googleapis.com/v1/models?key=${apiKey}`);
-      apiVersion = "v1";
+
+    const conversation = await storage.getConversation(uid, conversationId);
+    if (!conversation) {
+      return sendError(res, new ApiError("not_found", "Conversation not found"));
     }
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      return res.status(500).json({ 
-        error: "Failed to fetch models",
-        details: errorText,
-        suggestion: "Please verify your API key is correct and has proper permissions"
-      });
+
+    const tree = await loadMessageTree(storage, uid, conversationId, historyLoaded(conversation, (tree) => {
+      const reply = tree.byId.get(messageId);
+      return tree.byId.get(reply?.parentId)?.parentId;
+    }));
+    const reply = tree.byId.get(messageId);
+    const userMessage = reply && tree.byId.get(reply.parentId);
+    if (!reply || reply.sender !== "bot" || userMessage?.sender !== "user") {
+      return sendError(res, new ApiError("not_found", "Message not found"));
     }
-    
-    const data = await response.json();
-    const modelNames = (data.models || []).map(m => {
-      const name = m.name || "";
-      return name.replace('models/', '');
+
+    const persona = await resolvePersona(req, res, conversation);
+    if (persona === undefined) return;
+
+    const [prompt] = await withAttachmentParts(uid, conversationId, [userMessage]);
+
+    await replyInContext(res, {
+      uid,
+      conversation,
+      tree,
+      history: userMessage.parentId ? activePath(tree, userMessage.parentId) : [],
+      prompt,
+      persona,
+      useDocuments,
+      stream,
+      save: (replyText, extras) => storage.appendMessages(uid, conversationId, [
+        botMessage(userMessage.id, replyText, extras),
+      ]),
     });
-    
+  } catch (err) {
+    sendChatError(res, err);
+  }
+}
+
+// The instruction sent (but not saved) to resume a reply that was cut short
+const CONTINUE_PROMPT = "Your previous reply was cut off. Continue it exactly where it stopped, "
+  + "without repeating anything or adding an introduction.";
+
+// POST /api/conversations/:id/messages/:messageId/continue ({ stream, personaId }): resume a bot
+// reply that stopped early (e.g. at MAX_TOKENS). The model sees the branch up to and including
+// the reply; the reply and its continuation are saved together as a new version of it.
+async function handleContinue(req, res) {
+  try {
+    const stream = req.body.stream === true || req.body.stream === "true";
+    const { uid } = req.user;
+    const { id: conversationId, messageId } = req.params;
+
+    const configurationError = configurationApiError();
+    if (configurationError) {
+      return sendError(res, configurationError);
+    }
+
+    const conversation = await storage.getConversation(uid, conversationId);
+    if (!conversation) {
+      return sendError(res, new ApiError("not_found", "Conversation not found"));
+    }
+
+    const tree = await loadMessageTree(storage, uid, conversationId, historyLoaded(conversation, (tree) => {
+      const reply = tree.byId.get(messageId);
+      return reply && tree.byId.has(reply.parentId) ? reply.id : undefined;
+    }));
+    const reply = tree.byId.get(messageId);
+    const userMessage = reply && tree.byId.get(reply.parentId);
+    if (!reply || reply.sender !== "bot" || userMessage?.sender !== "user") {
+      return sendError(res, new ApiError("not_found", "Message not found"));
+    }
+
+    const persona = await resolvePersona(req, res, conversation);
+    if (persona === undefined) return;
+
+    await replyInContext(res, {
+      uid,
+      conversation,
+      tree,
+      history: activePath(tree, reply.id),
+      prompt: { id: randomUUID(), sender: "user", parentId: reply.id, text: CONTINUE_PROMPT },
+      persona,
+      // The same excerpts as before, so the continuation cites them by the same numbers
+      useDocuments: Boolean(reply.sources?.length),
+      documentQuery: userMessage.text,
+      stream,
+      replyPrefix: reply.text,
+      save: (replyText, { toolCalls, sources, finish }) => storage.appendMessages(uid, conversationId, [
+        botMessage(userMessage.id, replyText, {
+          toolCalls: [...(reply.toolCalls || []), ...toolCalls],
+          sources: sources.length > 0 ? sources : reply.sources || [],
+          finish,
+        }),
+      ]),
+    });
+  } catch (err) {
+    sendChatError(res, err);
+  }
+}
+
+app.post("/api/chat", requireAuth, meterUsage("chat"), answerResentMessage, chatRateLimit, acceptAttachments, (req, res) => handleChat(req, res, req.body.conversationId));
+app.post("/api/conversations/:id/messages", requireAuth, meterUsage("chat"), answerResentMessage, chatRateLimit, acceptAttachments, (req, res) => handleChat(req, res, req.params.id));
+app.post("/api/conversations/:id/messages/:messageId/regenerate", requireAuth, meterUsage("regenerate"), chatRateLimit, handleRegenerate);
+app.post("/api/conversations/:id/messages/:messageId/continue", requireAuth, meterUsage("continue"), chatRateLimit, handleContinue);
+app.use("/api/conversations", requireAuth, createConversationsRouter({ storage }));
+app.use("/api/personas", requireAuth, createPersonasRouter({ storage }));
+app.use("/api/search", requireAuth, createSearchRouter({ searchIndex }));
+app.use("/api/documents", requireAuth, createDocumentsRouter({
+  vectorStore,
+  documentLibrary,
+  limitUploads: [meterUsage("document"), modelRateLimit],
+  recordEmbeddingTokens,
+}));
+app.use("/api/admin/usage", requireAuth, requireAdmin, createUsageRouter({ usageLog, pricing }));
+app.use("/api/shares", requireAuth, createSharesRouter({ storage }));
+app.use("/api/account", requireSignedIn, createAccountRouter({ storage, vectorStore, usageLog }));
+
+// Usage dashboard page; its data comes from /api/admin/usage, which checks for an admin
+app.get("/admin/usage", (req, res) => {
+  res.sendFile("admin/usage.html", { root: "public" });
+});
+
+// Public, read-only page of a shared conversation. Anyone with the link can open it,
+// so it runs no script, isn't indexed, doesn't leak its URL through the Referer of
+// links in it, and isn't cached, so revoking a link takes effect at once.
+app.get("/share/:id", async (req, res) => {
+  res.set({
+    "Content-Security-Policy": staticPagePolicy(HTML_STYLE),
+    "Referrer-Policy": "no-referrer",
+    "X-Robots-Tag": "noindex, nofollow",
+    "Cache-Control": "no-store",
+  });
+  res.type("html");
+
+  try {
+    const share = await storage.getShare(req.params.id);
+    if (!share) {
+      return res.status(404).send(renderSharedErrorPage("This link doesn't exist or has been revoked."));
+    }
+    if (isExpired(share)) {
+      return res.status(410).send(renderSharedErrorPage("This link has expired."));
+    }
+    const messages = await storage.listShareMessages(share.id);
+    res.send(renderSharedPage(share, messages));
+  } catch (err) {
+    res.locals.log.error("Error loading shared conversation", err);
+    res.status(500).send(renderSharedErrorPage("This conversation can't be shown right now."));
+  }
+});
+
+// Remaining daily quota for the signed-in user
+app.get("/api/quota", requireAuth, (req, res) => {
+  res.json({ quota: dailyQuota.remaining(req.user.uid) });
+});
+
+// Generate a short conversation title from the first exchange.
+// With { conversationId } the exchange is read from storage and the title is saved, unless
+// the conversation already has a title (then it comes back unchanged); otherwise
+// { message, reply } are titled as given.
+app.post("/api/title", requireAuth, meterUsage("title"), modelRateLimit, async (req, res) => {
+  let { message, reply } = req.body;
+  const { conversationId } = req.body;
+
+  if (conversationId !== undefined && typeof conversationId !== "string") {
+    return sendError(res, new ApiError("bad_request", "conversationId must be a string"));
+  }
+  if (!conversationId && message == null) {
+    return sendError(res, new ApiError("bad_request", "message is required"));
+  }
+  if (!conversationId && (typeof message !== "string" || (reply != null && typeof reply !== "string"))) {
+    return sendError(res, new ApiError("bad_request", "message and reply must be strings"));
+  }
+
+  try {
+    if (conversationId) {
+      const conversation = await storage.getConversation(req.user.uid, conversationId);
+      if (!conversation) {
+        return sendError(res, new ApiError("not_found", "Conversation not found"));
+      }
+      if (conversation.title && conversation.title !== DEFAULT_CONVERSATION_TITLE) {
+        return res.json({ title: conversation.title, conversation });
+      }
+      const messages = await storage.listMessages(req.user.uid, conversationId, { limit: 2 });
+      const userMessage = messages.find((m) => m.sender === "user");
+      // A message with only attachments is titled from the file names
+      message = userMessage?.text || userMessage?.attachments?.map((a) => a.name).join(", ") || "";
+      reply = messages.find((m) => m.sender === "bot")?.text;
+    }
+
+    if (!message.trim()) {
+      return sendError(res, new ApiError("bad_request", "message is required"));
+    }
+
+    // Without a configured provider (or if the model fails) the title comes from the first message
+    let title = fallbackConversationTitle(message);
+    let titleModel;
+    if (!provider.configurationError()) {
+      try {
+        const prompt = "Write a short title (at most 6 words) for a conversation that starts with the exchange below. " +
+          "Reply with the title only, without quotes or trailing punctuation.\n\n" +
+          `User: ${message.trim().slice(0, 1000)}\n` +
+          `Assistant: ${(reply || "").slice(0, 1000)}`;
+
+        const { modelName, result } = await generateText(prompt, undefined, res.locals.meter);
+        recordTokenUsage(req.user.uid, result.usage, res.locals.meter);
+        title = result.text.trim().replace(/^["'*#\s]+|["'*.\s]+$/g, "").slice(0, 80) || title;
+        titleModel = modelName;
+      } catch (err) {
+        res.locals.log.warn("Title generation failed", err);
+      }
+    }
+
+    // Save the title when titling a stored conversation
+    const conversation = conversationId
+      ? await storage.updateConversation(req.user.uid, conversationId, { title })
+      : undefined;
+    res.json({ title, model: titleModel, conversation });
+  } catch (err) {
+    res.locals.log.error("Error generating conversation title", err);
+    sendError(res, new ApiError("internal", "Could not generate conversation title"));
+  }
+});
+
+// Transcribe a voice message (multipart "audio") so the user can read and correct it
+// before sending; the recording then goes with the message as an attachment.
+// Answers { transcript }, empty if no speech was heard.
+app.post("/api/transcribe", requireAuth, meterUsage("transcribe"), modelRateLimit, acceptAudio, async (req, res) => {
+  const [recording] = readUploadedFiles(req);
+  if (!recording) {
+    return sendError(res, new ApiError("bad_request", "audio is required"));
+  }
+
+  const configurationError = configurationApiError();
+  if (configurationError) {
+    return sendError(res, configurationError);
+  }
+  if (!provider.audioInput) {
+    return sendError(res, new ApiError("bad_request", `Voice messages aren't supported with LLM_PROVIDER=${provider.name}`));
+  }
+
+  try {
+    const prompt = "Transcribe the speech in this recording word for word, in the language it is spoken in. " +
+      "Reply with the transcript only, without quotes, labels or timestamps. If there is no speech, reply with nothing.";
+    const { result } = await generateText([{ text: prompt }, toInlineDataPart(recording)], { temperature: 0 }, res.locals.meter);
+    recordTokenUsage(req.user.uid, result.usage, res.locals.meter);
+    res.json({ transcript: result.text.trim() });
+  } catch (err) {
+    const error = classifyError(err);
+    res.locals.log.error("Transcription failed", { code: error.code, err });
+    sendError(res, error);
+  }
+});
+
+// List the provider's available models
+app.get("/api/list-models", requireAuth, async (req, res) => {
+  try {
+    const configurationError = configurationApiError();
+    if (configurationError) {
+      return sendError(res, configurationError);
+    }
+
+    const models = await provider.listModels();
+    const names = models.map((model) => model.name);
+
     res.json({ 
-      apiVersion,
-      totalModels: modelNames.length,
-      models: data.models || [],
-      modelNames: modelNames,
-      suggestion: modelNames.length > 0 
-        ? `Try using one of these models: ${modelNames.slice(0, 3).join(", ")}`
-        : "No models found. Check your API key."
+      provider: provider.name,
+      totalModels: names.length,
+      models,
+      modelNames: names,
+      suggestion: names.length > 0 
+        ? `Try using one of these models: ${names.slice(0, 3).join(", ")}`
+        : "No models found. Check your provider configuration."
     });
   } catch (err) {
-    res.status(500).json({ error: err.message, stack: err.stack });
+    // The typed error, never the provider's raw error or a stack trace
+    res.locals.log.error("Error listing models", err);
+    sendError(res, err);
   }
 });
 
-// Test endpoint to check available models
-app.get("/api/test-models", async (req, res) => {
+// Test endpoint to check available models (admins only: every probe calls the model).
+// Returns the model health registry; pass ?probe=false to skip the live probes.
+app.get("/api/test-models", requireAuth, requireAdmin, async (req, res) => {
   try {
-    if (!process.env.GEMINI_API_KEY) {
-      return res.status(500).json({ error: "GEMINI_API_KEY not set" });
+    if (req.query.probe === "false" || req.query.probe === "0") {
+      return res.json({ provider: provider.name, registry: modelRegistry.snapshot() });
+    }
+
+    const configurationError = configurationApiError();
+    if (configurationError) {
+      return sendError(res, configurationError);
     }
     
-    // First, get available models from the API
-    const apiKey = process.env.GEMINI_API_KEY;
+    // First, get available models from the provider
     let availableModels = [];
-    
     try {
-      let listResponse = await fetch(`https://generativelanguage.googleapis.com/v1beta/models?key=${apiKey}`);
-      if (!listResponse.ok) {
-        listResponse = await fetch(`https://generativelanguage.googleapis.com/v1/models?key=${apiKey}`);
-      }
-      if (listResponse.ok) {
-        const listData = await listResponse.json();
-        availableModels = (listData.models || []).map(m => {
-          const name = m.name || "";
-          return name.replace('models/', '');
-        }).filter(name => name && name.includes('gemini'));
-      }
+      availableModels = (await provider.listModels()).map((model) => model.name);
     } catch (e) {
-      console.warn("Could not fetch model list:", e.message);
+      res.locals.log.warn("Could not fetch model list", e);
     }
     
-    // Use available models if found, otherwise try common names
-    const modelsToTest = availableModels.length > 0 
-      ? availableModels.slice(0, 5)
-      : [
-          "gemini-2.5-flash",
-          "gemini-2.5-pro",
-          "gemini-flash-latest",
-          "gemini-pro-latest",
-          "gemini-2.0-flash-001"
-        ];
+    // Test the configured models, then any others the provider offers
+    const modelsToTest = [...new Set([...modelNames, ...availableModels])].slice(0, 5);
     
     const results = [];
     for (const modelName of modelsToTest) {
       try {
-        const model = genAI.getGenerativeModel({ model: modelName });
-        const result = await model.generateContent("Hi");
-        const response = await result.response;
-        const responseText = response.text();
+        const { text } = await provider.generate(modelName, { contents: [{ role: "user", parts: [{ text: "Hi" }] }] });
+        if (modelRegistry.has(modelName)) {
+          modelRegistry.reportSuccess(modelName);
+        }
         results.push({ 
           model: modelName, 
           status: "success", 
-          response: responseText.substring(0, 100),
+          response: text.substring(0, 100),
           message: "This model works! ✓"
         });
       } catch (err) {
+        if (modelRegistry.has(modelName)) {
+          modelRegistry.reportFailure(modelName, err);
+        }
         results.push({ 
           model: modelName, 
           status: "failed", 
-          error: err.message,
+          error: classifyError(err).message,
           message: "This model is not available"
         });
       }
@@ -328,8 +1262,10 @@ app.get("/api/test-models", async (req, res) => {
     
     const workingModels = results.filter(r => r.status === "success");
     res.json({ 
+      provider: provider.name,
       availableModelsFromAPI: availableModels,
       results,
+      registry: modelRegistry.snapshot(),
       summary: {
         total: results.length,
         working: workingModels.length,
@@ -337,23 +1273,72 @@ app.get("/api/test-models", async (req, res) => {
         recommendation: workingModels.length > 0 
           ? `Use model: ${workingModels[0].model}` 
           : availableModels.length > 0
-            ? `Found ${availableModels.length} models from API but none worked. Try visiting /api/list-models to see details.`
-            : "No working models found. Please check your API key. Visit /api/list-models to see available models."
+            ? `Found ${availableModels.length} models from the provider but none worked. Try visiting /api/list-models to see details.`
+            : "No working models found. Please check your provider configuration. Visit /api/list-models to see available models."
       }
     });
   } catch (err) {
-    res.status(500).json({ error: err.message });
+    res.locals.log.error("Error testing models", err);
+    sendError(res, err);
+  }
+});
+
+// Liveness: the process is up (restart it if this fails). /health, the Azure health
+// check path, is the same check, since App Service replaces instances that fail it.
+function liveness(req, res) {
+  res.json(healthChecks.live());
+}
+app.get("/health/live", liveness);
+app.get("/health", liveness);
+
+// Readiness: the provider is configured, accepts the API key and has a usable model.
+// 503 while not ready; "degraded" (some models cooling down) still answers 200.
+app.get("/health/ready", async (req, res) => {
+  const { ready, body } = await healthChecks.ready();
+  res.status(ready ? 200 : 503).json(body);
+});
+
+// Helper: whether the request carries METRICS_TOKEN as a bearer token (compared in constant time)
+function hasMetricsToken(req) {
+  const digest = (value) => createHash("sha256").update(value).digest();
+  return timingSafeEqual(digest(req.get("Authorization") || ""), digest(`Bearer ${process.env.METRICS_TOKEN}`));
+}
+
+// Prometheus metrics; with METRICS_TOKEN set, scrapers must send it as a bearer token
+app.get("/metrics", (req, res) => {
+  if (process.env.METRICS_TOKEN && !hasMetricsToken(req)) {
+    return sendError(res, new ApiError("auth", "A valid metrics token is required"));
   }
+  res.type("text/plain; version=0.0.4").send(metrics.render());
 });
 
-// Health check endpoint for Azure
-app.get("/health", (req, res) => {
-  res.json({ status: "ok", timestamp: new Date().toISOString() });
+// Errors no route handled (e.g. a malformed JSON body) get the same typed shape
+app.use((err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+  if (err.type === "entity.parse.failed" || err.type === "entity.too.large") {
+    return sendError(res, new ApiError("bad_request", err.type === "entity.too.large" ? `Request body is too large (limit ${JSON_BODY_LIMIT})` : "Malformed JSON body", { status: err.status }));
+  }
+  res.locals.log.error("Unhandled error", err);
+  sendError(res, new ApiError("internal", "Internal server error"));
 });
 
 app.listen(PORT, () => {
-  console.log(`Server running on http://localhost:${PORT}`);
-  if (!process.env.GEMINI_API_KEY) {
-    console.warn("⚠️  WARNING: GEMINI_API_KEY not set in environment variables");
+  logger.info("Server started", {
+    url: `http://localhost:${PORT}`,
+    provider: provider.name,
+    models: modelNames,
+    tools: TOOL_MAX_ITERATIONS > 0 ? toolRegistry.names : [],
+    documentEmbeddings: documentLibrary.embedding,
+    usageLog: usageLog.kind === "off" ? "off" : `${usageLog.kind} (kept ${usageLog.retentionDays} days)`,
+    ...(provider.safetySettings?.length && {
+      safetySettings: provider.safetySettings.map(({ category, threshold }) => `${category.replace(/^HARM_CATEGORY_/, "")}=${threshold}`),
+    }),
+    metricsProtected: Boolean(process.env.METRICS_TOKEN),
+  });
+  const configurationError = provider.configurationError();
+  if (configurationError) {
+    logger.warn(`Provider not configured: ${configurationError}`);
   }
 });
@@ -0,0 +1,87 @@
+// The auth middleware against tokens verified offline: only the verified uid is trusted,
+// and missing, invalid or expired tokens are turned away before any route runs.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createAuthMiddleware } from "../lib/auth.js";
+
+const TOKENS = {
+  "good-token": { uid: "user-1", email: "user@example.com", email_verified: true, auth_time: 1700000000, firebase: { sign_in_provider: "google.com" } },
+  "unverified-token": { uid: "user-2", email: "new@example.com", email_verified: false, firebase: { sign_in_provider: "password" } },
+};
+
+// Stand-in for the Admin SDK: known tokens verify, anything else fails like an expired one
+async function verifyIdToken(idToken) {
+  if (TOKENS[idToken]) return TOKENS[idToken];
+  throw Object.assign(new Error("Firebase ID token has expired."), { code: "auth/id-token-expired" });
+}
+
+function request(authorization, body = {}) {
+  return { body, get: (name) => (name.toLowerCase() === "authorization" ? authorization : undefined) };
+}
+
+function response() {
+  const res = {
+    locals: { requestId: "test", log: { warn() {} } },
+    statusCode: 200,
+    body: null,
+    set() {
+      return res;
+    },
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      res.body = body;
+      return res;
+    },
+  };
+  return res;
+}
+
+async function run(middleware, req) {
+  const res = response();
+  let passed = false;
+  await middleware(req, res, () => {
+    passed = true;
+  });
+  return { req, res, passed };
+}
+
+const requireAuth = createAuthMiddleware({ verifyIdToken, requireVerifiedEmail: true });
+
+test("a valid token attaches the verified user, whatever the body claims", async () => {
+  const { req, passed } = await run(requireAuth, request("Bearer good-token", { userId: "someone-else" }));
+  assert.equal(passed, true);
+  assert.equal(req.user.uid, "user-1");
+  assert.equal(req.user.email, "user@example.com");
+  assert.equal(req.user.signInProvider, "google.com");
+});
+
+test("a request without a bearer token is rejected with 401", async () => {
+  for (const authorization of [undefined, "", "Basic dXNlcjpwYXNz", "Bearer "]) {
+    const { res, passed } = await run(requireAuth, request(authorization));
+    assert.equal(passed, false, String(authorization));
+    assert.equal(res.statusCode, 401);
+    assert.equal(res.body.code, "auth");
+  }
+});
+
+test("an expired or forged token is rejected with 401", async () => {
+  const { res, passed } = await run(requireAuth, request("Bearer expired-token"));
+  assert.equal(passed, false);
+  assert.equal(res.statusCode, 401);
+  assert.equal(res.body.error, "Invalid or expired authentication token");
+});
+
+test("password accounts need a verified email unless the check is off", async () => {
+  const refused = await run(requireAuth, request("Bearer unverified-token"));
+  assert.equal(refused.passed, false);
+  assert.equal(refused.res.statusCode, 403);
+  assert.equal(refused.res.body.reason, "email_unverified");
+
+  const requireSignedIn = createAuthMiddleware({ verifyIdToken, requireVerifiedEmail: false });
+  const allowed = await run(requireSignedIn, request("Bearer unverified-token"));
+  assert.equal(allowed.passed, true);
+  assert.equal(allowed.req.user.uid, "user-2");
+});
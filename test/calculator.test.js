@@ -0,0 +1,24 @@
+// Operator precedence of the calculator tool: the model relays whatever number it returns.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { evaluateExpression } from "../lib/tools/calculator.js";
+
+test("unary minus binds looser than ^", () => {
+  assert.equal(evaluateExpression("-2^2"), -4);
+  assert.equal(evaluateExpression("(-2)^2"), 4);
+  assert.equal(evaluateExpression("3 - -2^2"), 7);
+});
+
+test("exponents can be negative", () => {
+  assert.equal(evaluateExpression("2^-1"), 0.5);
+  assert.equal(evaluateExpression("-2^-2"), -0.25);
+});
+
+test("^ is right-associative", () => {
+  assert.equal(evaluateExpression("2^3^2"), 512);
+});
+
+test("signs still work on factors", () => {
+  assert.equal(evaluateExpression("2 * -3"), -6);
+  assert.equal(evaluateExpression("-sqrt(16) + 1"), -3);
+});
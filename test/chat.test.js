@@ -0,0 +1,215 @@
+// End to end through POST /api/chat: the real server in a child process, with the mock
+// provider, in-memory storage and a stand-in for the Firebase Auth emulator.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { spawn } from "node:child_process";
+import { createServer } from "node:http";
+import { once } from "node:events";
+import { fileURLToPath } from "node:url";
+import { randomUUID } from "node:crypto";
+
+const PROJECT_ID = "flashbott-test";
+const STREAM_IDLE_TIMEOUT_MS = 500;
+
+let server;
+let authEmulator;
+let baseUrl;
+
+// The Admin SDK looks the user up in the emulator after checking the token
+function startAuthEmulator() {
+  const emulator = createServer((req, res) => {
+    let body = "";
+    req.on("data", (data) => {
+      body += data;
+    });
+    req.on("end", () => {
+      const [localId] = JSON.parse(body || "{}").localId || ["user-1"];
+      res.setHeader("Content-Type", "application/json");
+      res.end(JSON.stringify({ users: [{ localId, email: "user@example.com", emailVerified: true }] }));
+    });
+  });
+  return new Promise((resolve) => emulator.listen(0, "127.0.0.1", () => resolve(emulator)));
+}
+
+async function freePort() {
+  const probe = createServer().listen(0, "127.0.0.1");
+  await once(probe, "listening");
+  const { port } = probe.address();
+  await new Promise((resolve) => probe.close(resolve));
+  return port;
+}
+
+// The emulator accepts unsigned ID tokens; expired ones are still refused
+function idToken(uid = "user-1", { expired = false } = {}) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+  const now = Math.floor(Date.now() / 1000) - (expired ? 7200 : 0);
+  return `${encode({ alg: "none", typ: "JWT" })}.${encode({
+    iss: `https://securetoken.google.com/${PROJECT_ID}`,
+    aud: PROJECT_ID,
+    auth_time: now,
+    user_id: uid,
+    sub: uid,
+    iat: now,
+    exp: now + 3600,
+    email: "user@example.com",
+    email_verified: true,
+    firebase: { sign_in_provider: "google.com" },
+  })}.`;
+}
+
+async function api(method, path, body, { uid } = {}) {
+  const response = await fetch(baseUrl + path, {
+    method,
+    headers: { Authorization: `Bearer ${idToken(uid)}`, "Content-Type": "application/json" },
+    body: body && JSON.stringify(body),
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+// The events of a Server-Sent Events response, as [{ event, data }]
+async function readEvents(response) {
+  const text = await response.text();
+  return text.split("\n\n").filter(Boolean).map((block) => {
+    const event = /^event: (.*)$/m.exec(block)?.[1];
+    const data = /^data: (.*)$/m.exec(block)?.[1];
+    return { event, data: data && JSON.parse(data) };
+  });
+}
+
+async function newConversation(options) {
+  const { body } = await api("POST", "/api/conversations", {}, options);
+  return body.conversation.id;
+}
+
+before(async () => {
+  authEmulator = await startAuthEmulator();
+  const port = await freePort();
+  baseUrl = `http://127.0.0.1:${port}`;
+  server = spawn(process.execPath, [fileURLToPath(new URL("../server.js", import.meta.url))], {
+    env: {
+      PATH: process.env.PATH,
+      PORT: String(port),
+      LLM_PROVIDER: "mock",
+      STORAGE_ADAPTER: "memory",
+      VECTOR_STORE: "memory",
+      USAGE_LOG: "memory",
+      FIREBASE_PROJECT_ID: PROJECT_ID,
+      FIREBASE_AUTH_EMULATOR_HOST: `127.0.0.1:${authEmulator.address().port}`,
+      STREAM_IDLE_TIMEOUT_MS: String(STREAM_IDLE_TIMEOUT_MS),
+      LOG_LEVEL: "error",
+    },
+    stdio: "ignore",
+  });
+
+  // Wait until it answers
+  for (let attempt = 0; ; attempt++) {
+    try {
+      if ((await fetch(`${baseUrl}/health/live`)).ok) break;
+    } catch {
+      // Not listening yet
+    }
+    if (attempt >= 100) throw new Error("The server did not start");
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+});
+
+after(() => {
+  server?.kill();
+  authEmulator?.close();
+});
+
+test("a message gets the mock model's reply and both are saved", async () => {
+  const conversationId = await newConversation();
+  const { status, body } = await api("POST", "/api/chat", { conversationId, message: "Hello there" });
+
+  assert.equal(status, 200);
+  assert.match(body.reply, /^Mock reply from mock-\d: Hello there/);
+  assert.deepEqual(body.messages.map((message) => message.sender), ["user", "bot"]);
+
+  const history = await api("GET", `/api/conversations/${conversationId}/messages`);
+  assert.deepEqual(history.body.messages.map((message) => message.text), ["Hello there", body.reply]);
+});
+
+test("a streamed reply arrives in chunks and ends with done", async () => {
+  const conversationId = await newConversation();
+  const response = await fetch(`${baseUrl}/api/chat`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${idToken()}`, "Content-Type": "application/json" },
+    body: JSON.stringify({ conversationId, message: "Stream this please", stream: true }),
+  });
+  assert.equal(response.headers.get("content-type"), "text/event-stream");
+
+  const events = await readEvents(response);
+  const chunks = events.filter((event) => event.event === "chunk");
+  const done = events.at(-1);
+  assert.ok(chunks.length > 1);
+  assert.equal(done.event, "done");
+  assert.equal(chunks.map((chunk) => chunk.data.text).join(""), done.data.reply);
+});
+
+test("a stream that stalls ends with a timeout error instead of hanging", async () => {
+  const conversationId = await newConversation();
+  const startedAt = Date.now();
+  const response = await fetch(`${baseUrl}/api/chat`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${idToken()}`, "Content-Type": "application/json" },
+    body: JSON.stringify({ conversationId, message: "[mock:stall] Never finish", stream: true }),
+    signal: AbortSignal.timeout(10 * STREAM_IDLE_TIMEOUT_MS),
+  });
+
+  const events = await readEvents(response);
+  assert.equal(events[0].event, "chunk");
+  assert.deepEqual(events.at(-1).event, "error");
+  assert.equal(events.at(-1).data.code, "timeout");
+  assert.equal(events.at(-1).data.retryable, true);
+  assert.ok(Date.now() - startedAt < 5 * STREAM_IDLE_TIMEOUT_MS);
+});
+
+test("resending a saved message returns it without a new reply or using up quota", async () => {
+  const user = { uid: "resender" };
+  const conversationId = await newConversation(user);
+  const clientMessageId = randomUUID();
+  const first = await api("POST", "/api/chat", { conversationId, message: "Sent twice", clientMessageId }, user);
+  assert.equal(first.status, 200);
+  assert.equal(first.body.messages[0].id, clientMessageId);
+
+  const resent = await api("POST", "/api/chat", { conversationId, message: "Sent twice", clientMessageId }, user);
+  assert.equal(resent.status, 200);
+  assert.equal(resent.body.duplicate, true);
+  assert.deepEqual(resent.body.messages.map((message) => message.id), [clientMessageId]);
+  assert.equal(resent.body.quota.messagesLeft, first.body.quota.messagesLeft);
+
+  const history = await api("GET", `/api/conversations/${conversationId}/messages`, undefined, user);
+  assert.equal(history.body.messages.length, 2);
+});
+
+test("an expired token is refused before the message is looked at", async () => {
+  const conversationId = await newConversation();
+  const response = await fetch(`${baseUrl}/api/chat`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${idToken("user-1", { expired: true })}`, "Content-Type": "application/json" },
+    body: JSON.stringify({ conversationId, message: "Too late", clientMessageId: randomUUID() }),
+  });
+  assert.equal(response.status, 401);
+  assert.equal((await response.json()).code, "auth");
+});
+
+test("a message resent while it is still being answered is told to wait, not answered twice", async () => {
+  const user = { uid: "impatient" };
+  const conversationId = await newConversation(user);
+  const clientMessageId = randomUUID();
+  const first = await fetch(`${baseUrl}/api/chat`, {
+    method: "POST",
+    headers: { Authorization: `Bearer ${idToken(user.uid)}`, "Content-Type": "application/json" },
+    body: JSON.stringify({ conversationId, message: "[mock:stall] Still thinking", clientMessageId, stream: true }),
+  });
+  // The reply has started (headers are out) but won't finish until the idle timeout
+  assert.equal(first.status, 200);
+
+  const resent = await api("POST", "/api/chat", { conversationId, message: "[mock:stall] Still thinking", clientMessageId }, user);
+  assert.equal(resent.status, 429);
+  assert.equal(resent.body.code, "rate_limited");
+  assert.equal(resent.body.reason, "in_progress");
+  assert.equal(resent.body.retryable, true);
+  await first.text();
+});
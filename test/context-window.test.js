@@ -0,0 +1,66 @@
+// Summaries of long conversations: the messages that overflow the context window are
+// folded in several prompts, none of them larger than the window they are meant to shrink.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildSummaryPrompt, estimateTextTokens, selectContext, summaryBatchSize } from "../lib/context-window.js";
+
+function conversation(count, textLength) {
+  return Array.from({ length: count }, (_, index) => ({
+    id: `m${index}`,
+    sender: index % 2 === 0 ? "user" : "bot",
+    text: `${index} ${"x".repeat(textLength)}`,
+  }));
+}
+
+// The prompts updateConversationSummary sends, with a stand-in summary after each
+function summaryPrompts(overflow, budget, summaryText = "") {
+  const prompts = [];
+  let summary = summaryText;
+  let rest = overflow;
+  while (rest.length > 0) {
+    const batch = rest.slice(0, summaryBatchSize(rest, summary, budget));
+    prompts.push(buildSummaryPrompt(summary, batch, { budget }));
+    summary = "s".repeat(1200);
+    rest = rest.slice(batch.length);
+  }
+  return prompts;
+}
+
+test("a long overflow is summarized in rounds that each fit the budget", () => {
+  const budget = 2000;
+  const messages = conversation(400, 200);
+  const { overflow } = selectContext(messages, { budget });
+  assert.ok(estimateTextTokens(buildSummaryPrompt("", overflow)) > budget);
+
+  const prompts = summaryPrompts(overflow, budget);
+  assert.ok(prompts.length > 1);
+  for (const prompt of prompts) {
+    assert.ok(estimateTextTokens(prompt) <= budget, `${estimateTextTokens(prompt)} tokens`);
+  }
+  // Every overflowing message is in exactly one round
+  for (const message of overflow) {
+    assert.equal(prompts.filter((prompt) => prompt.includes(`: ${message.text}`)).length, 1, message.id);
+  }
+});
+
+test("a message too long for a prompt of its own is cut short", () => {
+  const budget = 1000;
+  const [huge] = conversation(1, 20000);
+  assert.equal(summaryBatchSize([huge], "", budget), 1);
+
+  const prompt = buildSummaryPrompt("", [huge], { budget });
+  assert.ok(estimateTextTokens(prompt) <= budget, `${estimateTextTokens(prompt)} tokens`);
+  assert.match(prompt, /\[\.\.\.\]/);
+});
+
+test("a long summary so far still leaves room for new messages", () => {
+  const budget = 1000;
+  const longSummary = "s".repeat(8000);
+  assert.ok(summaryBatchSize(conversation(50, 100), longSummary, budget) >= 1);
+});
+
+test("without a budget everything goes in one prompt", () => {
+  const messages = conversation(30, 500);
+  assert.equal(summaryBatchSize(messages, "", 0), messages.length);
+  assert.doesNotMatch(buildSummaryPrompt("", messages), /\[\.\.\.\]/);
+});
@@ -0,0 +1,42 @@
+// How provider failures are classified: the code decides what the user is told and
+// whether the model registry fails over to the next model.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { classifyError } from "../lib/errors.js";
+import { classifyModelError } from "../lib/model-registry.js";
+
+function httpError(status, errorDetails) {
+  return Object.assign(new Error(`[${status}] upstream says something`), { status, errorDetails });
+}
+
+test("an invalid Gemini key (400 with API_KEY_INVALID) is an auth error", () => {
+  const error = classifyError(httpError(400, [{ "@type": "type.googleapis.com/google.rpc.ErrorInfo", reason: "API_KEY_INVALID" }]));
+  assert.equal(error.code, "auth");
+  assert.equal(error.retryable, false);
+});
+
+test("a 400 without details is a bad request and hides the provider's text", () => {
+  const error = classifyError(httpError(400));
+  assert.equal(error.code, "bad_request");
+  assert.doesNotMatch(error.message, /upstream/);
+});
+
+test("failed connections are retryable and fail over to the next model", () => {
+  const reset = Object.assign(new TypeError("fetch failed"), { cause: Object.assign(new Error("read ECONNRESET"), { code: "ECONNRESET" }) });
+  const timedOut = Object.assign(new TypeError("fetch failed"), { cause: { code: "ETIMEDOUT" } });
+  // The Gemini SDK rethrows fetch errors without their cause
+  const wrapped = new Error("Error fetching from https://generativelanguage.googleapis.com/v1beta/models/x:generateContent: fetch failed");
+
+  assert.equal(classifyError(reset).code, "overloaded");
+  assert.equal(classifyError(timedOut).code, "timeout");
+  assert.equal(classifyError(wrapped).code, "overloaded");
+  for (const err of [reset, timedOut, wrapped]) {
+    assert.equal(classifyError(err).retryable, true);
+    assert.ok(classifyModelError(err));
+  }
+});
+
+test("anything else is an internal error", () => {
+  assert.equal(classifyError(new Error("boom")).code, "internal");
+  assert.equal(classifyModelError(new Error("boom")), null);
+});
@@ -0,0 +1,52 @@
+// Readiness against a provider whose model listing fails: a rejected key must take the
+// server out of rotation, an outage only degrades it.
+import { test, afterEach } from "node:test";
+import assert from "node:assert/strict";
+import { createHealthChecks } from "../lib/health.js";
+import { createModelRegistry } from "../lib/model-registry.js";
+import { createGeminiProvider } from "../lib/providers/gemini.js";
+
+const realFetch = globalThis.fetch;
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+function answerWith(status, body) {
+  globalThis.fetch = async () => new Response(JSON.stringify(body), { status, headers: { "Content-Type": "application/json" } });
+}
+
+function readiness() {
+  const provider = createGeminiProvider({ apiKey: "not-a-key", safetySettings: [] });
+  return createHealthChecks({ provider, modelRegistry: createModelRegistry(["gemini-2.5-flash"]) }).ready();
+}
+
+test("an invalid Gemini key makes the server unready", async () => {
+  answerWith(400, {
+    error: {
+      code: 400,
+      message: "API key not valid. Please pass a valid API key.",
+      status: "INVALID_ARGUMENT",
+      details: [{ "@type": "type.googleapis.com/google.rpc.ErrorInfo", reason: "API_KEY_INVALID", domain: "googleapis.com" }],
+    },
+  });
+  const { ready, body } = await readiness();
+  assert.equal(ready, false);
+  assert.equal(body.status, "unavailable");
+  assert.equal(body.checks.apiKey.status, "fail");
+  assert.equal(body.checks.apiKey.code, "auth");
+});
+
+test("any other rejected listing makes the server unready", async () => {
+  answerWith(403, { error: { code: 403, message: "Forbidden", status: "PERMISSION_DENIED" } });
+  const { ready, body } = await readiness();
+  assert.equal(ready, false);
+  assert.equal(body.checks.apiKey.status, "fail");
+});
+
+test("a provider outage only degrades the server", async () => {
+  answerWith(503, { error: { code: 503, message: "The model is overloaded.", status: "UNAVAILABLE" } });
+  const { ready, body } = await readiness();
+  assert.equal(ready, true);
+  assert.equal(body.status, "degraded");
+  assert.equal(body.checks.apiKey.status, "warn");
+});
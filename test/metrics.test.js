@@ -0,0 +1,62 @@
+// Route labels of the HTTP metrics: a request is labelled by what answered it, so a 401
+// from a router's auth middleware or a malformed body doesn't count as a static file.
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { createHttpMetrics, createMetrics, servedAsStatic } from "../lib/metrics.js";
+import { createModelRegistry } from "../lib/model-registry.js";
+
+let server;
+let baseUrl;
+const metrics = createMetrics({ modelRegistry: createModelRegistry(["mock-1"]) });
+
+before(async () => {
+  const app = express();
+  app.use(createHttpMetrics(metrics));
+  app.use(express.json());
+  app.use(servedAsStatic(express.static("public")));
+
+  const notes = express.Router();
+  notes.get("/:id", (req, res) => res.json({ id: req.params.id }));
+  const requireToken = (req, res, next) => (req.get("Authorization") ? next() : res.status(401).json({ code: "auth" }));
+  app.use("/api/notes", requireToken, notes);
+  app.post("/api/echo", (req, res) => res.json(req.body));
+  // Like the server's error handler: errors outside any route still get an answer
+  app.use((err, req, res, next) => res.status(err.status || 500).json({ code: "bad_request" }));
+
+  await new Promise((resolve) => {
+    server = app.listen(0, "127.0.0.1", resolve);
+  });
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => server.close());
+
+// Count of flashbott_http_requests_total for these labels
+function requests(route, status, method = "GET") {
+  const line = metrics.render().split("\n").find((text) =>
+    text.startsWith("flashbott_http_requests_total{") &&
+    text.includes(`method="${method}"`) && text.includes(`route="${route}"`) && text.includes(`status="${status}"`));
+  return line ? Number(line.split(" ").pop()) : 0;
+}
+
+test("routes are labelled by pattern, files by static", async () => {
+  await fetch(`${baseUrl}/api/notes/42`, { headers: { Authorization: "Bearer x" } });
+  await fetch(`${baseUrl}/index.html`);
+  assert.equal(requests("/api/notes/:id", 200), 1);
+  assert.equal(requests("static", 200), 1);
+});
+
+test("a 401 from a router's middleware is labelled with the router's path", async () => {
+  await fetch(`${baseUrl}/api/notes/42`);
+  assert.equal(requests("/api/notes", 401), 1);
+  assert.equal(requests("static", 401), 0);
+});
+
+test("errors outside any route and unknown paths are not static", async () => {
+  await fetch(`${baseUrl}/api/echo`, { method: "POST", headers: { "Content-Type": "application/json" }, body: "{not json" });
+  await fetch(`${baseUrl}/no-such-file.txt`);
+  assert.equal(requests("middleware", 400, "POST"), 1);
+  assert.equal(requests("unmatched", 404), 1);
+  assert.equal(requests("static", 400, "POST"), 0);
+});
@@ -0,0 +1,67 @@
+// The outbox and offline copy in IndexedDB (fake-indexeddb stands in for the browser's).
+import "fake-indexeddb/auto";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  cacheBranch,
+  cachedBranch,
+  clearOfflineData,
+  queueMessage,
+  queuedMessages,
+  removeQueuedMessage,
+  updateQueuedMessage,
+} from "../public/offline-store.js";
+
+function entry(id, uid, createdAt, fields = {}) {
+  return { id, uid, conversationId: "c1", draftId: null, text: `message ${id}`, createdAt, ...fields };
+}
+
+test("queued messages come back oldest first, pending, and only for their user", async () => {
+  await queueMessage(entry("b", "alice", 2000));
+  await queueMessage(entry("a", "alice", 1000));
+  await queueMessage(entry("x", "bob", 1500));
+
+  const queued = await queuedMessages("alice");
+  assert.deepEqual(queued.map((queued) => queued.id), ["a", "b"]);
+  assert.ok(queued.every((queued) => queued.status === "pending" && queued.error === null));
+  assert.deepEqual((await queuedMessages("bob")).map((queued) => queued.id), ["x"]);
+
+  await clearOfflineData("alice");
+  await clearOfflineData("bob");
+});
+
+test("a refused message stays queued as failed until it is removed", async () => {
+  await queueMessage(entry("m1", "carol", 1000));
+  const [queued] = await queuedMessages("carol");
+  await updateQueuedMessage(queued, { status: "failed", error: "Conversation not found" });
+
+  const [failed] = await queuedMessages("carol");
+  assert.equal(failed.status, "failed");
+  assert.equal(failed.error, "Conversation not found");
+  assert.equal(failed.text, "message m1");
+
+  await removeQueuedMessage("m1");
+  assert.deepEqual(await queuedMessages("carol"), []);
+});
+
+test("queueing the same id again replaces the entry instead of sending it twice", async () => {
+  await queueMessage(entry("same", "dave", 1000));
+  await queueMessage(entry("same", "dave", 1000, { text: "edited" }));
+
+  const queued = await queuedMessages("dave");
+  assert.equal(queued.length, 1);
+  assert.equal(queued[0].text, "edited");
+  await clearOfflineData("dave");
+});
+
+test("logging out clears the user's outbox and cached chats, not anyone else's", async () => {
+  await queueMessage(entry("e1", "erin", 1000));
+  await queueMessage(entry("f1", "frank", 1000));
+  await cacheBranch("erin", "c1", { conversation: { id: "c1" }, messages: [], hasMore: false });
+
+  await clearOfflineData("erin");
+  assert.deepEqual(await queuedMessages("erin"), []);
+  assert.equal(await cachedBranch("erin", "c1"), undefined);
+  assert.deepEqual((await queuedMessages("frank")).map((queued) => queued.id), ["f1"]);
+  await clearOfflineData("frank");
+});
